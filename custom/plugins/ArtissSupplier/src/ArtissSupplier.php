@@ -3,6 +3,8 @@
 namespace Artiss\Supplier;
 
 use Artiss\Supplier\Service\CustomFieldInstaller;
+use Artiss\Supplier\Service\ExchangeRate\ExchangeRateUpdater;
+use Artiss\Supplier\Service\PriceImport\PriceSourcePasswordStore;
 use Shopware\Core\Framework\Plugin;
 use Shopware\Core\Framework\Plugin\Context\InstallContext;
 use Shopware\Core\Framework\Plugin\Context\UninstallContext;
@@ -48,6 +50,25 @@ class ArtissSupplier extends Plugin
 
         // Remove tables
         $connection = $this->container->get('Doctrine\DBAL\Connection');
+        $connection->executeStatement('DROP TABLE IF EXISTS `art_supplier_purchase_order_item`');
+        $connection->executeStatement('DROP TABLE IF EXISTS `art_supplier_purchase_order`');
+        $connection->executeStatement('DROP TABLE IF EXISTS `art_supplier_price_changeset_item`');
+        $connection->executeStatement('DROP TABLE IF EXISTS `art_supplier_price_changeset`');
+        $connection->executeStatement('DROP TABLE IF EXISTS `art_supplier_price_import_run`');
+        $connection->executeStatement('DROP TABLE IF EXISTS `art_supplier_price_job`');
+        $connection->executeStatement('DROP TABLE IF EXISTS `art_supplier_exchange_rate_override`');
+        $connection->executeStatement('DROP TABLE IF EXISTS `art_supplier_exchange_rate`');
+        $connection->executeStatement('DROP TABLE IF EXISTS `art_supplier_price_template_version`');
+        $connection->executeStatement('DROP TABLE IF EXISTS `art_supplier_discontinued_product`');
         $connection->executeStatement('DROP TABLE IF EXISTS `art_supplier`');
+
+        // Remove price source passwords and exchange rate state kept outside the plugin config
+        $connection->executeStatement(
+            'DELETE FROM `system_config` WHERE `configuration_key` LIKE :prefix OR `configuration_key` = :factorsKey',
+            [
+                'prefix' => PriceSourcePasswordStore::CONFIG_PREFIX . '%',
+                'factorsKey' => ExchangeRateUpdater::RECALCULATED_FACTORS_KEY,
+            ]
+        );
     }
 }
@@ -2,6 +2,7 @@
 
 namespace Artiss\Supplier\Command;
 
+use Artiss\Supplier\Service\ExchangeRate\ExchangeRateService;
 use Shopware\Core\Defaults;
 use Shopware\Core\Framework\Context;
 use Shopware\Core\Framework\DataAbstractionLayer\EntityRepository;
@@ -39,7 +40,8 @@ class RecalculatePricesCommand extends Command
 {
     public function __construct(
         private readonly EntityRepository $productRepository,
-        private readonly EntityRepository $currencyRepository
+        private readonly EntityRepository $currencyRepository,
+        private readonly ExchangeRateService $exchangeRateService
     ) {
         parent::__construct();
     }
@@ -92,6 +94,8 @@ class RecalculatePricesCommand extends Command
         $currencies = $this->loadCurrencies($context);
         $io->info(sprintf('Loaded %d currencies', count($currencies)));
 
+        $supplierOverrides = $this->exchangeRateService->getSupplierOverrides($context);
+
         // Find products with custom price fields
         $products = $this->findProductsWithCustomPrices($context, $limit);
         $io->info(sprintf('Found %d products with custom price fields', count($products)));
@@ -136,7 +140,13 @@ class RecalculatePricesCommand extends Command
                 'list_price_currency' => $customFields['list_price_currency'] ?? 'UAH',
             ];
 
-            $update = $this->calculatePriceUpdate($product, $productPrices, $currencies, $priceType);
+            // Supplier specific rates and surcharges
+            $supplierId = $customFields['product_supplier_id'] ?? null;
+            $productCurrencies = $supplierId && isset($supplierOverrides[$supplierId])
+                ? $this->exchangeRateService->applySupplierOverrides($currencies, $supplierOverrides[$supplierId])
+                : $currencies;
+
+            $update = $this->calculatePriceUpdate($product, $productPrices, $productCurrencies, $priceType);
 
             if ($update) {
                 $updateData[] = $update;
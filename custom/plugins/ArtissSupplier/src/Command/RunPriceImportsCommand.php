@@ -0,0 +1,88 @@
+<?php declare(strict_types=1);
+
+namespace Artiss\Supplier\Command;
+
+use Artiss\Supplier\Core\Content\PriceImportRun\PriceImportRunDefinition;
+use Artiss\Supplier\Core\Content\PriceImportRun\PriceImportRunEntity;
+use Artiss\Supplier\Service\PriceImport\ScheduledPriceImportService;
+use Shopware\Core\Framework\Context;
+use Symfony\Component\Console\Attribute\AsCommand;
+use Symfony\Component\Console\Command\Command;
+use Symfony\Component\Console\Input\InputInterface;
+use Symfony\Component\Console\Input\InputOption;
+use Symfony\Component\Console\Output\OutputInterface;
+use Symfony\Component\Console\Style\SymfonyStyle;
+
+/**
+ * Runs scheduled price list imports without waiting for the scheduled task runner
+ *
+ * Usage:
+ *   bin/console artiss:supplier:run-price-imports [options]
+ *
+ * Options:
+ *   --template=ID   Run import for one template immediately, ignoring its schedule
+ *
+ * Example:
+ *   bin/console artiss:supplier:run-price-imports
+ *   bin/console artiss:supplier:run-price-imports --template=0193a1b2c3d4e5f6a7b8c9d0e1f2a3b4
+ */
+#[AsCommand(
+    name: 'artiss:supplier:run-price-imports',
+    description: 'Run due scheduled price list imports'
+)]
+class RunPriceImportsCommand extends Command
+{
+    public function __construct(
+        private readonly ScheduledPriceImportService $scheduledPriceImportService
+    ) {
+        parent::__construct();
+    }
+
+    protected function configure(): void
+    {
+        $this->addOption(
+            'template',
+            't',
+            InputOption::VALUE_REQUIRED,
+            'Run import for one template immediately, ignoring its schedule'
+        );
+    }
+
+    protected function execute(InputInterface $input, OutputInterface $output): int
+    {
+        $io = new SymfonyStyle($input, $output);
+        $context = Context::createDefaultContext();
+        $templateId = $input->getOption('template');
+
+        if ($templateId) {
+            $runs = [
+                $this->scheduledPriceImportService->runImport($templateId, PriceImportRunDefinition::TRIGGER_MANUAL, $context),
+            ];
+        } else {
+            $runs = $this->scheduledPriceImportService->runDueImports($context);
+        }
+
+        if (empty($runs)) {
+            $io->success('No price imports are due.');
+            return Command::SUCCESS;
+        }
+
+        $io->table(
+            ['Template', 'Status', 'Updated', 'Message'],
+            array_map(fn(PriceImportRunEntity $run) => [
+                $run->getPriceTemplateId(),
+                $run->getStatus(),
+                $run->getStats()['updated'] ?? 0,
+                $run->getMessage() ?? '',
+            ], $runs)
+        );
+
+        foreach ($runs as $run) {
+            if ($run->getStatus() === PriceImportRunDefinition::STATUS_FAILED) {
+                return Command::FAILURE;
+            }
+        }
+
+        return Command::SUCCESS;
+    }
+}
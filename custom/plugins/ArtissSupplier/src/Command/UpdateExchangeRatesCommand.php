@@ -0,0 +1,105 @@
+<?php declare(strict_types=1);
+
+namespace Artiss\Supplier\Command;
+
+use Artiss\Supplier\Service\ExchangeRate\ExchangeRateUpdater;
+use Shopware\Core\Framework\Context;
+use Symfony\Component\Console\Attribute\AsCommand;
+use Symfony\Component\Console\Command\Command;
+use Symfony\Component\Console\Input\InputInterface;
+use Symfony\Component\Console\Input\InputOption;
+use Symfony\Component\Console\Output\OutputInterface;
+use Symfony\Component\Console\Style\SymfonyStyle;
+
+/**
+ * Imports exchange rates from the configured provider or sets one rate by hand
+ *
+ * Usage:
+ *   bin/console artiss:supplier:update-exchange-rates [options]
+ *
+ * Options:
+ *   --currency=ISO   Currency to set manually (requires --factor)
+ *   --factor=VALUE   Units of currency per 1 unit of default currency
+ *
+ * Example:
+ *   bin/console artiss:supplier:update-exchange-rates
+ *   bin/console artiss:supplier:update-exchange-rates --currency=USD --factor=0.0241
+ */
+#[AsCommand(
+    name: 'artiss:supplier:update-exchange-rates',
+    description: 'Import exchange rates and recalculate prices when rates moved beyond threshold'
+)]
+class UpdateExchangeRatesCommand extends Command
+{
+    public function __construct(
+        private readonly ExchangeRateUpdater $exchangeRateUpdater
+    ) {
+        parent::__construct();
+    }
+
+    protected function configure(): void
+    {
+        $this
+            ->addOption(
+                'currency',
+                'c',
+                InputOption::VALUE_REQUIRED,
+                'Currency to set manually (requires --factor)'
+            )
+            ->addOption(
+                'factor',
+                'f',
+                InputOption::VALUE_REQUIRED,
+                'Units of currency per 1 unit of default currency'
+            );
+    }
+
+    protected function execute(InputInterface $input, OutputInterface $output): int
+    {
+        $io = new SymfonyStyle($input, $output);
+        $context = Context::createDefaultContext();
+        $currency = $input->getOption('currency');
+        $factor = $input->getOption('factor');
+
+        if ($currency && !is_numeric($factor)) {
+            $io->error('--factor is required when --currency is set');
+            return Command::FAILURE;
+        }
+
+        try {
+            $stats = $currency
+                ? $this->exchangeRateUpdater->setManualRate($currency, (float) $factor, $context)
+                : $this->exchangeRateUpdater->updateRates($context);
+        } catch (\Exception $e) {
+            $io->error($e->getMessage());
+            return Command::FAILURE;
+        }
+
+        if (empty($stats['changes'])) {
+            $io->success('Exchange rates are up to date.');
+            return Command::SUCCESS;
+        }
+
+        $io->table(
+            ['Currency', 'Previous', 'New', 'Change, %'],
+            array_map(fn(array $change) => [
+                $change['iso_code'],
+                $change['previous_factor'],
+                $change['factor'],
+                $change['change_percent'] ?? '-',
+            ], $stats['changes'])
+        );
+
+        if (!empty($stats['missing'])) {
+            $io->warning('No rate from provider for: ' . implode(', ', $stats['missing']));
+        }
+
+        if ($stats['recalculated'] !== null) {
+            $io->info(sprintf('Recalculated prices of %d products', $stats['recalculated']));
+        }
+
+        $io->success('Exchange rates updated.');
+
+        return Command::SUCCESS;
+    }
+}
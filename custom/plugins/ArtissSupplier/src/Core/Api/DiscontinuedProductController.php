@@ -0,0 +1,85 @@
+<?php declare(strict_types=1);
+
+namespace Artiss\Supplier\Core\Api;
+
+use Artiss\Supplier\Service\PriceUpdate\DiscontinuedProductService;
+use Shopware\Core\Framework\Context;
+use Symfony\Bundle\FrameworkBundle\Controller\AbstractController;
+use Symfony\Component\HttpFoundation\JsonResponse;
+use Symfony\Component\HttpFoundation\Request;
+use Symfony\Component\Routing\Attribute\Route;
+
+#[Route(defaults: ['_routeScope' => ['api']])]
+class DiscontinuedProductController extends AbstractController
+{
+    public function __construct(
+        private readonly DiscontinuedProductService $discontinuedProductService
+    ) {
+    }
+
+    /**
+     * Possibly discontinued products of a supplier
+     */
+    #[Route(
+        path: '/api/_action/supplier/discontinued-products/list',
+        name: 'api.supplier.discontinued_products.list',
+        methods: ['POST']
+    )]
+    public function list(Request $request, Context $context): JsonResponse
+    {
+        $supplierId = $request->request->get('supplierId');
+
+        if (!$supplierId) {
+            return new JsonResponse(['error' => 'supplierId is required'], 400);
+        }
+
+        try {
+            return new JsonResponse($this->discontinuedProductService->getList(
+                $supplierId,
+                $request->request->getInt('page', 1),
+                $request->request->getInt('limit', 25),
+                $context
+            ));
+        } catch (\Exception $e) {
+            return new JsonResponse(['error' => $e->getMessage()], 500);
+        }
+    }
+
+    /**
+     * Deactivate, set stock 0, tag or reset selected products
+     */
+    #[Route(
+        path: '/api/_action/supplier/discontinued-products/action',
+        name: 'api.supplier.discontinued_products.action',
+        methods: ['POST']
+    )]
+    public function applyAction(Request $request, Context $context): JsonResponse
+    {
+        $ids = $request->request->all('ids');
+        $action = (string) $request->request->get('action', '');
+
+        if (empty($ids) || $action === '') {
+            return new JsonResponse(['error' => 'ids and action are required'], 400);
+        }
+
+        if (!in_array($action, DiscontinuedProductService::ACTIONS, true)) {
+            return new JsonResponse(['error' => "Unknown action: {$action}"], 400);
+        }
+
+        try {
+            $result = $this->discontinuedProductService->applyAction(
+                $ids,
+                $action,
+                $request->request->get('tagId'),
+                $context
+            );
+
+            return new JsonResponse([
+                'success' => true,
+                'result' => $result,
+            ]);
+        } catch (\Exception $e) {
+            return new JsonResponse(['error' => $e->getMessage()], 500);
+        }
+    }
+}
@@ -0,0 +1,83 @@
+<?php declare(strict_types=1);
+
+namespace Artiss\Supplier\Core\Api;
+
+use Artiss\Supplier\Service\PriceUpdate\DraftProductService;
+use Shopware\Core\Framework\Context;
+use Symfony\Bundle\FrameworkBundle\Controller\AbstractController;
+use Symfony\Component\HttpFoundation\JsonResponse;
+use Symfony\Component\HttpFoundation\Request;
+use Symfony\Component\Routing\Attribute\Route;
+
+#[Route(defaults: ['_routeScope' => ['api']])]
+class DraftProductController extends AbstractController
+{
+    public function __construct(
+        private readonly DraftProductService $draftProductService
+    ) {
+    }
+
+    /**
+     * Price list rows that match no product, one page
+     */
+    #[Route(
+        path: '/api/_action/supplier/price-update/unmatched-rows',
+        name: 'api.supplier.price_update.unmatched_rows',
+        methods: ['POST']
+    )]
+    public function unmatchedRows(Request $request, Context $context): JsonResponse
+    {
+        $templateId = $request->request->get('templateId');
+
+        if (!$templateId) {
+            return new JsonResponse(['error' => 'templateId is required'], 400);
+        }
+
+        try {
+            return new JsonResponse($this->draftProductService->getUnmatchedRows(
+                $templateId,
+                [
+                    'page' => $request->request->getInt('page', 1),
+                    'limit' => $request->request->getInt('limit', 25),
+                    'search' => $request->request->get('search'),
+                ],
+                $context
+            ));
+        } catch (\Exception $e) {
+            return new JsonResponse(['error' => $e->getMessage()], 500);
+        }
+    }
+
+    /**
+     * Create inactive draft products from unmatched price list rows
+     */
+    #[Route(
+        path: '/api/_action/supplier/price-update/create-draft-products',
+        name: 'api.supplier.price_update.create_draft_products',
+        methods: ['POST']
+    )]
+    public function createDraftProducts(Request $request, Context $context): JsonResponse
+    {
+        $templateId = $request->request->get('templateId');
+        $supplierCodes = $request->request->all('supplierCodes');
+
+        if (!$templateId) {
+            return new JsonResponse(['error' => 'templateId is required'], 400);
+        }
+
+        if (empty($supplierCodes)) {
+            return new JsonResponse(['error' => 'supplierCodes are required'], 400);
+        }
+
+        try {
+            $result = $this->draftProductService->createDraftProducts($templateId, $supplierCodes, $context);
+
+            return new JsonResponse([
+                'success' => true,
+                'result' => $result,
+            ]);
+        } catch (\Exception $e) {
+            return new JsonResponse(['error' => $e->getMessage()], 500);
+        }
+    }
+}
@@ -0,0 +1,70 @@
+<?php declare(strict_types=1);
+
+namespace Artiss\Supplier\Core\Api;
+
+use Artiss\Supplier\Service\ExchangeRate\ExchangeRateUpdater;
+use Shopware\Core\Framework\Context;
+use Symfony\Bundle\FrameworkBundle\Controller\AbstractController;
+use Symfony\Component\HttpFoundation\JsonResponse;
+use Symfony\Component\HttpFoundation\Request;
+use Symfony\Component\Routing\Attribute\Route;
+
+#[Route(defaults: ['_routeScope' => ['api']])]
+class ExchangeRateController extends AbstractController
+{
+    public function __construct(
+        private readonly ExchangeRateUpdater $exchangeRateUpdater
+    ) {
+    }
+
+    /**
+     * Import rates from the configured provider
+     */
+    #[Route(
+        path: '/api/_action/supplier/exchange-rate/update',
+        name: 'api.supplier.exchange_rate.update',
+        methods: ['POST']
+    )]
+    public function updateRates(Context $context): JsonResponse
+    {
+        try {
+            $stats = $this->exchangeRateUpdater->updateRates($context);
+
+            return new JsonResponse([
+                'success' => true,
+                'stats' => $stats,
+            ]);
+        } catch (\Exception $e) {
+            return new JsonResponse(['error' => $e->getMessage()], 500);
+        }
+    }
+
+    /**
+     * Set rate of one currency manually
+     */
+    #[Route(
+        path: '/api/_action/supplier/exchange-rate/set-rate',
+        name: 'api.supplier.exchange_rate.set_rate',
+        methods: ['POST']
+    )]
+    public function setRate(Request $request, Context $context): JsonResponse
+    {
+        $isoCode = $request->request->get('isoCode');
+        $factor = $request->request->get('factor');
+
+        if (!$isoCode || !is_numeric($factor)) {
+            return new JsonResponse(['error' => 'isoCode and factor are required'], 400);
+        }
+
+        try {
+            $stats = $this->exchangeRateUpdater->setManualRate($isoCode, (float) $factor, $context);
+
+            return new JsonResponse([
+                'success' => true,
+                'stats' => $stats,
+            ]);
+        } catch (\Exception $e) {
+            return new JsonResponse(['error' => $e->getMessage()], 500);
+        }
+    }
+}
@@ -0,0 +1,100 @@
+<?php declare(strict_types=1);
+
+namespace Artiss\Supplier\Core\Api;
+
+use Artiss\Supplier\Service\PriceUpdate\MatchMappingService;
+use Artiss\Supplier\Service\PriceUpdate\PriceExportService;
+use Shopware\Core\Framework\Context;
+use Symfony\Bundle\FrameworkBundle\Controller\AbstractController;
+use Symfony\Component\HttpFoundation\File\UploadedFile;
+use Symfony\Component\HttpFoundation\HeaderUtils;
+use Symfony\Component\HttpFoundation\JsonResponse;
+use Symfony\Component\HttpFoundation\Request;
+use Symfony\Component\HttpFoundation\Response;
+use Symfony\Component\Routing\Attribute\Route;
+
+#[Route(defaults: ['_routeScope' => ['api']])]
+class MatchMappingController extends AbstractController
+{
+    public function __construct(
+        private readonly MatchMappingService $matchMappingService
+    ) {
+    }
+
+    /**
+     * Download product <-> supplier code mapping of a template
+     */
+    #[Route(
+        path: '/api/_action/supplier/price-update/export-mapping',
+        name: 'api.supplier.price_update.export_mapping',
+        methods: ['POST']
+    )]
+    public function exportMapping(Request $request, Context $context): Response
+    {
+        $templateId = $request->request->get('templateId');
+
+        if (!$templateId) {
+            return new JsonResponse(['error' => 'templateId is required'], 400);
+        }
+
+        try {
+            $file = $this->matchMappingService->exportMapping(
+                $templateId,
+                (string) $request->request->get('format', PriceExportService::FORMAT_XLSX),
+                $context
+            );
+
+            $response = new Response($file['content']);
+            $response->headers->set('Content-Type', $file['content_type']);
+            $response->headers->set(
+                'Content-Disposition',
+                HeaderUtils::makeDisposition(HeaderUtils::DISPOSITION_ATTACHMENT, $file['file_name'])
+            );
+            // Admin reads the file name from the response
+            $response->headers->set('Access-Control-Expose-Headers', 'Content-Disposition');
+
+            return $response;
+        } catch (\Exception $e) {
+            return new JsonResponse(['error' => $e->getMessage()], 500);
+        }
+    }
+
+    /**
+     * Upload edited mapping file, "dryRun" only returns the validation report
+     */
+    #[Route(
+        path: '/api/_action/supplier/price-update/import-mapping',
+        name: 'api.supplier.price_update.import_mapping',
+        methods: ['POST']
+    )]
+    public function importMapping(Request $request, Context $context): JsonResponse
+    {
+        $templateId = $request->request->get('templateId');
+        $file = $request->files->get('file');
+
+        if (!$templateId) {
+            return new JsonResponse(['error' => 'templateId is required'], 400);
+        }
+
+        if (!$file instanceof UploadedFile || !$file->isValid()) {
+            return new JsonResponse(['error' => 'file is required'], 400);
+        }
+
+        try {
+            $report = $this->matchMappingService->importMapping(
+                $templateId,
+                $file->getPathname(),
+                $file->getClientOriginalExtension(),
+                $request->request->getBoolean('dryRun'),
+                $context
+            );
+
+            return new JsonResponse([
+                'success' => true,
+                'report' => $report,
+            ]);
+        } catch (\Exception $e) {
+            return new JsonResponse(['error' => $e->getMessage()], 500);
+        }
+    }
+}
@@ -0,0 +1,103 @@
+<?php declare(strict_types=1);
+
+namespace Artiss\Supplier\Core\Api;
+
+use Artiss\Supplier\Service\PriceUpdate\PriceExportService;
+use Shopware\Core\Framework\Context;
+use Symfony\Bundle\FrameworkBundle\Controller\AbstractController;
+use Symfony\Component\HttpFoundation\HeaderUtils;
+use Symfony\Component\HttpFoundation\JsonResponse;
+use Symfony\Component\HttpFoundation\Request;
+use Symfony\Component\HttpFoundation\Response;
+use Symfony\Component\Routing\Attribute\Route;
+
+#[Route(defaults: ['_routeScope' => ['api']])]
+class PriceExportController extends AbstractController
+{
+    public function __construct(
+        private readonly PriceExportService $priceExportService
+    ) {
+    }
+
+    /**
+     * Export match preview with current filters and visible columns
+     */
+    #[Route(
+        path: '/api/_action/supplier/price-update/export-preview',
+        name: 'api.supplier.price_update.export_preview',
+        methods: ['POST']
+    )]
+    public function exportPreview(Request $request, Context $context): Response
+    {
+        $templateId = $request->request->get('templateId');
+
+        if (!$templateId) {
+            return new JsonResponse(['error' => 'templateId is required'], 400);
+        }
+
+        try {
+            $file = $this->priceExportService->exportPreview(
+                $templateId,
+                [
+                    'sort_by' => $request->request->get('sortBy'),
+                    'sort_direction' => $request->request->get('sortDirection'),
+                    'status' => $request->request->get('status'),
+                    'confidence' => $request->request->all('confidence'),
+                    'price_change' => $request->request->get('priceChange'),
+                    'search' => $request->request->get('search'),
+                ],
+                $request->request->all('columns'),
+                (string) $request->request->get('format', PriceExportService::FORMAT_XLSX),
+                $context
+            );
+
+            return $this->createFileResponse($file);
+        } catch (\Exception $e) {
+            return new JsonResponse(['error' => $e->getMessage()], 500);
+        }
+    }
+
+    /**
+     * Export product changes of an apply run
+     */
+    #[Route(
+        path: '/api/_action/supplier/price-update/export-changeset',
+        name: 'api.supplier.price_update.export_changeset',
+        methods: ['POST']
+    )]
+    public function exportChangeset(Request $request, Context $context): Response
+    {
+        $changesetId = $request->request->get('changesetId');
+
+        if (!$changesetId) {
+            return new JsonResponse(['error' => 'changesetId is required'], 400);
+        }
+
+        try {
+            $file = $this->priceExportService->exportChangeset(
+                $changesetId,
+                $request->request->all('columns'),
+                (string) $request->request->get('format', PriceExportService::FORMAT_XLSX),
+                $context
+            );
+
+            return $this->createFileResponse($file);
+        } catch (\Exception $e) {
+            return new JsonResponse(['error' => $e->getMessage()], 500);
+        }
+    }
+
+    private function createFileResponse(array $file): Response
+    {
+        $response = new Response($file['content']);
+        $response->headers->set('Content-Type', $file['content_type']);
+        $response->headers->set(
+            'Content-Disposition',
+            HeaderUtils::makeDisposition(HeaderUtils::DISPOSITION_ATTACHMENT, $file['file_name'])
+        );
+        // Admin reads the file name from the response
+        $response->headers->set('Access-Control-Expose-Headers', 'Content-Disposition');
+
+        return $response;
+    }
+}
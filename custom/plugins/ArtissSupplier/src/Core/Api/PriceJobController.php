@@ -0,0 +1,233 @@
+<?php declare(strict_types=1);
+
+namespace Artiss\Supplier\Core\Api;
+
+use Artiss\Supplier\Core\Content\PriceJob\PriceJobDefinition;
+use Artiss\Supplier\Service\PriceUpdate\PriceJobService;
+use Shopware\Core\Framework\Context;
+use Symfony\Bundle\FrameworkBundle\Controller\AbstractController;
+use Symfony\Component\HttpFoundation\JsonResponse;
+use Symfony\Component\HttpFoundation\Request;
+use Symfony\Component\Routing\Attribute\Route;
+
+#[Route(defaults: ['_routeScope' => ['api']])]
+class PriceJobController extends AbstractController
+{
+    public function __construct(
+        private readonly PriceJobService $priceJobService
+    ) {
+    }
+
+    /**
+     * Queue auto-match of all unmatched products
+     */
+    #[Route(
+        path: '/api/_action/supplier/price-update/job/start-auto-match',
+        name: 'api.supplier.price_update.job.start_auto_match',
+        methods: ['POST']
+    )]
+    public function startAutoMatch(Request $request, Context $context): JsonResponse
+    {
+        $templateId = $request->request->get('templateId');
+
+        if (!$templateId) {
+            return new JsonResponse(['error' => 'templateId is required'], 400);
+        }
+
+        try {
+            $jobId = $this->priceJobService->startAutoMatch(
+                $templateId,
+                (int) ($request->request->get('batchSize') ?? 50),
+                (int) ($request->request->get('minMatchPercentage') ?? 50),
+                $request->request->all('strategies') ?: null,
+                $context->getSource()->getUserId() ?? null,
+                $context
+            );
+
+            return new JsonResponse([
+                'success' => true,
+                'job' => $this->priceJobService->getJob($jobId, $context),
+            ]);
+        } catch (\Exception $e) {
+            return new JsonResponse(['error' => $e->getMessage()], 500);
+        }
+    }
+
+    /**
+     * Queue price apply of all matched products
+     */
+    #[Route(
+        path: '/api/_action/supplier/price-update/job/start-apply',
+        name: 'api.supplier.price_update.job.start_apply',
+        methods: ['POST']
+    )]
+    public function startApply(Request $request, Context $context): JsonResponse
+    {
+        $templateId = $request->request->get('templateId');
+
+        if (!$templateId) {
+            return new JsonResponse(['error' => 'templateId is required'], 400);
+        }
+
+        try {
+            $jobId = $this->priceJobService->startApply(
+                $templateId,
+                $request->request->all('approvedProductIds'),
+                $context->getSource()->getUserId() ?? null,
+                $context
+            );
+
+            return new JsonResponse([
+                'success' => true,
+                'job' => $this->priceJobService->getJob($jobId, $context),
+            ]);
+        } catch (\Exception $e) {
+            return new JsonResponse(['error' => $e->getMessage()], 500);
+        }
+    }
+
+    /**
+     * Job progress
+     */
+    #[Route(
+        path: '/api/_action/supplier/price-update/job/status',
+        name: 'api.supplier.price_update.job.status',
+        methods: ['POST']
+    )]
+    public function status(Request $request, Context $context): JsonResponse
+    {
+        $jobId = $request->request->get('jobId');
+
+        if (!$jobId) {
+            return new JsonResponse(['error' => 'jobId is required'], 400);
+        }
+
+        try {
+            return new JsonResponse([
+                'success' => true,
+                'job' => $this->priceJobService->getJob($jobId, $context),
+            ]);
+        } catch (\Exception $e) {
+            return new JsonResponse(['error' => $e->getMessage()], 500);
+        }
+    }
+
+    /**
+     * Latest auto-match and apply jobs of a template
+     */
+    #[Route(
+        path: '/api/_action/supplier/price-update/job/latest',
+        name: 'api.supplier.price_update.job.latest',
+        methods: ['POST']
+    )]
+    public function latest(Request $request, Context $context): JsonResponse
+    {
+        $templateId = $request->request->get('templateId');
+
+        if (!$templateId) {
+            return new JsonResponse(['error' => 'templateId is required'], 400);
+        }
+
+        try {
+            return new JsonResponse([
+                'success' => true,
+                'jobs' => [
+                    PriceJobDefinition::TYPE_AUTO_MATCH => $this->priceJobService->getLatestJob(
+                        $templateId,
+                        PriceJobDefinition::TYPE_AUTO_MATCH,
+                        $context
+                    ),
+                    PriceJobDefinition::TYPE_APPLY => $this->priceJobService->getLatestJob(
+                        $templateId,
+                        PriceJobDefinition::TYPE_APPLY,
+                        $context
+                    ),
+                ],
+            ]);
+        } catch (\Exception $e) {
+            return new JsonResponse(['error' => $e->getMessage()], 500);
+        }
+    }
+
+    /**
+     * Result of a finished job: auto-match suggestions or apply stats
+     */
+    #[Route(
+        path: '/api/_action/supplier/price-update/job/collect',
+        name: 'api.supplier.price_update.job.collect',
+        methods: ['POST']
+    )]
+    public function collect(Request $request, Context $context): JsonResponse
+    {
+        $jobId = $request->request->get('jobId');
+
+        if (!$jobId) {
+            return new JsonResponse(['error' => 'jobId is required'], 400);
+        }
+
+        try {
+            return new JsonResponse([
+                'success' => true,
+                'job' => $this->priceJobService->collectResult($jobId, $context),
+            ]);
+        } catch (\Exception $e) {
+            return new JsonResponse(['error' => $e->getMessage()], 500);
+        }
+    }
+
+    /**
+     * Stop a queued or running job
+     */
+    #[Route(
+        path: '/api/_action/supplier/price-update/job/cancel',
+        name: 'api.supplier.price_update.job.cancel',
+        methods: ['POST']
+    )]
+    public function cancel(Request $request, Context $context): JsonResponse
+    {
+        $jobId = $request->request->get('jobId');
+
+        if (!$jobId) {
+            return new JsonResponse(['error' => 'jobId is required'], 400);
+        }
+
+        try {
+            $this->priceJobService->cancel($jobId, $context);
+
+            return new JsonResponse([
+                'success' => true,
+                'job' => $this->priceJobService->getJob($jobId, $context),
+            ]);
+        } catch (\Exception $e) {
+            return new JsonResponse(['error' => $e->getMessage()], 500);
+        }
+    }
+
+    /**
+     * Continue a failed or cancelled job
+     */
+    #[Route(
+        path: '/api/_action/supplier/price-update/job/resume',
+        name: 'api.supplier.price_update.job.resume',
+        methods: ['POST']
+    )]
+    public function resume(Request $request, Context $context): JsonResponse
+    {
+        $jobId = $request->request->get('jobId');
+
+        if (!$jobId) {
+            return new JsonResponse(['error' => 'jobId is required'], 400);
+        }
+
+        try {
+            $this->priceJobService->resume($jobId, $context);
+
+            return new JsonResponse([
+                'success' => true,
+                'job' => $this->priceJobService->getJob($jobId, $context),
+            ]);
+        } catch (\Exception $e) {
+            return new JsonResponse(['error' => $e->getMessage()], 500);
+        }
+    }
+}
@@ -0,0 +1,78 @@
+<?php declare(strict_types=1);
+
+namespace Artiss\Supplier\Core\Api;
+
+use Artiss\Supplier\Service\PriceImport\PriceSourceFetcher;
+use Artiss\Supplier\Service\PriceImport\PriceSourcePasswordStore;
+use Shopware\Core\Framework\Context;
+use Symfony\Bundle\FrameworkBundle\Controller\AbstractController;
+use Symfony\Component\HttpFoundation\JsonResponse;
+use Symfony\Component\HttpFoundation\Request;
+use Symfony\Component\Routing\Attribute\Route;
+
+#[Route(defaults: ['_routeScope' => ['api']])]
+class PriceSourceController extends AbstractController
+{
+    public function __construct(
+        private readonly PriceSourceFetcher $priceSourceFetcher,
+        private readonly PriceSourcePasswordStore $passwordStore
+    ) {
+    }
+
+    /**
+     * Pull newest price list from the supplier price source
+     */
+    #[Route(
+        path: '/api/_action/supplier/price-source/fetch',
+        name: 'api.supplier.price_source.fetch',
+        methods: ['POST']
+    )]
+    public function fetch(Request $request, Context $context): JsonResponse
+    {
+        $supplierId = $request->request->get('supplierId');
+
+        if (!$supplierId) {
+            return new JsonResponse(['error' => 'supplierId is required'], 400);
+        }
+
+        try {
+            $result = $this->priceSourceFetcher->fetch($supplierId, $context);
+
+            return new JsonResponse([
+                'success' => true,
+                'result' => $result,
+            ]);
+        } catch (\Exception $e) {
+            return new JsonResponse(['error' => $e->getMessage()], 500);
+        }
+    }
+
+    /**
+     * Save or remove the URL basic auth password of the supplier price source, it is never returned
+     */
+    #[Route(
+        path: '/api/_action/supplier/price-source/password',
+        name: 'api.supplier.price_source.password',
+        methods: ['POST']
+    )]
+    public function savePassword(Request $request, Context $context): JsonResponse
+    {
+        $supplierId = $request->request->get('supplierId');
+        $password = $request->request->get('password');
+
+        if (!$supplierId) {
+            return new JsonResponse(['error' => 'supplierId is required'], 400);
+        }
+
+        try {
+            $this->passwordStore->setPassword($supplierId, $password !== null ? (string) $password : null, $context);
+
+            return new JsonResponse([
+                'success' => true,
+                'hasPassword' => $password !== null && $password !== '',
+            ]);
+        } catch (\Exception $e) {
+            return new JsonResponse(['error' => $e->getMessage()], 500);
+        }
+    }
+}
@@ -0,0 +1,138 @@
+<?php declare(strict_types=1);
+
+namespace Artiss\Supplier\Core\Api;
+
+use Artiss\Supplier\Core\Content\PriceTemplate\Aggregate\PriceTemplateVersion\PriceTemplateVersionDefinition;
+use Artiss\Supplier\Service\PriceUpdate\PriceTemplateVersionService;
+use Shopware\Core\Framework\Context;
+use Symfony\Bundle\FrameworkBundle\Controller\AbstractController;
+use Symfony\Component\HttpFoundation\JsonResponse;
+use Symfony\Component\HttpFoundation\Request;
+use Symfony\Component\Routing\Attribute\Route;
+
+#[Route(defaults: ['_routeScope' => ['api']])]
+class PriceTemplateVersionController extends AbstractController
+{
+    public function __construct(
+        private readonly PriceTemplateVersionService $templateVersionService
+    ) {
+    }
+
+    /**
+     * Save current template config as version
+     */
+    #[Route(
+        path: '/api/_action/supplier/price-update/template-version/create',
+        name: 'api.supplier.price_update.template_version.create',
+        methods: ['POST']
+    )]
+    public function createVersion(Request $request, Context $context): JsonResponse
+    {
+        $templateId = $request->request->get('templateId');
+
+        if (!$templateId) {
+            return new JsonResponse(['error' => 'templateId is required'], 400);
+        }
+
+        try {
+            $versionId = $this->templateVersionService->createVersion(
+                $templateId,
+                PriceTemplateVersionDefinition::REASON_MANUAL,
+                $request->request->get('comment'),
+                $context->getSource()->getUserId() ?? null,
+                $context
+            );
+
+            return new JsonResponse([
+                'success' => true,
+                'versionId' => $versionId,
+            ]);
+        } catch (\Exception $e) {
+            return new JsonResponse(['error' => $e->getMessage()], 500);
+        }
+    }
+
+    /**
+     * Restore template config from version
+     */
+    #[Route(
+        path: '/api/_action/supplier/price-update/template-version/restore',
+        name: 'api.supplier.price_update.template_version.restore',
+        methods: ['POST']
+    )]
+    public function restoreVersion(Request $request, Context $context): JsonResponse
+    {
+        $versionId = $request->request->get('versionId');
+
+        if (!$versionId) {
+            return new JsonResponse(['error' => 'versionId is required'], 400);
+        }
+
+        try {
+            $this->templateVersionService->restoreVersion($versionId, $context->getSource()->getUserId() ?? null, $context);
+
+            return new JsonResponse(['success' => true]);
+        } catch (\Exception $e) {
+            return new JsonResponse(['error' => $e->getMessage()], 500);
+        }
+    }
+
+    /**
+     * Differences between version config and current template config
+     */
+    #[Route(
+        path: '/api/_action/supplier/price-update/template-version/diff',
+        name: 'api.supplier.price_update.template_version.diff',
+        methods: ['POST']
+    )]
+    public function diff(Request $request, Context $context): JsonResponse
+    {
+        $versionId = $request->request->get('versionId');
+
+        if (!$versionId) {
+            return new JsonResponse(['error' => 'versionId is required'], 400);
+        }
+
+        try {
+            return new JsonResponse([
+                'success' => true,
+                'diff' => $this->templateVersionService->getDiff($versionId, $context),
+            ]);
+        } catch (\Exception $e) {
+            return new JsonResponse(['error' => $e->getMessage()], 500);
+        }
+    }
+
+    /**
+     * Copy template with its config and product bindings
+     */
+    #[Route(
+        path: '/api/_action/supplier/price-update/clone-template',
+        name: 'api.supplier.price_update.clone_template',
+        methods: ['POST']
+    )]
+    public function cloneTemplate(Request $request, Context $context): JsonResponse
+    {
+        $templateId = $request->request->get('templateId');
+
+        if (!$templateId) {
+            return new JsonResponse(['error' => 'templateId is required'], 400);
+        }
+
+        try {
+            $newTemplateId = $this->templateVersionService->cloneTemplate(
+                $templateId,
+                $request->request->get('name'),
+                $context->getSource()->getUserId() ?? null,
+                $context
+            );
+
+            return new JsonResponse([
+                'success' => true,
+                'templateId' => $newTemplateId,
+            ]);
+        } catch (\Exception $e) {
+            return new JsonResponse(['error' => $e->getMessage()], 500);
+        }
+    }
+}
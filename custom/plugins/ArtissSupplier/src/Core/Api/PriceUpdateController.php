@@ -2,7 +2,9 @@
 
 namespace Artiss\Supplier\Core\Api;
 
+use Artiss\Supplier\Core\Content\PriceImportRun\PriceImportRunDefinition;
 use Artiss\Supplier\Service\Parser\ParserRegistry;
+use Artiss\Supplier\Service\PriceImport\ScheduledPriceImportService;
 use Artiss\Supplier\Service\PriceUpdate\PriceUpdateService;
 use Shopware\Core\Framework\Context;
 use Shopware\Core\Framework\DataAbstractionLayer\EntityRepository;
@@ -18,7 +20,8 @@ class PriceUpdateController extends AbstractController
     public function __construct(
         private readonly PriceUpdateService $priceUpdateService,
         private readonly ParserRegistry $parserRegistry,
-        private readonly EntityRepository $mediaRepository
+        private readonly EntityRepository $mediaRepository,
+        private readonly ScheduledPriceImportService $scheduledPriceImportService
     ) {
     }
 
@@ -34,6 +37,7 @@ class PriceUpdateController extends AbstractController
     {
         $mediaId = $request->request->get('mediaId');
         $previewRows = (int) ($request->request->get('previewRows') ?? 5);
+        $sheet = $request->request->get('sheet');
 
         if (!$mediaId) {
             return new JsonResponse(['error' => 'mediaId is required'], 400);
@@ -46,7 +50,9 @@ class PriceUpdateController extends AbstractController
                 return new JsonResponse(['error' => 'Media not found'], 404);
             }
 
-            $preview = $this->parserRegistry->preview($media, $previewRows);
+            $preview = $this->parserRegistry->preview($media, $previewRows, [
+                'sheet' => $sheet ?: null,
+            ]);
 
             return new JsonResponse($preview);
         } catch (\Exception $e) {
@@ -91,7 +97,7 @@ class PriceUpdateController extends AbstractController
     }
 
     /**
-     * Match products and get preview
+     * Match products and get preview, one page when "page" is passed
      */
     #[Route(
         path: '/api/_action/supplier/price-update/match-preview',
@@ -107,6 +113,26 @@ class PriceUpdateController extends AbstractController
         }
 
         try {
+            if ($request->request->has('page')) {
+                $preview = $this->priceUpdateService->matchProductsPreviewPage(
+                    $templateId,
+                    [
+                        'page' => $request->request->getInt('page', 1),
+                        'limit' => $request->request->getInt('limit', 50),
+                        'sort_by' => $request->request->get('sortBy'),
+                        'sort_direction' => $request->request->get('sortDirection'),
+                        'status' => $request->request->get('status'),
+                        'confidence' => $request->request->all('confidence'),
+                        'price_change' => $request->request->get('priceChange'),
+                        'search' => $request->request->get('search'),
+                    ],
+                    $request->request->getBoolean('saveDetectedMatches'),
+                    $context
+                );
+
+                return new JsonResponse($preview);
+            }
+
             $preview = $this->priceUpdateService->matchProductsPreview($templateId, $context);
 
             return new JsonResponse($preview);
@@ -161,6 +187,7 @@ class PriceUpdateController extends AbstractController
         $batchSize = (int) ($request->request->get('batchSize') ?? 50);
         $offset = (int) ($request->request->get('offset') ?? 0);
         $minMatchPercentage = (int) ($request->request->get('minMatchPercentage') ?? 50);
+        $strategies = $request->request->all('strategies') ?: null;
 
         if (!$templateId) {
             return new JsonResponse(['error' => 'templateId is required'], 400);
@@ -172,7 +199,8 @@ class PriceUpdateController extends AbstractController
                 $context,
                 $batchSize,
                 $offset,
-                $minMatchPercentage
+                $minMatchPercentage,
+                $strategies
             );
 
             return new JsonResponse([
@@ -197,6 +225,7 @@ class PriceUpdateController extends AbstractController
     {
         $templateId = $request->request->get('templateId');
         $matchesToConfirm = $request->request->all('matches') ?? [];
+        $minScore = $request->request->get('minScore');
 
         if (!$templateId) {
             return new JsonResponse(['error' => 'templateId is required'], 400);
@@ -206,12 +235,14 @@ class PriceUpdateController extends AbstractController
             $result = $this->priceUpdateService->confirmAllMatches(
                 $templateId,
                 $matchesToConfirm,
-                $context
+                $context,
+                $minScore !== null ? (int) $minScore : null
             );
 
             return new JsonResponse([
                 'success' => true,
                 'confirmed' => $result['confirmed'],
+                'skipped' => $result['skipped'],
                 'total_mappings' => $result['total_mappings'],
             ]);
         } catch (\Exception $e) {
@@ -231,6 +262,7 @@ class PriceUpdateController extends AbstractController
     {
         $templateId = $request->request->get('templateId');
         $confirmedMatches = $request->request->all('confirmedMatches') ?? [];
+        $approvedProductIds = $request->request->all('approvedProductIds') ?? [];
         $userId = $context->getSource()->getUserId() ?? null;
 
         if (!$templateId) {
@@ -238,23 +270,14 @@ class PriceUpdateController extends AbstractController
         }
 
         try {
+            $priceListCodes = null;
+
             // If no confirmedMatches provided, get all matched from preview
             if (empty($confirmedMatches)) {
                 $preview = $this->priceUpdateService->matchProductsPreview($templateId, $context);
-                $confirmedMatches = [];
-
-                foreach ($preview['matched'] as $match) {
-                    // Include all matched items (status === 'matched' and has product_id)
-                    if ($match['status'] === 'matched' && $match['product_id']) {
-                        $confirmedMatches[] = [
-                            'product_id' => $match['product_id'],
-                            'supplier_code' => $match['supplier_code'],
-                            'new_prices' => $match['new_prices'],
-                            'availability' => $match['availability'] ?? null,
-                            'is_confirmed' => true, // Mark all as confirmed to save mapping
-                        ];
-                    }
-                }
+                $confirmedMatches = $this->priceUpdateService->buildMatchesForApply($preview, false, $approvedProductIds);
+                $priceListCodes = $this->priceUpdateService->getPriceListCodes($preview);
+                $this->priceUpdateService->saveMatchStats($templateId, $preview, true, $context);
             }
 
             if (empty($confirmedMatches)) {
@@ -264,8 +287,9 @@ class PriceUpdateController extends AbstractController
             $stats = $this->priceUpdateService->applyPrices(
                 $templateId,
                 $confirmedMatches,
-                $userId ?? 'unknown',
-                $context
+                $userId,
+                $context,
+                $priceListCodes
             );
 
             return new JsonResponse([
@@ -277,6 +301,72 @@ class PriceUpdateController extends AbstractController
         }
     }
 
+    /**
+     * Revert prices changed by an apply run
+     */
+    #[Route(
+        path: '/api/_action/supplier/price-update/revert-changeset',
+        name: 'api.supplier.price_update.revert_changeset',
+        methods: ['POST']
+    )]
+    public function revertChangeset(Request $request, Context $context): JsonResponse
+    {
+        $changesetId = $request->request->get('changesetId');
+        $userId = $context->getSource()->getUserId() ?? null;
+
+        if (!$changesetId) {
+            return new JsonResponse(['error' => 'changesetId is required'], 400);
+        }
+
+        try {
+            $stats = $this->priceUpdateService->revertChangeset($changesetId, $userId, $context);
+
+            return new JsonResponse([
+                'success' => true,
+                'stats' => $stats,
+            ]);
+        } catch (\Exception $e) {
+            return new JsonResponse(['error' => $e->getMessage()], 500);
+        }
+    }
+
+    /**
+     * Run template price import now, same as the scheduled run
+     */
+    #[Route(
+        path: '/api/_action/supplier/price-update/run-import',
+        name: 'api.supplier.price_update.run_import',
+        methods: ['POST']
+    )]
+    public function runImport(Request $request, Context $context): JsonResponse
+    {
+        $templateId = $request->request->get('templateId');
+
+        if (!$templateId) {
+            return new JsonResponse(['error' => 'templateId is required'], 400);
+        }
+
+        try {
+            $run = $this->scheduledPriceImportService->runImport(
+                $templateId,
+                PriceImportRunDefinition::TRIGGER_MANUAL,
+                $context
+            );
+
+            return new JsonResponse([
+                'success' => true,
+                'run' => [
+                    'id' => $run->getId(),
+                    'status' => $run->getStatus(),
+                    'stats' => $run->getStats(),
+                    'message' => $run->getMessage(),
+                ],
+            ]);
+        } catch (\Exception $e) {
+            return new JsonResponse(['error' => $e->getMessage()], 500);
+        }
+    }
+
     /**
      * Recalculate prices from custom fields using current exchange rates
      */
@@ -0,0 +1,238 @@
+<?php declare(strict_types=1);
+
+namespace Artiss\Supplier\Core\Api;
+
+use Artiss\Supplier\Service\PriceUpdate\PriceExportService;
+use Artiss\Supplier\Service\PurchaseOrder\PurchaseOrderExportService;
+use Artiss\Supplier\Service\PurchaseOrder\PurchaseOrderService;
+use Shopware\Core\Framework\Context;
+use Symfony\Bundle\FrameworkBundle\Controller\AbstractController;
+use Symfony\Component\HttpFoundation\HeaderUtils;
+use Symfony\Component\HttpFoundation\JsonResponse;
+use Symfony\Component\HttpFoundation\Request;
+use Symfony\Component\HttpFoundation\Response;
+use Symfony\Component\Routing\Attribute\Route;
+
+#[Route(defaults: ['_routeScope' => ['api']])]
+class PurchaseOrderController extends AbstractController
+{
+    public function __construct(
+        private readonly PurchaseOrderService $purchaseOrderService,
+        private readonly PurchaseOrderExportService $purchaseOrderExportService
+    ) {
+    }
+
+    /**
+     * Supplier products below the reorder threshold with suggested quantities
+     */
+    #[Route(
+        path: '/api/_action/supplier/purchase-order/candidates',
+        name: 'api.supplier.purchase_order.candidates',
+        methods: ['POST']
+    )]
+    public function candidates(Request $request, Context $context): JsonResponse
+    {
+        $supplierId = $request->request->get('supplierId');
+
+        if (!$supplierId) {
+            return new JsonResponse(['error' => 'supplierId is required'], 400);
+        }
+
+        $threshold = $request->request->get('threshold');
+
+        try {
+            return new JsonResponse($this->purchaseOrderService->getCandidates(
+                $supplierId,
+                is_numeric($threshold) ? (int) $threshold : null,
+                $context
+            ));
+        } catch (\Exception $e) {
+            return new JsonResponse(['error' => $e->getMessage()], 500);
+        }
+    }
+
+    /**
+     * Purchase orders of a supplier
+     */
+    #[Route(
+        path: '/api/_action/supplier/purchase-order/list',
+        name: 'api.supplier.purchase_order.list',
+        methods: ['POST']
+    )]
+    public function list(Request $request, Context $context): JsonResponse
+    {
+        $supplierId = $request->request->get('supplierId');
+
+        if (!$supplierId) {
+            return new JsonResponse(['error' => 'supplierId is required'], 400);
+        }
+
+        try {
+            return new JsonResponse($this->purchaseOrderService->getList(
+                $supplierId,
+                $request->request->getInt('page', 1),
+                $request->request->getInt('limit', 10),
+                $context
+            ));
+        } catch (\Exception $e) {
+            return new JsonResponse(['error' => $e->getMessage()], 500);
+        }
+    }
+
+    /**
+     * Purchase order with items
+     */
+    #[Route(
+        path: '/api/_action/supplier/purchase-order/detail',
+        name: 'api.supplier.purchase_order.detail',
+        methods: ['POST']
+    )]
+    public function detail(Request $request, Context $context): JsonResponse
+    {
+        $orderId = $request->request->get('orderId');
+
+        if (!$orderId) {
+            return new JsonResponse(['error' => 'orderId is required'], 400);
+        }
+
+        try {
+            return new JsonResponse([
+                'order' => $this->purchaseOrderService->getOrder($orderId, $context),
+            ]);
+        } catch (\Exception $e) {
+            return new JsonResponse(['error' => $e->getMessage()], 500);
+        }
+    }
+
+    /**
+     * Create a draft or update items and comment of a draft
+     */
+    #[Route(
+        path: '/api/_action/supplier/purchase-order/save',
+        name: 'api.supplier.purchase_order.save',
+        methods: ['POST']
+    )]
+    public function save(Request $request, Context $context): JsonResponse
+    {
+        $orderId = $request->request->get('orderId');
+        $supplierId = $request->request->get('supplierId');
+        $items = $request->request->all('items');
+
+        if ((!$orderId && !$supplierId) || empty($items)) {
+            return new JsonResponse(['error' => 'supplierId or orderId and items are required'], 400);
+        }
+
+        try {
+            $orderId = $this->purchaseOrderService->saveDraft(
+                $orderId ?: null,
+                (string) $supplierId,
+                $items,
+                $request->request->get('comment'),
+                $context->getSource()->getUserId() ?? null,
+                $context
+            );
+
+            return new JsonResponse([
+                'success' => true,
+                'order' => $this->purchaseOrderService->getOrder($orderId, $context),
+            ]);
+        } catch (\Exception $e) {
+            return new JsonResponse(['error' => $e->getMessage()], 500);
+        }
+    }
+
+    /**
+     * Move a purchase order to the next status
+     */
+    #[Route(
+        path: '/api/_action/supplier/purchase-order/status',
+        name: 'api.supplier.purchase_order.status',
+        methods: ['POST']
+    )]
+    public function status(Request $request, Context $context): JsonResponse
+    {
+        $orderId = $request->request->get('orderId');
+        $status = (string) $request->request->get('status', '');
+
+        if (!$orderId || $status === '') {
+            return new JsonResponse(['error' => 'orderId and status are required'], 400);
+        }
+
+        if (!array_key_exists($status, PurchaseOrderService::STATUS_TRANSITIONS)) {
+            return new JsonResponse(['error' => "Unknown status: {$status}"], 400);
+        }
+
+        try {
+            $this->purchaseOrderService->setStatus($orderId, $status, $context);
+
+            return new JsonResponse(['success' => true]);
+        } catch (\Exception $e) {
+            return new JsonResponse(['error' => $e->getMessage()], 500);
+        }
+    }
+
+    /**
+     * Delete a draft purchase order
+     */
+    #[Route(
+        path: '/api/_action/supplier/purchase-order/delete',
+        name: 'api.supplier.purchase_order.delete',
+        methods: ['POST']
+    )]
+    public function delete(Request $request, Context $context): JsonResponse
+    {
+        $orderId = $request->request->get('orderId');
+
+        if (!$orderId) {
+            return new JsonResponse(['error' => 'orderId is required'], 400);
+        }
+
+        try {
+            $this->purchaseOrderService->deleteDraft($orderId, $context);
+
+            return new JsonResponse(['success' => true]);
+        } catch (\Exception $e) {
+            return new JsonResponse(['error' => $e->getMessage()], 500);
+        }
+    }
+
+    /**
+     * Download purchase order as XLSX, CSV, PDF or e-mail file
+     */
+    #[Route(
+        path: '/api/_action/supplier/purchase-order/export',
+        name: 'api.supplier.purchase_order.export',
+        methods: ['POST']
+    )]
+    public function export(Request $request, Context $context): Response
+    {
+        $orderId = $request->request->get('orderId');
+
+        if (!$orderId) {
+            return new JsonResponse(['error' => 'orderId is required'], 400);
+        }
+
+        try {
+            $file = $this->purchaseOrderExportService->export(
+                $orderId,
+                (string) $request->request->get('format', PriceExportService::FORMAT_XLSX),
+                $request->request->all('columns'),
+                $request->request->all('texts'),
+                $context
+            );
+
+            $response = new Response($file['content']);
+            $response->headers->set('Content-Type', $file['content_type']);
+            $response->headers->set(
+                'Content-Disposition',
+                HeaderUtils::makeDisposition(HeaderUtils::DISPOSITION_ATTACHMENT, $file['file_name'])
+            );
+            // Admin reads the file name from the response
+            $response->headers->set('Access-Control-Expose-Headers', 'Content-Disposition');
+
+            return $response;
+        } catch (\Exception $e) {
+            return new JsonResponse(['error' => $e->getMessage()], 500);
+        }
+    }
+}
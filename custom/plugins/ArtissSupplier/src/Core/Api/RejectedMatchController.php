@@ -0,0 +1,106 @@
+<?php declare(strict_types=1);
+
+namespace Artiss\Supplier\Core\Api;
+
+use Artiss\Supplier\Service\PriceUpdate\RejectedMatchService;
+use Shopware\Core\Framework\Context;
+use Symfony\Bundle\FrameworkBundle\Controller\AbstractController;
+use Symfony\Component\HttpFoundation\JsonResponse;
+use Symfony\Component\HttpFoundation\Request;
+use Symfony\Component\Routing\Attribute\Route;
+
+#[Route(defaults: ['_routeScope' => ['api']])]
+class RejectedMatchController extends AbstractController
+{
+    public function __construct(
+        private readonly RejectedMatchService $rejectedMatchService
+    ) {
+    }
+
+    /**
+     * Rejected product <-> supplier code pairs of a template
+     */
+    #[Route(
+        path: '/api/_action/supplier/price-update/rejected-matches/list',
+        name: 'api.supplier.price_update.rejected_matches.list',
+        methods: ['POST']
+    )]
+    public function list(Request $request, Context $context): JsonResponse
+    {
+        $templateId = $request->request->get('templateId');
+
+        if (!$templateId) {
+            return new JsonResponse(['error' => 'templateId is required'], 400);
+        }
+
+        try {
+            return new JsonResponse([
+                'success' => true,
+                'rows' => $this->rejectedMatchService->getRejectedMatches($templateId, $context),
+            ]);
+        } catch (\Exception $e) {
+            return new JsonResponse(['error' => $e->getMessage()], 500);
+        }
+    }
+
+    /**
+     * Reject an auto-match suggestion, it is never suggested again
+     */
+    #[Route(
+        path: '/api/_action/supplier/price-update/rejected-matches/reject',
+        name: 'api.supplier.price_update.rejected_matches.reject',
+        methods: ['POST']
+    )]
+    public function reject(Request $request, Context $context): JsonResponse
+    {
+        $templateId = $request->request->get('templateId');
+        $productId = $request->request->get('productId');
+        $supplierCode = (string) $request->request->get('supplierCode');
+
+        if (!$templateId || !$productId || $supplierCode === '') {
+            return new JsonResponse(['error' => 'templateId, productId and supplierCode are required'], 400);
+        }
+
+        try {
+            $this->rejectedMatchService->rejectMatch(
+                $templateId,
+                $productId,
+                $supplierCode,
+                $request->request->get('supplierName'),
+                $context->getSource()->getUserId() ?? null,
+                $context
+            );
+
+            return new JsonResponse(['success' => true]);
+        } catch (\Exception $e) {
+            return new JsonResponse(['error' => $e->getMessage()], 500);
+        }
+    }
+
+    /**
+     * Remove pairs from the rejected list
+     */
+    #[Route(
+        path: '/api/_action/supplier/price-update/rejected-matches/restore',
+        name: 'api.supplier.price_update.rejected_matches.restore',
+        methods: ['POST']
+    )]
+    public function restore(Request $request, Context $context): JsonResponse
+    {
+        $templateId = $request->request->get('templateId');
+        $pairs = $request->request->all('pairs');
+
+        if (!$templateId || empty($pairs)) {
+            return new JsonResponse(['error' => 'templateId and pairs are required'], 400);
+        }
+
+        try {
+            return new JsonResponse([
+                'success' => true,
+                'restored' => $this->rejectedMatchService->restoreMatches($templateId, $pairs, $context),
+            ]);
+        } catch (\Exception $e) {
+            return new JsonResponse(['error' => $e->getMessage()], 500);
+        }
+    }
+}
@@ -0,0 +1,45 @@
+<?php declare(strict_types=1);
+
+namespace Artiss\Supplier\Core\Api;
+
+use Artiss\Supplier\Service\PriceUpdate\SupplierComparisonService;
+use Shopware\Core\Framework\Context;
+use Symfony\Bundle\FrameworkBundle\Controller\AbstractController;
+use Symfony\Component\HttpFoundation\JsonResponse;
+use Symfony\Component\HttpFoundation\Request;
+use Symfony\Component\Routing\Attribute\Route;
+
+#[Route(defaults: ['_routeScope' => ['api']])]
+class SupplierComparisonController extends AbstractController
+{
+    public function __construct(
+        private readonly SupplierComparisonService $supplierComparisonService
+    ) {
+    }
+
+    /**
+     * Compare purchase prices of all suppliers per product
+     */
+    #[Route(
+        path: '/api/_action/supplier/comparison',
+        name: 'api.supplier.comparison',
+        methods: ['POST']
+    )]
+    public function compare(Request $request, Context $context): JsonResponse
+    {
+        $multipleOnly = (bool) $request->request->get('multipleOnly', false);
+        $policy = $request->request->get('policy');
+
+        try {
+            $comparison = $this->supplierComparisonService->getComparison(
+                $context,
+                $multipleOnly,
+                $policy ? (string) $policy : null
+            );
+
+            return new JsonResponse($comparison);
+        } catch (\Exception $e) {
+            return new JsonResponse(['error' => $e->getMessage()], 500);
+        }
+    }
+}
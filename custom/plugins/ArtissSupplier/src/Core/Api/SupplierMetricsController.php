@@ -0,0 +1,39 @@
+<?php declare(strict_types=1);
+
+namespace Artiss\Supplier\Core\Api;
+
+use Artiss\Supplier\Service\PriceUpdate\SupplierMetricsService;
+use Shopware\Core\Framework\Context;
+use Symfony\Bundle\FrameworkBundle\Controller\AbstractController;
+use Symfony\Component\HttpFoundation\JsonResponse;
+use Symfony\Component\HttpFoundation\Request;
+use Symfony\Component\Routing\Attribute\Route;
+
+#[Route(defaults: ['_routeScope' => ['api']])]
+class SupplierMetricsController extends AbstractController
+{
+    public function __construct(
+        private readonly SupplierMetricsService $supplierMetricsService
+    ) {
+    }
+
+    /**
+     * Price list freshness and coverage metrics of suppliers
+     */
+    #[Route(
+        path: '/api/_action/supplier/metrics',
+        name: 'api.supplier.metrics',
+        methods: ['POST']
+    )]
+    public function metrics(Request $request, Context $context): JsonResponse
+    {
+        try {
+            return new JsonResponse($this->supplierMetricsService->getMetrics(
+                array_filter($request->request->all('supplierIds')),
+                $context
+            ));
+        } catch (\Exception $e) {
+            return new JsonResponse(['error' => $e->getMessage()], 500);
+        }
+    }
+}
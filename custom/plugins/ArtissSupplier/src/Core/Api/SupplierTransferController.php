@@ -0,0 +1,87 @@
+<?php declare(strict_types=1);
+
+namespace Artiss\Supplier\Core\Api;
+
+use Artiss\Supplier\Service\PriceUpdate\PriceExportService;
+use Artiss\Supplier\Service\Supplier\SupplierTransferService;
+use Shopware\Core\Framework\Context;
+use Symfony\Bundle\FrameworkBundle\Controller\AbstractController;
+use Symfony\Component\HttpFoundation\File\UploadedFile;
+use Symfony\Component\HttpFoundation\HeaderUtils;
+use Symfony\Component\HttpFoundation\JsonResponse;
+use Symfony\Component\HttpFoundation\Request;
+use Symfony\Component\HttpFoundation\Response;
+use Symfony\Component\Routing\Attribute\Route;
+
+#[Route(defaults: ['_routeScope' => ['api']])]
+class SupplierTransferController extends AbstractController
+{
+    public function __construct(
+        private readonly SupplierTransferService $supplierTransferService
+    ) {
+    }
+
+    /**
+     * Download all suppliers as a spreadsheet
+     */
+    #[Route(
+        path: '/api/_action/supplier/export',
+        name: 'api.supplier.export',
+        methods: ['POST']
+    )]
+    public function export(Request $request, Context $context): Response
+    {
+        try {
+            $file = $this->supplierTransferService->export(
+                (string) $request->request->get('format', PriceExportService::FORMAT_XLSX),
+                $context
+            );
+
+            $response = new Response($file['content']);
+            $response->headers->set('Content-Type', $file['content_type']);
+            $response->headers->set(
+                'Content-Disposition',
+                HeaderUtils::makeDisposition(HeaderUtils::DISPOSITION_ATTACHMENT, $file['file_name'])
+            );
+            // Admin reads the file name from the response
+            $response->headers->set('Access-Control-Expose-Headers', 'Content-Disposition');
+
+            return $response;
+        } catch (\Exception $e) {
+            return new JsonResponse(['error' => $e->getMessage()], 500);
+        }
+    }
+
+    /**
+     * Upload supplier spreadsheet, "dryRun" only returns the validation report
+     */
+    #[Route(
+        path: '/api/_action/supplier/import',
+        name: 'api.supplier.import',
+        methods: ['POST']
+    )]
+    public function import(Request $request, Context $context): JsonResponse
+    {
+        $file = $request->files->get('file');
+
+        if (!$file instanceof UploadedFile || !$file->isValid()) {
+            return new JsonResponse(['error' => 'file is required'], 400);
+        }
+
+        try {
+            $report = $this->supplierTransferService->import(
+                $file->getPathname(),
+                $file->getClientOriginalExtension(),
+                $request->request->getBoolean('dryRun'),
+                $context
+            );
+
+            return new JsonResponse([
+                'success' => true,
+                'report' => $report,
+            ]);
+        } catch (\Exception $e) {
+            return new JsonResponse(['error' => $e->getMessage()], 500);
+        }
+    }
+}
@@ -0,0 +1,16 @@
+<?php declare(strict_types=1);
+
+namespace Artiss\Supplier\Core\Content\DiscontinuedProduct;
+
+use Shopware\Core\Framework\DataAbstractionLayer\EntityCollection;
+
+/**
+ * @extends EntityCollection<DiscontinuedProductEntity>
+ */
+class DiscontinuedProductCollection extends EntityCollection
+{
+    protected function getExpectedClass(): string
+    {
+        return DiscontinuedProductEntity::class;
+    }
+}
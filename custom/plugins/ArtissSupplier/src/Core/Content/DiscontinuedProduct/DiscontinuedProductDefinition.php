@@ -0,0 +1,81 @@
+<?php declare(strict_types=1);
+
+namespace Artiss\Supplier\Core\Content\DiscontinuedProduct;
+
+use Artiss\Supplier\Core\Content\PriceTemplate\PriceTemplateDefinition;
+use Artiss\Supplier\Core\Content\Supplier\SupplierDefinition;
+use Shopware\Core\Framework\DataAbstractionLayer\EntityDefinition;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\DateTimeField;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\FkField;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\Flag\ApiAware;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\Flag\PrimaryKey;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\Flag\Required;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\IdField;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\IntField;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\ManyToOneAssociationField;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\StringField;
+use Shopware\Core\Framework\DataAbstractionLayer\FieldCollection;
+
+/**
+ * Product mapped in a price template whose supplier code is missing in the latest price lists
+ */
+class DiscontinuedProductDefinition extends EntityDefinition
+{
+    final public const ENTITY_NAME = 'art_supplier_discontinued_product';
+
+    final public const ACTION_DEACTIVATE = 'deactivate';
+    final public const ACTION_ZERO_STOCK = 'zero_stock';
+    final public const ACTION_TAG = 'tag';
+
+    public function getEntityName(): string
+    {
+        return self::ENTITY_NAME;
+    }
+
+    public function getCollectionClass(): string
+    {
+        return DiscontinuedProductCollection::class;
+    }
+
+    public function getEntityClass(): string
+    {
+        return DiscontinuedProductEntity::class;
+    }
+
+    protected function defineFields(): FieldCollection
+    {
+        return new FieldCollection([
+            (new IdField('id', 'id'))->addFlags(new ApiAware(), new PrimaryKey(), new Required()),
+
+            (new FkField('price_template_id', 'priceTemplateId', PriceTemplateDefinition::class))->addFlags(new ApiAware(), new Required()),
+
+            (new FkField('supplier_id', 'supplierId', SupplierDefinition::class))->addFlags(new ApiAware(), new Required()),
+
+            (new IdField('product_id', 'productId'))->addFlags(new ApiAware(), new Required()),
+
+            (new StringField('product_number', 'productNumber', 64))->addFlags(new ApiAware()),
+
+            (new StringField('product_name', 'productName', 255))->addFlags(new ApiAware()),
+
+            (new StringField('supplier_code', 'supplierCode', 255))->addFlags(new ApiAware(), new Required()),
+
+            // Number of consecutive price lists without the supplier code
+            (new IntField('missing_count', 'missingCount'))->addFlags(new ApiAware(), new Required()),
+
+            (new DateTimeField('first_missing_at', 'firstMissingAt'))->addFlags(new ApiAware(), new Required()),
+
+            // Price list file counted last, the same file is not counted twice
+            (new IdField('last_media_id', 'lastMediaId'))->addFlags(new ApiAware()),
+
+            // Last bulk action applied to the product
+            (new StringField('action', 'action', 32))->addFlags(new ApiAware()),
+
+            (new DateTimeField('action_at', 'actionAt'))->addFlags(new ApiAware()),
+
+            // Associations
+            (new ManyToOneAssociationField('priceTemplate', 'price_template_id', PriceTemplateDefinition::class, 'id', false))->addFlags(new ApiAware()),
+
+            (new ManyToOneAssociationField('supplier', 'supplier_id', SupplierDefinition::class, 'id', false))->addFlags(new ApiAware()),
+        ]);
+    }
+}
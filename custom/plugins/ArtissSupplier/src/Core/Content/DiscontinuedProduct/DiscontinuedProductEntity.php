@@ -0,0 +1,170 @@
+<?php declare(strict_types=1);
+
+namespace Artiss\Supplier\Core\Content\DiscontinuedProduct;
+
+use Artiss\Supplier\Core\Content\PriceTemplate\PriceTemplateEntity;
+use Artiss\Supplier\Core\Content\Supplier\SupplierEntity;
+use Shopware\Core\Framework\DataAbstractionLayer\Entity;
+use Shopware\Core\Framework\DataAbstractionLayer\EntityIdTrait;
+
+class DiscontinuedProductEntity extends Entity
+{
+    use EntityIdTrait;
+
+    protected string $priceTemplateId;
+
+    protected string $supplierId;
+
+    protected string $productId;
+
+    protected ?string $productNumber = null;
+
+    protected ?string $productName = null;
+
+    protected string $supplierCode;
+
+    protected int $missingCount = 0;
+
+    protected \DateTimeInterface $firstMissingAt;
+
+    protected ?string $lastMediaId = null;
+
+    protected ?string $action = null;
+
+    protected ?\DateTimeInterface $actionAt = null;
+
+    // Associations
+    protected ?PriceTemplateEntity $priceTemplate = null;
+
+    protected ?SupplierEntity $supplier = null;
+
+    public function getPriceTemplateId(): string
+    {
+        return $this->priceTemplateId;
+    }
+
+    public function setPriceTemplateId(string $priceTemplateId): void
+    {
+        $this->priceTemplateId = $priceTemplateId;
+    }
+
+    public function getSupplierId(): string
+    {
+        return $this->supplierId;
+    }
+
+    public function setSupplierId(string $supplierId): void
+    {
+        $this->supplierId = $supplierId;
+    }
+
+    public function getProductId(): string
+    {
+        return $this->productId;
+    }
+
+    public function setProductId(string $productId): void
+    {
+        $this->productId = $productId;
+    }
+
+    public function getProductNumber(): ?string
+    {
+        return $this->productNumber;
+    }
+
+    public function setProductNumber(?string $productNumber): void
+    {
+        $this->productNumber = $productNumber;
+    }
+
+    public function getProductName(): ?string
+    {
+        return $this->productName;
+    }
+
+    public function setProductName(?string $productName): void
+    {
+        $this->productName = $productName;
+    }
+
+    public function getSupplierCode(): string
+    {
+        return $this->supplierCode;
+    }
+
+    public function setSupplierCode(string $supplierCode): void
+    {
+        $this->supplierCode = $supplierCode;
+    }
+
+    public function getMissingCount(): int
+    {
+        return $this->missingCount;
+    }
+
+    public function setMissingCount(int $missingCount): void
+    {
+        $this->missingCount = $missingCount;
+    }
+
+    public function getFirstMissingAt(): \DateTimeInterface
+    {
+        return $this->firstMissingAt;
+    }
+
+    public function setFirstMissingAt(\DateTimeInterface $firstMissingAt): void
+    {
+        $this->firstMissingAt = $firstMissingAt;
+    }
+
+    public function getLastMediaId(): ?string
+    {
+        return $this->lastMediaId;
+    }
+
+    public function setLastMediaId(?string $lastMediaId): void
+    {
+        $this->lastMediaId = $lastMediaId;
+    }
+
+    public function getAction(): ?string
+    {
+        return $this->action;
+    }
+
+    public function setAction(?string $action): void
+    {
+        $this->action = $action;
+    }
+
+    public function getActionAt(): ?\DateTimeInterface
+    {
+        return $this->actionAt;
+    }
+
+    public function setActionAt(?\DateTimeInterface $actionAt): void
+    {
+        $this->actionAt = $actionAt;
+    }
+
+    public function getPriceTemplate(): ?PriceTemplateEntity
+    {
+        return $this->priceTemplate;
+    }
+
+    public function setPriceTemplate(?PriceTemplateEntity $priceTemplate): void
+    {
+        $this->priceTemplate = $priceTemplate;
+    }
+
+    public function getSupplier(): ?SupplierEntity
+    {
+        return $this->supplier;
+    }
+
+    public function setSupplier(?SupplierEntity $supplier): void
+    {
+        $this->supplier = $supplier;
+    }
+}
@@ -0,0 +1,16 @@
+<?php declare(strict_types=1);
+
+namespace Artiss\Supplier\Core\Content\ExchangeRate;
+
+use Shopware\Core\Framework\DataAbstractionLayer\EntityCollection;
+
+/**
+ * @extends EntityCollection<ExchangeRateEntity>
+ */
+class ExchangeRateCollection extends EntityCollection
+{
+    protected function getExpectedClass(): string
+    {
+        return ExchangeRateEntity::class;
+    }
+}
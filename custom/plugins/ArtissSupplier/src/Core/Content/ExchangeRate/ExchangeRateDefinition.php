@@ -0,0 +1,56 @@
+<?php declare(strict_types=1);
+
+namespace Artiss\Supplier\Core\Content\ExchangeRate;
+
+use Shopware\Core\Framework\DataAbstractionLayer\EntityDefinition;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\FloatField;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\Flag\ApiAware;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\Flag\PrimaryKey;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\Flag\Required;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\IdField;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\StringField;
+use Shopware\Core\Framework\DataAbstractionLayer\FieldCollection;
+
+/**
+ * Exchange rate history: one entry per currency and rate update
+ */
+class ExchangeRateDefinition extends EntityDefinition
+{
+    final public const ENTITY_NAME = 'art_supplier_exchange_rate';
+
+    public const SOURCE_MANUAL = 'manual';
+
+    public function getEntityName(): string
+    {
+        return self::ENTITY_NAME;
+    }
+
+    public function getCollectionClass(): string
+    {
+        return ExchangeRateCollection::class;
+    }
+
+    public function getEntityClass(): string
+    {
+        return ExchangeRateEntity::class;
+    }
+
+    protected function defineFields(): FieldCollection
+    {
+        return new FieldCollection([
+            (new IdField('id', 'id'))->addFlags(new ApiAware(), new PrimaryKey(), new Required()),
+
+            (new StringField('iso_code', 'isoCode', 3))->addFlags(new ApiAware(), new Required()),
+
+            // Currency factor relative to the default currency, same meaning as currency.factor
+            (new FloatField('factor', 'factor'))->addFlags(new ApiAware(), new Required()),
+
+            (new FloatField('previous_factor', 'previousFactor'))->addFlags(new ApiAware()),
+
+            (new FloatField('change_percent', 'changePercent'))->addFlags(new ApiAware()),
+
+            // Provider name or "manual"
+            (new StringField('source', 'source', 64))->addFlags(new ApiAware(), new Required()),
+        ]);
+    }
+}
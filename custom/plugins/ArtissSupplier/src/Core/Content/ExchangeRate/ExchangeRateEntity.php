@@ -0,0 +1,71 @@
+<?php declare(strict_types=1);
+
+namespace Artiss\Supplier\Core\Content\ExchangeRate;
+
+use Shopware\Core\Framework\DataAbstractionLayer\Entity;
+use Shopware\Core\Framework\DataAbstractionLayer\EntityIdTrait;
+
+class ExchangeRateEntity extends Entity
+{
+    use EntityIdTrait;
+
+    protected string $isoCode;
+
+    protected float $factor;
+
+    protected ?float $previousFactor = null;
+
+    protected ?float $changePercent = null;
+
+    protected string $source;
+
+    public function getIsoCode(): string
+    {
+        return $this->isoCode;
+    }
+
+    public function setIsoCode(string $isoCode): void
+    {
+        $this->isoCode = $isoCode;
+    }
+
+    public function getFactor(): float
+    {
+        return $this->factor;
+    }
+
+    public function setFactor(float $factor): void
+    {
+        $this->factor = $factor;
+    }
+
+    public function getPreviousFactor(): ?float
+    {
+        return $this->previousFactor;
+    }
+
+    public function setPreviousFactor(?float $previousFactor): void
+    {
+        $this->previousFactor = $previousFactor;
+    }
+
+    public function getChangePercent(): ?float
+    {
+        return $this->changePercent;
+    }
+
+    public function setChangePercent(?float $changePercent): void
+    {
+        $this->changePercent = $changePercent;
+    }
+
+    public function getSource(): string
+    {
+        return $this->source;
+    }
+
+    public function setSource(string $source): void
+    {
+        $this->source = $source;
+    }
+}
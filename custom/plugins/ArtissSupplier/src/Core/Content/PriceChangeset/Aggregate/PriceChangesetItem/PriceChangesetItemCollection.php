@@ -0,0 +1,16 @@
+<?php declare(strict_types=1);
+
+namespace Artiss\Supplier\Core\Content\PriceChangeset\Aggregate\PriceChangesetItem;
+
+use Shopware\Core\Framework\DataAbstractionLayer\EntityCollection;
+
+/**
+ * @extends EntityCollection<PriceChangesetItemEntity>
+ */
+class PriceChangesetItemCollection extends EntityCollection
+{
+    protected function getExpectedClass(): string
+    {
+        return PriceChangesetItemEntity::class;
+    }
+}
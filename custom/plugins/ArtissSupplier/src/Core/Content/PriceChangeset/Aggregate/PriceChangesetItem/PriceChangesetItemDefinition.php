@@ -0,0 +1,60 @@
+<?php declare(strict_types=1);
+
+namespace Artiss\Supplier\Core\Content\PriceChangeset\Aggregate\PriceChangesetItem;
+
+use Artiss\Supplier\Core\Content\PriceChangeset\PriceChangesetDefinition;
+use Shopware\Core\Framework\DataAbstractionLayer\EntityDefinition;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\FkField;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\Flag\ApiAware;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\Flag\PrimaryKey;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\Flag\Required;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\IdField;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\JsonField;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\ManyToOneAssociationField;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\StringField;
+use Shopware\Core\Framework\DataAbstractionLayer\FieldCollection;
+
+/**
+ * Old and new values of one product within a price changeset
+ */
+class PriceChangesetItemDefinition extends EntityDefinition
+{
+    final public const ENTITY_NAME = 'art_supplier_price_changeset_item';
+
+    public function getEntityName(): string
+    {
+        return self::ENTITY_NAME;
+    }
+
+    public function getCollectionClass(): string
+    {
+        return PriceChangesetItemCollection::class;
+    }
+
+    public function getEntityClass(): string
+    {
+        return PriceChangesetItemEntity::class;
+    }
+
+    protected function defineFields(): FieldCollection
+    {
+        return new FieldCollection([
+            (new IdField('id', 'id'))->addFlags(new ApiAware(), new PrimaryKey(), new Required()),
+
+            (new FkField('changeset_id', 'changesetId', PriceChangesetDefinition::class))->addFlags(new ApiAware(), new Required()),
+
+            (new IdField('product_id', 'productId'))->addFlags(new ApiAware(), new Required()),
+
+            (new StringField('product_number', 'productNumber', 64))->addFlags(new ApiAware()),
+
+            (new StringField('product_name', 'productName', 255))->addFlags(new ApiAware()),
+
+            (new JsonField('old_values', 'oldValues'))->addFlags(new ApiAware()),
+
+            (new JsonField('new_values', 'newValues'))->addFlags(new ApiAware()),
+
+            // Associations
+            (new ManyToOneAssociationField('changeset', 'changeset_id', PriceChangesetDefinition::class, 'id', false))->addFlags(new ApiAware()),
+        ]);
+    }
+}
@@ -0,0 +1,97 @@
+<?php declare(strict_types=1);
+
+namespace Artiss\Supplier\Core\Content\PriceChangeset\Aggregate\PriceChangesetItem;
+
+use Artiss\Supplier\Core\Content\PriceChangeset\PriceChangesetEntity;
+use Shopware\Core\Framework\DataAbstractionLayer\Entity;
+use Shopware\Core\Framework\DataAbstractionLayer\EntityIdTrait;
+
+class PriceChangesetItemEntity extends Entity
+{
+    use EntityIdTrait;
+
+    protected string $changesetId;
+
+    protected string $productId;
+
+    protected ?string $productNumber = null;
+
+    protected ?string $productName = null;
+
+    protected ?array $oldValues = null;
+
+    protected ?array $newValues = null;
+
+    // Associations
+    protected ?PriceChangesetEntity $changeset = null;
+
+    public function getChangesetId(): string
+    {
+        return $this->changesetId;
+    }
+
+    public function setChangesetId(string $changesetId): void
+    {
+        $this->changesetId = $changesetId;
+    }
+
+    public function getProductId(): string
+    {
+        return $this->productId;
+    }
+
+    public function setProductId(string $productId): void
+    {
+        $this->productId = $productId;
+    }
+
+    public function getProductNumber(): ?string
+    {
+        return $this->productNumber;
+    }
+
+    public function setProductNumber(?string $productNumber): void
+    {
+        $this->productNumber = $productNumber;
+    }
+
+    public function getProductName(): ?string
+    {
+        return $this->productName;
+    }
+
+    public function setProductName(?string $productName): void
+    {
+        $this->productName = $productName;
+    }
+
+    public function getOldValues(): ?array
+    {
+        return $this->oldValues;
+    }
+
+    public function setOldValues(?array $oldValues): void
+    {
+        $this->oldValues = $oldValues;
+    }
+
+    public function getNewValues(): ?array
+    {
+        return $this->newValues;
+    }
+
+    public function setNewValues(?array $newValues): void
+    {
+        $this->newValues = $newValues;
+    }
+
+    public function getChangeset(): ?PriceChangesetEntity
+    {
+        return $this->changeset;
+    }
+
+    public function setChangeset(?PriceChangesetEntity $changeset): void
+    {
+        $this->changeset = $changeset;
+    }
+}
@@ -0,0 +1,16 @@
+<?php declare(strict_types=1);
+
+namespace Artiss\Supplier\Core\Content\PriceChangeset;
+
+use Shopware\Core\Framework\DataAbstractionLayer\EntityCollection;
+
+/**
+ * @extends EntityCollection<PriceChangesetEntity>
+ */
+class PriceChangesetCollection extends EntityCollection
+{
+    protected function getExpectedClass(): string
+    {
+        return PriceChangesetEntity::class;
+    }
+}
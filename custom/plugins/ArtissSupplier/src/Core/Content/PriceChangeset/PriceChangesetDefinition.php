@@ -0,0 +1,70 @@
+<?php declare(strict_types=1);
+
+namespace Artiss\Supplier\Core\Content\PriceChangeset;
+
+use Artiss\Supplier\Core\Content\PriceChangeset\Aggregate\PriceChangesetItem\PriceChangesetItemDefinition;
+use Artiss\Supplier\Core\Content\PriceTemplate\PriceTemplateDefinition;
+use Shopware\Core\Framework\DataAbstractionLayer\EntityDefinition;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\DateTimeField;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\FkField;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\Flag\ApiAware;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\Flag\PrimaryKey;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\Flag\Required;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\IdField;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\IntField;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\JsonField;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\ManyToOneAssociationField;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\OneToManyAssociationField;
+use Shopware\Core\Framework\DataAbstractionLayer\FieldCollection;
+use Shopware\Core\System\User\UserDefinition;
+
+/**
+ * One price apply run: header for the per-product changes that can be reverted
+ */
+class PriceChangesetDefinition extends EntityDefinition
+{
+    final public const ENTITY_NAME = 'art_supplier_price_changeset';
+
+    public function getEntityName(): string
+    {
+        return self::ENTITY_NAME;
+    }
+
+    public function getCollectionClass(): string
+    {
+        return PriceChangesetCollection::class;
+    }
+
+    public function getEntityClass(): string
+    {
+        return PriceChangesetEntity::class;
+    }
+
+    protected function defineFields(): FieldCollection
+    {
+        return new FieldCollection([
+            (new IdField('id', 'id'))->addFlags(new ApiAware(), new PrimaryKey(), new Required()),
+
+            (new FkField('price_template_id', 'priceTemplateId', PriceTemplateDefinition::class))->addFlags(new ApiAware(), new Required()),
+
+            (new FkField('user_id', 'userId', UserDefinition::class))->addFlags(new ApiAware()),
+
+            (new IntField('product_count', 'productCount'))->addFlags(new ApiAware()),
+
+            (new JsonField('stats', 'stats'))->addFlags(new ApiAware()),
+
+            (new DateTimeField('reverted_at', 'revertedAt'))->addFlags(new ApiAware()),
+
+            (new FkField('reverted_by_user_id', 'revertedByUserId', UserDefinition::class))->addFlags(new ApiAware()),
+
+            // Associations
+            (new ManyToOneAssociationField('priceTemplate', 'price_template_id', PriceTemplateDefinition::class, 'id', false))->addFlags(new ApiAware()),
+
+            (new ManyToOneAssociationField('user', 'user_id', UserDefinition::class, 'id', false))->addFlags(new ApiAware()),
+
+            (new ManyToOneAssociationField('revertedByUser', 'reverted_by_user_id', UserDefinition::class, 'id', false))->addFlags(new ApiAware()),
+
+            (new OneToManyAssociationField('items', PriceChangesetItemDefinition::class, 'changeset_id'))->addFlags(new ApiAware()),
+        ]);
+    }
+}
@@ -0,0 +1,135 @@
+<?php declare(strict_types=1);
+
+namespace Artiss\Supplier\Core\Content\PriceChangeset;
+
+use Artiss\Supplier\Core\Content\PriceChangeset\Aggregate\PriceChangesetItem\PriceChangesetItemCollection;
+use Artiss\Supplier\Core\Content\PriceTemplate\PriceTemplateEntity;
+use Shopware\Core\Framework\DataAbstractionLayer\Entity;
+use Shopware\Core\Framework\DataAbstractionLayer\EntityIdTrait;
+use Shopware\Core\System\User\UserEntity;
+
+class PriceChangesetEntity extends Entity
+{
+    use EntityIdTrait;
+
+    protected string $priceTemplateId;
+
+    protected ?string $userId = null;
+
+    protected int $productCount = 0;
+
+    protected ?array $stats = null;
+
+    protected ?\DateTimeInterface $revertedAt = null;
+
+    protected ?string $revertedByUserId = null;
+
+    // Associations
+    protected ?PriceTemplateEntity $priceTemplate = null;
+
+    protected ?UserEntity $user = null;
+
+    protected ?UserEntity $revertedByUser = null;
+
+    protected ?PriceChangesetItemCollection $items = null;
+
+    public function getPriceTemplateId(): string
+    {
+        return $this->priceTemplateId;
+    }
+
+    public function setPriceTemplateId(string $priceTemplateId): void
+    {
+        $this->priceTemplateId = $priceTemplateId;
+    }
+
+    public function getUserId(): ?string
+    {
+        return $this->userId;
+    }
+
+    public function setUserId(?string $userId): void
+    {
+        $this->userId = $userId;
+    }
+
+    public function getProductCount(): int
+    {
+        return $this->productCount;
+    }
+
+    public function setProductCount(int $productCount): void
+    {
+        $this->productCount = $productCount;
+    }
+
+    public function getStats(): ?array
+    {
+        return $this->stats;
+    }
+
+    public function setStats(?array $stats): void
+    {
+        $this->stats = $stats;
+    }
+
+    public function getRevertedAt(): ?\DateTimeInterface
+    {
+        return $this->revertedAt;
+    }
+
+    public function setRevertedAt(?\DateTimeInterface $revertedAt): void
+    {
+        $this->revertedAt = $revertedAt;
+    }
+
+    public function getRevertedByUserId(): ?string
+    {
+        return $this->revertedByUserId;
+    }
+
+    public function setRevertedByUserId(?string $revertedByUserId): void
+    {
+        $this->revertedByUserId = $revertedByUserId;
+    }
+
+    public function getPriceTemplate(): ?PriceTemplateEntity
+    {
+        return $this->priceTemplate;
+    }
+
+    public function setPriceTemplate(?PriceTemplateEntity $priceTemplate): void
+    {
+        $this->priceTemplate = $priceTemplate;
+    }
+
+    public function getUser(): ?UserEntity
+    {
+        return $this->user;
+    }
+
+    public function setUser(?UserEntity $user): void
+    {
+        $this->user = $user;
+    }
+
+    public function getRevertedByUser(): ?UserEntity
+    {
+        return $this->revertedByUser;
+    }
+
+    public function setRevertedByUser(?UserEntity $revertedByUser): void
+    {
+        $this->revertedByUser = $revertedByUser;
+    }
+
+    public function getItems(): ?PriceChangesetItemCollection
+    {
+        return $this->items;
+    }
+
+    public function setItems(?PriceChangesetItemCollection $items): void
+    {
+        $this->items = $items;
+    }
+}
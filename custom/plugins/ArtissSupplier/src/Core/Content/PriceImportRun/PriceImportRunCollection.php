@@ -0,0 +1,16 @@
+<?php declare(strict_types=1);
+
+namespace Artiss\Supplier\Core\Content\PriceImportRun;
+
+use Shopware\Core\Framework\DataAbstractionLayer\EntityCollection;
+
+/**
+ * @extends EntityCollection<PriceImportRunEntity>
+ */
+class PriceImportRunCollection extends EntityCollection
+{
+    protected function getExpectedClass(): string
+    {
+        return PriceImportRunEntity::class;
+    }
+}
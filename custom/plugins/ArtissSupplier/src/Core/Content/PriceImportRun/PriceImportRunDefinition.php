@@ -0,0 +1,74 @@
+<?php declare(strict_types=1);
+
+namespace Artiss\Supplier\Core\Content\PriceImportRun;
+
+use Artiss\Supplier\Core\Content\PriceTemplate\PriceTemplateDefinition;
+use Shopware\Core\Content\Media\MediaDefinition;
+use Shopware\Core\Framework\DataAbstractionLayer\EntityDefinition;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\DateTimeField;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\FkField;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\Flag\ApiAware;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\Flag\PrimaryKey;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\Flag\Required;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\IdField;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\JsonField;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\LongTextField;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\ManyToOneAssociationField;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\StringField;
+use Shopware\Core\Framework\DataAbstractionLayer\FieldCollection;
+
+class PriceImportRunDefinition extends EntityDefinition
+{
+    final public const ENTITY_NAME = 'art_supplier_price_import_run';
+
+    final public const TRIGGER_SCHEDULE = 'schedule';
+    final public const TRIGGER_MANUAL = 'manual';
+
+    final public const STATUS_RUNNING = 'running';
+    final public const STATUS_SUCCESS = 'success';
+    final public const STATUS_SKIPPED = 'skipped';
+    final public const STATUS_FAILED = 'failed';
+
+    public function getEntityName(): string
+    {
+        return self::ENTITY_NAME;
+    }
+
+    public function getCollectionClass(): string
+    {
+        return PriceImportRunCollection::class;
+    }
+
+    public function getEntityClass(): string
+    {
+        return PriceImportRunEntity::class;
+    }
+
+    protected function defineFields(): FieldCollection
+    {
+        return new FieldCollection([
+            (new IdField('id', 'id'))->addFlags(new ApiAware(), new PrimaryKey(), new Required()),
+
+            (new FkField('price_template_id', 'priceTemplateId', PriceTemplateDefinition::class))->addFlags(new ApiAware(), new Required()),
+
+            (new FkField('media_id', 'mediaId', MediaDefinition::class))->addFlags(new ApiAware()),
+
+            (new StringField('trigger', 'trigger', 32))->addFlags(new ApiAware(), new Required()),
+
+            (new StringField('status', 'status', 32))->addFlags(new ApiAware(), new Required()),
+
+            (new JsonField('stats', 'stats'))->addFlags(new ApiAware()),
+
+            (new LongTextField('message', 'message'))->addFlags(new ApiAware()),
+
+            (new DateTimeField('started_at', 'startedAt'))->addFlags(new ApiAware(), new Required()),
+
+            (new DateTimeField('finished_at', 'finishedAt'))->addFlags(new ApiAware()),
+
+            // Associations
+            (new ManyToOneAssociationField('priceTemplate', 'price_template_id', PriceTemplateDefinition::class, 'id', false))->addFlags(new ApiAware()),
+
+            (new ManyToOneAssociationField('media', 'media_id', MediaDefinition::class, 'id', false))->addFlags(new ApiAware()),
+        ]);
+    }
+}
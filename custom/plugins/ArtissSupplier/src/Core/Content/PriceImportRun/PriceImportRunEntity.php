@@ -0,0 +1,134 @@
+<?php declare(strict_types=1);
+
+namespace Artiss\Supplier\Core\Content\PriceImportRun;
+
+use Artiss\Supplier\Core\Content\PriceTemplate\PriceTemplateEntity;
+use Shopware\Core\Content\Media\MediaEntity;
+use Shopware\Core\Framework\DataAbstractionLayer\Entity;
+use Shopware\Core\Framework\DataAbstractionLayer\EntityIdTrait;
+
+class PriceImportRunEntity extends Entity
+{
+    use EntityIdTrait;
+
+    protected string $priceTemplateId;
+
+    protected ?string $mediaId = null;
+
+    protected string $trigger;
+
+    protected string $status;
+
+    protected ?array $stats = null;
+
+    protected ?string $message = null;
+
+    protected \DateTimeInterface $startedAt;
+
+    protected ?\DateTimeInterface $finishedAt = null;
+
+    // Associations
+    protected ?PriceTemplateEntity $priceTemplate = null;
+
+    protected ?MediaEntity $media = null;
+
+    public function getPriceTemplateId(): string
+    {
+        return $this->priceTemplateId;
+    }
+
+    public function setPriceTemplateId(string $priceTemplateId): void
+    {
+        $this->priceTemplateId = $priceTemplateId;
+    }
+
+    public function getMediaId(): ?string
+    {
+        return $this->mediaId;
+    }
+
+    public function setMediaId(?string $mediaId): void
+    {
+        $this->mediaId = $mediaId;
+    }
+
+    public function getTrigger(): string
+    {
+        return $this->trigger;
+    }
+
+    public function setTrigger(string $trigger): void
+    {
+        $this->trigger = $trigger;
+    }
+
+    public function getStatus(): string
+    {
+        return $this->status;
+    }
+
+    public function setStatus(string $status): void
+    {
+        $this->status = $status;
+    }
+
+    public function getStats(): ?array
+    {
+        return $this->stats;
+    }
+
+    public function setStats(?array $stats): void
+    {
+        $this->stats = $stats;
+    }
+
+    public function getMessage(): ?string
+    {
+        return $this->message;
+    }
+
+    public function setMessage(?string $message): void
+    {
+        $this->message = $message;
+    }
+
+    public function getStartedAt(): \DateTimeInterface
+    {
+        return $this->startedAt;
+    }
+
+    public function setStartedAt(\DateTimeInterface $startedAt): void
+    {
+        $this->startedAt = $startedAt;
+    }
+
+    public function getFinishedAt(): ?\DateTimeInterface
+    {
+        return $this->finishedAt;
+    }
+
+    public function setFinishedAt(?\DateTimeInterface $finishedAt): void
+    {
+        $this->finishedAt = $finishedAt;
+    }
+
+    public function getPriceTemplate(): ?PriceTemplateEntity
+    {
+        return $this->priceTemplate;
+    }
+
+    public function setPriceTemplate(?PriceTemplateEntity $priceTemplate): void
+    {
+        $this->priceTemplate = $priceTemplate;
+    }
+
+    public function getMedia(): ?MediaEntity
+    {
+        return $this->media;
+    }
+
+    public function setMedia(?MediaEntity $media): void
+    {
+        $this->media = $media;
+    }
+}
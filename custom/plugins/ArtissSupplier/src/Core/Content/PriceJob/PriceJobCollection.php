@@ -0,0 +1,16 @@
+<?php declare(strict_types=1);
+
+namespace Artiss\Supplier\Core\Content\PriceJob;
+
+use Shopware\Core\Framework\DataAbstractionLayer\EntityCollection;
+
+/**
+ * @extends EntityCollection<PriceJobEntity>
+ */
+class PriceJobCollection extends EntityCollection
+{
+    protected function getExpectedClass(): string
+    {
+        return PriceJobEntity::class;
+    }
+}
@@ -0,0 +1,85 @@
+<?php declare(strict_types=1);
+
+namespace Artiss\Supplier\Core\Content\PriceJob;
+
+use Artiss\Supplier\Core\Content\PriceTemplate\PriceTemplateDefinition;
+use Shopware\Core\Framework\DataAbstractionLayer\EntityDefinition;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\DateTimeField;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\FkField;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\Flag\ApiAware;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\Flag\PrimaryKey;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\Flag\Required;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\IdField;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\IntField;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\JsonField;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\LongTextField;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\ManyToOneAssociationField;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\StringField;
+use Shopware\Core\Framework\DataAbstractionLayer\FieldCollection;
+use Shopware\Core\System\User\UserDefinition;
+
+class PriceJobDefinition extends EntityDefinition
+{
+    final public const ENTITY_NAME = 'art_supplier_price_job';
+
+    final public const TYPE_AUTO_MATCH = 'auto_match';
+    final public const TYPE_APPLY = 'apply';
+
+    final public const STATUS_QUEUED = 'queued';
+    final public const STATUS_RUNNING = 'running';
+    final public const STATUS_COMPLETED = 'completed';
+    final public const STATUS_FAILED = 'failed';
+    final public const STATUS_CANCELLED = 'cancelled';
+
+    public function getEntityName(): string
+    {
+        return self::ENTITY_NAME;
+    }
+
+    public function getCollectionClass(): string
+    {
+        return PriceJobCollection::class;
+    }
+
+    public function getEntityClass(): string
+    {
+        return PriceJobEntity::class;
+    }
+
+    protected function defineFields(): FieldCollection
+    {
+        return new FieldCollection([
+            (new IdField('id', 'id'))->addFlags(new ApiAware(), new PrimaryKey(), new Required()),
+
+            (new FkField('price_template_id', 'priceTemplateId', PriceTemplateDefinition::class))->addFlags(new ApiAware(), new Required()),
+
+            (new FkField('user_id', 'userId', UserDefinition::class))->addFlags(new ApiAware()),
+
+            (new StringField('type', 'type', 32))->addFlags(new ApiAware(), new Required()),
+
+            (new StringField('status', 'status', 32))->addFlags(new ApiAware(), new Required()),
+
+            (new JsonField('params', 'params'))->addFlags(new ApiAware()),
+
+            (new JsonField('result', 'result'))->addFlags(new ApiAware()),
+
+            (new IntField('total', 'total'))->addFlags(new ApiAware()),
+
+            (new IntField('processed', 'processed'))->addFlags(new ApiAware()),
+
+            (new LongTextField('message', 'message'))->addFlags(new ApiAware()),
+
+            (new DateTimeField('started_at', 'startedAt'))->addFlags(new ApiAware()),
+
+            (new DateTimeField('finished_at', 'finishedAt'))->addFlags(new ApiAware()),
+
+            // Set when the wizard took over the results of a finished auto-match
+            (new DateTimeField('collected_at', 'collectedAt'))->addFlags(new ApiAware()),
+
+            // Associations
+            (new ManyToOneAssociationField('priceTemplate', 'price_template_id', PriceTemplateDefinition::class, 'id', false))->addFlags(new ApiAware()),
+
+            (new ManyToOneAssociationField('user', 'user_id', UserDefinition::class, 'id', false))->addFlags(new ApiAware()),
+        ]);
+    }
+}
@@ -0,0 +1,182 @@
+<?php declare(strict_types=1);
+
+namespace Artiss\Supplier\Core\Content\PriceJob;
+
+use Artiss\Supplier\Core\Content\PriceTemplate\PriceTemplateEntity;
+use Shopware\Core\Framework\DataAbstractionLayer\Entity;
+use Shopware\Core\Framework\DataAbstractionLayer\EntityIdTrait;
+use Shopware\Core\System\User\UserEntity;
+
+class PriceJobEntity extends Entity
+{
+    use EntityIdTrait;
+
+    protected string $priceTemplateId;
+
+    protected ?string $userId = null;
+
+    protected string $type;
+
+    protected string $status;
+
+    protected ?array $params = null;
+
+    protected ?array $result = null;
+
+    protected int $total = 0;
+
+    protected int $processed = 0;
+
+    protected ?string $message = null;
+
+    protected ?\DateTimeInterface $startedAt = null;
+
+    protected ?\DateTimeInterface $finishedAt = null;
+
+    protected ?\DateTimeInterface $collectedAt = null;
+
+    // Associations
+    protected ?PriceTemplateEntity $priceTemplate = null;
+
+    protected ?UserEntity $user = null;
+
+    public function getPriceTemplateId(): string
+    {
+        return $this->priceTemplateId;
+    }
+
+    public function setPriceTemplateId(string $priceTemplateId): void
+    {
+        $this->priceTemplateId = $priceTemplateId;
+    }
+
+    public function getUserId(): ?string
+    {
+        return $this->userId;
+    }
+
+    public function setUserId(?string $userId): void
+    {
+        $this->userId = $userId;
+    }
+
+    public function getType(): string
+    {
+        return $this->type;
+    }
+
+    public function setType(string $type): void
+    {
+        $this->type = $type;
+    }
+
+    public function getStatus(): string
+    {
+        return $this->status;
+    }
+
+    public function setStatus(string $status): void
+    {
+        $this->status = $status;
+    }
+
+    public function getParams(): ?array
+    {
+        return $this->params;
+    }
+
+    public function setParams(?array $params): void
+    {
+        $this->params = $params;
+    }
+
+    public function getResult(): ?array
+    {
+        return $this->result;
+    }
+
+    public function setResult(?array $result): void
+    {
+        $this->result = $result;
+    }
+
+    public function getTotal(): int
+    {
+        return $this->total;
+    }
+
+    public function setTotal(int $total): void
+    {
+        $this->total = $total;
+    }
+
+    public function getProcessed(): int
+    {
+        return $this->processed;
+    }
+
+    public function setProcessed(int $processed): void
+    {
+        $this->processed = $processed;
+    }
+
+    public function getMessage(): ?string
+    {
+        return $this->message;
+    }
+
+    public function setMessage(?string $message): void
+    {
+        $this->message = $message;
+    }
+
+    public function getStartedAt(): ?\DateTimeInterface
+    {
+        return $this->startedAt;
+    }
+
+    public function setStartedAt(?\DateTimeInterface $startedAt): void
+    {
+        $this->startedAt = $startedAt;
+    }
+
+    public function getFinishedAt(): ?\DateTimeInterface
+    {
+        return $this->finishedAt;
+    }
+
+    public function setFinishedAt(?\DateTimeInterface $finishedAt): void
+    {
+        $this->finishedAt = $finishedAt;
+    }
+
+    public function getCollectedAt(): ?\DateTimeInterface
+    {
+        return $this->collectedAt;
+    }
+
+    public function setCollectedAt(?\DateTimeInterface $collectedAt): void
+    {
+        $this->collectedAt = $collectedAt;
+    }
+
+    public function getPriceTemplate(): ?PriceTemplateEntity
+    {
+        return $this->priceTemplate;
+    }
+
+    public function setPriceTemplate(?PriceTemplateEntity $priceTemplate): void
+    {
+        $this->priceTemplate = $priceTemplate;
+    }
+
+    public function getUser(): ?UserEntity
+    {
+        return $this->user;
+    }
+
+    public function setUser(?UserEntity $user): void
+    {
+        $this->user = $user;
+    }
+}
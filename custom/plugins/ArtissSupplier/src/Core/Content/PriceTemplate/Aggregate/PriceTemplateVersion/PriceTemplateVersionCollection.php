@@ -0,0 +1,16 @@
+<?php declare(strict_types=1);
+
+namespace Artiss\Supplier\Core\Content\PriceTemplate\Aggregate\PriceTemplateVersion;
+
+use Shopware\Core\Framework\DataAbstractionLayer\EntityCollection;
+
+/**
+ * @extends EntityCollection<PriceTemplateVersionEntity>
+ */
+class PriceTemplateVersionCollection extends EntityCollection
+{
+    protected function getExpectedClass(): string
+    {
+        return PriceTemplateVersionEntity::class;
+    }
+}
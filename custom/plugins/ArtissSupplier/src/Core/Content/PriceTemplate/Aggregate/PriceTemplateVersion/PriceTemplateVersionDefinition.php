@@ -0,0 +1,70 @@
+<?php declare(strict_types=1);
+
+namespace Artiss\Supplier\Core\Content\PriceTemplate\Aggregate\PriceTemplateVersion;
+
+use Artiss\Supplier\Core\Content\PriceTemplate\PriceTemplateDefinition;
+use Shopware\Core\Framework\DataAbstractionLayer\EntityDefinition;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\FkField;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\Flag\ApiAware;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\Flag\PrimaryKey;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\Flag\Required;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\IdField;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\IntField;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\JsonField;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\ManyToOneAssociationField;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\StringField;
+use Shopware\Core\Framework\DataAbstractionLayer\FieldCollection;
+use Shopware\Core\System\User\UserDefinition;
+
+/**
+ * Snapshot of a price template config, older configs can be compared and restored
+ */
+class PriceTemplateVersionDefinition extends EntityDefinition
+{
+    final public const ENTITY_NAME = 'art_supplier_price_template_version';
+
+    public const REASON_MANUAL = 'manual';
+    public const REASON_APPLY = 'apply';
+    public const REASON_BEFORE_RESTORE = 'before_restore';
+    public const REASON_CLONE = 'clone';
+
+    public function getEntityName(): string
+    {
+        return self::ENTITY_NAME;
+    }
+
+    public function getCollectionClass(): string
+    {
+        return PriceTemplateVersionCollection::class;
+    }
+
+    public function getEntityClass(): string
+    {
+        return PriceTemplateVersionEntity::class;
+    }
+
+    protected function defineFields(): FieldCollection
+    {
+        return new FieldCollection([
+            (new IdField('id', 'id'))->addFlags(new ApiAware(), new PrimaryKey(), new Required()),
+
+            (new FkField('price_template_id', 'priceTemplateId', PriceTemplateDefinition::class))->addFlags(new ApiAware(), new Required()),
+
+            (new IntField('version', 'version'))->addFlags(new ApiAware(), new Required()),
+
+            (new JsonField('config', 'config'))->addFlags(new ApiAware()),
+
+            // manual, apply, before_restore, clone
+            (new StringField('reason', 'reason', 32))->addFlags(new ApiAware(), new Required()),
+
+            (new StringField('comment', 'comment', 255))->addFlags(new ApiAware()),
+
+            (new FkField('user_id', 'userId', UserDefinition::class))->addFlags(new ApiAware()),
+
+            // Associations
+            (new ManyToOneAssociationField('priceTemplate', 'price_template_id', PriceTemplateDefinition::class, 'id', false))->addFlags(new ApiAware()),
+
+            (new ManyToOneAssociationField('user', 'user_id', UserDefinition::class, 'id', false))->addFlags(new ApiAware()),
+        ]);
+    }
+}
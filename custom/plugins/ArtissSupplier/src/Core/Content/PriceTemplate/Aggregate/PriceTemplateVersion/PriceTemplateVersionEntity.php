@@ -0,0 +1,110 @@
+<?php declare(strict_types=1);
+
+namespace Artiss\Supplier\Core\Content\PriceTemplate\Aggregate\PriceTemplateVersion;
+
+use Artiss\Supplier\Core\Content\PriceTemplate\PriceTemplateEntity;
+use Shopware\Core\Framework\DataAbstractionLayer\Entity;
+use Shopware\Core\Framework\DataAbstractionLayer\EntityIdTrait;
+use Shopware\Core\System\User\UserEntity;
+
+class PriceTemplateVersionEntity extends Entity
+{
+    use EntityIdTrait;
+
+    protected string $priceTemplateId;
+
+    protected int $version = 0;
+
+    protected ?array $config = null;
+
+    protected string $reason;
+
+    protected ?string $comment = null;
+
+    protected ?string $userId = null;
+
+    // Associations
+    protected ?PriceTemplateEntity $priceTemplate = null;
+
+    protected ?UserEntity $user = null;
+
+    public function getPriceTemplateId(): string
+    {
+        return $this->priceTemplateId;
+    }
+
+    public function setPriceTemplateId(string $priceTemplateId): void
+    {
+        $this->priceTemplateId = $priceTemplateId;
+    }
+
+    public function getVersion(): int
+    {
+        return $this->version;
+    }
+
+    public function setVersion(int $version): void
+    {
+        $this->version = $version;
+    }
+
+    public function getConfig(): ?array
+    {
+        return $this->config;
+    }
+
+    public function setConfig(?array $config): void
+    {
+        $this->config = $config;
+    }
+
+    public function getReason(): string
+    {
+        return $this->reason;
+    }
+
+    public function setReason(string $reason): void
+    {
+        $this->reason = $reason;
+    }
+
+    public function getComment(): ?string
+    {
+        return $this->comment;
+    }
+
+    public function setComment(?string $comment): void
+    {
+        $this->comment = $comment;
+    }
+
+    public function getUserId(): ?string
+    {
+        return $this->userId;
+    }
+
+    public function setUserId(?string $userId): void
+    {
+        $this->userId = $userId;
+    }
+
+    public function getPriceTemplate(): ?PriceTemplateEntity
+    {
+        return $this->priceTemplate;
+    }
+
+    public function setPriceTemplate(?PriceTemplateEntity $priceTemplate): void
+    {
+        $this->priceTemplate = $priceTemplate;
+    }
+
+    public function getUser(): ?UserEntity
+    {
+        return $this->user;
+    }
+
+    public function setUser(?UserEntity $user): void
+    {
+        $this->user = $user;
+    }
+}
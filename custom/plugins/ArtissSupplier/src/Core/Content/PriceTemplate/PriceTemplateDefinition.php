@@ -2,6 +2,10 @@
 
 namespace Artiss\Supplier\Core\Content\PriceTemplate;
 
+use Artiss\Supplier\Core\Content\PriceChangeset\PriceChangesetDefinition;
+use Artiss\Supplier\Core\Content\PriceImportRun\PriceImportRunDefinition;
+use Artiss\Supplier\Core\Content\PriceJob\PriceJobDefinition;
+use Artiss\Supplier\Core\Content\PriceTemplate\Aggregate\PriceTemplateVersion\PriceTemplateVersionDefinition;
 use Artiss\Supplier\Core\Content\Supplier\SupplierDefinition;
 use Shopware\Core\Content\Media\MediaDefinition;
 use Shopware\Core\Framework\DataAbstractionLayer\EntityDefinition;
@@ -14,6 +18,7 @@ use Shopware\Core\Framework\DataAbstractionLayer\Field\IdField;
 use Shopware\Core\Framework\DataAbstractionLayer\Field\JsonField;
 use Shopware\Core\Framework\DataAbstractionLayer\Field\LongTextField;
 use Shopware\Core\Framework\DataAbstractionLayer\Field\ManyToOneAssociationField;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\OneToManyAssociationField;
 use Shopware\Core\Framework\DataAbstractionLayer\Field\StringField;
 use Shopware\Core\Framework\DataAbstractionLayer\FieldCollection;
 use Shopware\Core\System\User\UserDefinition;
@@ -56,6 +61,12 @@ class PriceTemplateDefinition extends EntityDefinition
 
             (new JsonField('matched_products', 'matchedProducts'))->addFlags(new ApiAware()),
 
+            // Match counts of the last preview, read by supplier metrics
+            (new JsonField('match_stats', 'matchStats'))->addFlags(new ApiAware()),
+
+            // Auto-match suggestions rejected by reviewers: [productId => [[supplier_code, ...], ...]]
+            (new JsonField('rejected_matches', 'rejectedMatches'))->addFlags(new ApiAware()),
+
             (new DateTimeField('applied_at', 'appliedAt'))->addFlags(new ApiAware()),
 
             (new FkField('applied_by_user_id', 'appliedByUserId', UserDefinition::class))->addFlags(new ApiAware()),
@@ -66,6 +77,14 @@ class PriceTemplateDefinition extends EntityDefinition
             (new ManyToOneAssociationField('lastImportMedia', 'last_import_media_id', MediaDefinition::class, 'id', false))->addFlags(new ApiAware()),
 
             (new ManyToOneAssociationField('appliedByUser', 'applied_by_user_id', UserDefinition::class, 'id', false))->addFlags(new ApiAware()),
+
+            (new OneToManyAssociationField('importRuns', PriceImportRunDefinition::class, 'price_template_id'))->addFlags(new ApiAware()),
+
+            (new OneToManyAssociationField('priceChangesets', PriceChangesetDefinition::class, 'price_template_id'))->addFlags(new ApiAware()),
+
+            (new OneToManyAssociationField('versions', PriceTemplateVersionDefinition::class, 'price_template_id'))->addFlags(new ApiAware()),
+
+            (new OneToManyAssociationField('jobs', PriceJobDefinition::class, 'price_template_id'))->addFlags(new ApiAware()),
         ]);
     }
 }
@@ -2,6 +2,10 @@
 
 namespace Artiss\Supplier\Core\Content\PriceTemplate;
 
+use Artiss\Supplier\Core\Content\PriceChangeset\PriceChangesetCollection;
+use Artiss\Supplier\Core\Content\PriceTemplate\Aggregate\PriceTemplateVersion\PriceTemplateVersionCollection;
+use Artiss\Supplier\Core\Content\PriceImportRun\PriceImportRunCollection;
+use Artiss\Supplier\Core\Content\PriceJob\PriceJobCollection;
 use Artiss\Supplier\Core\Content\Supplier\SupplierEntity;
 use Shopware\Core\Content\Media\MediaEntity;
 use Shopware\Core\Framework\DataAbstractionLayer\Entity;
@@ -26,6 +30,10 @@ class PriceTemplateEntity extends Entity
 
     protected ?array $matchedProducts = null;
 
+    protected ?array $matchStats = null;
+
+    protected ?array $rejectedMatches = null;
+
     protected ?\DateTimeInterface $appliedAt = null;
 
     protected ?string $appliedByUserId = null;
@@ -37,6 +45,14 @@ class PriceTemplateEntity extends Entity
 
     protected ?UserEntity $appliedByUser = null;
 
+    protected ?PriceImportRunCollection $importRuns = null;
+
+    protected ?PriceChangesetCollection $priceChangesets = null;
+
+    protected ?PriceTemplateVersionCollection $versions = null;
+
+    protected ?PriceJobCollection $jobs = null;
+
     public function getSupplierId(): string
     {
         return $this->supplierId;
@@ -107,6 +123,26 @@ class PriceTemplateEntity extends Entity
         $this->matchedProducts = $matchedProducts;
     }
 
+    public function getMatchStats(): ?array
+    {
+        return $this->matchStats;
+    }
+
+    public function setMatchStats(?array $matchStats): void
+    {
+        $this->matchStats = $matchStats;
+    }
+
+    public function getRejectedMatches(): ?array
+    {
+        return $this->rejectedMatches;
+    }
+
+    public function setRejectedMatches(?array $rejectedMatches): void
+    {
+        $this->rejectedMatches = $rejectedMatches;
+    }
+
     public function getAppliedAt(): ?\DateTimeInterface
     {
         return $this->appliedAt;
@@ -156,4 +192,44 @@ class PriceTemplateEntity extends Entity
     {
         $this->appliedByUser = $appliedByUser;
     }
+
+    public function getImportRuns(): ?PriceImportRunCollection
+    {
+        return $this->importRuns;
+    }
+
+    public function setImportRuns(PriceImportRunCollection $importRuns): void
+    {
+        $this->importRuns = $importRuns;
+    }
+
+    public function getPriceChangesets(): ?PriceChangesetCollection
+    {
+        return $this->priceChangesets;
+    }
+
+    public function setPriceChangesets(PriceChangesetCollection $priceChangesets): void
+    {
+        $this->priceChangesets = $priceChangesets;
+    }
+
+    public function getVersions(): ?PriceTemplateVersionCollection
+    {
+        return $this->versions;
+    }
+
+    public function setVersions(PriceTemplateVersionCollection $versions): void
+    {
+        $this->versions = $versions;
+    }
+
+    public function getJobs(): ?PriceJobCollection
+    {
+        return $this->jobs;
+    }
+
+    public function setJobs(PriceJobCollection $jobs): void
+    {
+        $this->jobs = $jobs;
+    }
 }
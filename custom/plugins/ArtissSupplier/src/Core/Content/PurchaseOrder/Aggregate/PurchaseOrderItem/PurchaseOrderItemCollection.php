@@ -0,0 +1,16 @@
+<?php declare(strict_types=1);
+
+namespace Artiss\Supplier\Core\Content\PurchaseOrder\Aggregate\PurchaseOrderItem;
+
+use Shopware\Core\Framework\DataAbstractionLayer\EntityCollection;
+
+/**
+ * @extends EntityCollection<PurchaseOrderItemEntity>
+ */
+class PurchaseOrderItemCollection extends EntityCollection
+{
+    protected function getExpectedClass(): string
+    {
+        return PurchaseOrderItemEntity::class;
+    }
+}
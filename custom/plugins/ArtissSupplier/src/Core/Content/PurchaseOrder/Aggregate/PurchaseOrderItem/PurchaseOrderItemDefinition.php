@@ -0,0 +1,70 @@
+<?php declare(strict_types=1);
+
+namespace Artiss\Supplier\Core\Content\PurchaseOrder\Aggregate\PurchaseOrderItem;
+
+use Artiss\Supplier\Core\Content\PurchaseOrder\PurchaseOrderDefinition;
+use Shopware\Core\Framework\DataAbstractionLayer\EntityDefinition;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\FkField;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\FloatField;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\Flag\ApiAware;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\Flag\PrimaryKey;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\Flag\Required;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\IdField;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\IntField;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\ManyToOneAssociationField;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\StringField;
+use Shopware\Core\Framework\DataAbstractionLayer\FieldCollection;
+
+/**
+ * Ordered product with the quantity and purchase price at the time of ordering
+ */
+class PurchaseOrderItemDefinition extends EntityDefinition
+{
+    final public const ENTITY_NAME = 'art_supplier_purchase_order_item';
+
+    public function getEntityName(): string
+    {
+        return self::ENTITY_NAME;
+    }
+
+    public function getCollectionClass(): string
+    {
+        return PurchaseOrderItemCollection::class;
+    }
+
+    public function getEntityClass(): string
+    {
+        return PurchaseOrderItemEntity::class;
+    }
+
+    protected function defineFields(): FieldCollection
+    {
+        return new FieldCollection([
+            (new IdField('id', 'id'))->addFlags(new ApiAware(), new PrimaryKey(), new Required()),
+
+            (new FkField('purchase_order_id', 'purchaseOrderId', PurchaseOrderDefinition::class))->addFlags(new ApiAware(), new Required()),
+
+            (new IdField('product_id', 'productId'))->addFlags(new ApiAware(), new Required()),
+
+            (new StringField('product_number', 'productNumber', 64))->addFlags(new ApiAware()),
+
+            (new StringField('product_name', 'productName', 255))->addFlags(new ApiAware()),
+
+            (new StringField('supplier_code', 'supplierCode', 255))->addFlags(new ApiAware()),
+
+            // Stock when the product was added to the order
+            (new IntField('stock', 'stock'))->addFlags(new ApiAware()),
+
+            (new IntField('quantity', 'quantity'))->addFlags(new ApiAware(), new Required()),
+
+            (new FloatField('purchase_price', 'purchasePrice'))->addFlags(new ApiAware()),
+
+            (new StringField('currency', 'currency', 8))->addFlags(new ApiAware()),
+
+            (new IntField('position', 'position'))->addFlags(new ApiAware()),
+
+            // Associations
+            (new ManyToOneAssociationField('purchaseOrder', 'purchase_order_id', PurchaseOrderDefinition::class, 'id', false))->addFlags(new ApiAware()),
+        ]);
+    }
+}
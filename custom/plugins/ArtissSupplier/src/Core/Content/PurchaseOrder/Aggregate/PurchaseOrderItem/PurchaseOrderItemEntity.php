@@ -0,0 +1,145 @@
+<?php declare(strict_types=1);
+
+namespace Artiss\Supplier\Core\Content\PurchaseOrder\Aggregate\PurchaseOrderItem;
+
+use Artiss\Supplier\Core\Content\PurchaseOrder\PurchaseOrderEntity;
+use Shopware\Core\Framework\DataAbstractionLayer\Entity;
+use Shopware\Core\Framework\DataAbstractionLayer\EntityIdTrait;
+
+class PurchaseOrderItemEntity extends Entity
+{
+    use EntityIdTrait;
+
+    protected string $purchaseOrderId;
+
+    protected string $productId;
+
+    protected ?string $productNumber = null;
+
+    protected ?string $productName = null;
+
+    protected ?string $supplierCode = null;
+
+    protected ?int $stock = null;
+
+    protected int $quantity = 1;
+
+    protected ?float $purchasePrice = null;
+
+    protected ?string $currency = null;
+
+    protected int $position = 0;
+
+    // Associations
+    protected ?PurchaseOrderEntity $purchaseOrder = null;
+
+    public function getPurchaseOrderId(): string
+    {
+        return $this->purchaseOrderId;
+    }
+
+    public function setPurchaseOrderId(string $purchaseOrderId): void
+    {
+        $this->purchaseOrderId = $purchaseOrderId;
+    }
+
+    public function getProductId(): string
+    {
+        return $this->productId;
+    }
+
+    public function setProductId(string $productId): void
+    {
+        $this->productId = $productId;
+    }
+
+    public function getProductNumber(): ?string
+    {
+        return $this->productNumber;
+    }
+
+    public function setProductNumber(?string $productNumber): void
+    {
+        $this->productNumber = $productNumber;
+    }
+
+    public function getProductName(): ?string
+    {
+        return $this->productName;
+    }
+
+    public function setProductName(?string $productName): void
+    {
+        $this->productName = $productName;
+    }
+
+    public function getSupplierCode(): ?string
+    {
+        return $this->supplierCode;
+    }
+
+    public function setSupplierCode(?string $supplierCode): void
+    {
+        $this->supplierCode = $supplierCode;
+    }
+
+    public function getStock(): ?int
+    {
+        return $this->stock;
+    }
+
+    public function setStock(?int $stock): void
+    {
+        $this->stock = $stock;
+    }
+
+    public function getQuantity(): int
+    {
+        return $this->quantity;
+    }
+
+    public function setQuantity(int $quantity): void
+    {
+        $this->quantity = $quantity;
+    }
+
+    public function getPurchasePrice(): ?float
+    {
+        return $this->purchasePrice;
+    }
+
+    public function setPurchasePrice(?float $purchasePrice): void
+    {
+        $this->purchasePrice = $purchasePrice;
+    }
+
+    public function getCurrency(): ?string
+    {
+        return $this->currency;
+    }
+
+    public function setCurrency(?string $currency): void
+    {
+        $this->currency = $currency;
+    }
+
+    public function getPosition(): int
+    {
+        return $this->position;
+    }
+
+    public function setPosition(int $position): void
+    {
+        $this->position = $position;
+    }
+
+    public function getPurchaseOrder(): ?PurchaseOrderEntity
+    {
+        return $this->purchaseOrder;
+    }
+
+    public function setPurchaseOrder(?PurchaseOrderEntity $purchaseOrder): void
+    {
+        $this->purchaseOrder = $purchaseOrder;
+    }
+}
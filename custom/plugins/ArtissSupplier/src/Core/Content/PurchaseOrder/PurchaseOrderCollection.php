@@ -0,0 +1,16 @@
+<?php declare(strict_types=1);
+
+namespace Artiss\Supplier\Core\Content\PurchaseOrder;
+
+use Shopware\Core\Framework\DataAbstractionLayer\EntityCollection;
+
+/**
+ * @extends EntityCollection<PurchaseOrderEntity>
+ */
+class PurchaseOrderCollection extends EntityCollection
+{
+    protected function getExpectedClass(): string
+    {
+        return PurchaseOrderEntity::class;
+    }
+}
@@ -0,0 +1,81 @@
+<?php declare(strict_types=1);
+
+namespace Artiss\Supplier\Core\Content\PurchaseOrder;
+
+use Artiss\Supplier\Core\Content\PurchaseOrder\Aggregate\PurchaseOrderItem\PurchaseOrderItemDefinition;
+use Artiss\Supplier\Core\Content\Supplier\SupplierDefinition;
+use Shopware\Core\Framework\DataAbstractionLayer\EntityDefinition;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\DateTimeField;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\FkField;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\Flag\ApiAware;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\Flag\PrimaryKey;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\Flag\Required;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\IdField;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\IntField;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\JsonField;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\LongTextField;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\ManyToOneAssociationField;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\OneToManyAssociationField;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\StringField;
+use Shopware\Core\Framework\DataAbstractionLayer\FieldCollection;
+use Shopware\Core\System\User\UserDefinition;
+
+/**
+ * Purchase order to a supplier: header for the ordered products
+ */
+class PurchaseOrderDefinition extends EntityDefinition
+{
+    final public const ENTITY_NAME = 'art_supplier_purchase_order';
+
+    final public const STATUS_DRAFT = 'draft';
+    final public const STATUS_SENT = 'sent';
+    final public const STATUS_CONFIRMED = 'confirmed';
+    final public const STATUS_RECEIVED = 'received';
+    final public const STATUS_CANCELLED = 'cancelled';
+
+    public function getEntityName(): string
+    {
+        return self::ENTITY_NAME;
+    }
+
+    public function getCollectionClass(): string
+    {
+        return PurchaseOrderCollection::class;
+    }
+
+    public function getEntityClass(): string
+    {
+        return PurchaseOrderEntity::class;
+    }
+
+    protected function defineFields(): FieldCollection
+    {
+        return new FieldCollection([
+            (new IdField('id', 'id'))->addFlags(new ApiAware(), new PrimaryKey(), new Required()),
+
+            (new FkField('supplier_id', 'supplierId', SupplierDefinition::class))->addFlags(new ApiAware(), new Required()),
+
+            (new FkField('user_id', 'userId', UserDefinition::class))->addFlags(new ApiAware()),
+
+            (new StringField('order_number', 'orderNumber', 32))->addFlags(new ApiAware(), new Required()),
+
+            (new StringField('status', 'status', 32))->addFlags(new ApiAware(), new Required()),
+
+            (new IntField('item_count', 'itemCount'))->addFlags(new ApiAware()),
+
+            // Order amount per currency [currency => amount]
+            (new JsonField('totals', 'totals'))->addFlags(new ApiAware()),
+
+            (new LongTextField('comment', 'comment'))->addFlags(new ApiAware()),
+
+            (new DateTimeField('status_changed_at', 'statusChangedAt'))->addFlags(new ApiAware()),
+
+            // Associations
+            (new ManyToOneAssociationField('supplier', 'supplier_id', SupplierDefinition::class, 'id', false))->addFlags(new ApiAware()),
+
+            (new ManyToOneAssociationField('user', 'user_id', UserDefinition::class, 'id', false))->addFlags(new ApiAware()),
+
+            (new OneToManyAssociationField('items', PurchaseOrderItemDefinition::class, 'purchase_order_id'))->addFlags(new ApiAware()),
+        ]);
+    }
+}
@@ -0,0 +1,147 @@
+<?php declare(strict_types=1);
+
+namespace Artiss\Supplier\Core\Content\PurchaseOrder;
+
+use Artiss\Supplier\Core\Content\PurchaseOrder\Aggregate\PurchaseOrderItem\PurchaseOrderItemCollection;
+use Artiss\Supplier\Core\Content\Supplier\SupplierEntity;
+use Shopware\Core\Framework\DataAbstractionLayer\Entity;
+use Shopware\Core\Framework\DataAbstractionLayer\EntityIdTrait;
+use Shopware\Core\System\User\UserEntity;
+
+class PurchaseOrderEntity extends Entity
+{
+    use EntityIdTrait;
+
+    protected string $supplierId;
+
+    protected ?string $userId = null;
+
+    protected string $orderNumber;
+
+    protected string $status;
+
+    protected int $itemCount = 0;
+
+    protected ?array $totals = null;
+
+    protected ?string $comment = null;
+
+    protected ?\DateTimeInterface $statusChangedAt = null;
+
+    // Associations
+    protected ?SupplierEntity $supplier = null;
+
+    protected ?UserEntity $user = null;
+
+    protected ?PurchaseOrderItemCollection $items = null;
+
+    public function getSupplierId(): string
+    {
+        return $this->supplierId;
+    }
+
+    public function setSupplierId(string $supplierId): void
+    {
+        $this->supplierId = $supplierId;
+    }
+
+    public function getUserId(): ?string
+    {
+        return $this->userId;
+    }
+
+    public function setUserId(?string $userId): void
+    {
+        $this->userId = $userId;
+    }
+
+    public function getOrderNumber(): string
+    {
+        return $this->orderNumber;
+    }
+
+    public function setOrderNumber(string $orderNumber): void
+    {
+        $this->orderNumber = $orderNumber;
+    }
+
+    public function getStatus(): string
+    {
+        return $this->status;
+    }
+
+    public function setStatus(string $status): void
+    {
+        $this->status = $status;
+    }
+
+    public function getItemCount(): int
+    {
+        return $this->itemCount;
+    }
+
+    public function setItemCount(int $itemCount): void
+    {
+        $this->itemCount = $itemCount;
+    }
+
+    public function getTotals(): ?array
+    {
+        return $this->totals;
+    }
+
+    public function setTotals(?array $totals): void
+    {
+        $this->totals = $totals;
+    }
+
+    public function getComment(): ?string
+    {
+        return $this->comment;
+    }
+
+    public function setComment(?string $comment): void
+    {
+        $this->comment = $comment;
+    }
+
+    public function getStatusChangedAt(): ?\DateTimeInterface
+    {
+        return $this->statusChangedAt;
+    }
+
+    public function setStatusChangedAt(?\DateTimeInterface $statusChangedAt): void
+    {
+        $this->statusChangedAt = $statusChangedAt;
+    }
+
+    public function getSupplier(): ?SupplierEntity
+    {
+        return $this->supplier;
+    }
+
+    public function setSupplier(?SupplierEntity $supplier): void
+    {
+        $this->supplier = $supplier;
+    }
+
+    public function getUser(): ?UserEntity
+    {
+        return $this->user;
+    }
+
+    public function setUser(?UserEntity $user): void
+    {
+        $this->user = $user;
+    }
+
+    public function getItems(): ?PurchaseOrderItemCollection
+    {
+        return $this->items;
+    }
+
+    public function setItems(?PurchaseOrderItemCollection $items): void
+    {
+        $this->items = $items;
+    }
+}
@@ -0,0 +1,16 @@
+<?php declare(strict_types=1);
+
+namespace Artiss\Supplier\Core\Content\Supplier\Aggregate\SupplierExchangeRate;
+
+use Shopware\Core\Framework\DataAbstractionLayer\EntityCollection;
+
+/**
+ * @extends EntityCollection<SupplierExchangeRateEntity>
+ */
+class SupplierExchangeRateCollection extends EntityCollection
+{
+    protected function getExpectedClass(): string
+    {
+        return SupplierExchangeRateEntity::class;
+    }
+}
@@ -0,0 +1,58 @@
+<?php declare(strict_types=1);
+
+namespace Artiss\Supplier\Core\Content\Supplier\Aggregate\SupplierExchangeRate;
+
+use Artiss\Supplier\Core\Content\Supplier\SupplierDefinition;
+use Shopware\Core\Framework\DataAbstractionLayer\EntityDefinition;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\FkField;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\FloatField;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\Flag\ApiAware;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\Flag\PrimaryKey;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\Flag\Required;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\IdField;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\ManyToOneAssociationField;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\StringField;
+use Shopware\Core\Framework\DataAbstractionLayer\FieldCollection;
+
+/**
+ * Supplier specific exchange rate: fixed factor and/or surcharge on top of the shop rate
+ */
+class SupplierExchangeRateDefinition extends EntityDefinition
+{
+    final public const ENTITY_NAME = 'art_supplier_exchange_rate_override';
+
+    public function getEntityName(): string
+    {
+        return self::ENTITY_NAME;
+    }
+
+    public function getCollectionClass(): string
+    {
+        return SupplierExchangeRateCollection::class;
+    }
+
+    public function getEntityClass(): string
+    {
+        return SupplierExchangeRateEntity::class;
+    }
+
+    protected function defineFields(): FieldCollection
+    {
+        return new FieldCollection([
+            (new IdField('id', 'id'))->addFlags(new ApiAware(), new PrimaryKey(), new Required()),
+
+            (new FkField('supplier_id', 'supplierId', SupplierDefinition::class))->addFlags(new ApiAware(), new Required()),
+
+            (new StringField('iso_code', 'isoCode', 3))->addFlags(new ApiAware(), new Required()),
+
+            // Replaces currency.factor for this supplier when set
+            (new FloatField('factor', 'factor'))->addFlags(new ApiAware()),
+
+            // Makes the currency more expensive for this supplier, converted prices grow by this percent
+            (new FloatField('surcharge_percent', 'surchargePercent'))->addFlags(new ApiAware()),
+
+            // Associations
+            (new ManyToOneAssociationField('supplier', 'supplier_id', SupplierDefinition::class, 'id', false))->addFlags(new ApiAware()),
+        ]);
+    }
+}
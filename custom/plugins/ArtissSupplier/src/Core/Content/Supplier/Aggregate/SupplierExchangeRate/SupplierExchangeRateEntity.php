@@ -0,0 +1,73 @@
+<?php declare(strict_types=1);
+
+namespace Artiss\Supplier\Core\Content\Supplier\Aggregate\SupplierExchangeRate;
+
+use Artiss\Supplier\Core\Content\Supplier\SupplierEntity;
+use Shopware\Core\Framework\DataAbstractionLayer\Entity;
+use Shopware\Core\Framework\DataAbstractionLayer\EntityIdTrait;
+
+class SupplierExchangeRateEntity extends Entity
+{
+    use EntityIdTrait;
+
+    protected string $supplierId;
+
+    protected string $isoCode;
+
+    protected ?float $factor = null;
+
+    protected ?float $surchargePercent = null;
+
+    // Associations
+    protected ?SupplierEntity $supplier = null;
+
+    public function getSupplierId(): string
+    {
+        return $this->supplierId;
+    }
+
+    public function setSupplierId(string $supplierId): void
+    {
+        $this->supplierId = $supplierId;
+    }
+
+    public function getIsoCode(): string
+    {
+        return $this->isoCode;
+    }
+
+    public function setIsoCode(string $isoCode): void
+    {
+        $this->isoCode = $isoCode;
+    }
+
+    public function getFactor(): ?float
+    {
+        return $this->factor;
+    }
+
+    public function setFactor(?float $factor): void
+    {
+        $this->factor = $factor;
+    }
+
+    public function getSurchargePercent(): ?float
+    {
+        return $this->surchargePercent;
+    }
+
+    public function setSurchargePercent(?float $surchargePercent): void
+    {
+        $this->surchargePercent = $surchargePercent;
+    }
+
+    public function getSupplier(): ?SupplierEntity
+    {
+        return $this->supplier;
+    }
+
+    public function setSupplier(?SupplierEntity $supplier): void
+    {
+        $this->supplier = $supplier;
+    }
+}
@@ -18,6 +18,7 @@ use Shopware\Core\Framework\DataAbstractionLayer\Field\StringField;
 use Shopware\Core\Framework\DataAbstractionLayer\FieldCollection;
 use Artiss\Supplier\Core\Content\Supplier\Aggregate\SupplierMedia\SupplierMediaDefinition;
 use Artiss\Supplier\Core\Content\PriceTemplate\PriceTemplateDefinition;
+use Artiss\Supplier\Core\Content\Supplier\Aggregate\SupplierExchangeRate\SupplierExchangeRateDefinition;
 
 class SupplierDefinition extends EntityDefinition
 {
@@ -58,6 +59,9 @@ class SupplierDefinition extends EntityDefinition
             // JSON field for equipment type IDs (for filtering)
             (new JsonField('equipment_type_ids', 'equipmentTypeIds'))->addFlags(new ApiAware()),
 
+            // JSON field for price list source: URL, inbox directory or SFTP
+            (new JsonField('price_source', 'priceSource'))->addFlags(new ApiAware()),
+
             // Custom fields for all other properties (contacts, commercial terms, etc.)
             (new CustomFields())->addFlags(new ApiAware()),
 
@@ -69,6 +73,9 @@ class SupplierDefinition extends EntityDefinition
 
             // Price import templates
             (new OneToManyAssociationField('priceTemplates', PriceTemplateDefinition::class, 'supplier_id', 'id'))->addFlags(new ApiAware()),
+
+            // Supplier specific exchange rates
+            (new OneToManyAssociationField('exchangeRates', SupplierExchangeRateDefinition::class, 'supplier_id', 'id'))->addFlags(new ApiAware()),
         ]);
     }
 }
@@ -3,6 +3,7 @@
 namespace Artiss\Supplier\Core\Content\Supplier;
 
 use Artiss\Supplier\Core\Content\PriceTemplate\PriceTemplateCollection;
+use Artiss\Supplier\Core\Content\Supplier\Aggregate\SupplierExchangeRate\SupplierExchangeRateCollection;
 use Shopware\Core\Content\Media\MediaCollection;
 use Shopware\Core\Content\Product\ProductCollection;
 use Shopware\Core\Framework\DataAbstractionLayer\Entity;
@@ -23,6 +24,9 @@ class SupplierEntity extends Entity
     // JSON field for equipment type IDs
     protected ?array $equipmentTypeIds = null;
 
+    // JSON field for automatic price list fetching (see PriceSourceFetcher)
+    protected ?array $priceSource = null;
+
     // Custom fields (contacts, commercial terms, additional info, service flags, files)
     protected ?array $customFields = null;
 
@@ -32,6 +36,8 @@ class SupplierEntity extends Entity
 
     protected ?PriceTemplateCollection $priceTemplates = null;
 
+    protected ?SupplierExchangeRateCollection $exchangeRates = null;
+
     public function getName(): string
     {
         return $this->name;
@@ -72,6 +78,16 @@ class SupplierEntity extends Entity
         $this->equipmentTypeIds = $equipmentTypeIds;
     }
 
+    public function getPriceSource(): ?array
+    {
+        return $this->priceSource;
+    }
+
+    public function setPriceSource(?array $priceSource): void
+    {
+        $this->priceSource = $priceSource;
+    }
+
     public function getCustomFields(): ?array
     {
         return $this->customFields;
@@ -111,4 +127,14 @@ class SupplierEntity extends Entity
     {
         $this->priceTemplates = $priceTemplates;
     }
+
+    public function getExchangeRates(): ?SupplierExchangeRateCollection
+    {
+        return $this->exchangeRates;
+    }
+
+    public function setExchangeRates(?SupplierExchangeRateCollection $exchangeRates): void
+    {
+        $this->exchangeRates = $exchangeRates;
+    }
 }
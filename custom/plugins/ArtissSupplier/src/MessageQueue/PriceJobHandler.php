@@ -0,0 +1,21 @@
+<?php declare(strict_types=1);
+
+namespace Artiss\Supplier\MessageQueue;
+
+use Artiss\Supplier\Service\PriceUpdate\PriceJobService;
+use Shopware\Core\Framework\Context;
+use Symfony\Component\Messenger\Attribute\AsMessageHandler;
+
+#[AsMessageHandler(handles: PriceJobMessage::class)]
+class PriceJobHandler
+{
+    public function __construct(
+        private readonly PriceJobService $priceJobService
+    ) {
+    }
+
+    public function __invoke(PriceJobMessage $message): void
+    {
+        $this->priceJobService->runStep($message->getJobId(), Context::createDefaultContext());
+    }
+}
@@ -0,0 +1,21 @@
+<?php declare(strict_types=1);
+
+namespace Artiss\Supplier\MessageQueue;
+
+use Shopware\Core\Framework\MessageQueue\AsyncMessageInterface;
+
+/**
+ * Runs the next step of a price job (art_supplier_price_job)
+ */
+class PriceJobMessage implements AsyncMessageInterface
+{
+    public function __construct(
+        private readonly string $jobId
+    ) {
+    }
+
+    public function getJobId(): string
+    {
+        return $this->jobId;
+    }
+}
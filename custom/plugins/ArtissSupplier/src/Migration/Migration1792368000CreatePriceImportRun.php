@@ -0,0 +1,45 @@
+<?php declare(strict_types=1);
+
+namespace Artiss\Supplier\Migration;
+
+use Doctrine\DBAL\Connection;
+use Shopware\Core\Framework\Migration\MigrationStep;
+
+class Migration1792368000CreatePriceImportRun extends MigrationStep
+{
+    public function getCreationTimestamp(): int
+    {
+        return 1792368000;
+    }
+
+    public function update(Connection $connection): void
+    {
+        $sql = <<<SQL
+CREATE TABLE IF NOT EXISTS `art_supplier_price_import_run` (
+    `id` BINARY(16) NOT NULL,
+    `price_template_id` BINARY(16) NOT NULL,
+    `media_id` BINARY(16) NULL,
+    `trigger` VARCHAR(32) NOT NULL,
+    `status` VARCHAR(32) NOT NULL,
+    `stats` JSON NULL,
+    `message` LONGTEXT NULL,
+    `started_at` DATETIME(3) NOT NULL,
+    `finished_at` DATETIME(3) NULL,
+    `created_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updated_at` DATETIME(3) NULL ON UPDATE CURRENT_TIMESTAMP(3),
+    PRIMARY KEY (`id`),
+    CONSTRAINT `fk.art_supplier_price_import_run.price_template_id` FOREIGN KEY (`price_template_id`)
+        REFERENCES `art_supplier_price_template` (`id`) ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT `fk.art_supplier_price_import_run.media_id` FOREIGN KEY (`media_id`)
+        REFERENCES `media` (`id`) ON DELETE SET NULL ON UPDATE CASCADE,
+    KEY `idx.art_supplier_price_import_run.template_started` (`price_template_id`, `started_at`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+SQL;
+
+        $connection->executeStatement($sql);
+    }
+
+    public function updateDestructive(Connection $connection): void
+    {
+    }
+}
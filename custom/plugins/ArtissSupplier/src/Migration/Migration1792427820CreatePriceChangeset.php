@@ -0,0 +1,68 @@
+<?php declare(strict_types=1);
+
+namespace Artiss\Supplier\Migration;
+
+use Doctrine\DBAL\Connection;
+use Shopware\Core\Framework\Migration\MigrationStep;
+
+class Migration1792427820CreatePriceChangeset extends MigrationStep
+{
+    public function getCreationTimestamp(): int
+    {
+        return 1792427820;
+    }
+
+    public function update(Connection $connection): void
+    {
+        $sql = <<<SQL
+CREATE TABLE IF NOT EXISTS `art_supplier_price_changeset` (
+    `id` BINARY(16) NOT NULL,
+    `price_template_id` BINARY(16) NOT NULL,
+    `user_id` BINARY(16) NULL,
+    `product_count` INT NOT NULL DEFAULT 0,
+    `stats` JSON NULL,
+    `reverted_at` DATETIME(3) NULL,
+    `reverted_by_user_id` BINARY(16) NULL,
+    `created_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updated_at` DATETIME(3) NULL ON UPDATE CURRENT_TIMESTAMP(3),
+    PRIMARY KEY (`id`),
+    CONSTRAINT `fk.art_supplier_price_changeset.price_template_id` FOREIGN KEY (`price_template_id`)
+        REFERENCES `art_supplier_price_template` (`id`) ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT `fk.art_supplier_price_changeset.user_id` FOREIGN KEY (`user_id`)
+        REFERENCES `user` (`id`) ON DELETE SET NULL ON UPDATE CASCADE,
+    CONSTRAINT `fk.art_supplier_price_changeset.reverted_by_user_id` FOREIGN KEY (`reverted_by_user_id`)
+        REFERENCES `user` (`id`) ON DELETE SET NULL ON UPDATE CASCADE,
+    KEY `idx.art_supplier_price_changeset.price_template_id` (`price_template_id`),
+    KEY `idx.art_supplier_price_changeset.created_at` (`created_at`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+SQL;
+
+        $connection->executeStatement($sql);
+
+        // Product is referenced without foreign key: history must survive product deletion
+        $sql = <<<SQL
+CREATE TABLE IF NOT EXISTS `art_supplier_price_changeset_item` (
+    `id` BINARY(16) NOT NULL,
+    `changeset_id` BINARY(16) NOT NULL,
+    `product_id` BINARY(16) NOT NULL,
+    `product_number` VARCHAR(64) NULL,
+    `product_name` VARCHAR(255) NULL,
+    `old_values` JSON NULL,
+    `new_values` JSON NULL,
+    `created_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updated_at` DATETIME(3) NULL ON UPDATE CURRENT_TIMESTAMP(3),
+    PRIMARY KEY (`id`),
+    CONSTRAINT `fk.art_supplier_price_changeset_item.changeset_id` FOREIGN KEY (`changeset_id`)
+        REFERENCES `art_supplier_price_changeset` (`id`) ON DELETE CASCADE ON UPDATE CASCADE,
+    KEY `idx.art_supplier_price_changeset_item.changeset_id` (`changeset_id`),
+    KEY `idx.art_supplier_price_changeset_item.product_id` (`product_id`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+SQL;
+
+        $connection->executeStatement($sql);
+    }
+
+    public function updateDestructive(Connection $connection): void
+    {
+    }
+}
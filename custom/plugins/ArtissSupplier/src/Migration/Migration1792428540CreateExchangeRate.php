@@ -0,0 +1,56 @@
+<?php declare(strict_types=1);
+
+namespace Artiss\Supplier\Migration;
+
+use Doctrine\DBAL\Connection;
+use Shopware\Core\Framework\Migration\MigrationStep;
+
+class Migration1792428540CreateExchangeRate extends MigrationStep
+{
+    public function getCreationTimestamp(): int
+    {
+        return 1792428540;
+    }
+
+    public function update(Connection $connection): void
+    {
+        $sql = <<<SQL
+CREATE TABLE IF NOT EXISTS `art_supplier_exchange_rate` (
+    `id` BINARY(16) NOT NULL,
+    `iso_code` VARCHAR(3) NOT NULL,
+    `factor` DOUBLE NOT NULL,
+    `previous_factor` DOUBLE NULL,
+    `change_percent` DOUBLE NULL,
+    `source` VARCHAR(64) NOT NULL,
+    `created_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updated_at` DATETIME(3) NULL ON UPDATE CURRENT_TIMESTAMP(3),
+    PRIMARY KEY (`id`),
+    KEY `idx.art_supplier_exchange_rate.iso_code_created` (`iso_code`, `created_at`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+SQL;
+
+        $connection->executeStatement($sql);
+
+        $sql = <<<SQL
+CREATE TABLE IF NOT EXISTS `art_supplier_exchange_rate_override` (
+    `id` BINARY(16) NOT NULL,
+    `supplier_id` BINARY(16) NOT NULL,
+    `iso_code` VARCHAR(3) NOT NULL,
+    `factor` DOUBLE NULL,
+    `surcharge_percent` DOUBLE NULL,
+    `created_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updated_at` DATETIME(3) NULL ON UPDATE CURRENT_TIMESTAMP(3),
+    PRIMARY KEY (`id`),
+    UNIQUE KEY `uniq.art_supplier_exchange_rate_override.supplier_iso_code` (`supplier_id`, `iso_code`),
+    CONSTRAINT `fk.art_supplier_exchange_rate_override.supplier_id` FOREIGN KEY (`supplier_id`)
+        REFERENCES `art_supplier` (`id`) ON DELETE CASCADE ON UPDATE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+SQL;
+
+        $connection->executeStatement($sql);
+    }
+
+    public function updateDestructive(Connection $connection): void
+    {
+    }
+}
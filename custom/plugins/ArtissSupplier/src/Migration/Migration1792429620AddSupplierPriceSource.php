@@ -0,0 +1,32 @@
+<?php declare(strict_types=1);
+
+namespace Artiss\Supplier\Migration;
+
+use Doctrine\DBAL\Connection;
+use Shopware\Core\Framework\Migration\MigrationStep;
+
+class Migration1792429620AddSupplierPriceSource extends MigrationStep
+{
+    public function getCreationTimestamp(): int
+    {
+        return 1792429620;
+    }
+
+    public function update(Connection $connection): void
+    {
+        $sql = <<<SQL
+ALTER TABLE `art_supplier`
+ADD COLUMN `price_source` JSON NULL AFTER `equipment_type_ids`;
+SQL;
+        $connection->executeStatement($sql);
+    }
+
+    public function updateDestructive(Connection $connection): void
+    {
+        $sql = <<<SQL
+ALTER TABLE `art_supplier`
+DROP COLUMN IF EXISTS `price_source`;
+SQL;
+        $connection->executeStatement($sql);
+    }
+}
@@ -0,0 +1,43 @@
+<?php declare(strict_types=1);
+
+namespace Artiss\Supplier\Migration;
+
+use Doctrine\DBAL\Connection;
+use Shopware\Core\Framework\Migration\MigrationStep;
+
+class Migration1792429800CreatePriceTemplateVersion extends MigrationStep
+{
+    public function getCreationTimestamp(): int
+    {
+        return 1792429800;
+    }
+
+    public function update(Connection $connection): void
+    {
+        $sql = <<<SQL
+CREATE TABLE IF NOT EXISTS `art_supplier_price_template_version` (
+    `id` BINARY(16) NOT NULL,
+    `price_template_id` BINARY(16) NOT NULL,
+    `version` INT NOT NULL,
+    `config` JSON NULL,
+    `reason` VARCHAR(32) NOT NULL,
+    `comment` VARCHAR(255) NULL,
+    `user_id` BINARY(16) NULL,
+    `created_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updated_at` DATETIME(3) NULL ON UPDATE CURRENT_TIMESTAMP(3),
+    PRIMARY KEY (`id`),
+    CONSTRAINT `fk.art_supplier_price_template_version.price_template_id` FOREIGN KEY (`price_template_id`)
+        REFERENCES `art_supplier_price_template` (`id`) ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT `fk.art_supplier_price_template_version.user_id` FOREIGN KEY (`user_id`)
+        REFERENCES `user` (`id`) ON DELETE SET NULL ON UPDATE CASCADE,
+    UNIQUE KEY `uniq.art_supplier_price_template_version.version` (`price_template_id`, `version`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+SQL;
+
+        $connection->executeStatement($sql);
+    }
+
+    public function updateDestructive(Connection $connection): void
+    {
+    }
+}
@@ -0,0 +1,50 @@
+<?php declare(strict_types=1);
+
+namespace Artiss\Supplier\Migration;
+
+use Doctrine\DBAL\Connection;
+use Shopware\Core\Framework\Migration\MigrationStep;
+
+class Migration1792430220CreateDiscontinuedProduct extends MigrationStep
+{
+    public function getCreationTimestamp(): int
+    {
+        return 1792430220;
+    }
+
+    public function update(Connection $connection): void
+    {
+        // Product is referenced without foreign key like in changeset items, rows of deleted products are cleaned up on tracking
+        $sql = <<<SQL
+CREATE TABLE IF NOT EXISTS `art_supplier_discontinued_product` (
+    `id` BINARY(16) NOT NULL,
+    `price_template_id` BINARY(16) NOT NULL,
+    `supplier_id` BINARY(16) NOT NULL,
+    `product_id` BINARY(16) NOT NULL,
+    `product_number` VARCHAR(64) NULL,
+    `product_name` VARCHAR(255) NULL,
+    `supplier_code` VARCHAR(255) NOT NULL,
+    `missing_count` INT NOT NULL DEFAULT 1,
+    `first_missing_at` DATETIME(3) NOT NULL,
+    `last_media_id` BINARY(16) NULL,
+    `action` VARCHAR(32) NULL,
+    `action_at` DATETIME(3) NULL,
+    `created_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updated_at` DATETIME(3) NULL ON UPDATE CURRENT_TIMESTAMP(3),
+    PRIMARY KEY (`id`),
+    CONSTRAINT `fk.art_supplier_discontinued_product.price_template_id` FOREIGN KEY (`price_template_id`)
+        REFERENCES `art_supplier_price_template` (`id`) ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT `fk.art_supplier_discontinued_product.supplier_id` FOREIGN KEY (`supplier_id`)
+        REFERENCES `art_supplier` (`id`) ON DELETE CASCADE ON UPDATE CASCADE,
+    UNIQUE KEY `uniq.art_supplier_discontinued_product.product` (`price_template_id`, `product_id`),
+    KEY `idx.art_supplier_discontinued_product.supplier_id` (`supplier_id`, `missing_count`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+SQL;
+
+        $connection->executeStatement($sql);
+    }
+
+    public function updateDestructive(Connection $connection): void
+    {
+    }
+}
@@ -0,0 +1,32 @@
+<?php declare(strict_types=1);
+
+namespace Artiss\Supplier\Migration;
+
+use Doctrine\DBAL\Connection;
+use Shopware\Core\Framework\Migration\MigrationStep;
+
+class Migration1792430400AddPriceTemplateMatchStats extends MigrationStep
+{
+    public function getCreationTimestamp(): int
+    {
+        return 1792430400;
+    }
+
+    public function update(Connection $connection): void
+    {
+        $sql = <<<SQL
+ALTER TABLE `art_supplier_price_template`
+ADD COLUMN `match_stats` JSON NULL AFTER `matched_products`;
+SQL;
+        $connection->executeStatement($sql);
+    }
+
+    public function updateDestructive(Connection $connection): void
+    {
+        $sql = <<<SQL
+ALTER TABLE `art_supplier_price_template`
+DROP COLUMN IF EXISTS `match_stats`;
+SQL;
+        $connection->executeStatement($sql);
+    }
+}
@@ -0,0 +1,71 @@
+<?php declare(strict_types=1);
+
+namespace Artiss\Supplier\Migration;
+
+use Doctrine\DBAL\Connection;
+use Shopware\Core\Framework\Migration\MigrationStep;
+
+class Migration1792431000CreatePurchaseOrder extends MigrationStep
+{
+    public function getCreationTimestamp(): int
+    {
+        return 1792431000;
+    }
+
+    public function update(Connection $connection): void
+    {
+        $sql = <<<SQL
+CREATE TABLE IF NOT EXISTS `art_supplier_purchase_order` (
+    `id` BINARY(16) NOT NULL,
+    `supplier_id` BINARY(16) NOT NULL,
+    `user_id` BINARY(16) NULL,
+    `order_number` VARCHAR(32) NOT NULL,
+    `status` VARCHAR(32) NOT NULL DEFAULT 'draft',
+    `item_count` INT NOT NULL DEFAULT 0,
+    `totals` JSON NULL,
+    `comment` LONGTEXT NULL,
+    `status_changed_at` DATETIME(3) NULL,
+    `created_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updated_at` DATETIME(3) NULL ON UPDATE CURRENT_TIMESTAMP(3),
+    PRIMARY KEY (`id`),
+    CONSTRAINT `fk.art_supplier_purchase_order.supplier_id` FOREIGN KEY (`supplier_id`)
+        REFERENCES `art_supplier` (`id`) ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT `fk.art_supplier_purchase_order.user_id` FOREIGN KEY (`user_id`)
+        REFERENCES `user` (`id`) ON DELETE SET NULL ON UPDATE CASCADE,
+    UNIQUE KEY `uniq.art_supplier_purchase_order.order_number` (`order_number`),
+    KEY `idx.art_supplier_purchase_order.supplier_id` (`supplier_id`, `created_at`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+SQL;
+
+        $connection->executeStatement($sql);
+
+        // Product is referenced without foreign key: sent orders must survive product deletion
+        $sql = <<<SQL
+CREATE TABLE IF NOT EXISTS `art_supplier_purchase_order_item` (
+    `id` BINARY(16) NOT NULL,
+    `purchase_order_id` BINARY(16) NOT NULL,
+    `product_id` BINARY(16) NOT NULL,
+    `product_number` VARCHAR(64) NULL,
+    `product_name` VARCHAR(255) NULL,
+    `supplier_code` VARCHAR(255) NULL,
+    `stock` INT NULL,
+    `quantity` INT NOT NULL DEFAULT 1,
+    `purchase_price` DOUBLE NULL,
+    `currency` VARCHAR(8) NULL,
+    `position` INT NOT NULL DEFAULT 0,
+    `created_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updated_at` DATETIME(3) NULL ON UPDATE CURRENT_TIMESTAMP(3),
+    PRIMARY KEY (`id`),
+    CONSTRAINT `fk.art_supplier_purchase_order_item.purchase_order_id` FOREIGN KEY (`purchase_order_id`)
+        REFERENCES `art_supplier_purchase_order` (`id`) ON DELETE CASCADE ON UPDATE CASCADE,
+    KEY `idx.art_supplier_purchase_order_item.purchase_order_id` (`purchase_order_id`, `position`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+SQL;
+
+        $connection->executeStatement($sql);
+    }
+
+    public function updateDestructive(Connection $connection): void
+    {
+    }
+}
@@ -0,0 +1,32 @@
+<?php declare(strict_types=1);
+
+namespace Artiss\Supplier\Migration;
+
+use Doctrine\DBAL\Connection;
+use Shopware\Core\Framework\Migration\MigrationStep;
+
+class Migration1792431360AddPriceTemplateRejectedMatches extends MigrationStep
+{
+    public function getCreationTimestamp(): int
+    {
+        return 1792431360;
+    }
+
+    public function update(Connection $connection): void
+    {
+        $sql = <<<SQL
+ALTER TABLE `art_supplier_price_template`
+ADD COLUMN `rejected_matches` JSON NULL AFTER `match_stats`;
+SQL;
+        $connection->executeStatement($sql);
+    }
+
+    public function updateDestructive(Connection $connection): void
+    {
+        $sql = <<<SQL
+ALTER TABLE `art_supplier_price_template`
+DROP COLUMN IF EXISTS `rejected_matches`;
+SQL;
+        $connection->executeStatement($sql);
+    }
+}
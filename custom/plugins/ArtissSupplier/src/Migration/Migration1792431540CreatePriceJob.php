@@ -0,0 +1,49 @@
+<?php declare(strict_types=1);
+
+namespace Artiss\Supplier\Migration;
+
+use Doctrine\DBAL\Connection;
+use Shopware\Core\Framework\Migration\MigrationStep;
+
+class Migration1792431540CreatePriceJob extends MigrationStep
+{
+    public function getCreationTimestamp(): int
+    {
+        return 1792431540;
+    }
+
+    public function update(Connection $connection): void
+    {
+        $sql = <<<SQL
+CREATE TABLE IF NOT EXISTS `art_supplier_price_job` (
+    `id` BINARY(16) NOT NULL,
+    `price_template_id` BINARY(16) NOT NULL,
+    `user_id` BINARY(16) NULL,
+    `type` VARCHAR(32) NOT NULL,
+    `status` VARCHAR(32) NOT NULL,
+    `params` JSON NULL,
+    `result` JSON NULL,
+    `total` INT NOT NULL DEFAULT 0,
+    `processed` INT NOT NULL DEFAULT 0,
+    `message` LONGTEXT NULL,
+    `started_at` DATETIME(3) NULL,
+    `finished_at` DATETIME(3) NULL,
+    `collected_at` DATETIME(3) NULL,
+    `created_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updated_at` DATETIME(3) NULL ON UPDATE CURRENT_TIMESTAMP(3),
+    PRIMARY KEY (`id`),
+    CONSTRAINT `fk.art_supplier_price_job.price_template_id` FOREIGN KEY (`price_template_id`)
+        REFERENCES `art_supplier_price_template` (`id`) ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT `fk.art_supplier_price_job.user_id` FOREIGN KEY (`user_id`)
+        REFERENCES `user` (`id`) ON DELETE SET NULL ON UPDATE CASCADE,
+    KEY `idx.art_supplier_price_job.template_type` (`price_template_id`, `type`, `created_at`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+SQL;
+
+        $connection->executeStatement($sql);
+    }
+
+    public function updateDestructive(Connection $connection): void
+    {
+    }
+}
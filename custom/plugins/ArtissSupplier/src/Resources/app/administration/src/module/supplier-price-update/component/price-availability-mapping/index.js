@@ -0,0 +1,100 @@
+import template from './price-availability-mapping.html.twig';
+import './price-availability-mapping.scss';
+
+const { Component } = Shopware;
+
+/**
+ * Editor for the availability mapping of a price template (config.availability_mapping).
+ * Values are resolved by AvailabilityMappingService on the backend and resolveAvailability in the wizard.
+ */
+Component.register('price-availability-mapping', {
+    template,
+
+    emits: ['change'],
+
+    props: {
+        availabilityMapping: {
+            type: Object,
+            required: true
+        }
+    },
+
+    computed: {
+        matchTypeOptions() {
+            return [
+                { value: 'text', label: this.$tc('supplier.priceUpdate.availabilityMapping.matchTypeText') },
+                { value: 'regex', label: this.$tc('supplier.priceUpdate.availabilityMapping.matchTypeRegex') },
+                { value: 'number', label: this.$tc('supplier.priceUpdate.availabilityMapping.matchTypeNumber') }
+            ];
+        },
+
+        flagOptions() {
+            return [
+                { value: 'keep', label: this.$tc('supplier.priceUpdate.availabilityMapping.flagKeep') },
+                { value: 'yes', label: this.$tc('supplier.priceUpdate.availabilityMapping.flagYes') },
+                { value: 'no', label: this.$tc('supplier.priceUpdate.availabilityMapping.flagNo') }
+            ];
+        }
+    },
+
+    methods: {
+        addRule() {
+            this.availabilityMapping.rules.push({
+                match_type: 'text',
+                pattern: '',
+                stock: null,
+                delivery_time_id: null,
+                is_closeout: null,
+                active: null
+            });
+            this.onChange();
+        },
+
+        removeRule(index) {
+            this.availabilityMapping.rules.splice(index, 1);
+            this.onChange();
+        },
+
+        moveRule(index, direction) {
+            const target = index + direction;
+            if (target < 0 || target >= this.availabilityMapping.rules.length) {
+                return;
+            }
+
+            const rules = this.availabilityMapping.rules;
+            [rules[index], rules[target]] = [rules[target], rules[index]];
+            this.onChange();
+        },
+
+        getStockHelpText(rule) {
+            return rule.match_type === 'number'
+                ? this.$tc('supplier.priceUpdate.availabilityMapping.helpStockNumber')
+                : this.$tc('supplier.priceUpdate.availabilityMapping.helpStock');
+        },
+
+        /**
+         * is_closeout and active are stored as true, false or null (keep current value)
+         */
+        getFlagValue(value) {
+            if (value === null || value === undefined) {
+                return 'keep';
+            }
+
+            return value ? 'yes' : 'no';
+        },
+
+        onFlagChange(target, field, value) {
+            target[field] = value === 'keep' ? null : value === 'yes';
+            this.onChange();
+        },
+
+        onDeliveryTimeChange(target, value) {
+            target.delivery_time_id = value || null;
+            this.onChange();
+        },
+
+        onChange() {
+            this.$emit('change');
+        }
+    }
+});
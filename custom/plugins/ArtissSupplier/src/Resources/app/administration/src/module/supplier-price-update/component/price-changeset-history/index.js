@@ -0,0 +1,332 @@
+import template from './price-changeset-history.html.twig';
+import './price-changeset-history.scss';
+
+const { Component, Mixin } = Shopware;
+const { Criteria } = Shopware.Data;
+
+Component.register('price-changeset-history', {
+    template,
+
+    inject: [
+        'repositoryFactory',
+        'priceUpdateService'
+    ],
+
+    mixins: [
+        Mixin.getByName('notification')
+    ],
+
+    emits: ['reverted'],
+
+    props: {
+        templateId: {
+            type: String,
+            required: true
+        }
+    },
+
+    data() {
+        return {
+            changesets: null,
+            isLoading: false,
+            page: 1,
+            limit: 10,
+            total: 0,
+            selectedChangeset: null,
+            items: null,
+            isLoadingItems: false,
+            itemsPage: 1,
+            itemsLimit: 25,
+            itemsTotal: 0,
+            changesetToRevert: null,
+            isReverting: false,
+            isExporting: false
+        };
+    },
+
+    computed: {
+        changesetRepository() {
+            return this.repositoryFactory.create('art_supplier_price_changeset');
+        },
+
+        changesetItemRepository() {
+            return this.repositoryFactory.create('art_supplier_price_changeset_item');
+        },
+
+        changesetColumns() {
+            return [
+                {
+                    property: 'createdAt',
+                    label: this.$tc('supplier.priceUpdate.history.columnDate'),
+                    allowResize: true,
+                    primary: true
+                },
+                {
+                    property: 'user',
+                    label: this.$tc('supplier.priceUpdate.history.columnUser'),
+                    allowResize: true
+                },
+                {
+                    property: 'productCount',
+                    label: this.$tc('supplier.priceUpdate.history.columnProducts'),
+                    allowResize: true,
+                    width: '120px'
+                },
+                {
+                    property: 'status',
+                    label: this.$tc('supplier.priceUpdate.history.columnStatus'),
+                    allowResize: true
+                }
+            ];
+        },
+
+        itemColumns() {
+            return [
+                {
+                    property: 'productName',
+                    label: this.$tc('supplier.priceUpdate.history.columnProduct'),
+                    allowResize: true,
+                    primary: true
+                },
+                {
+                    property: 'purchase',
+                    label: this.$tc('supplier.priceUpdate.wizard.columnTypePurchasePrice'),
+                    allowResize: true
+                },
+                {
+                    property: 'retail',
+                    label: this.$tc('supplier.priceUpdate.wizard.columnTypeRetailPrice'),
+                    allowResize: true
+                },
+                {
+                    property: 'list',
+                    label: this.$tc('supplier.priceUpdate.wizard.columnTypeListPrice'),
+                    allowResize: true
+                },
+                {
+                    property: 'stock',
+                    label: this.$tc('supplier.priceUpdate.history.columnStock'),
+                    allowResize: true,
+                    width: '120px'
+                }
+            ];
+        }
+    },
+
+    created() {
+        this.loadChangesets();
+    },
+
+    methods: {
+        async loadChangesets() {
+            this.isLoading = true;
+
+            try {
+                const criteria = new Criteria(this.page, this.limit);
+                criteria.addFilter(Criteria.equals('priceTemplateId', this.templateId));
+                criteria.addSorting(Criteria.sort('createdAt', 'DESC'));
+                criteria.addAssociation('user');
+                criteria.addAssociation('revertedByUser');
+
+                const result = await this.changesetRepository.search(criteria, Shopware.Context.api);
+                this.changesets = result;
+                this.total = result.total;
+            } catch (error) {
+                this.createNotificationError({
+                    message: this.$tc('supplier.priceUpdate.history.errorLoad')
+                });
+            } finally {
+                this.isLoading = false;
+            }
+        },
+
+        onPageChange({ page, limit }) {
+            this.page = page;
+            this.limit = limit;
+            this.loadChangesets();
+        },
+
+        async openDetails(changeset) {
+            this.selectedChangeset = changeset;
+            this.itemsPage = 1;
+            await this.loadItems();
+        },
+
+        closeDetails() {
+            this.selectedChangeset = null;
+            this.items = null;
+        },
+
+        async loadItems() {
+            this.isLoadingItems = true;
+
+            try {
+                const criteria = new Criteria(this.itemsPage, this.itemsLimit);
+                criteria.addFilter(Criteria.equals('changesetId', this.selectedChangeset.id));
+                criteria.addSorting(Criteria.sort('productName', 'ASC'));
+
+                const result = await this.changesetItemRepository.search(criteria, Shopware.Context.api);
+                this.items = result;
+                this.itemsTotal = result.total;
+            } catch (error) {
+                this.createNotificationError({
+                    message: this.$tc('supplier.priceUpdate.history.errorLoad')
+                });
+            } finally {
+                this.isLoadingItems = false;
+            }
+        },
+
+        onItemsPageChange({ page, limit }) {
+            this.itemsPage = page;
+            this.itemsLimit = limit;
+            this.loadItems();
+        },
+
+        onRevert(changeset) {
+            this.changesetToRevert = changeset;
+        },
+
+        onCancelRevert() {
+            this.changesetToRevert = null;
+        },
+
+        async onConfirmRevert() {
+            this.isReverting = true;
+
+            try {
+                const response = await this.priceUpdateService.revertChangeset(this.changesetToRevert.id);
+
+                this.createNotificationSuccess({
+                    message: this.$tc('supplier.priceUpdate.history.successRevert', 0, {
+                        count: response.stats?.restored || 0
+                    })
+                });
+
+                this.changesetToRevert = null;
+                this.$emit('reverted');
+                await this.loadChangesets();
+            } catch (error) {
+                this.createNotificationError({
+                    message: error.response?.data?.error || this.$tc('supplier.priceUpdate.history.errorRevert')
+                });
+            } finally {
+                this.isReverting = false;
+            }
+        },
+
+        async onExport(changeset, format) {
+            this.isExporting = true;
+
+            try {
+                const file = await this.priceUpdateService.exportChangeset(
+                    changeset.id,
+                    this.getExportColumns(),
+                    format
+                );
+
+                this.downloadFile(file);
+            } catch (error) {
+                this.createNotificationError({
+                    message: this.$tc('supplier.priceUpdate.export.errorExport')
+                });
+            } finally {
+                this.isExporting = false;
+            }
+        },
+
+        getExportColumns() {
+            const priceTypes = {
+                purchase: this.$tc('supplier.priceUpdate.wizard.columnTypePurchasePrice'),
+                retail: this.$tc('supplier.priceUpdate.wizard.columnTypeRetailPrice'),
+                list: this.$tc('supplier.priceUpdate.wizard.columnTypeListPrice')
+            };
+            const stock = this.$tc('supplier.priceUpdate.history.columnStock');
+            const supplierCode = this.$tc('supplier.priceUpdate.wizard.columnSupplierCode');
+
+            const columns = [
+                { property: 'product_number', label: this.$tc('supplier.priceUpdate.wizard.columnProductNumber') },
+                { property: 'product_name', label: this.$tc('supplier.priceUpdate.history.columnProduct') },
+                { property: 'supplier_code_old', label: this.$tc('supplier.priceUpdate.export.column.old', 0, { type: supplierCode }) },
+                { property: 'supplier_code_new', label: this.$tc('supplier.priceUpdate.export.column.new', 0, { type: supplierCode }) }
+            ];
+
+            Object.entries(priceTypes).forEach(([type, label]) => {
+                ['old', 'new', 'currency'].forEach(value => {
+                    columns.push({
+                        property: `${type}_${value}`,
+                        label: this.$tc(`supplier.priceUpdate.export.column.${value}`, 0, { type: label })
+                    });
+                });
+            });
+
+            columns.push(
+                { property: 'stock_old', label: this.$tc('supplier.priceUpdate.export.column.old', 0, { type: stock }) },
+                { property: 'stock_new', label: this.$tc('supplier.priceUpdate.export.column.new', 0, { type: stock }) }
+            );
+
+            return columns;
+        },
+
+        downloadFile({ blob, fileName }) {
+            const url = window.URL.createObjectURL(blob);
+
+            // Create temporary link and trigger download
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = fileName;
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            window.URL.revokeObjectURL(url);
+        },
+
+        getUserName(user) {
+            if (!user) {
+                return this.$tc('supplier.priceUpdate.history.userSystem');
+            }
+            return `${user.firstName || ''} ${user.lastName || ''}`.trim() || user.username;
+        },
+
+        getPriceChange(item, type) {
+            const field = `${type}_price_value`;
+            const oldValues = item.oldValues || {};
+            const newValues = item.newValues || {};
+
+            if (!(field in newValues)) {
+                return null;
+            }
+
+            return {
+                old: oldValues[field],
+                new: newValues[field],
+                oldCurrency: oldValues[`${type}_price_currency`] || '',
+                newCurrency: newValues[`${type}_price_currency`] || ''
+            };
+        },
+
+        getPriceChangeClass(change) {
+            if (change.old === null || change.old === undefined) return 'is--new';
+            if (change.new > change.old) return 'is--increase';
+            if (change.new < change.old) return 'is--decrease';
+            return '';
+        },
+
+        formatPrice(value) {
+            if (value === null || value === undefined || value === '') return '-';
+            return Number(value).toFixed(2);
+        },
+
+        formatDate(dateString) {
+            if (!dateString) return '-';
+            const date = new Date(dateString);
+            return date.toLocaleString('ru-RU', {
+                year: 'numeric',
+                month: '2-digit',
+                day: '2-digit',
+                hour: '2-digit',
+                minute: '2-digit'
+            });
+        }
+    }
+});
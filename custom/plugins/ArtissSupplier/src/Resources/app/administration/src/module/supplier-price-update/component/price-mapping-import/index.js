@@ -0,0 +1,166 @@
+import template from './price-mapping-import.html.twig';
+import './price-mapping-import.scss';
+
+const { Component, Mixin } = Shopware;
+
+/**
+ * Download and upload of the template product <-> supplier code mapping as a spreadsheet.
+ * Uploaded file is validated first (dry run), mapping is saved after the report is confirmed.
+ */
+Component.register('price-mapping-import', {
+    template,
+
+    inject: [
+        'priceUpdateService'
+    ],
+
+    mixins: [
+        Mixin.getByName('notification')
+    ],
+
+    emits: ['imported'],
+
+    props: {
+        templateId: {
+            type: String,
+            required: true
+        }
+    },
+
+    data() {
+        return {
+            isExporting: false,
+            isValidating: false,
+            isImporting: false,
+            selectedFile: null,
+            report: null
+        };
+    },
+
+    computed: {
+        reportColumns() {
+            return [
+                {
+                    property: 'row',
+                    label: this.$tc('supplier.priceUpdate.mappingImport.columnRow'),
+                    width: '80px'
+                },
+                {
+                    property: 'product_number',
+                    label: this.$tc('supplier.priceUpdate.wizard.columnProductNumber')
+                },
+                {
+                    property: 'supplier_code',
+                    label: this.$tc('supplier.priceUpdate.wizard.columnSupplierCode')
+                },
+                {
+                    property: 'type',
+                    label: this.$tc('supplier.priceUpdate.mappingImport.columnIssue')
+                }
+            ];
+        },
+
+        hasChanges() {
+            if (!this.report) {
+                return false;
+            }
+
+            const { added, changed, removed } = this.report.stats;
+            return added + changed + removed > 0;
+        }
+    },
+
+    methods: {
+        async onExport() {
+            this.isExporting = true;
+
+            try {
+                const file = await this.priceUpdateService.exportMapping(this.templateId);
+                this.downloadFile(file);
+            } catch (error) {
+                this.createNotificationError({
+                    message: this.$tc('supplier.priceUpdate.export.errorExport')
+                });
+            } finally {
+                this.isExporting = false;
+            }
+        },
+
+        onSelectFile() {
+            this.$refs.fileInput.click();
+        },
+
+        async onFileChange(event) {
+            const file = event.target.files[0];
+            // Allow selecting the same file again
+            event.target.value = '';
+
+            if (!file) {
+                return;
+            }
+
+            this.selectedFile = file;
+            this.isValidating = true;
+
+            try {
+                const response = await this.priceUpdateService.importMapping(this.templateId, file, true);
+                this.report = response.report;
+            } catch (error) {
+                this.selectedFile = null;
+                this.createNotificationError({
+                    message: error.response?.data?.error || this.$tc('supplier.priceUpdate.mappingImport.errorImport')
+                });
+            } finally {
+                this.isValidating = false;
+            }
+        },
+
+        async onConfirmImport() {
+            this.isImporting = true;
+
+            try {
+                const response = await this.priceUpdateService.importMapping(this.templateId, this.selectedFile, false);
+                const { added, changed, removed } = response.report.stats;
+
+                this.createNotificationSuccess({
+                    message: this.$tc('supplier.priceUpdate.mappingImport.successImport', 0, {
+                        added,
+                        changed,
+                        removed
+                    })
+                });
+
+                this.closeReport();
+                this.$emit('imported');
+            } catch (error) {
+                this.createNotificationError({
+                    message: error.response?.data?.error || this.$tc('supplier.priceUpdate.mappingImport.errorImport')
+                });
+            } finally {
+                this.isImporting = false;
+            }
+        },
+
+        closeReport() {
+            this.report = null;
+            this.selectedFile = null;
+        },
+
+        getIssueLabel(type) {
+            return this.$tc(`supplier.priceUpdate.mappingImport.issue.${type}`);
+        },
+
+        downloadFile({ blob, fileName }) {
+            const url = window.URL.createObjectURL(blob);
+
+            // Create temporary link and trigger download
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = fileName;
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            window.URL.revokeObjectURL(url);
+        }
+    }
+});
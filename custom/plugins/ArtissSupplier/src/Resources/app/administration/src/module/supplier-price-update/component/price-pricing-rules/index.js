@@ -0,0 +1,139 @@
+import template from './price-pricing-rules.html.twig';
+import './price-pricing-rules.scss';
+
+const { Component } = Shopware;
+const { Criteria } = Shopware.Data;
+
+/**
+ * Editor for margin-based pricing rules of a price template (config.pricing_rules).
+ * Rules are evaluated by PricingRuleService on the backend and applyPricingRules in the wizard.
+ */
+Component.register('price-pricing-rules', {
+    template,
+
+    inject: [
+        'repositoryFactory'
+    ],
+
+    emits: ['change'],
+
+    props: {
+        pricingRules: {
+            type: Object,
+            required: true
+        }
+    },
+
+    computed: {
+        categoryRepository() {
+            return this.repositoryFactory.create('category');
+        },
+
+        manufacturerRepository() {
+            return this.repositoryFactory.create('product_manufacturer');
+        },
+
+        categoryCriteria() {
+            const criteria = new Criteria();
+            criteria.addSorting(Criteria.sort('name', 'ASC'));
+            return criteria;
+        },
+
+        manufacturerCriteria() {
+            const criteria = new Criteria();
+            criteria.addSorting(Criteria.sort('name', 'ASC'));
+            return criteria;
+        },
+
+        targetTypes() {
+            return ['retail', 'list'];
+        },
+
+        targetTypeOptions() {
+            return this.targetTypes.map(type => ({
+                value: type,
+                label: this.getPriceTypeLabel(type)
+            }));
+        },
+
+        derivedModeOptions() {
+            return [
+                { value: 'off', label: this.$tc('supplier.priceUpdate.pricingRules.modeOff') },
+                { value: 'missing', label: this.$tc('supplier.priceUpdate.pricingRules.modeMissing') },
+                { value: 'always', label: this.$tc('supplier.priceUpdate.pricingRules.modeAlways') }
+            ];
+        },
+
+        roundingStrategyOptions() {
+            return [
+                { value: 'none', label: this.$tc('supplier.priceUpdate.pricingRules.roundingNone') },
+                { value: 'up', label: this.$tc('supplier.priceUpdate.pricingRules.roundingUp') },
+                { value: 'nearest', label: this.$tc('supplier.priceUpdate.pricingRules.roundingNearest') }
+            ];
+        }
+    },
+
+    methods: {
+        getPriceTypeLabel(type) {
+            const labels = {
+                purchase: 'supplier.priceUpdate.wizard.priceTypePurchase',
+                retail: 'supplier.priceUpdate.wizard.priceTypeRetail',
+                list: 'supplier.priceUpdate.wizard.priceTypeList'
+            };
+
+            return this.$tc(labels[type]);
+        },
+
+        getSourceOptions(targetType) {
+            // List may be derived from retail, retail only from purchase
+            const sources = targetType === 'list' ? ['purchase', 'retail'] : ['purchase'];
+
+            return sources.map(type => ({
+                value: type,
+                label: this.getPriceTypeLabel(type)
+            }));
+        },
+
+        addTier() {
+            this.pricingRules.tiers.push({
+                price_type: 'retail',
+                category_ids: [],
+                manufacturer_ids: [],
+                price_from: null,
+                price_to: null,
+                markup_percent: 0
+            });
+            this.onChange();
+        },
+
+        removeTier(index) {
+            this.pricingRules.tiers.splice(index, 1);
+            this.onChange();
+        },
+
+        moveTier(index, direction) {
+            const target = index + direction;
+            if (target < 0 || target >= this.pricingRules.tiers.length) {
+                return;
+            }
+
+            const tiers = this.pricingRules.tiers;
+            [tiers[index], tiers[target]] = [tiers[target], tiers[index]];
+            this.onChange();
+        },
+
+        onTierCategoriesChange(tier, selectedValues) {
+            tier.category_ids = Array.isArray(selectedValues) ? selectedValues : [];
+            this.onChange();
+        },
+
+        onTierManufacturersChange(tier, selectedValues) {
+            tier.manufacturer_ids = Array.isArray(selectedValues) ? selectedValues : [];
+            this.onChange();
+        },
+
+        onChange() {
+            this.$emit('change');
+        }
+    }
+});
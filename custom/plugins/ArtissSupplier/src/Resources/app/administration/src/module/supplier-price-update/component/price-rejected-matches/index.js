@@ -0,0 +1,144 @@
+import template from './price-rejected-matches.html.twig';
+import './price-rejected-matches.scss';
+
+const { Component, Mixin } = Shopware;
+
+Component.register('price-rejected-matches', {
+    template,
+
+    inject: [
+        'priceUpdateService'
+    ],
+
+    mixins: [
+        Mixin.getByName('notification')
+    ],
+
+    emits: ['restored'],
+
+    props: {
+        templateId: {
+            type: String,
+            required: true
+        }
+    },
+
+    data() {
+        return {
+            rows: [],
+            isLoading: false,
+            selection: {},
+            isRestoring: false
+        };
+    },
+
+    computed: {
+        columns() {
+            return [
+                {
+                    property: 'product_name',
+                    label: this.$tc('supplier.priceUpdate.rejectedMatches.columnProduct'),
+                    allowResize: true,
+                    primary: true
+                },
+                {
+                    property: 'supplier_code',
+                    label: this.$tc('supplier.priceUpdate.unmatchedRows.columnCode'),
+                    allowResize: true,
+                    width: '160px'
+                },
+                {
+                    property: 'supplier_name',
+                    label: this.$tc('supplier.priceUpdate.unmatchedRows.columnName'),
+                    allowResize: true
+                },
+                {
+                    property: 'rejected_at',
+                    label: this.$tc('supplier.priceUpdate.rejectedMatches.columnRejectedAt'),
+                    allowResize: true,
+                    width: '160px'
+                }
+            ];
+        },
+
+        selectedRows() {
+            return Object.values(this.selection);
+        }
+    },
+
+    created() {
+        this.loadRows();
+    },
+
+    methods: {
+        async loadRows() {
+            this.isLoading = true;
+
+            try {
+                const response = await this.priceUpdateService.getRejectedMatches(this.templateId);
+
+                // Grid selection is keyed by id, a product is rejected once per supplier code
+                this.rows = (response.rows || []).map(row => ({
+                    ...row,
+                    id: `${row.product_id}:${row.supplier_code}`
+                }));
+            } catch (error) {
+                this.rows = [];
+                this.createNotificationError({
+                    message: error.response?.data?.error || this.$tc('supplier.priceUpdate.rejectedMatches.errorLoad')
+                });
+            } finally {
+                this.isLoading = false;
+            }
+        },
+
+        onSelectionChange(selection) {
+            this.selection = { ...selection };
+        },
+
+        async onRestore() {
+            if (this.selectedRows.length === 0) {
+                return;
+            }
+
+            this.isRestoring = true;
+
+            try {
+                const pairs = this.selectedRows.map(row => ({
+                    product_id: row.product_id,
+                    supplier_code: row.supplier_code
+                }));
+                const response = await this.priceUpdateService.restoreRejectedMatches(this.templateId, pairs);
+
+                this.createNotificationSuccess({
+                    message: this.$tc('supplier.priceUpdate.rejectedMatches.successRestore', 0, {
+                        count: response.restored || 0
+                    })
+                });
+
+                this.selection = {};
+                this.$refs.grid?.resetSelection();
+                await this.loadRows();
+                this.$emit('restored');
+            } catch (error) {
+                this.createNotificationError({
+                    message: error.response?.data?.error || this.$tc('supplier.priceUpdate.rejectedMatches.errorRestore')
+                });
+            } finally {
+                this.isRestoring = false;
+            }
+        },
+
+        formatDate(dateString) {
+            if (!dateString) return '-';
+            const date = new Date(dateString);
+            return date.toLocaleString('ru-RU', {
+                year: 'numeric',
+                month: '2-digit',
+                day: '2-digit',
+                hour: '2-digit',
+                minute: '2-digit'
+            });
+        }
+    }
+});
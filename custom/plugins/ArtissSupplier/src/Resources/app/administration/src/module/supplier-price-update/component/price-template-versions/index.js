@@ -0,0 +1,262 @@
+import template from './price-template-versions.html.twig';
+import './price-template-versions.scss';
+
+const { Component, Mixin } = Shopware;
+const { Criteria } = Shopware.Data;
+
+Component.register('price-template-versions', {
+    template,
+
+    inject: [
+        'repositoryFactory',
+        'priceUpdateService'
+    ],
+
+    mixins: [
+        Mixin.getByName('notification')
+    ],
+
+    emits: ['restored'],
+
+    props: {
+        templateId: {
+            type: String,
+            required: true
+        }
+    },
+
+    data() {
+        return {
+            versions: null,
+            isLoading: false,
+            page: 1,
+            limit: 10,
+            total: 0,
+            showSaveModal: false,
+            comment: '',
+            isSaving: false,
+            diffVersion: null,
+            diff: null,
+            isLoadingDiff: false,
+            versionToRestore: null,
+            isRestoring: false
+        };
+    },
+
+    computed: {
+        versionRepository() {
+            return this.repositoryFactory.create('art_supplier_price_template_version');
+        },
+
+        versionColumns() {
+            return [
+                {
+                    property: 'version',
+                    label: this.$tc('supplier.priceUpdate.versions.columnVersion'),
+                    allowResize: true,
+                    primary: true,
+                    width: '100px'
+                },
+                {
+                    property: 'createdAt',
+                    label: this.$tc('supplier.priceUpdate.history.columnDate'),
+                    allowResize: true
+                },
+                {
+                    property: 'user',
+                    label: this.$tc('supplier.priceUpdate.history.columnUser'),
+                    allowResize: true
+                },
+                {
+                    property: 'reason',
+                    label: this.$tc('supplier.priceUpdate.versions.columnReason'),
+                    allowResize: true
+                },
+                {
+                    property: 'comment',
+                    label: this.$tc('supplier.priceUpdate.versions.columnComment'),
+                    allowResize: true
+                }
+            ];
+        },
+
+        diffColumns() {
+            return [
+                {
+                    property: 'path',
+                    label: this.$tc('supplier.priceUpdate.versions.columnSetting'),
+                    allowResize: true,
+                    primary: true
+                },
+                {
+                    property: 'version',
+                    label: this.$tc('supplier.priceUpdate.versions.columnVersionValue', 0, {
+                        version: this.diffVersion?.version
+                    }),
+                    allowResize: true
+                },
+                {
+                    property: 'current',
+                    label: this.$tc('supplier.priceUpdate.versions.columnCurrentValue'),
+                    allowResize: true
+                }
+            ];
+        }
+    },
+
+    created() {
+        this.loadVersions();
+    },
+
+    methods: {
+        async loadVersions() {
+            this.isLoading = true;
+
+            try {
+                const criteria = new Criteria(this.page, this.limit);
+                criteria.addFilter(Criteria.equals('priceTemplateId', this.templateId));
+                criteria.addSorting(Criteria.sort('version', 'DESC'));
+                criteria.addAssociation('user');
+
+                const result = await this.versionRepository.search(criteria, Shopware.Context.api);
+                this.versions = result;
+                this.total = result.total;
+            } catch (error) {
+                this.createNotificationError({
+                    message: this.$tc('supplier.priceUpdate.versions.errorLoad')
+                });
+            } finally {
+                this.isLoading = false;
+            }
+        },
+
+        onPageChange({ page, limit }) {
+            this.page = page;
+            this.limit = limit;
+            this.loadVersions();
+        },
+
+        onOpenSaveModal() {
+            this.comment = '';
+            this.showSaveModal = true;
+        },
+
+        onCloseSaveModal() {
+            this.showSaveModal = false;
+        },
+
+        async onSaveVersion() {
+            this.isSaving = true;
+
+            try {
+                const response = await this.priceUpdateService.createTemplateVersion(this.templateId, this.comment);
+
+                if (response.versionId) {
+                    this.createNotificationSuccess({
+                        message: this.$tc('supplier.priceUpdate.versions.successSave')
+                    });
+                } else {
+                    this.createNotificationInfo({
+                        message: this.$tc('supplier.priceUpdate.versions.infoNoChanges')
+                    });
+                }
+
+                this.showSaveModal = false;
+                this.page = 1;
+                await this.loadVersions();
+            } catch (error) {
+                this.createNotificationError({
+                    message: error.response?.data?.error || this.$tc('supplier.priceUpdate.versions.errorSave')
+                });
+            } finally {
+                this.isSaving = false;
+            }
+        },
+
+        async openDiff(version) {
+            this.diffVersion = version;
+            this.diff = null;
+            this.isLoadingDiff = true;
+
+            try {
+                const response = await this.priceUpdateService.getTemplateVersionDiff(version.id);
+                this.diff = response.diff || [];
+            } catch (error) {
+                this.diffVersion = null;
+                this.createNotificationError({
+                    message: error.response?.data?.error || this.$tc('supplier.priceUpdate.versions.errorLoad')
+                });
+            } finally {
+                this.isLoadingDiff = false;
+            }
+        },
+
+        closeDiff() {
+            this.diffVersion = null;
+            this.diff = null;
+        },
+
+        onRestore(version) {
+            this.closeDiff();
+            this.versionToRestore = version;
+        },
+
+        onCancelRestore() {
+            this.versionToRestore = null;
+        },
+
+        async onConfirmRestore() {
+            this.isRestoring = true;
+
+            try {
+                await this.priceUpdateService.restoreTemplateVersion(this.versionToRestore.id);
+
+                this.createNotificationSuccess({
+                    message: this.$tc('supplier.priceUpdate.versions.successRestore', 0, {
+                        version: this.versionToRestore.version
+                    })
+                });
+
+                this.versionToRestore = null;
+                this.$emit('restored');
+                this.page = 1;
+                await this.loadVersions();
+            } catch (error) {
+                this.createNotificationError({
+                    message: error.response?.data?.error || this.$tc('supplier.priceUpdate.versions.errorRestore')
+                });
+            } finally {
+                this.isRestoring = false;
+            }
+        },
+
+        getReasonLabel(reason) {
+            return this.$tc(`supplier.priceUpdate.versions.reason.${reason}`);
+        },
+
+        formatValue(value) {
+            if (value === null || value === undefined || value === '') return '-';
+            if (typeof value === 'object') return JSON.stringify(value);
+            return String(value);
+        },
+
+        getUserName(user) {
+            if (!user) {
+                return this.$tc('supplier.priceUpdate.history.userSystem');
+            }
+            return `${user.firstName || ''} ${user.lastName || ''}`.trim() || user.username;
+        },
+
+        formatDate(dateString) {
+            if (!dateString) return '-';
+            const date = new Date(dateString);
+            return date.toLocaleString('ru-RU', {
+                year: 'numeric',
+                month: '2-digit',
+                day: '2-digit',
+                hour: '2-digit',
+                minute: '2-digit'
+            });
+        }
+    }
+});
@@ -0,0 +1,202 @@
+import template from './price-unmatched-rows.html.twig';
+import './price-unmatched-rows.scss';
+
+const { Component, Mixin } = Shopware;
+const { debounce } = Shopware.Utils;
+
+Component.register('price-unmatched-rows', {
+    template,
+
+    inject: [
+        'priceUpdateService'
+    ],
+
+    mixins: [
+        Mixin.getByName('notification')
+    ],
+
+    emits: ['created'],
+
+    props: {
+        templateId: {
+            type: String,
+            required: true
+        },
+
+        hasManufacturer: {
+            type: Boolean,
+            required: false,
+            default: false
+        }
+    },
+
+    data() {
+        return {
+            rows: [],
+            isLoading: false,
+            page: 1,
+            limit: 25,
+            total: 0,
+            search: '',
+            selection: {},
+            showConfirmModal: false,
+            isCreating: false,
+            createdProducts: []
+        };
+    },
+
+    computed: {
+        columns() {
+            return [
+                {
+                    property: 'supplier_code',
+                    label: this.$tc('supplier.priceUpdate.unmatchedRows.columnCode'),
+                    allowResize: true,
+                    primary: true,
+                    width: '160px'
+                },
+                {
+                    property: 'supplier_name',
+                    label: this.$tc('supplier.priceUpdate.unmatchedRows.columnName'),
+                    allowResize: true
+                },
+                {
+                    property: 'purchase',
+                    label: this.$tc('supplier.priceUpdate.wizard.columnTypePurchasePrice'),
+                    allowResize: true,
+                    width: '140px'
+                },
+                {
+                    property: 'retail',
+                    label: this.$tc('supplier.priceUpdate.wizard.columnTypeRetailPrice'),
+                    allowResize: true,
+                    width: '140px'
+                },
+                {
+                    property: 'list',
+                    label: this.$tc('supplier.priceUpdate.wizard.columnTypeListPrice'),
+                    allowResize: true,
+                    width: '140px'
+                }
+            ];
+        },
+
+        selectedCodes() {
+            return Object.keys(this.selection);
+        }
+    },
+
+    created() {
+        this.onSearchChange = debounce(this.onSearchChange, 400);
+        this.loadRows();
+    },
+
+    methods: {
+        async loadRows() {
+            this.isLoading = true;
+
+            try {
+                const response = await this.priceUpdateService.getUnmatchedRows(this.templateId, {
+                    page: this.page,
+                    limit: this.limit,
+                    search: this.search || null
+                });
+
+                // Grid selection is keyed by id, supplier codes are unique within a price list
+                this.rows = (response.rows || []).map(row => ({ ...row, id: row.supplier_code }));
+                this.total = response.total || 0;
+                this.page = response.page || 1;
+            } catch (error) {
+                this.rows = [];
+                this.total = 0;
+                this.createNotificationError({
+                    message: error.response?.data?.error || this.$tc('supplier.priceUpdate.unmatchedRows.errorLoad')
+                });
+            } finally {
+                this.isLoading = false;
+            }
+        },
+
+        onPageChange({ page, limit }) {
+            this.page = page;
+            this.limit = limit;
+            this.selection = {};
+            this.loadRows();
+        },
+
+        onSearchChange(value) {
+            this.search = value;
+            this.page = 1;
+            this.selection = {};
+            this.loadRows();
+        },
+
+        onSelectionChange(selection) {
+            this.selection = { ...selection };
+        },
+
+        onOpenConfirm() {
+            if (this.selectedCodes.length === 0) {
+                return;
+            }
+            this.showConfirmModal = true;
+        },
+
+        onCancelConfirm() {
+            this.showConfirmModal = false;
+        },
+
+        async onCreateDrafts() {
+            this.isCreating = true;
+
+            try {
+                const response = await this.priceUpdateService.createDraftProducts(this.templateId, this.selectedCodes);
+                const result = response.result || {};
+
+                this.createdProducts = result.products || [];
+
+                if (result.created > 0) {
+                    this.createNotificationSuccess({
+                        message: this.$tc('supplier.priceUpdate.unmatchedRows.successCreate', 0, {
+                            count: result.created
+                        })
+                    });
+                }
+
+                if (result.skipped > 0) {
+                    this.createNotificationWarning({
+                        message: this.$tc('supplier.priceUpdate.unmatchedRows.warningSkipped', 0, {
+                            count: result.skipped
+                        })
+                    });
+                }
+
+                this.showConfirmModal = false;
+                this.selection = {};
+                this.$refs.grid?.resetSelection();
+                await this.loadRows();
+
+                if (result.created > 0) {
+                    this.$emit('created', this.createdProducts);
+                }
+            } catch (error) {
+                this.createNotificationError({
+                    message: error.response?.data?.error || this.$tc('supplier.priceUpdate.unmatchedRows.errorCreate')
+                });
+            } finally {
+                this.isCreating = false;
+            }
+        },
+
+        onCloseCreated() {
+            this.createdProducts = [];
+        },
+
+        formatPrice(price) {
+            if (price === null || price === undefined) {
+                return '-';
+            }
+            return parseFloat(price).toFixed(2);
+        }
+    }
+});
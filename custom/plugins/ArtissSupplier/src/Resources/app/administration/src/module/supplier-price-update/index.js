@@ -1,5 +1,14 @@
+import './component/price-availability-mapping';
+import './component/price-changeset-history';
+import './component/price-mapping-import';
+import './component/price-pricing-rules';
+import './component/price-rejected-matches';
+import './component/price-template-versions';
+import './component/price-unmatched-rows';
 import './page/price-template-list';
 import './page/price-template-create';
+import './page/exchange-rate-list';
+import './page/supplier-comparison';
 
 const { Module } = Shopware;
 
@@ -26,6 +35,20 @@ Module.register('supplier-price-update', {
             meta: {
                 parentPath: 'supplier.price.update.index'
             }
+        },
+        exchangeRates: {
+            component: 'exchange-rate-list',
+            path: 'exchange-rates',
+            meta: {
+                parentPath: 'supplier.price.update.index'
+            }
+        },
+        comparison: {
+            component: 'supplier-comparison',
+            path: 'comparison',
+            meta: {
+                parentPath: 'supplier.price.update.index'
+            }
         }
     },
 
@@ -0,0 +1,267 @@
+import template from './exchange-rate-list.html.twig';
+
+const { Component, Mixin } = Shopware;
+const { Criteria } = Shopware.Data;
+
+Component.register('exchange-rate-list', {
+    template,
+
+    inject: [
+        'repositoryFactory',
+        'priceUpdateService'
+    ],
+
+    mixins: [
+        Mixin.getByName('notification')
+    ],
+
+    data() {
+        return {
+            currencies: [],
+            isLoadingCurrencies: false,
+            history: null,
+            isLoadingHistory: false,
+            isUpdating: false,
+            page: 1,
+            limit: 25,
+            total: 0,
+            editCurrency: null,
+            editFactor: null,
+            isSavingRate: false
+        };
+    },
+
+    computed: {
+        currencyRepository() {
+            return this.repositoryFactory.create('currency');
+        },
+
+        exchangeRateRepository() {
+            return this.repositoryFactory.create('art_supplier_exchange_rate');
+        },
+
+        currencyColumns() {
+            return [
+                {
+                    property: 'isoCode',
+                    label: this.$tc('supplier.priceUpdate.exchangeRates.columnCurrency'),
+                    primary: true
+                },
+                {
+                    property: 'name',
+                    label: this.$tc('supplier.priceUpdate.exchangeRates.columnName')
+                },
+                {
+                    property: 'factor',
+                    label: this.$tc('supplier.priceUpdate.exchangeRates.columnFactor')
+                }
+            ];
+        },
+
+        historyColumns() {
+            return [
+                {
+                    property: 'isoCode',
+                    dataIndex: 'isoCode',
+                    label: this.$tc('supplier.priceUpdate.exchangeRates.columnCurrency'),
+                    primary: true
+                },
+                {
+                    property: 'factor',
+                    dataIndex: 'factor',
+                    label: this.$tc('supplier.priceUpdate.exchangeRates.columnFactor')
+                },
+                {
+                    property: 'previousFactor',
+                    dataIndex: 'previousFactor',
+                    label: this.$tc('supplier.priceUpdate.exchangeRates.columnPreviousFactor')
+                },
+                {
+                    property: 'changePercent',
+                    dataIndex: 'changePercent',
+                    label: this.$tc('supplier.priceUpdate.exchangeRates.columnChange')
+                },
+                {
+                    property: 'source',
+                    dataIndex: 'source',
+                    label: this.$tc('supplier.priceUpdate.exchangeRates.columnSource')
+                },
+                {
+                    property: 'createdAt',
+                    dataIndex: 'createdAt',
+                    label: this.$tc('supplier.priceUpdate.exchangeRates.columnCreatedAt')
+                }
+            ];
+        }
+    },
+
+    created() {
+        this.loadCurrencies();
+        this.loadHistory();
+    },
+
+    methods: {
+        async loadCurrencies() {
+            this.isLoadingCurrencies = true;
+
+            try {
+                const criteria = new Criteria(1, 100);
+                criteria.addSorting(Criteria.sort('isoCode', 'ASC'));
+
+                const result = await this.currencyRepository.search(criteria, Shopware.Context.api);
+                this.currencies = Array.from(result);
+            } catch (error) {
+                this.createNotificationError({
+                    message: this.$tc('supplier.priceUpdate.exchangeRates.errorLoad')
+                });
+            } finally {
+                this.isLoadingCurrencies = false;
+            }
+        },
+
+        async loadHistory() {
+            this.isLoadingHistory = true;
+
+            try {
+                const criteria = new Criteria(this.page, this.limit);
+                criteria.addSorting(Criteria.sort('createdAt', 'DESC'));
+
+                const result = await this.exchangeRateRepository.search(criteria, Shopware.Context.api);
+                this.history = result;
+                this.total = result.total;
+            } catch (error) {
+                this.createNotificationError({
+                    message: this.$tc('supplier.priceUpdate.exchangeRates.errorLoad')
+                });
+            } finally {
+                this.isLoadingHistory = false;
+            }
+        },
+
+        onPageChange({ page, limit }) {
+            this.page = page;
+            this.limit = limit;
+            this.loadHistory();
+        },
+
+        async onUpdateRates() {
+            this.isUpdating = true;
+
+            try {
+                const response = await this.priceUpdateService.updateExchangeRates();
+                this.notifyUpdateResult(response.stats);
+
+                if (response.stats.missing?.length > 0) {
+                    this.createNotificationWarning({
+                        message: this.$tc('supplier.priceUpdate.exchangeRates.warningMissing', 0, {
+                            currencies: response.stats.missing.join(', ')
+                        })
+                    });
+                }
+
+                await Promise.all([this.loadCurrencies(), this.loadHistory()]);
+            } catch (error) {
+                this.createNotificationError({
+                    message: this.$tc('supplier.priceUpdate.exchangeRates.errorUpdate', 0, {
+                        message: error.response?.data?.error || error.message
+                    })
+                });
+            } finally {
+                this.isUpdating = false;
+            }
+        },
+
+        onEditRate(currency) {
+            this.editCurrency = currency;
+            this.editFactor = currency.factor;
+        },
+
+        onCloseEditModal() {
+            this.editCurrency = null;
+            this.editFactor = null;
+        },
+
+        async onSaveRate() {
+            if (!this.editCurrency || !this.editFactor || this.editFactor <= 0) {
+                return;
+            }
+
+            this.isSavingRate = true;
+
+            try {
+                const response = await this.priceUpdateService.setExchangeRate(
+                    this.editCurrency.isoCode,
+                    this.editFactor
+                );
+                this.notifyUpdateResult(response.stats);
+                this.onCloseEditModal();
+
+                await Promise.all([this.loadCurrencies(), this.loadHistory()]);
+            } catch (error) {
+                this.createNotificationError({
+                    message: this.$tc('supplier.priceUpdate.exchangeRates.errorUpdate', 0, {
+                        message: error.response?.data?.error || error.message
+                    })
+                });
+            } finally {
+                this.isSavingRate = false;
+            }
+        },
+
+        notifyUpdateResult(stats) {
+            const changed = stats.changes?.length || 0;
+
+            if (changed === 0) {
+                this.createNotificationInfo({
+                    message: this.$tc('supplier.priceUpdate.exchangeRates.infoUpToDate')
+                });
+                return;
+            }
+
+            this.createNotificationSuccess({
+                message: this.$tc('supplier.priceUpdate.exchangeRates.successUpdate', 0, { count: changed })
+            });
+
+            if (stats.recalculated !== null && stats.recalculated !== undefined) {
+                this.createNotificationInfo({
+                    message: this.$tc('supplier.priceUpdate.exchangeRates.infoRecalculated', 0, {
+                        count: stats.recalculated,
+                        currencies: stats.threshold_exceeded.join(', ')
+                    })
+                });
+            }
+        },
+
+        isDefaultCurrency(currency) {
+            return currency.id === Shopware.Context.app.systemCurrencyId;
+        },
+
+        getChangeVariant(changePercent) {
+            if (changePercent === null || changePercent === undefined || changePercent === 0) {
+                return 'neutral';
+            }
+            // Higher factor = cheaper currency = lower prices in default currency
+            return changePercent > 0 ? 'success' : 'danger';
+        },
+
+        formatChange(changePercent) {
+            if (changePercent === null || changePercent === undefined) {
+                return '-';
+            }
+            const sign = changePercent > 0 ? '+' : '';
+            return `${sign}${changePercent.toFixed(2)}%`;
+        },
+
+        formatDate(dateString) {
+            if (!dateString) return '-';
+            const date = new Date(dateString);
+            return date.toLocaleString('ru-RU', {
+                year: 'numeric',
+                month: '2-digit',
+                day: '2-digit',
+                hour: '2-digit',
+                minute: '2-digit'
+            });
+        }
+    }
+});
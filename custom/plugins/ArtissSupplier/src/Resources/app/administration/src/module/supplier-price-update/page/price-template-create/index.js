@@ -3,6 +3,7 @@ import './price-template-create.scss';
 
 const { Component, Mixin } = Shopware;
 const { Criteria } = Shopware.Data;
+const { debounce } = Shopware.Utils;
 const { mapPropertyErrors } = Component.getComponentHelper();
 
 Component.register('price-template-create', {
@@ -45,17 +46,36 @@ Component.register('price-template-create', {
             previewPage: 1,
             previewTotal: 0,
             matchPreviewLimit: 50, // Лимит для таблицы предпросмотра товаров
-            allPreviewData: null,
-            parsedPriceData: null,
+            previewRows: [], // Current page of match preview as returned by the server
+            previewServerStats: null, // Counts over all preview rows, independent of filters
+            pendingAutoMatches: {}, // Unconfirmed auto-matches by product ID, kept across pages
+            previewFilters: {
+                search: '',
+                status: null,
+                confidence: [],
+                price_change: null
+            },
+            previewSortBy: null,
+            previewSortDirection: 'asc',
             equipmentTypes: [],
             equipmentTypePropertyGroupId: '20836795-aab8-97d8-c709-a2535f197268',
             hasRedirected: false,
             currencyOptions: [],
+            deliveryTimeNames: {}, // Delivery time names by ID, shown in the availability preview
+            currencyFactors: {}, // Currency factors by ISO code, used by guardrail checks
+            exchangeData: null, // Default currency and supplier-specific factors from match preview
+            guardrailApprovedIds: [], // Products approved despite guardrail violations
             allSelectedColumnTypes: new Set(), // Track all selected column types across all columns
             hiddenColumns: ['supplier_name', 'supplier_code', 'current_kod_postavschika'], // Hidden columns by default
             toggleColumnMenu: false, // Column visibility menu state
             minMatchPercentage: 50, // Minimum percentage for auto-match (default 50%)
-            cancelAutoMatch: false // Flag to cancel auto-match process
+            priceJobs: { auto_match: null, apply: null }, // Background jobs of the template by type
+            jobPollTimer: null,
+            isPollingJobs: false,
+            confirmMinScore: 80, // Minimum auto-match score for bulk confirmation
+            confirmScope: 'all', // Bulk confirmation scope: all rows or current page
+            isConfirmingAll: false,
+            isExportingPreview: false
         };
     },
 
@@ -67,9 +87,52 @@ Component.register('price-template-create', {
                 { value: 'purchase_price', label: this.$tc('supplier.priceUpdate.wizard.columnTypePurchasePrice') },
                 { value: 'retail_price', label: this.$tc('supplier.priceUpdate.wizard.columnTypeRetailPrice') },
                 { value: 'list_price', label: this.$tc('supplier.priceUpdate.wizard.columnTypeListPrice') },
-                { value: 'availability', label: this.$tc('supplier.priceUpdate.wizard.columnTypeAvailability') }
+                { value: 'availability', label: this.$tc('supplier.priceUpdate.wizard.columnTypeAvailability') },
+                ...this.productFieldColumnTypeOptions
+            ];
+        },
+
+        // Optional columns written to product fields on apply, same as ProductFieldService::COLUMN_TYPES
+        productFieldColumnTypeOptions() {
+            return [
+                { value: 'delivery_time', label: this.$tc('supplier.priceUpdate.wizard.columnTypeDeliveryTime') },
+                { value: 'min_order_qty', label: this.$tc('supplier.priceUpdate.wizard.columnTypeMinOrderQty') },
+                { value: 'pack_size', label: this.$tc('supplier.priceUpdate.wizard.columnTypePackSize') },
+                { value: 'ean', label: this.$tc('supplier.priceUpdate.wizard.columnTypeEan') },
+                { value: 'warranty', label: this.$tc('supplier.priceUpdate.wizard.columnTypeWarranty') }
             ];
         },
+
+        sheetOptions() {
+            return (this.filePreview?.sheets || []).map(sheet => ({ value: sheet, label: sheet }));
+        },
+
+        suggestedColumnMapping() {
+            return this.filePreview?.suggested_column_mapping || {};
+        },
+
+        // Suggestions are shown until the user applies them or maps the same columns manually
+        hasColumnSuggestions() {
+            if (!this.filePreview?.header_row || Object.keys(this.suggestedColumnMapping).length === 0) {
+                return false;
+            }
+
+            const currentMapping = this.template?.config?.column_mapping || {};
+            const sameMapping = Object.entries(this.suggestedColumnMapping).every(([colLetter, types]) => {
+                return types.every(type => (currentMapping[colLetter] || []).includes(type));
+            });
+
+            return !sameMapping || this.template.config.start_row !== this.filePreview.suggested_start_row;
+        },
+
+        suggestedColumnMappingText() {
+            return Object.entries(this.suggestedColumnMapping)
+                .map(([colLetter, types]) => {
+                    const labels = types.map(type => this.columnTypeOptions.find(o => o.value === type)?.label || type);
+                    return `${colLetter}: ${labels.join(', ')}`;
+                })
+                .join('; ');
+        },
         templateRepository() {
             return this.repositoryFactory.create('art_supplier_price_template');
         },
@@ -191,6 +254,26 @@ Component.register('price-template-create', {
             ];
         },
 
+        scheduleSourceOptions() {
+            return [
+                { value: 'supplier_media', label: this.$tc('supplier.priceUpdate.wizard.scheduleSourceSupplierMedia') },
+                { value: 'watch_directory', label: this.$tc('supplier.priceUpdate.wizard.scheduleSourceWatchDirectory') },
+                { value: 'supplier_source', label: this.$tc('supplier.priceUpdate.wizard.scheduleSourceSupplierSource') }
+            ];
+        },
+
+        // Resolved availability mapping by product ID, follows mapping changes without reloading the preview
+        availabilityPreview() {
+            if (!this.template?.config?.availability_mapping?.enabled) {
+                return {};
+            }
+
+            return (this.matchPreviewData || []).reduce((preview, row) => {
+                preview[row.product_id] = this.resolveAvailability(row.availability);
+                return preview;
+            }, {});
+        },
+
         isAvailabilityMapped() {
             const columnMapping = this.template?.config?.column_mapping || {};
             for (const types of Object.values(columnMapping)) {
@@ -226,40 +309,82 @@ Component.register('price-template-create', {
         },
 
         hasPendingMatches() {
-            if (!this.matchPreviewData) return false;
-            return this.matchPreviewData.some(item => item.status === 'pending');
+            return Object.keys(this.pendingAutoMatches).length > 0;
         },
 
-        previewStats() {
-            if (!this.allPreviewData || this.allPreviewData.length === 0) {
-                return {
-                    matched: 0,
-                    edited: 0,
-                    unmatched: 0,
-                    total: 0
-                };
-            }
+        previewStatusOptions() {
+            return ['matched', 'unmatched', 'blocked'].map(value => ({
+                value,
+                label: this.$tc(`supplier.priceUpdate.wizard.previewFilter.status.${value}`)
+            }));
+        },
 
-            const stats = {
-                matched: 0,
-                edited: 0,
-                unmatched: 0,
-                total: this.allPreviewData.length
-            };
+        visiblePriceJobs() {
+            return Object.values(this.priceJobs).filter(job => !!job);
+        },
 
-            this.allPreviewData.forEach(item => {
-                if (item.status === 'matched' || item.status === 'edited') {
-                    if (item.status === 'edited') {
-                        stats.edited++;
-                    } else {
-                        stats.matched++;
-                    }
-                } else {
-                    stats.unmatched++;
-                }
-            });
+        matchingStrategyOptions() {
+            return ['exact_code', 'ean', 'mpn', 'fuzzy_name', 'dimensions', 'tokens'].map(value => ({
+                value,
+                label: this.$tc(`supplier.priceUpdate.matching.strategy.${value}`)
+            }));
+        },
+
+        previewConfidenceOptions() {
+            return ['exact', 'high', 'medium', 'none'].map(value => ({
+                value,
+                label: this.$tc(`supplier.priceUpdate.wizard.previewFilter.confidence.${value}`)
+            }));
+        },
+
+        previewPriceChangeOptions() {
+            return ['increase', 'decrease', 'unchanged', 'new'].map(value => ({
+                value,
+                label: this.$tc(`supplier.priceUpdate.wizard.previewFilter.priceChange.${value}`)
+            }));
+        },
+
+        previewSortOptions() {
+            return [
+                'product_name',
+                'supplier_code',
+                'status',
+                'confidence',
+                'purchase_price',
+                'retail_price',
+                'purchase_change',
+                'retail_change'
+            ].map(value => ({
+                value,
+                label: this.$tc(`supplier.priceUpdate.wizard.previewFilter.sort.${value}`)
+            }));
+        },
+
+        previewSortDirectionOptions() {
+            return [
+                { value: 'asc', label: this.$tc('supplier.priceUpdate.wizard.previewFilter.sortAsc') },
+                { value: 'desc', label: this.$tc('supplier.priceUpdate.wizard.previewFilter.sortDesc') }
+            ];
+        },
+
+        confirmScopeOptions() {
+            return [
+                { value: 'all', label: this.$tc('supplier.priceUpdate.wizard.confirmScopeAll') },
+                { value: 'page', label: this.$tc('supplier.priceUpdate.wizard.confirmScopePage') }
+            ];
+        },
 
-            return stats;
+        previewStats() {
+            const stats = this.previewServerStats || {};
+
+            // Blocked rows are counted by the server with saved guardrails, approvals are local
+            return {
+                matched: stats.matched || 0,
+                edited: stats.edited || 0,
+                unmatched: stats.unmatched || 0,
+                blocked: stats.blocked || 0,
+                total: stats.total || 0
+            };
         },
 
         matchPreviewColumns() {
@@ -310,10 +435,26 @@ Component.register('price-template-create', {
                     label: this.$tc('supplier.priceUpdate.wizard.columnAvailability'),
                     allowResize: true,
                     width: '120px'
-                }
+                },
+                ...this.mappedProductFieldColumns
             ];
         },
 
+        // Preview columns of mapped optional price list columns
+        mappedProductFieldColumns() {
+            const mappedTypes = Object.values(this.template?.config?.column_mapping || {})
+                .flatMap(types => (Array.isArray(types) ? types : [types]));
+
+            return this.productFieldColumnTypeOptions
+                .filter(option => mappedTypes.includes(option.value))
+                .map(option => ({
+                    property: option.value,
+                    label: option.label,
+                    allowResize: true,
+                    width: '120px'
+                }));
+        },
+
         visibleMatchPreviewColumns() {
             return this.matchPreviewColumns.filter(col => {
                 return !this.hiddenColumns.includes(col.property);
@@ -331,7 +472,16 @@ Component.register('price-template-create', {
         'template.config.modifiers': {
             handler() {
                 // Recalculate prices when modifiers change (if preview data is already loaded)
-                if (this.allPreviewData && this.allPreviewData.length > 0) {
+                if (this.previewRows.length > 0) {
+                    this.recalculateAllPrices();
+                }
+            },
+            deep: true
+        },
+
+        'template.config.pricing_rules': {
+            handler() {
+                if (this.previewRows.length > 0) {
                     this.recalculateAllPrices();
                 }
             },
@@ -340,10 +490,16 @@ Component.register('price-template-create', {
     },
 
     created() {
+        this.onPreviewSearchChange = debounce(this.onPreviewSearchChange, 400);
         this.loadData();
         this.loadMediaFolder();
         this.loadEquipmentTypes();
         this.loadCurrencies();
+        this.loadDeliveryTimes();
+    },
+
+    beforeUnmount() {
+        this.stopJobPolling();
     },
 
     methods: {
@@ -352,6 +508,7 @@ Component.register('price-template-create', {
             try {
                 if (this.isEdit) {
                     await this.loadTemplate();
+                    await this.loadPriceJobs();
                 } else {
                     this.createTemplate();
                 }
@@ -398,6 +555,37 @@ Component.register('price-template-create', {
                 this.template.config.filters.supplier = this.template.supplierId;
             }
 
+            if (!this.template.config.schedule) {
+                this.template.config.schedule = this.getDefaultSchedule();
+            }
+
+            if (!this.template.config.guardrails) {
+                this.template.config.guardrails = this.getDefaultGuardrails();
+            }
+
+            if (!Array.isArray(this.template.config.matching_strategies)) {
+                this.template.config.matching_strategies = this.getDefaultMatchingStrategies();
+            }
+
+            const defaultAvailabilityMapping = this.getDefaultAvailabilityMapping();
+            const availabilityMapping = this.template.config.availability_mapping || {};
+            this.template.config.availability_mapping = {
+                ...defaultAvailabilityMapping,
+                ...availabilityMapping,
+                rules: Array.isArray(availabilityMapping.rules) ? availabilityMapping.rules : [],
+                default: { ...defaultAvailabilityMapping.default, ...(availabilityMapping.default || {}) }
+            };
+
+            const defaultPricingRules = this.getDefaultPricingRules();
+            const pricingRules = this.template.config.pricing_rules || {};
+            this.template.config.pricing_rules = {
+                ...defaultPricingRules,
+                ...pricingRules,
+                derived: { ...defaultPricingRules.derived, ...(pricingRules.derived || {}) },
+                rounding: { ...defaultPricingRules.rounding, ...(pricingRules.rounding || {}) },
+                tiers: Array.isArray(pricingRules.tiers) ? pricingRules.tiers : []
+            };
+
             // Mark as already redirected since this is an existing template
             this.hasRedirected = true;
 
@@ -411,6 +599,7 @@ Component.register('price-template-create', {
             this.template = this.templateRepository.create(Shopware.Context.api);
             this.template.config = {
                 selected_media_id: null,
+                sheet: null,
                 start_row: 2,
                 column_mapping: {},
                 modifiers: [],
@@ -427,10 +616,98 @@ Component.register('price-template-create', {
                     product_name: null,
                     availability_action: 'dont_change',
                     zero_stock_for_missing: false
+                },
+                schedule: this.getDefaultSchedule(),
+                guardrails: this.getDefaultGuardrails(),
+                matching_strategies: this.getDefaultMatchingStrategies(),
+                pricing_rules: this.getDefaultPricingRules(),
+                availability_mapping: this.getDefaultAvailabilityMapping()
+            };
+        },
+
+        getDefaultPricingRules() {
+            return {
+                enabled: false,
+                derived: {
+                    retail: { source: 'purchase', mode: 'missing' },
+                    list: { source: 'retail', mode: 'off' }
+                },
+                tiers: [],
+                rounding: {
+                    retail: { strategy: 'none', step: 100, ending: 99 },
+                    list: { strategy: 'none', step: 100, ending: 99 }
+                }
+            };
+        },
+
+        getDefaultGuardrails() {
+            return {
+                enabled: false,
+                max_increase_percent: 50,
+                max_decrease_percent: 50,
+                min_margin_percent: null,
+                retail_not_below_purchase: true
+            };
+        },
+
+        getDefaultAvailabilityMapping() {
+            return {
+                enabled: false,
+                rules: [],
+                default: {
+                    stock: null,
+                    delivery_time_id: null,
+                    is_closeout: null,
+                    active: null
                 }
             };
         },
 
+        // Priority order, same as ProductMatchingService::DEFAULT_STRATEGIES
+        getDefaultMatchingStrategies() {
+            return ['exact_code', 'ean', 'mpn', 'tokens'];
+        },
+
+        getMatchFieldsLabel(explanation) {
+            return (explanation?.fields || [])
+                .map(field => `${field.product_field} = ${field.price_field}${field.value ? ` (${field.value})` : ''}`)
+                .join(', ');
+        },
+
+        getMatchDetailsLabel(item) {
+            const details = item.explanation?.details || {};
+
+            if (item.strategy === 'fuzzy_name' && details.distance !== undefined) {
+                return this.$tc('supplier.priceUpdate.matching.detailDistance', 0, { distance: details.distance });
+            }
+
+            if (item.strategy === 'tokens' && details.total) {
+                return this.$tc('supplier.priceUpdate.matching.detailTokens', 0, {
+                    matched: details.matched,
+                    total: details.total,
+                    level: details.level
+                });
+            }
+
+            if (item.strategy === 'dimensions' && details.dimensions?.length) {
+                return this.$tc('supplier.priceUpdate.matching.detailDimensions', 0, {
+                    dimensions: details.dimensions.join(', ')
+                });
+            }
+
+            return '';
+        },
+
+        getDefaultSchedule() {
+            return {
+                enabled: false,
+                cron: '0 6 * * *',
+                source: 'supplier_media',
+                watch_directory: null,
+                code_matches_only: true
+            };
+        },
+
         updateAvailabilityActionDefault() {
             // Set default based on whether availability is mapped
             if (this.isAvailabilityMapped) {
@@ -628,12 +905,32 @@ Component.register('price-template-create', {
                     value: currency.isoCode,
                     label: `${currency.name || currency.isoCode} (${currency.isoCode})`
                 }));
+                this.currencyFactors = Array.from(result).reduce((factors, currency) => {
+                    factors[currency.isoCode] = currency.factor;
+                    return factors;
+                }, {});
             } catch (error) {
                 console.error('Error loading currencies:', error);
                 this.currencyOptions = [];
             }
         },
 
+        async loadDeliveryTimes() {
+            try {
+                const criteria = new Criteria();
+                criteria.setLimit(500);
+
+                const result = await this.repositoryFactory.create('delivery_time').search(criteria, Shopware.Context.api);
+                this.deliveryTimeNames = Array.from(result).reduce((names, deliveryTime) => {
+                    names[deliveryTime.id] = deliveryTime.translated?.name || deliveryTime.name;
+                    return names;
+                }, {});
+            } catch (error) {
+                console.error('Error loading delivery times:', error);
+                this.deliveryTimeNames = {};
+            }
+        },
+
         async onCategoriesChange(selectedValues) {
             if (this.template?.config?.filters) {
                 this.template.config.filters.categories = Array.isArray(selectedValues) ? selectedValues : [];
@@ -743,6 +1040,11 @@ Component.register('price-template-create', {
         async setActiveMedia(media) {
             if (!this.template) return;
 
+            // Sheet names belong to the previous file
+            if (this.template.config.selected_media_id !== media.id) {
+                this.template.config.sheet = null;
+            }
+
             this.template.config.selected_media_id = media.id;
             
             // Only auto-save if template already exists in database
@@ -809,7 +1111,8 @@ Component.register('price-template-create', {
             try {
                 const response = await this.priceUpdateService.previewFile(
                     this.template.config.selected_media_id,
-                    this.previewLimit
+                    this.previewLimit,
+                    this.template.config.sheet || null
                 );
                 this.filePreview = response;
                 this.canLoadMore = false; // Disable load more button
@@ -898,6 +1201,24 @@ Component.register('price-template-create', {
             await this.autoSaveTemplate();
         },
 
+        async onSheetChange(sheet) {
+            this.template.config.sheet = sheet || null;
+            await this.autoSaveTemplate();
+            await this.loadPreview();
+        },
+
+        async applyColumnSuggestions() {
+            this.template.config.column_mapping = Object.fromEntries(
+                Object.entries(this.suggestedColumnMapping).map(([colLetter, types]) => [colLetter, [...types]])
+            );
+            this.template.config.start_row = this.filePreview.suggested_start_row;
+
+            this.rebuildSelectedColumnTypes();
+            this.updateAvailabilityActionDefault();
+
+            await this.autoSaveTemplate();
+        },
+
         addModifier() {
             if (!this.canAddModifier) return;
 
@@ -943,38 +1264,41 @@ Component.register('price-template-create', {
                 return;
             }
 
-            this.isLoadingMatchPreview = true;
-            try {
-                // Load parsed price data for interactive lookup
-                try {
-                    const parseResult = await this.priceUpdateService.parseAndNormalize(
-                        this.template.id,
-                        this.template.config.selected_media_id,
-                        false
-                    );
-                    this.parsedPriceData = parseResult.data || [];
-                } catch (parseError) {
-                    console.error('Error loading parsed price data:', parseError);
-                    this.parsedPriceData = [];
-                }
+            // Auto-matches of the previous preview may point to outdated price list rows
+            this.pendingAutoMatches = {};
+            this.previewPage = 1;
+
+            // Matches found by code or name are saved to mapping on the server
+            await this.loadMatchPreviewPage(true);
+            this.$refs.unmatchedRows?.loadRows();
+        },
 
-                const result = await this.priceUpdateService.matchPreview(this.template.id);
-                const allData = result.matched || [];
+        async loadMatchPreviewPage(saveDetectedMatches = false) {
+            if (!this.template.id) {
+                return;
+            }
 
-                // Auto-save matched products to mapping
-                const matchedItems = allData.filter(item => item.status === 'matched' && item.product_id && item.supplier_code);
-                if (matchedItems.length > 0) {
-                    await this.saveMatchedProducts(matchedItems);
-                }
+            this.isLoadingMatchPreview = true;
+            try {
+                const result = await this.priceUpdateService.matchPreview(this.template.id, {
+                    page: this.previewPage,
+                    limit: this.matchPreviewLimit,
+                    sortBy: this.previewSortBy,
+                    sortDirection: this.previewSortDirection,
+                    status: this.previewFilters.status,
+                    confidence: this.previewFilters.confidence,
+                    priceChange: this.previewFilters.price_change,
+                    search: this.previewFilters.search,
+                    saveDetectedMatches
+                });
 
-                // Store all data
-                this.allPreviewData = allData;
-                this.previewTotal = allData.length;
-                // Reset to first page when loading new data
-                this.previewPage = 1;
+                this.previewRows = result.matched || [];
+                this.previewTotal = result.total || 0;
+                this.previewPage = result.page || 1;
+                this.previewServerStats = result.stats || null;
+                this.exchangeData = result.exchange || null;
 
-                // Apply pagination
-                this.applyPreviewPagination();
+                this.buildPreviewRows();
             } catch (error) {
                 console.error('Error loading match preview:', error);
                 this.createNotificationError({
@@ -985,47 +1309,82 @@ Component.register('price-template-create', {
             }
         },
         
-        // Recalculate prices for all items when modifiers change
+        // Recalculate prices of loaded rows when modifiers change
         recalculateAllPrices() {
-            if (!this.allPreviewData || !this.parsedPriceData) {
-                return;
-            }
-
             const modifiers = this.template.config.modifiers || [];
 
-            this.allPreviewData.forEach(item => {
-                if (item.supplier_code && item.status === 'matched') {
-                    // Find price data for this item
-                    const priceData = this.parsedPriceData.find(p => p.code === item.supplier_code);
-                    if (priceData) {
-                        const recalculatedPrices = this.calculatePricesWithModifiers(priceData, modifiers);
-                        item.new_prices = recalculatedPrices;
-                    }
+            this.previewRows.forEach(item => {
+                if (item.price_row && item.status === 'matched') {
+                    item.new_prices = this.calculatePricesWithModifiers(item.price_row, modifiers, item);
                 }
             });
 
-            // Reapply pagination to update displayed data
-            this.applyPreviewPagination();
+            // Auto-matched rows are recalculated in buildPreviewRows
+            this.buildPreviewRows();
         },
 
-        applyPreviewPagination() {
-            if (!this.allPreviewData) {
-                this.matchPreviewData = [];
-                return;
-            }
-
+        // Table rows: server page with unconfirmed auto-matches applied on top
+        buildPreviewRows() {
             const start = (this.previewPage - 1) * this.matchPreviewLimit;
-            const end = start + this.matchPreviewLimit;
-            this.matchPreviewData = this.allPreviewData.slice(start, end).map((item, index) => ({
-                ...item,
-                row_number: start + index + 1
-            }));
+            const modifiers = this.template.config.modifiers || [];
+
+            this.matchPreviewData = this.previewRows.map((item, index) => {
+                const autoMatch = this.pendingAutoMatches[item.product_id];
+                const row = { ...item, row_number: start + index + 1 };
+
+                if (!autoMatch || item.status === 'matched') {
+                    return row;
+                }
+
+                return {
+                    ...row,
+                    supplier_code: autoMatch.supplier_code,
+                    supplier_name: autoMatch.supplier_name,
+                    status: 'auto_matched',
+                    confidence: autoMatch.confidence,
+                    score: autoMatch.score,
+                    strategy: autoMatch.strategy,
+                    explanation: autoMatch.explanation,
+                    is_confirmed: false,
+                    price_row: autoMatch.price_row || null,
+                    new_prices: autoMatch.price_row
+                        ? this.calculatePricesWithModifiers(autoMatch.price_row, modifiers, row)
+                        : row.new_prices,
+                    availability: autoMatch.price_row?.availability ?? null,
+                    ...this.productFieldColumnTypeOptions.reduce((fields, option) => {
+                        fields[option.value] = autoMatch.price_row?.[option.value] ?? null;
+                        return fields;
+                    }, {})
+                };
+            });
         },
 
         onPreviewPageChange({ page, limit }) {
             this.previewPage = page;
             this.matchPreviewLimit = limit;
-            this.applyPreviewPagination();
+            this.loadMatchPreviewPage();
+        },
+
+        onPreviewFilterChange() {
+            this.previewPage = 1;
+            this.loadMatchPreviewPage();
+        },
+
+        onPreviewSearchChange(value) {
+            this.previewFilters.search = value || '';
+            this.onPreviewFilterChange();
+        },
+
+        onResetPreviewFilters() {
+            this.previewFilters = {
+                search: '',
+                status: null,
+                confidence: [],
+                price_change: null
+            };
+            this.previewSortBy = null;
+            this.previewSortDirection = 'asc';
+            this.onPreviewFilterChange();
         },
 
         formatPrice(price) {
@@ -1035,6 +1394,25 @@ Component.register('price-template-create', {
             return parseFloat(price).toFixed(2);
         },
 
+        /**
+         * New price converted to default currency with supplier rates, null when no conversion is needed
+         */
+        formatConvertedPrice(price, priceType) {
+            const currency = this.template?.config?.price_currencies?.[priceType];
+            const defaultCurrency = this.exchangeData?.default_currency;
+
+            if (price === null || price === undefined || !currency || !defaultCurrency || currency === defaultCurrency) {
+                return null;
+            }
+
+            const factor = this.exchangeData.factors?.[currency] || this.currencyFactors[currency];
+            if (!factor || factor <= 0) {
+                return null;
+            }
+
+            return `≈ ${(parseFloat(price) / factor).toFixed(2)} ${defaultCurrency}`;
+        },
+
         getPriceChangeClass(oldPrice, newPrice) {
             if (oldPrice === null || oldPrice === undefined) {
                 return 'price-new';
@@ -1049,6 +1427,120 @@ Component.register('price-template-create', {
             return 'price-same';
         },
 
+        /**
+         * Check new prices against template guardrails.
+         * Must match backend PriceGuardrailService::check()
+         */
+        getGuardrailViolations(item) {
+            const guardrails = this.template?.config?.guardrails;
+            if (!guardrails || !guardrails.enabled || !item.product_id || !item.new_prices) {
+                return [];
+            }
+
+            const toNumber = (value) => {
+                if (value === null || value === undefined || value === '' || isNaN(parseFloat(value))) {
+                    return null;
+                }
+                return parseFloat(value);
+            };
+            const round = (value) => Math.round(value * 10) / 10;
+
+            const violations = [];
+            const currentPrices = item.current_prices || {};
+            const currentCurrencies = item.current_currencies || {};
+            const newCurrencies = item.currencies || this.template.config.price_currencies || {};
+            const maxIncrease = toNumber(guardrails.max_increase_percent);
+            const maxDecrease = toNumber(guardrails.max_decrease_percent);
+
+            ['purchase', 'retail', 'list'].forEach(type => {
+                const current = toNumber(currentPrices[type]);
+                const newPrice = toNumber(item.new_prices[type]);
+
+                if (current === null || newPrice === null || current <= 0) {
+                    return;
+                }
+
+                // Percent change makes sense only within one currency
+                if (currentCurrencies[type] && currentCurrencies[type] !== newCurrencies[type]) {
+                    return;
+                }
+
+                const change = round((newPrice - current) / current * 100);
+
+                if (maxIncrease !== null && change > maxIncrease) {
+                    violations.push({ rule: 'max_increase', price_type: type, value: change, limit: maxIncrease });
+                }
+
+                if (maxDecrease !== null && -change > maxDecrease) {
+                    violations.push({ rule: 'max_decrease', price_type: type, value: change, limit: -maxDecrease });
+                }
+            });
+
+            // Convert to default currency (factor of default currency is 1)
+            const toBase = (price, currency) => {
+                const value = toNumber(price);
+                if (value === null) {
+                    return null;
+                }
+                const factor = (currency && this.currencyFactors[currency]) || 1;
+                return factor > 0 ? value / factor : value;
+            };
+
+            const purchase = toBase(item.new_prices.purchase, newCurrencies.purchase);
+            const retail = toBase(item.new_prices.retail, newCurrencies.retail);
+
+            if (purchase === null || retail === null || purchase <= 0) {
+                return violations;
+            }
+
+            const margin = round((retail - purchase) / purchase * 100);
+
+            if (guardrails.retail_not_below_purchase && retail < purchase) {
+                violations.push({ rule: 'retail_below_purchase', price_type: 'retail', value: margin, limit: 0 });
+                return violations;
+            }
+
+            const minMargin = toNumber(guardrails.min_margin_percent);
+            if (minMargin !== null && margin < minMargin) {
+                violations.push({ rule: 'min_margin', price_type: 'retail', value: margin, limit: minMargin });
+            }
+
+            return violations;
+        },
+
+        isGuardrailBlocked(item) {
+            if (this.guardrailApprovedIds.includes(item.product_id)) {
+                return false;
+            }
+            if (item.status !== 'matched' && item.status !== 'edited') {
+                return false;
+            }
+            return this.getGuardrailViolations(item).length > 0;
+        },
+
+        formatGuardrailViolation(violation) {
+            return this.$tc(`supplier.priceUpdate.wizard.guardrailRule.${violation.rule}`, 0, {
+                type: this.$tc(`supplier.priceUpdate.wizard.guardrailPriceType.${violation.price_type}`),
+                value: violation.value,
+                limit: violation.limit
+            });
+        },
+
+        getGuardrailTooltip(item) {
+            return this.getGuardrailViolations(item)
+                .map(violation => this.formatGuardrailViolation(violation))
+                .join('<br>');
+        },
+
+        toggleGuardrailApproval(item) {
+            const index = this.guardrailApprovedIds.indexOf(item.product_id);
+            if (index > -1) {
+                this.guardrailApprovedIds.splice(index, 1);
+            } else {
+                this.guardrailApprovedIds.push(item.product_id);
+            }
+        },
+
         async onSupplierCodeChange(item, newCode) {
             if (!this.template.id || !item.product_id) {
                 return;
@@ -1058,84 +1550,59 @@ Component.register('price-template-create', {
             const normalizedCode = newCode ? newCode.trim().toUpperCase() : '';
 
             try {
-                // Find item in local data
-                const itemIndex = this.allPreviewData.findIndex(i => i.product_id === item.product_id);
-                if (itemIndex === -1) {
+                const row = this.previewRows.find(i => i.product_id === item.product_id);
+                if (!row) {
                     return;
                 }
 
-                // Look up the code in parsed price data
-                let foundPriceData = null;
-                if (normalizedCode && this.parsedPriceData) {
-                    foundPriceData = this.parsedPriceData.find(p => p.code === normalizedCode);
+                this.removePendingAutoMatches([item.product_id]);
+
+                if (!normalizedCode) {
+                    // Empty code is not saved, only clear the row
+                    Object.assign(row, {
+                        supplier_code: '',
+                        supplier_name: '',
+                        new_prices: {
+                            purchase: null,
+                            retail: null,
+                            list: null
+                        },
+                        price_row: null,
+                        availability: null,
+                        status: 'unmatched'
+                    });
+                    this.buildPreviewRows();
+                    return;
                 }
 
-                if (foundPriceData) {
-                    // Update item with data from price list
-                    const modifiers = this.template.config.modifiers || [];
-                    const prices = this.calculatePricesWithModifiers(foundPriceData, modifiers);
-
-                    this.allPreviewData[itemIndex].supplier_code = normalizedCode;
-                    this.allPreviewData[itemIndex].supplier_name = foundPriceData.name || '';
-                    this.allPreviewData[itemIndex].new_prices = prices;
-                    this.allPreviewData[itemIndex].availability = foundPriceData.availability ?? null;
-                    this.allPreviewData[itemIndex].status = 'matched';
-                    this.allPreviewData[itemIndex].confidence = 'high';
-                    this.allPreviewData[itemIndex].method = 'manual';
-
-                    // Save to matched_products
-                    await this.priceUpdateService.updateMatch(
-                        this.template.id,
-                        item.product_id,
-                        normalizedCode
-                    );
+                // Save to matched_products, the server looks the code up in the price list
+                await this.priceUpdateService.updateMatch(
+                    this.template.id,
+                    item.product_id,
+                    normalizedCode
+                );
 
+                await this.loadMatchPreviewPage();
+
+                const updatedRow = this.previewRows.find(i => i.product_id === item.product_id);
+                if (updatedRow && updatedRow.status === 'matched') {
                     this.createNotificationSuccess({
-                        message: 'Товар найден в прайсе'
+                        message: this.$tc('supplier.priceUpdate.wizard.successMatchFound')
                     });
-                    
-                    // Update pagination to reflect status change
-                    this.applyPreviewPagination();
                 } else {
-                    // Not found in price list - clear price data and update the code
-                    this.allPreviewData[itemIndex].supplier_code = normalizedCode;
-                    this.allPreviewData[itemIndex].supplier_name = '';
-                    this.allPreviewData[itemIndex].new_prices = {
-                        purchase: null,
-                        retail: null,
-                        list: null
-                    };
-                    this.allPreviewData[itemIndex].availability = null;
-                    this.allPreviewData[itemIndex].status = 'unmatched';
-                    
-                    // Update pagination to reflect status change
-                    this.applyPreviewPagination();
-
-                    // Save to matched_products if code is not empty
-                    if (normalizedCode) {
-                        await this.priceUpdateService.updateMatch(
-                            this.template.id,
-                            item.product_id,
-                            normalizedCode
-                        );
-
-                        this.createNotificationSuccess({
-                            message: 'Код сохранен (товар не найден в прайсе)'
-                        });
-                    }
+                    this.createNotificationSuccess({
+                        message: this.$tc('supplier.priceUpdate.wizard.successCodeSaved')
+                    });
                 }
-
-                // Refresh pagination
-                this.applyPreviewPagination();
             } catch (error) {
                 console.error('Error updating supplier code:', error);
                 this.createNotificationError({
-                    message: 'Ошибка сохранения привязки'
+                    message: this.$tc('supplier.priceUpdate.wizard.errorSaveMatch')
                 });
             }
         },
 
-        calculatePricesWithModifiers(priceData, modifiers) {
+        calculatePricesWithModifiers(priceData, modifiers, item = null) {
             const prices = {
                 purchase: priceData.purchase_price || null,
                 retail: priceData.retail_price || null,
@@ -1143,7 +1610,7 @@ Component.register('price-template-create', {
             };
 
             if (!modifiers || !Array.isArray(modifiers)) {
-                return prices;
+                return this.applyPricingRules(prices, item);
             }
 
             // Apply modifiers (must match backend logic)
@@ -1169,28 +1636,206 @@ Component.register('price-template-create', {
                 prices[priceType] = Math.round(prices[priceType] * 100) / 100;
             });
 
-            return prices;
+            return this.applyPricingRules(prices, item);
         },
 
-        async saveMatchedProducts(matchedItems) {
-            if (!this.template.id || matchedItems.length === 0) {
-                return;
-            }
+        isAvailabilityMappingEnabled() {
+            return !!this.template?.config?.availability_mapping?.enabled;
+        },
 
-            try {
-                // Save all matched products at once
-                for (const item of matchedItems) {
-                    if (item.method !== 'matched_products') { // Don't re-save already saved mappings
-                        await this.priceUpdateService.updateMatch(
-                            this.template.id,
-                            item.product_id,
-                            item.supplier_code
-                        );
+        /**
+         * Product fields for a price list availability value, null fields are not changed.
+         * Must match backend AvailabilityMappingService::resolve()
+         */
+        resolveAvailability(value) {
+            const mapping = this.template?.config?.availability_mapping || {};
+            const text = String(value ?? '').trim();
+
+            const getFields = (rule, quantity = null) => {
+                const stock = rule.stock !== null && rule.stock !== undefined && rule.stock !== '' && !isNaN(Number(rule.stock))
+                    ? Number(rule.stock)
+                    : quantity;
+
+                return {
+                    stock: stock !== null ? Math.max(0, Math.trunc(stock)) : null,
+                    delivery_time_id: rule.delivery_time_id || null,
+                    is_closeout: rule.is_closeout === null || rule.is_closeout === undefined ? null : !!rule.is_closeout,
+                    active: rule.active === null || rule.active === undefined ? null : !!rule.active
+                };
+            };
+
+            const rules = Array.isArray(mapping.rules) ? mapping.rules : [];
+            for (let index = 0; index < rules.length; index++) {
+                const rule = rules[index];
+                const matchType = rule.match_type || 'text';
+
+                if (matchType === 'number') {
+                    const quantity = this.parseAvailabilityQuantity(text);
+                    if (quantity !== null) {
+                        return { ...getFields(rule, quantity), rule: index };
                     }
+                    continue;
                 }
-            } catch (error) {
-                console.error('Error saving matched products:', error);
+
+                if (this.matchesAvailabilityRule(text, matchType, String(rule.pattern ?? ''))) {
+                    return { ...getFields(rule), rule: index };
+                }
+            }
+
+            return { ...getFields(mapping.default || {}), rule: null };
+        },
+
+        // First number of the value: "5-10" gives 5, ">50" gives 50
+        parseAvailabilityQuantity(value) {
+            const match = value.replace(/ /g, '').match(/\d+(?:[.,]\d+)?/);
+            if (!match) {
+                return null;
+            }
+
+            return Math.max(0, Math.floor(parseFloat(match[0].replace(',', '.'))));
+        },
+
+        matchesAvailabilityRule(value, matchType, pattern) {
+            if (matchType === 'regex') {
+                if (pattern === '') {
+                    return false;
+                }
+
+                // Invalid expressions never match, same as on the backend
+                try {
+                    return new RegExp(pattern, 'iu').test(value);
+                } catch (error) {
+                    return false;
+                }
+            }
+
+            return value.toLowerCase() === pattern.trim().toLowerCase();
+        },
+
+        getAvailabilityRuleLabel(resolved) {
+            return resolved.rule === null
+                ? this.$tc('supplier.priceUpdate.availabilityMapping.previewDefault')
+                : this.$tc('supplier.priceUpdate.availabilityMapping.previewRule', 0, { number: resolved.rule + 1 });
+        },
+
+        getAvailabilityFlagLabel(value) {
+            return this.$tc(value
+                ? 'supplier.priceUpdate.availabilityMapping.flagYes'
+                : 'supplier.priceUpdate.availabilityMapping.flagNo');
+        },
+
+        /**
+         * Derive and round prices by template pricing rules.
+         * Must match backend PricingRuleService::apply()
+         */
+        applyPricingRules(prices, item = null) {
+            const pricingRules = this.template?.config?.pricing_rules;
+            if (!pricingRules || !pricingRules.enabled) {
+                return prices;
+            }
+
+            const toNumber = (value) => {
+                if (value === null || value === undefined || value === '' || isNaN(parseFloat(value))) {
+                    return null;
+                }
+                return parseFloat(value);
+            };
+            const currencies = this.template.config.price_currencies || {};
+
+            ['retail', 'list'].forEach(type => {
+                const derived = pricingRules.derived?.[type] || {};
+                const mode = derived.mode || 'off';
+                const sourceType = derived.source || 'purchase';
+
+                const shouldDerive = mode === 'always' || (mode === 'missing' && toNumber(prices[type]) === null);
+
+                if (shouldDerive && sourceType !== type) {
+                    const source = toNumber(prices[sourceType]);
+                    const tier = source !== null && source > 0
+                        ? this.findPricingTier(pricingRules.tiers || [], type, source, item)
+                        : null;
+
+                    if (tier) {
+                        const markup = parseFloat(tier.markup_percent || 0);
+                        let price = source * (1 + markup / 100);
+
+                        // Convert between currencies (factor of default currency is 1)
+                        const fromCurrency = currencies[sourceType];
+                        const toCurrency = currencies[type];
+                        if (fromCurrency && toCurrency && fromCurrency !== toCurrency) {
+                            const fromFactor = this.currencyFactors[fromCurrency] || 1;
+                            const toFactor = this.currencyFactors[toCurrency] || 1;
+                            price = fromFactor > 0 ? price / fromFactor * toFactor : price;
+                        }
+
+                        prices[type] = Math.round(price * 100) / 100;
+                    }
+                }
+
+                const price = toNumber(prices[type]);
+                if (price !== null) {
+                    prices[type] = this.roundPriceEnding(price, pricingRules.rounding?.[type] || {});
+                }
+            });
+
+            return prices;
+        },
+
+        findPricingTier(tiers, type, source, item) {
+            const categoryIds = item?.category_ids || [];
+            const manufacturerId = item?.manufacturer_id || null;
+
+            return tiers.find(tier => {
+                if (tier.price_type !== type) {
+                    return false;
+                }
+
+                const tierCategories = tier.category_ids || [];
+                if (tierCategories.length > 0 && !tierCategories.some(id => categoryIds.includes(id))) {
+                    return false;
+                }
+
+                const tierManufacturers = tier.manufacturer_ids || [];
+                if (tierManufacturers.length > 0 && !tierManufacturers.includes(manufacturerId)) {
+                    return false;
+                }
+
+                const from = tier.price_from === null || tier.price_from === '' || tier.price_from === undefined
+                    ? null
+                    : parseFloat(tier.price_from);
+                const to = tier.price_to === null || tier.price_to === '' || tier.price_to === undefined
+                    ? null
+                    : parseFloat(tier.price_to);
+
+                return !((from !== null && source < from) || (to !== null && source >= to));
+            }) || null;
+        },
+
+        // Must match backend PricingRuleService::round()
+        roundPriceEnding(price, rounding) {
+            const strategy = rounding.strategy || 'none';
+            const step = parseFloat(rounding.step || 0);
+            const ending = parseFloat(rounding.ending || 0);
+
+            if (strategy === 'none' || step <= 0 || price <= 0) {
+                return price;
             }
+
+            const steps = (price - ending) / step;
+
+            // Epsilon keeps prices that already have the ending from jumping one step up
+            const count = strategy === 'nearest'
+                ? Math.round(steps)
+                : Math.ceil(steps - 1e-9);
+
+            let rounded = Math.round((count * step + ending) * 100) / 100;
+
+            // Nearest rounding must not produce zero or negative prices
+            if (rounded <= 0) {
+                rounded = Math.round((Math.ceil(steps - 1e-9) * step + ending) * 100) / 100;
+            }
+
+            return rounded > 0 ? rounded : price;
         },
 
         async autoMatchProducts() {
@@ -1206,148 +1851,219 @@ Component.register('price-template-create', {
             this.hiddenColumns = [];
 
             this.isAutoMatching = true;
-            this.cancelAutoMatch = false; // Reset cancel flag
-            let totalMatched = 0;
-            let offset = 0;
-            const batchSize = 50;
 
             try {
-                // Process in batches
-                while (true) {
-                    // Check if user cancelled the process
-                    if (this.cancelAutoMatch) {
-                        this.createNotificationInfo({
-                            message: this.$tc('supplier.priceUpdate.wizard.infoCancelled')
-                        });
-                        break;
-                    }
+                const response = await this.priceUpdateService.startAutoMatchJob(
+                    this.template.id,
+                    50,
+                    this.minMatchPercentage,
+                    this.template.config.matching_strategies
+                );
 
-                    const result = await this.priceUpdateService.autoMatch(
-                        this.template.id,
-                        batchSize,
-                        offset,
-                        this.minMatchPercentage
-                    );
+                this.trackPriceJob(response.job);
 
-                    if (!result.stats) {
-                        break;
-                    }
+                this.createNotificationInfo({
+                    message: this.$tc('supplier.priceUpdate.jobs.infoStarted')
+                });
+            } catch (error) {
+                console.error('Error auto-matching products:', error);
+                this.isAutoMatching = false;
+                this.createNotificationError({
+                    message: error.response?.data?.error || this.$tc('supplier.priceUpdate.wizard.errorAutoMatch')
+                });
+            }
+        },
 
-                    if (result.matched && result.matched.length > 0 && this.allPreviewData) {
-                        const batchMatched = result.matched.length;
-
-                        const updatedData = this.allPreviewData.map(item => {
-                            const autoMatch = result.matched.find(match =>
-                                match.product_id === item.product_id
-                            );
-
-                            if (autoMatch) {
-                                let newPrices = item.new_prices || { purchase: null, retail: null, list: null };
-                                let availability = item.availability;
-
-                                if (this.parsedPriceData && autoMatch.supplier_code) {
-                                    const priceData = this.parsedPriceData.find(p => p.code === autoMatch.supplier_code);
-                                    if (priceData) {
-                                        const modifiers = this.template.config.modifiers || [];
-                                        newPrices = this.calculatePricesWithModifiers(priceData, modifiers);
-                                        availability = priceData.availability || null;
-                                    }
-                                }
+        async stopAutoMatch() {
+            const job = this.priceJobs.auto_match;
+            if (!job) {
+                return;
+            }
 
-                                return {
-                                    ...item,
-                                    product_id: autoMatch.product_id,
-                                    product_name: autoMatch.product_name,
-                                    product_number: autoMatch.product_number,
-                                    supplier_code: autoMatch.supplier_code,
-                                    supplier_name: autoMatch.supplier_name,
-                                    status: 'auto_matched',
-                                    confidence: autoMatch.confidence,
-                                    score: autoMatch.score,
-                                    matched_candidate: autoMatch.matched_candidate,
-                                    is_confirmed: false,
-                                    new_prices: newPrices,
-                                    availability: availability
-                                };
-                            }
-
-                            return item;
-                        });
+            try {
+                const response = await this.priceUpdateService.cancelPriceJob(job.id);
+                this.trackPriceJob(response.job);
+                await this.onPriceJobFinished(response.job);
+            } catch (error) {
+                this.createNotificationError({
+                    message: error.response?.data?.error || this.$tc('supplier.priceUpdate.jobs.errorJob')
+                });
+            }
+        },
 
-                        this.allPreviewData = updatedData;
-                        totalMatched += batchMatched;
+        // Jobs run in the message queue, the wizard polls their progress and reattaches when reopened
+        async loadPriceJobs() {
+            if (!this.template.id) {
+                return;
+            }
 
-                        this.createNotificationInfo({
-                            message: this.$t('supplier.priceUpdate.wizard.infoBatchMatched', {
-                                count: batchMatched
-                            })
-                        });
-                    }
+            try {
+                const response = await this.priceUpdateService.getLatestPriceJobs(this.template.id);
 
-                    if (result.stats.remaining === 0) {
-                        break;
+                for (const job of Object.values(response.jobs || {})) {
+                    if (!job || job.collected_at) {
+                        continue;
                     }
 
-                    offset = result.stats.processed;
-                }
+                    this.trackPriceJob(job);
 
-                if (this.allPreviewData) {
-                    this.applyPreviewPagination();
+                    if (!this.isPriceJobActive(job)) {
+                        await this.onPriceJobFinished(job);
+                    }
                 }
+            } catch (error) {
+                console.error('Error loading price jobs:', error);
+            }
+        },
 
-                if (totalMatched > 0) {
-                    this.createNotificationSuccess({
-                        message: this.$t('supplier.priceUpdate.wizard.successAutoMatch', {
-                            count: totalMatched
-                        })
-                    });
+        isPriceJobActive(job) {
+            return !!job && ['queued', 'running'].includes(job.status);
+        },
+
+        trackPriceJob(job) {
+            this.priceJobs = { ...this.priceJobs, [job.type]: job };
+            this.isAutoMatching = this.isPriceJobActive(this.priceJobs.auto_match);
+            this.isApplyingPrices = this.isPriceJobActive(this.priceJobs.apply);
+
+            if (this.isPriceJobActive(job) && !this.jobPollTimer) {
+                this.jobPollTimer = setInterval(() => this.pollPriceJobs(), 2000);
+            }
+        },
+
+        stopJobPolling() {
+            if (this.jobPollTimer) {
+                clearInterval(this.jobPollTimer);
+                this.jobPollTimer = null;
+            }
+        },
+
+        async pollPriceJobs() {
+            // A slow response must not overlap with the next tick
+            if (this.isPollingJobs) {
+                return;
+            }
+
+            const activeJobs = Object.values(this.priceJobs).filter(job => this.isPriceJobActive(job));
+            if (activeJobs.length === 0) {
+                this.stopJobPolling();
+                return;
+            }
+
+            this.isPollingJobs = true;
+
+            try {
+                for (const job of activeJobs) {
+                    const response = await this.priceUpdateService.getPriceJob(job.id);
+                    this.trackPriceJob(response.job);
+
+                    if (!this.isPriceJobActive(response.job)) {
+                        await this.onPriceJobFinished(response.job);
+                    }
                 }
             } catch (error) {
-                console.error('Error auto-matching products:', error);
+                console.error('Error loading price job:', error);
+            } finally {
+                this.isPollingJobs = false;
+            }
+        },
+
+        async onPriceJobFinished(job) {
+            // Failed jobs stay visible to be resumed or dismissed
+            if (job.status === 'failed') {
                 this.createNotificationError({
-                    message: error.message || this.$tc('supplier.priceUpdate.wizard.errorAutoMatch')
+                    message: this.$tc('supplier.priceUpdate.jobs.errorFailed', 0, { message: job.message || '-' })
                 });
-            } finally {
-                this.isAutoMatching = false;
+                return;
             }
+
+            await this.collectPriceJob(job);
         },
 
-        stopAutoMatch() {
-            this.cancelAutoMatch = true;
+        async collectPriceJob(job) {
+            try {
+                const response = await this.priceUpdateService.collectPriceJob(job.id);
+                this.priceJobs = { ...this.priceJobs, [job.type]: null };
+
+                if (job.type === 'auto_match') {
+                    await this.onAutoMatchJobCollected(response.job);
+                } else {
+                    await this.onApplyJobCollected(response.job);
+                }
+            } catch (error) {
+                this.createNotificationError({
+                    message: error.response?.data?.error || this.$tc('supplier.priceUpdate.jobs.errorJob')
+                });
+            }
         },
 
-        clearAllBindings() {
-            if (!this.allPreviewData) {
+        async onAutoMatchJobCollected(job) {
+            const matched = job.matched || [];
+
+            if (job.status === 'cancelled') {
+                this.createNotificationInfo({
+                    message: this.$tc('supplier.priceUpdate.wizard.infoCancelled')
+                });
+            }
+
+            if (matched.length === 0) {
                 return;
             }
 
-            let clearedCount = 0;
+            // Suggestions are shown on top of the match preview
+            if (!this.matchPreviewData) {
+                await this.loadMatchPreview();
+            }
 
-            const updatedData = this.allPreviewData.map(item => {
-                if (item.status === 'matched' || item.status === 'auto_matched') {
-                    clearedCount++;
-                    return {
-                        ...item,
-                        supplier_code: '',
-                        supplier_name: '',
-                        status: 'unmatched',
-                        confidence: 'none',
-                        score: null,
-                        matched_candidate: null,
-                        is_confirmed: false,
-                        new_prices: {
-                            purchase: null,
-                            retail: null,
-                            list: null
-                        },
-                        availability: null
-                    };
-                }
-                return item;
+            const autoMatches = { ...this.pendingAutoMatches };
+            matched.forEach(match => {
+                autoMatches[match.product_id] = match;
+            });
+
+            this.pendingAutoMatches = autoMatches;
+            this.buildPreviewRows();
+
+            this.createNotificationSuccess({
+                message: this.$t('supplier.priceUpdate.wizard.successAutoMatch', {
+                    count: matched.length
+                })
+            });
+        },
+
+        async resumePriceJob(job) {
+            try {
+                const response = await this.priceUpdateService.resumePriceJob(job.id);
+                this.trackPriceJob(response.job);
+            } catch (error) {
+                this.createNotificationError({
+                    message: error.response?.data?.error || this.$tc('supplier.priceUpdate.jobs.errorJob')
+                });
+            }
+        },
+
+        getPriceJobProgressLabel(job) {
+            const label = this.$tc('supplier.priceUpdate.jobs.progress', 0, {
+                processed: job.processed,
+                total: job.total,
+                percentage: job.percentage
             });
 
-            this.allPreviewData = updatedData;
-            this.applyPreviewPagination();
+            if (!job.eta_seconds) {
+                return label;
+            }
+
+            const minutes = Math.floor(job.eta_seconds / 60);
+            const seconds = job.eta_seconds % 60;
+
+            return `${label} · ${this.$tc('supplier.priceUpdate.jobs.eta', 0, {
+                time: minutes > 0 ? `${minutes}:${String(seconds).padStart(2, '0')}` : `${seconds}s`
+            })}`;
+        },
+
+        clearAllBindings() {
+            const clearedCount = Object.keys(this.pendingAutoMatches).length;
+
+            this.pendingAutoMatches = {};
+            this.buildPreviewRows();
 
             if (clearedCount > 0) {
                 this.createNotificationSuccess({
@@ -1355,11 +2071,19 @@ Component.register('price-template-create', {
                 });
             } else {
                 this.createNotificationInfo({
-                    message: 'Нет автоматических привязок для очистки'
+                    message: this.$tc('supplier.priceUpdate.wizard.infoNoBindingsToClear')
                 });
             }
         },
 
+        removePendingAutoMatches(productIds) {
+            const autoMatches = { ...this.pendingAutoMatches };
+            productIds.forEach(productId => {
+                delete autoMatches[productId];
+            });
+            this.pendingAutoMatches = autoMatches;
+        },
+
         async confirmAutoMatch(item) {
             if (!item.product_id || !item.supplier_code) {
                 return;
@@ -1373,61 +2097,46 @@ Component.register('price-template-create', {
                     item.supplier_code
                 );
 
-                // Update item status to 'matched'
-                const updatedData = this.allPreviewData.map(dataItem => {
-                    if (dataItem.product_id === item.product_id) {
-                        return {
-                            ...dataItem,
-                            status: 'matched',
-                            is_confirmed: true
-                        };
-                    }
-                    return dataItem;
-                });
-
-                this.allPreviewData = updatedData;
-                this.applyPreviewPagination();
+                // Row comes back from the server as matched
+                this.removePendingAutoMatches([item.product_id]);
+                await this.loadMatchPreviewPage();
 
                 this.createNotificationSuccess({
-                    message: 'Автоподбор подтверждён'
+                    message: this.$tc('supplier.priceUpdate.wizard.successConfirmAutoMatch')
                 });
             } catch (error) {
                 console.error('Error confirming auto-match:', error);
                 this.createNotificationError({
-                    message: 'Ошибка подтверждения автоподбора'
+                    message: this.$tc('supplier.priceUpdate.wizard.errorConfirmAutoMatch')
                 });
             }
         },
 
-        rejectAutoMatch(item) {
-            // Clear supplier code and reset to unmatched status
-            const updatedData = this.allPreviewData.map(dataItem => {
-                if (dataItem.product_id === item.product_id) {
-                    return {
-                        ...dataItem,
-                        supplier_code: '',
-                        supplier_name: '',
-                        status: 'unmatched',
-                        confidence: 'none',
-                        score: null,
-                        matched_candidate: null,
-                        is_confirmed: false,
-                        new_prices: {
-                            purchase: null,
-                            retail: null,
-                            list: null
-                        },
-                        availability: null
-                    };
+        // Rejected pairs are saved to the template's "never match" list and skipped by auto-match
+        async rejectAutoMatch(item) {
+            if (item.supplier_code) {
+                try {
+                    await this.priceUpdateService.rejectMatch(
+                        this.template.id,
+                        item.product_id,
+                        item.supplier_code,
+                        item.supplier_name || null
+                    );
+                } catch (error) {
+                    this.createNotificationError({
+                        message: error.response?.data?.error || this.$tc('supplier.priceUpdate.rejectedMatches.errorReject')
+                    });
+                    return;
                 }
-                return dataItem;
-            });
 
-            this.allPreviewData = updatedData;
-            this.applyPreviewPagination();
+                this.$refs.rejectedMatches?.loadRows();
+            }
+
+            this.removePendingAutoMatches([item.product_id]);
+            this.buildPreviewRows();
 
             this.createNotificationInfo({
-                message: 'Автоподбор отклонён'
+                message: this.$tc('supplier.priceUpdate.rejectedMatches.infoRejected')
             });
         },
 
@@ -1446,8 +2155,163 @@ Component.register('price-template-create', {
             return !this.hiddenColumns.includes(columnProperty);
         },
 
+        // Export columns follow visible table columns, prices are split into one column per value
+        getPreviewExportColumns() {
+            const priceTypes = {
+                purchase: this.$tc('supplier.priceUpdate.wizard.columnTypePurchasePrice'),
+                retail: this.$tc('supplier.priceUpdate.wizard.columnTypeRetailPrice'),
+                list: this.$tc('supplier.priceUpdate.wizard.columnTypeListPrice')
+            };
+            const columns = [];
+
+            this.visibleMatchPreviewColumns.forEach(column => {
+                if (column.property === 'prices') {
+                    Object.entries(priceTypes).forEach(([type, label]) => {
+                        ['current', 'new', 'currency', 'change'].forEach(value => {
+                            columns.push({
+                                property: `${type}_${value}`,
+                                label: this.$tc(`supplier.priceUpdate.export.column.${value}`, 0, { type: label })
+                            });
+                        });
+                    });
+                    return;
+                }
+
+                if (column.property === 'product_name') {
+                    columns.push({
+                        property: 'product_number',
+                        label: this.$tc('supplier.priceUpdate.wizard.columnProductNumber')
+                    });
+                }
+
+                columns.push({ property: column.property, label: column.label });
+
+                if (column.property === 'status') {
+                    columns.push({
+                        property: 'confidence',
+                        label: this.$tc('supplier.priceUpdate.export.column.confidence')
+                    });
+                }
+            });
+
+            if (this.template.config.guardrails?.enabled) {
+                columns.push({
+                    property: 'guardrail_violations',
+                    label: this.$tc('supplier.priceUpdate.export.column.guardrailViolations')
+                });
+            }
+
+            return columns;
+        },
+
+        async onExportPreview(format) {
+            if (!this.template.id) {
+                return;
+            }
+
+            this.isExportingPreview = true;
+            try {
+                const file = await this.priceUpdateService.exportPreview(
+                    this.template.id,
+                    {
+                        sortBy: this.previewSortBy,
+                        sortDirection: this.previewSortDirection,
+                        status: this.previewFilters.status,
+                        confidence: this.previewFilters.confidence,
+                        priceChange: this.previewFilters.price_change,
+                        search: this.previewFilters.search
+                    },
+                    this.getPreviewExportColumns(),
+                    format
+                );
+
+                this.downloadFile(file);
+
+                if (this.hasPendingMatches) {
+                    this.createNotificationInfo({
+                        message: this.$tc('supplier.priceUpdate.export.infoPendingNotExported')
+                    });
+                }
+            } catch (error) {
+                console.error('Error exporting match preview:', error);
+                this.createNotificationError({
+                    message: this.$tc('supplier.priceUpdate.export.errorExport')
+                });
+            } finally {
+                this.isExportingPreview = false;
+            }
+        },
+
+        downloadFile({ blob, fileName }) {
+            const url = window.URL.createObjectURL(blob);
+
+            // Create temporary link and trigger download
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = fileName;
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            window.URL.revokeObjectURL(url);
+        },
+
         async confirmAllMatches() {
-            // TODO: Implement confirm all matches
+            if (!this.template.id) {
+                return;
+            }
+
+            const autoMatched = this.confirmScope === 'page'
+                ? this.matchPreviewData.filter(item => item.status === 'auto_matched')
+                : Object.values(this.pendingAutoMatches);
+            const minScore = Number(this.confirmMinScore) || 0;
+
+            const toConfirm = autoMatched.filter(item =>
+                item.product_id && item.supplier_code && (item.score || 0) >= minScore
+            );
+            const skippedCount = autoMatched.length - toConfirm.length;
+
+            if (toConfirm.length === 0) {
+                this.createNotificationInfo({
+                    message: this.$tc('supplier.priceUpdate.wizard.infoNothingToConfirm', 0, {
+                        skipped: skippedCount,
+                        score: minScore
+                    })
+                });
+                return;
+            }
+
+            this.isConfirmingAll = true;
+
+            try {
+                const result = await this.priceUpdateService.confirmMatches(
+                    this.template.id,
+                    toConfirm.map(item => ({
+                        product_id: item.product_id,
+                        supplier_code: item.supplier_code,
+                        score: item.score
+                    })),
+                    minScore
+                );
+
+                // Confirmed rows come back from the server as matched
+                this.removePendingAutoMatches(toConfirm.map(item => item.product_id));
+                await this.loadMatchPreviewPage();
+
+                this.createNotificationSuccess({
+                    message: this.$tc('supplier.priceUpdate.wizard.successConfirmAll', 0, {
+                        confirmed: result.confirmed,
+                        skipped: skippedCount + (result.skipped || 0),
+                        score: minScore
+                    })
+                });
+            } catch (error) {
+                console.error('Error confirming matches:', error);
+                this.createNotificationError({
+                    message: this.$tc('supplier.priceUpdate.wizard.errorConfirmMatches')
+                });
+            } finally {
+                this.isConfirmingAll = false;
+            }
         },
 
         async applyPrices() {
@@ -1460,24 +2324,71 @@ Component.register('price-template-create', {
 
             this.isApplyingPrices = true;
             try {
-                await this.priceUpdateService.applyPrices(this.template.id);
-                
-                this.createNotificationSuccess({
-                    message: this.$tc('supplier.priceUpdate.wizard.successApplyPrices')
-                });
-                
-                // Reload template to get updated appliedAt
-                await this.loadTemplate();
+                const response = await this.priceUpdateService.startApplyJob(
+                    this.template.id,
+                    this.guardrailApprovedIds
+                );
+
+                this.trackPriceJob(response.job);
             } catch (error) {
                 console.error('Error applying prices:', error);
+                this.isApplyingPrices = false;
                 this.createNotificationError({
-                    message: this.$tc('supplier.priceUpdate.wizard.errorApplyPrices')
+                    message: error.response?.data?.error || this.$tc('supplier.priceUpdate.wizard.errorApplyPrices')
                 });
-            } finally {
-                this.isApplyingPrices = false;
             }
         },
 
+        async onApplyJobCollected(job) {
+            if (job.status !== 'completed') {
+                return;
+            }
+
+            this.createNotificationSuccess({
+                message: this.$tc('supplier.priceUpdate.wizard.successApplyPrices')
+            });
+
+            if (job.stats?.blocked > 0) {
+                this.createNotificationWarning({
+                    message: this.$tc('supplier.priceUpdate.wizard.warningGuardrailBlocked', 0, {
+                        count: job.stats.blocked
+                    })
+                });
+            }
+
+            if (job.stats?.not_best_supplier > 0) {
+                this.createNotificationInfo({
+                    message: this.$tc('supplier.priceUpdate.wizard.infoNotBestSupplier', 0, {
+                        count: job.stats.not_best_supplier
+                    })
+                });
+            }
+
+            this.guardrailApprovedIds = [];
+
+            // Reload template to get updated appliedAt
+            await this.loadTemplate();
+            this.$refs.changesetHistory?.loadChangesets();
+            this.$refs.templateVersions?.loadVersions();
+        },
+
+        async onChangesetReverted() {
+            if (this.matchPreviewData) {
+                await this.loadMatchPreview();
+            }
+        },
+
+        async onDraftProductsCreated() {
+            // Draft products are added to the mapping, the preview shows them as matched
+            await this.loadMatchPreviewPage();
+        },
+
+        async onTemplateVersionRestored() {
+            // Restored config replaces mapping and rules, match preview is stale
+            this.matchPreviewData = null;
+            await this.loadTemplate();
+        },
+
         async onSave() {
             if (!this.template.name || !this.template.supplierId) {
                 this.createNotificationError({
@@ -20,6 +20,10 @@ Component.register('price-template-list', {
             templates: null,
             isLoading: false,
             isRecalculating: false,
+            runningImportIds: [],
+            templateToClone: null,
+            cloneName: '',
+            isCloning: false,
             filterSupplierId: null,
             page: 1,
             limit: 25,
@@ -64,6 +68,13 @@ Component.register('price-template-list', {
                     label: this.$tc('supplier.priceUpdate.list.columnAppliedAt'),
                     allowResize: true
                 },
+                {
+                    property: 'lastImport',
+                    dataIndex: 'lastImport',
+                    label: this.$tc('supplier.priceUpdate.list.columnLastImport'),
+                    sortable: false,
+                    allowResize: true
+                },
                 {
                     property: 'createdAt',
                     dataIndex: 'createdAt',
@@ -97,6 +108,9 @@ Component.register('price-template-list', {
                 criteria.addSorting(Criteria.sort('createdAt', 'DESC'));
                 criteria.addAssociation('supplier');
                 criteria.addAssociation('appliedByUser');
+                criteria.getAssociation('importRuns')
+                    .addSorting(Criteria.sort('startedAt', 'DESC'))
+                    .setLimit(1);
 
                 if (this.filterSupplierId) {
                     criteria.addFilter(
@@ -139,6 +153,14 @@ Component.register('price-template-list', {
             this.$router.push({ name: 'supplier.price.update.create' });
         },
 
+        onComparison() {
+            this.$router.push({ name: 'supplier.price.update.comparison' });
+        },
+
+        onExchangeRates() {
+            this.$router.push({ name: 'supplier.price.update.exchangeRates' });
+        },
+
         onUpdatePrices(template) {
             this.$router.push({
                 name: 'supplier.price.update.edit',
@@ -160,6 +182,41 @@ Component.register('price-template-list', {
             }
         },
 
+        onOpenClone(template) {
+            this.templateToClone = template;
+            this.cloneName = this.$tc('supplier.priceUpdate.list.cloneDefaultName', 0, {
+                name: template.name
+            });
+        },
+
+        onCancelClone() {
+            this.templateToClone = null;
+        },
+
+        async onConfirmClone() {
+            this.isCloning = true;
+
+            try {
+                const response = await this.priceUpdateService.cloneTemplate(this.templateToClone.id, this.cloneName);
+
+                this.createNotificationSuccess({
+                    message: this.$tc('supplier.priceUpdate.list.successClone')
+                });
+
+                this.templateToClone = null;
+                this.$router.push({
+                    name: 'supplier.price.update.edit',
+                    params: { id: response.templateId }
+                });
+            } catch (error) {
+                this.createNotificationError({
+                    message: error.response?.data?.error || this.$tc('supplier.priceUpdate.list.errorClone')
+                });
+            } finally {
+                this.isCloning = false;
+            }
+        },
+
         formatDate(dateString) {
             if (!dateString) return '-';
             const date = new Date(dateString);
@@ -186,6 +243,70 @@ Component.register('price-template-list', {
             });
         },
 
+        getLastImportRun(template) {
+            if (!template.importRuns || template.importRuns.length === 0) {
+                return null;
+            }
+            return template.importRuns.first();
+        },
+
+        getImportStatusColor(run) {
+            const colors = {
+                success: 'success',
+                skipped: 'neutral',
+                failed: 'danger',
+                running: 'info'
+            };
+            return colors[run.status] || 'neutral';
+        },
+
+        getImportStatusLabel(run) {
+            return this.$tc(`supplier.priceUpdate.list.importStatus.${run.status}`, 0, {
+                date: this.formatDate(run.startedAt)
+            });
+        },
+
+        isScheduled(template) {
+            return !!template.config?.schedule?.enabled;
+        },
+
+        async onRunImport(template) {
+            this.runningImportIds.push(template.id);
+
+            try {
+                const response = await this.priceUpdateService.runImport(template.id);
+                const run = response.run;
+
+                if (run.status === 'failed') {
+                    this.createNotificationError({
+                        message: this.$tc('supplier.priceUpdate.list.errorRunImport', 0, {
+                            message: run.message
+                        })
+                    });
+                } else if (run.status === 'skipped') {
+                    this.createNotificationWarning({
+                        message: run.message
+                    });
+                } else {
+                    this.createNotificationSuccess({
+                        message: this.$tc('supplier.priceUpdate.list.successRunImport', 0, {
+                            count: run.stats?.updated || 0
+                        })
+                    });
+                }
+
+                await this.loadTemplates();
+            } catch (error) {
+                this.createNotificationError({
+                    message: this.$tc('supplier.priceUpdate.list.errorRunImport', 0, {
+                        message: error.response?.data?.error || error.message
+                    })
+                });
+            } finally {
+                this.runningImportIds = this.runningImportIds.filter(id => id !== template.id);
+            }
+        },
+
         async onRecalculatePrices() {
             this.isRecalculating = true;
 
@@ -0,0 +1,170 @@
+import template from './supplier-comparison.html.twig';
+import './supplier-comparison.scss';
+
+const { Component, Mixin } = Shopware;
+
+Component.register('supplier-comparison', {
+    template,
+
+    inject: [
+        'priceUpdateService'
+    ],
+
+    mixins: [
+        Mixin.getByName('notification')
+    ],
+
+    data() {
+        return {
+            rows: [],
+            pageRows: [],
+            isLoading: false,
+            multipleOnly: true,
+            policy: null,
+            enforced: false,
+            defaultCurrency: null,
+            errors: [],
+            searchTerm: '',
+            page: 1,
+            limit: 25
+        };
+    },
+
+    computed: {
+        columns() {
+            return [
+                {
+                    property: 'product_name',
+                    label: this.$tc('supplier.priceUpdate.comparison.columnProduct'),
+                    primary: true
+                },
+                {
+                    property: 'offers',
+                    label: this.$tc('supplier.priceUpdate.comparison.columnOffers')
+                },
+                {
+                    property: 'current_supplier_id',
+                    label: this.$tc('supplier.priceUpdate.comparison.columnCurrentSupplier')
+                }
+            ];
+        },
+
+        policyOptions() {
+            return ['cheapest', 'cheapest_in_stock', 'preferred'].map(value => ({
+                value,
+                label: this.$tc(`supplier.priceUpdate.comparison.policy.${value}`)
+            }));
+        },
+
+        filteredRows() {
+            const term = this.searchTerm.trim().toLowerCase();
+
+            if (!term) {
+                return this.rows;
+            }
+
+            return this.rows.filter(row =>
+                (row.product_name || '').toLowerCase().includes(term)
+                || (row.product_number || '').toLowerCase().includes(term)
+                || row.offers.some(offer => (offer.supplier_code || '').toLowerCase().includes(term))
+            );
+        },
+
+        mismatchCount() {
+            return this.rows.filter(row => this.isSupplierMismatch(row)).length;
+        }
+    },
+
+    watch: {
+        searchTerm() {
+            this.page = 1;
+            this.applyPagination();
+        }
+    },
+
+    created() {
+        this.loadComparison();
+    },
+
+    methods: {
+        async loadComparison() {
+            this.isLoading = true;
+
+            try {
+                const result = await this.priceUpdateService.getSupplierComparison(this.multipleOnly, this.policy);
+
+                this.rows = result.rows || [];
+                this.policy = result.policy;
+                this.enforced = result.enforced;
+                this.defaultCurrency = result.default_currency;
+                this.errors = result.errors || [];
+                this.page = 1;
+                this.applyPagination();
+            } catch (error) {
+                this.createNotificationError({
+                    message: this.$tc('supplier.priceUpdate.comparison.errorLoad', 0, {
+                        message: error.response?.data?.error || error.message
+                    })
+                });
+            } finally {
+                this.isLoading = false;
+            }
+        },
+
+        applyPagination() {
+            const start = (this.page - 1) * this.limit;
+            this.pageRows = this.filteredRows.slice(start, start + this.limit);
+        },
+
+        onPageChange({ page, limit }) {
+            this.page = page;
+            this.limit = limit;
+            this.applyPagination();
+        },
+
+        onMultipleOnlyChange(value) {
+            this.multipleOnly = value;
+            this.loadComparison();
+        },
+
+        onPolicyChange(value) {
+            this.policy = value;
+            this.loadComparison();
+        },
+
+        isBestOffer(row, offer) {
+            return row.best_template_id === offer.template_id;
+        },
+
+        isSupplierMismatch(row) {
+            return row.best_supplier_id !== null && row.best_supplier_id !== row.current_supplier_id;
+        },
+
+        getCurrentSupplierName(row) {
+            const offer = row.offers.find(item => item.supplier_id === row.current_supplier_id);
+
+            if (offer) {
+                return offer.supplier_name;
+            }
+
+            return row.current_supplier_id ? this.$tc('supplier.priceUpdate.comparison.labelOtherSupplier') : '-';
+        },
+
+        getAvailabilityLabel(offer) {
+            if (offer.in_stock === true) {
+                return this.$tc('supplier.priceUpdate.comparison.labelInStock', 0, { availability: offer.availability });
+            }
+            if (offer.in_stock === false) {
+                return this.$tc('supplier.priceUpdate.comparison.labelOutOfStock');
+            }
+            return offer.availability || this.$tc('supplier.priceUpdate.comparison.labelUnknownStock');
+        },
+
+        formatPrice(price) {
+            if (price === null || price === undefined) {
+                return '-';
+            }
+            return parseFloat(price).toFixed(2);
+        }
+    }
+});
@@ -0,0 +1,197 @@
+import template from './supplier-discontinued-products.html.twig';
+import './supplier-discontinued-products.scss';
+
+const { Component, Mixin } = Shopware;
+
+Component.register('supplier-discontinued-products', {
+    template,
+
+    inject: [
+        'priceUpdateService'
+    ],
+
+    mixins: [
+        Mixin.getByName('notification')
+    ],
+
+    props: {
+        supplierId: {
+            type: String,
+            required: true
+        }
+    },
+
+    data() {
+        return {
+            rows: [],
+            isLoading: false,
+            page: 1,
+            limit: 25,
+            total: 0,
+            graceImports: null,
+            selection: {},
+            isApplying: false,
+            showTagModal: false,
+            tagId: null
+        };
+    },
+
+    computed: {
+        columns() {
+            return [
+                {
+                    property: 'product_name',
+                    label: this.$tc('supplier.detail.discontinued.columnProduct'),
+                    allowResize: true,
+                    primary: true
+                },
+                {
+                    property: 'supplier_code',
+                    label: this.$tc('supplier.detail.discontinued.columnCode'),
+                    allowResize: true
+                },
+                {
+                    property: 'template_name',
+                    label: this.$tc('supplier.detail.discontinued.columnTemplate'),
+                    allowResize: true
+                },
+                {
+                    property: 'missing_count',
+                    label: this.$tc('supplier.detail.discontinued.columnMissing'),
+                    allowResize: true,
+                    width: '120px'
+                },
+                {
+                    property: 'first_missing_at',
+                    label: this.$tc('supplier.detail.discontinued.columnFirstMissing'),
+                    allowResize: true
+                },
+                {
+                    property: 'active',
+                    label: this.$tc('supplier.detail.discontinued.columnActive'),
+                    allowResize: true,
+                    width: '100px'
+                },
+                {
+                    property: 'stock',
+                    label: this.$tc('supplier.detail.discontinued.columnStock'),
+                    allowResize: true,
+                    width: '100px'
+                },
+                {
+                    property: 'action',
+                    label: this.$tc('supplier.detail.discontinued.columnAction'),
+                    allowResize: true
+                }
+            ];
+        },
+
+        selectedIds() {
+            return Object.keys(this.selection);
+        }
+    },
+
+    created() {
+        this.loadRows();
+    },
+
+    methods: {
+        async loadRows() {
+            this.isLoading = true;
+
+            try {
+                const response = await this.priceUpdateService.getDiscontinuedProducts(this.supplierId, this.page, this.limit);
+
+                this.rows = response.rows || [];
+                this.total = response.total || 0;
+                this.graceImports = response.grace_imports;
+            } catch (error) {
+                this.createNotificationError({
+                    message: error.response?.data?.error || this.$tc('supplier.detail.discontinued.errorLoad')
+                });
+            } finally {
+                this.isLoading = false;
+            }
+        },
+
+        onPageChange({ page, limit }) {
+            this.page = page;
+            this.limit = limit;
+            this.selection = {};
+            this.loadRows();
+        },
+
+        onSelectionChange(selection) {
+            this.selection = { ...selection };
+        },
+
+        onOpenTagModal() {
+            this.tagId = null;
+            this.showTagModal = true;
+        },
+
+        onCloseTagModal() {
+            this.showTagModal = false;
+        },
+
+        async onApplyTag() {
+            await this.applyAction('tag');
+            this.showTagModal = false;
+        },
+
+        async applyAction(action) {
+            if (this.selectedIds.length === 0) {
+                return;
+            }
+
+            this.isApplying = true;
+
+            try {
+                const response = await this.priceUpdateService.applyDiscontinuedAction(
+                    this.selectedIds,
+                    action,
+                    action === 'tag' ? this.tagId : null
+                );
+
+                this.createNotificationSuccess({
+                    message: this.$tc(`supplier.detail.discontinued.success.${action}`, 0, {
+                        count: response.result?.updated || 0
+                    })
+                });
+
+                this.selection = {};
+                this.$refs.grid?.resetSelection();
+                await this.loadRows();
+            } catch (error) {
+                this.createNotificationError({
+                    message: error.response?.data?.error || this.$tc('supplier.detail.discontinued.errorAction')
+                });
+            } finally {
+                this.isApplying = false;
+            }
+        },
+
+        getActionLabel(item) {
+            if (!item.action) {
+                return '-';
+            }
+
+            return this.$tc('supplier.detail.discontinued.actionDone', 0, {
+                action: this.$tc(`supplier.detail.discontinued.action.${item.action}`),
+                date: this.formatDate(item.action_at)
+            });
+        },
+
+        formatDate(dateString) {
+            if (!dateString) return '-';
+            const date = new Date(dateString);
+            return date.toLocaleString('ru-RU', {
+                year: 'numeric',
+                month: '2-digit',
+                day: '2-digit',
+                hour: '2-digit',
+                minute: '2-digit'
+            });
+        }
+    }
+});
@@ -0,0 +1,190 @@
+import template from './supplier-import-export.html.twig';
+import './supplier-import-export.scss';
+
+const { Component, Mixin } = Shopware;
+
+/**
+ * Download and upload of all suppliers as a spreadsheet from the supplier list.
+ * Uploaded file is validated first (dry run), suppliers are saved after the report is confirmed.
+ */
+Component.register('supplier-import-export', {
+    template,
+
+    inject: [
+        'priceUpdateService'
+    ],
+
+    mixins: [
+        Mixin.getByName('notification')
+    ],
+
+    emits: ['imported'],
+
+    data() {
+        return {
+            isExporting: false,
+            isValidating: false,
+            isImporting: false,
+            selectedFile: null,
+            report: null
+        };
+    },
+
+    computed: {
+        changeColumns() {
+            return [
+                {
+                    property: 'row',
+                    label: this.$tc('supplier.transfer.columnRow'),
+                    width: '80px'
+                },
+                {
+                    property: 'name',
+                    label: this.$tc('supplier.transfer.columnName')
+                },
+                {
+                    property: 'action',
+                    label: this.$tc('supplier.transfer.columnAction'),
+                    width: '140px'
+                },
+                {
+                    property: 'fields',
+                    label: this.$tc('supplier.transfer.columnFields')
+                }
+            ];
+        },
+
+        issueColumns() {
+            return [
+                {
+                    property: 'row',
+                    label: this.$tc('supplier.transfer.columnRow'),
+                    width: '80px'
+                },
+                {
+                    property: 'name',
+                    label: this.$tc('supplier.transfer.columnName')
+                },
+                {
+                    property: 'value',
+                    label: this.$tc('supplier.transfer.columnValue')
+                },
+                {
+                    property: 'type',
+                    label: this.$tc('supplier.transfer.columnIssue')
+                }
+            ];
+        },
+
+        hasChanges() {
+            if (!this.report) {
+                return false;
+            }
+
+            const { created, updated } = this.report.stats;
+            return created + updated > 0;
+        }
+    },
+
+    methods: {
+        async onExport() {
+            this.isExporting = true;
+
+            try {
+                const file = await this.priceUpdateService.exportSuppliers();
+                this.downloadFile(file);
+            } catch (error) {
+                this.createNotificationError({
+                    message: this.$tc('supplier.transfer.errorExport')
+                });
+            } finally {
+                this.isExporting = false;
+            }
+        },
+
+        onSelectFile() {
+            this.$refs.fileInput.click();
+        },
+
+        async onFileChange(event) {
+            const file = event.target.files[0];
+            // Allow selecting the same file again
+            event.target.value = '';
+
+            if (!file) {
+                return;
+            }
+
+            this.selectedFile = file;
+            this.isValidating = true;
+
+            try {
+                const response = await this.priceUpdateService.importSuppliers(file, true);
+                this.report = response.report;
+            } catch (error) {
+                this.selectedFile = null;
+                this.createNotificationError({
+                    message: error.response?.data?.error || this.$tc('supplier.transfer.errorImport')
+                });
+            } finally {
+                this.isValidating = false;
+            }
+        },
+
+        async onConfirmImport() {
+            this.isImporting = true;
+
+            try {
+                const response = await this.priceUpdateService.importSuppliers(this.selectedFile, false);
+                const { created, updated } = response.report.stats;
+
+                this.createNotificationSuccess({
+                    message: this.$tc('supplier.transfer.successImport', 0, { created, updated })
+                });
+
+                this.closeReport();
+                this.$emit('imported');
+            } catch (error) {
+                this.createNotificationError({
+                    message: error.response?.data?.error || this.$tc('supplier.transfer.errorImport')
+                });
+            } finally {
+                this.isImporting = false;
+            }
+        },
+
+        closeReport() {
+            this.report = null;
+            this.selectedFile = null;
+        },
+
+        getActionLabel(action) {
+            return this.$tc(`supplier.transfer.action.${action}`);
+        },
+
+        getIssueLabel(type) {
+            return this.$tc(`supplier.transfer.issue.${type}`);
+        },
+
+        formatFields(item) {
+            if (item.action === 'create') {
+                return '-';
+            }
+
+            return item.fields.join(', ');
+        },
+
+        downloadFile({ blob, fileName }) {
+            const url = window.URL.createObjectURL(blob);
+
+            // Create temporary link and trigger download
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = fileName;
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            window.URL.revokeObjectURL(url);
+        }
+    }
+});
@@ -0,0 +1,103 @@
+import template from './supplier-metrics-dashboard.html.twig';
+import './supplier-metrics-dashboard.scss';
+
+const { Component } = Shopware;
+
+Component.register('supplier-metrics-dashboard', {
+    template,
+
+    props: {
+        metrics: {
+            type: Object,
+            required: false,
+            default: null
+        },
+
+        staleDays: {
+            type: Number,
+            required: false,
+            default: null
+        },
+
+        isLoading: {
+            type: Boolean,
+            required: false,
+            default: false
+        }
+    },
+
+    computed: {
+        suppliers() {
+            return Object.values(this.metrics || {});
+        },
+
+        staleSuppliers() {
+            return this.suppliers
+                .filter(supplier => supplier.is_stale)
+                .sort((a, b) => (a.last_upload_at || '').localeCompare(b.last_upload_at || ''));
+        },
+
+        summary() {
+            const withCoverage = this.suppliers.filter(supplier => supplier.coverage !== null);
+
+            return {
+                total: this.suppliers.length,
+                stale: this.staleSuppliers.length,
+                coverage: withCoverage.length > 0
+                    ? Math.round(withCoverage.reduce((sum, supplier) => sum + supplier.coverage, 0) / withCoverage.length * 10) / 10
+                    : null,
+                pending: this.suppliers.reduce((sum, supplier) => sum + supplier.pending, 0),
+                unmatchedRows: this.suppliers.reduce((sum, supplier) => sum + supplier.unmatched_rows, 0)
+            };
+        },
+
+        staleColumns() {
+            return [
+                {
+                    property: 'supplier_name',
+                    label: this.$tc('supplier.metrics.columnSupplier'),
+                    allowResize: true,
+                    primary: true
+                },
+                {
+                    property: 'last_upload_at',
+                    label: this.$tc('supplier.metrics.columnLastUpload'),
+                    allowResize: true
+                },
+                {
+                    property: 'last_applied_at',
+                    label: this.$tc('supplier.metrics.columnLastApply'),
+                    allowResize: true
+                },
+                {
+                    property: 'coverage',
+                    label: this.$tc('supplier.metrics.columnCoverage'),
+                    allowResize: true,
+                    width: '120px'
+                },
+                {
+                    property: 'pending',
+                    label: this.$tc('supplier.metrics.columnPending'),
+                    allowResize: true,
+                    width: '160px'
+                }
+            ];
+        }
+    },
+
+    methods: {
+        formatDate(dateString) {
+            if (!dateString) return '-';
+            const date = new Date(dateString);
+            return date.toLocaleString('ru-RU', {
+                year: 'numeric',
+                month: '2-digit',
+                day: '2-digit'
+            });
+        },
+
+        formatPercent(value) {
+            return value === null || value === undefined ? '-' : `${value}%`;
+        }
+    }
+});
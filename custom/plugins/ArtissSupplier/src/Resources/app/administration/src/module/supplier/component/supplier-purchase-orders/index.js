@@ -0,0 +1,437 @@
+import template from './supplier-purchase-orders.html.twig';
+import './supplier-purchase-orders.scss';
+
+const { Component, Mixin } = Shopware;
+
+/**
+ * Purchase orders of a supplier: drafting from products below the reorder threshold,
+ * export as XLSX, CSV, PDF or e-mail file and status tracking.
+ */
+Component.register('supplier-purchase-orders', {
+    template,
+
+    inject: [
+        'priceUpdateService'
+    ],
+
+    mixins: [
+        Mixin.getByName('notification')
+    ],
+
+    props: {
+        supplierId: {
+            type: String,
+            required: true
+        }
+    },
+
+    data() {
+        return {
+            orders: [],
+            isLoading: false,
+            page: 1,
+            limit: 10,
+            total: 0,
+            isExporting: false,
+            editorOrder: null,
+            editorRows: [],
+            showEditor: false,
+            threshold: null,
+            comment: '',
+            isLoadingCandidates: false,
+            isSaving: false
+        };
+    },
+
+    computed: {
+        orderColumns() {
+            return [
+                {
+                    property: 'order_number',
+                    label: this.$tc('supplier.detail.purchaseOrder.columnNumber'),
+                    allowResize: true,
+                    primary: true
+                },
+                {
+                    property: 'created_at',
+                    label: this.$tc('supplier.detail.purchaseOrder.columnCreatedAt'),
+                    allowResize: true
+                },
+                {
+                    property: 'status',
+                    label: this.$tc('supplier.detail.purchaseOrder.columnStatus'),
+                    allowResize: true
+                },
+                {
+                    property: 'item_count',
+                    label: this.$tc('supplier.detail.purchaseOrder.columnItems'),
+                    allowResize: true,
+                    width: '100px'
+                },
+                {
+                    property: 'totals',
+                    label: this.$tc('supplier.detail.purchaseOrder.columnTotal'),
+                    allowResize: true
+                },
+                {
+                    property: 'user_name',
+                    label: this.$tc('supplier.detail.purchaseOrder.columnUser'),
+                    allowResize: true
+                }
+            ];
+        },
+
+        itemColumns() {
+            return [
+                {
+                    property: 'product_name',
+                    label: this.$tc('supplier.detail.purchaseOrder.columnProduct'),
+                    allowResize: true,
+                    primary: true
+                },
+                {
+                    property: 'supplier_code',
+                    label: this.$tc('supplier.detail.purchaseOrder.columnCode'),
+                    allowResize: true
+                },
+                {
+                    property: 'stock',
+                    label: this.$tc('supplier.detail.purchaseOrder.columnStock'),
+                    allowResize: true,
+                    width: '90px'
+                },
+                {
+                    property: 'quantity',
+                    label: this.$tc('supplier.detail.purchaseOrder.columnQuantity'),
+                    allowResize: true,
+                    width: '130px'
+                },
+                {
+                    property: 'purchase_price',
+                    label: this.$tc('supplier.detail.purchaseOrder.columnPrice'),
+                    allowResize: true
+                },
+                {
+                    property: 'amount',
+                    label: this.$tc('supplier.detail.purchaseOrder.columnAmount'),
+                    allowResize: true
+                }
+            ];
+        },
+
+        isEditable() {
+            return !this.editorOrder || this.editorOrder.status === 'draft';
+        },
+
+        orderedRows() {
+            return this.editorRows.filter(row => row.quantity > 0);
+        },
+
+        editorTotals() {
+            return this.orderedRows.reduce((totals, row) => {
+                if (row.purchase_price === null || row.purchase_price === undefined) {
+                    return totals;
+                }
+
+                const currency = row.currency || '';
+                totals[currency] = (totals[currency] || 0) + row.purchase_price * row.quantity;
+
+                return totals;
+            }, {});
+        },
+
+        editorTitle() {
+            if (!this.editorOrder) {
+                return this.$tc('supplier.detail.purchaseOrder.titleNew');
+            }
+
+            return this.$tc('supplier.detail.purchaseOrder.titleOrder', 0, {
+                number: this.editorOrder.order_number
+            });
+        }
+    },
+
+    created() {
+        this.loadOrders();
+    },
+
+    methods: {
+        async loadOrders() {
+            this.isLoading = true;
+
+            try {
+                const response = await this.priceUpdateService.getPurchaseOrders(this.supplierId, this.page, this.limit);
+
+                this.orders = response.rows || [];
+                this.total = response.total || 0;
+            } catch (error) {
+                this.createNotificationError({
+                    message: error.response?.data?.error || this.$tc('supplier.detail.purchaseOrder.errorLoad')
+                });
+            } finally {
+                this.isLoading = false;
+            }
+        },
+
+        onPageChange({ page, limit }) {
+            this.page = page;
+            this.limit = limit;
+            this.loadOrders();
+        },
+
+        onNewOrder() {
+            this.editorOrder = null;
+            this.editorRows = [];
+            this.comment = '';
+            this.threshold = null;
+            this.showEditor = true;
+            this.loadCandidates();
+        },
+
+        async onOpenOrder(order) {
+            this.isLoading = true;
+
+            try {
+                const response = await this.priceUpdateService.getPurchaseOrder(order.id);
+
+                this.editorOrder = response.order;
+                this.editorRows = response.order.items.map(item => ({ ...item }));
+                this.comment = response.order.comment || '';
+                this.showEditor = true;
+            } catch (error) {
+                this.createNotificationError({
+                    message: error.response?.data?.error || this.$tc('supplier.detail.purchaseOrder.errorLoad')
+                });
+            } finally {
+                this.isLoading = false;
+            }
+        },
+
+        onCloseEditor() {
+            this.showEditor = false;
+            this.editorOrder = null;
+            this.editorRows = [];
+        },
+
+        /**
+         * Products below the threshold, products already in the draft keep their quantity
+         */
+        async loadCandidates() {
+            this.isLoadingCandidates = true;
+
+            try {
+                const response = await this.priceUpdateService.getPurchaseOrderCandidates(this.supplierId, this.threshold);
+                const existingIds = this.editorRows.map(row => row.product_id);
+
+                this.threshold = response.threshold;
+                this.editorRows = [
+                    ...this.editorRows,
+                    ...(response.rows || []).filter(row => !existingIds.includes(row.product_id))
+                ];
+            } catch (error) {
+                this.createNotificationError({
+                    message: error.response?.data?.error || this.$tc('supplier.detail.purchaseOrder.errorLoad')
+                });
+            } finally {
+                this.isLoadingCandidates = false;
+            }
+        },
+
+        async onSaveDraft() {
+            this.isSaving = true;
+
+            try {
+                const response = await this.priceUpdateService.savePurchaseOrder({
+                    orderId: this.editorOrder?.id || null,
+                    supplierId: this.supplierId,
+                    items: this.orderedRows.map(row => ({
+                        product_id: row.product_id,
+                        quantity: row.quantity
+                    })),
+                    comment: this.comment || null
+                });
+
+                this.editorOrder = response.order;
+                this.editorRows = response.order.items.map(item => ({ ...item }));
+
+                this.createNotificationSuccess({
+                    message: this.$tc('supplier.detail.purchaseOrder.successSave', 0, {
+                        number: response.order.order_number
+                    })
+                });
+
+                await this.loadOrders();
+            } catch (error) {
+                this.createNotificationError({
+                    message: error.response?.data?.error || this.$tc('supplier.detail.purchaseOrder.errorSave')
+                });
+            } finally {
+                this.isSaving = false;
+            }
+        },
+
+        async onChangeStatus(order, status) {
+            try {
+                await this.priceUpdateService.setPurchaseOrderStatus(order.id, status);
+
+                this.createNotificationSuccess({
+                    message: this.$tc('supplier.detail.purchaseOrder.successStatus', 0, {
+                        number: order.order_number,
+                        status: this.getStatusLabel(status)
+                    })
+                });
+
+                if (this.editorOrder?.id === order.id) {
+                    this.onCloseEditor();
+                }
+
+                await this.loadOrders();
+            } catch (error) {
+                this.createNotificationError({
+                    message: error.response?.data?.error || this.$tc('supplier.detail.purchaseOrder.errorStatus')
+                });
+            }
+        },
+
+        async onDelete(order) {
+            try {
+                await this.priceUpdateService.deletePurchaseOrder(order.id);
+                await this.loadOrders();
+            } catch (error) {
+                this.createNotificationError({
+                    message: error.response?.data?.error || this.$tc('supplier.detail.purchaseOrder.errorDelete')
+                });
+            }
+        },
+
+        async onExport(order, format) {
+            this.isExporting = true;
+
+            try {
+                const file = await this.priceUpdateService.exportPurchaseOrder(
+                    order.id,
+                    format,
+                    this.getExportColumns(),
+                    this.getExportTexts()
+                );
+
+                this.downloadFile(file);
+            } catch (error) {
+                this.createNotificationError({
+                    message: await this.getBlobError(error) || this.$tc('supplier.priceUpdate.export.errorExport')
+                });
+            } finally {
+                this.isExporting = false;
+            }
+        },
+
+        getExportColumns() {
+            return [
+                'product_number',
+                'product_name',
+                'supplier_code',
+                'quantity',
+                'purchase_price',
+                'currency',
+                'amount'
+            ].map(property => ({
+                property,
+                label: this.$tc(`supplier.detail.purchaseOrder.export.${property}`)
+            }));
+        },
+
+        getExportTexts() {
+            return ['title', 'supplier', 'date', 'total', 'comment', 'subject', 'body'].reduce((texts, key) => {
+                texts[key] = this.$tc(`supplier.detail.purchaseOrder.export.${key}`);
+                return texts;
+            }, {});
+        },
+
+        /**
+         * File requests return errors as a blob
+         */
+        async getBlobError(error) {
+            const data = error.response?.data;
+
+            if (!(data instanceof Blob)) {
+                return null;
+            }
+
+            try {
+                return JSON.parse(await data.text()).error || null;
+            } catch {
+                return null;
+            }
+        },
+
+        getStatusLabel(status) {
+            return this.$tc(`supplier.detail.purchaseOrder.status.${status}`);
+        },
+
+        getStatusVariant(status) {
+            return {
+                draft: 'neutral',
+                sent: 'info',
+                confirmed: 'warning',
+                received: 'success',
+                cancelled: 'danger'
+            }[status] || 'neutral';
+        },
+
+        getRowAmount(row) {
+            if (row.purchase_price === null || row.purchase_price === undefined) {
+                return null;
+            }
+
+            return row.purchase_price * row.quantity;
+        },
+
+        formatTotals(totals) {
+            const entries = Object.entries(totals || {});
+
+            if (entries.length === 0) {
+                return '-';
+            }
+
+            return entries
+                .map(([currency, amount]) => `${this.formatPrice(amount)} ${currency}`.trim())
+                .join(', ');
+        },
+
+        formatPrice(value) {
+            if (value === null || value === undefined) {
+                return '-';
+            }
+
+            return Number(value).toLocaleString('ru-RU', {
+                minimumFractionDigits: 2,
+                maximumFractionDigits: 2
+            });
+        },
+
+        formatDate(dateString) {
+            if (!dateString) return '-';
+            const date = new Date(dateString);
+            return date.toLocaleString('ru-RU', {
+                year: 'numeric',
+                month: '2-digit',
+                day: '2-digit',
+                hour: '2-digit',
+                minute: '2-digit'
+            });
+        },
+
+        downloadFile({ blob, fileName }) {
+            const url = window.URL.createObjectURL(blob);
+
+            // Create temporary link and trigger download
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = fileName;
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            window.URL.revokeObjectURL(url);
+        }
+    }
+});
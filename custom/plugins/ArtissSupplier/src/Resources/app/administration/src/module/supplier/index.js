@@ -5,6 +5,12 @@ import ruRU from './snippet/ru-RU.json';
 import ruUA from './snippet/ru-UA.json';
 import ukUA from './snippet/uk-UA.json';
 
+// Import components
+import './component/supplier-discontinued-products';
+import './component/supplier-metrics-dashboard';
+import './component/supplier-import-export';
+import './component/supplier-purchase-orders';
+
 // Import pages
 import './page/supplier-list';
 import './page/supplier-detail';
@@ -8,7 +8,8 @@ Component.register('supplier-detail', {
     template,
 
     inject: [
-        'repositoryFactory'
+        'repositoryFactory',
+        'priceUpdateService'
     ],
 
     mixins: [
@@ -34,7 +35,11 @@ Component.register('supplier-detail', {
             equipmentTypes: [],
             equipmentTypePropertyGroupId: '20836795-aab8-97d8-c709-a2535f197268',
             uploadTag: 'supplier-price-list-upload',
-            mediaFolderId: null
+            mediaFolderId: null,
+            currencies: [],
+            isFetchingPriceSource: false,
+            priceSourcePassword: '',
+            removePriceSourcePassword: false
         };
     },
 
@@ -55,6 +60,43 @@ Component.register('supplier-detail', {
             return this.repositoryFactory.create('media');
         },
 
+        exchangeRateRepository() {
+            return this.repositoryFactory.create('art_supplier_exchange_rate_override');
+        },
+
+        currencyOptions() {
+            return this.currencies.map(currency => ({
+                value: currency.isoCode,
+                label: `${currency.isoCode} (${currency.translated?.name || currency.name})`
+            }));
+        },
+
+        priceSourcePasswordPlaceholder() {
+            if (this.removePriceSourcePassword) {
+                return this.$tc('supplier.detail.placeholderPriceSourcePasswordRemoved');
+            }
+
+            return this.supplier.priceSource?.has_password
+                ? this.$tc('supplier.detail.placeholderPriceSourcePasswordSaved')
+                : '';
+        },
+
+        priceSourceTypeOptions() {
+            return [
+                { value: null, label: this.$tc('supplier.detail.priceSourceTypeNone') },
+                { value: 'url', label: this.$tc('supplier.detail.priceSourceTypeUrl') },
+                { value: 'inbox', label: this.$tc('supplier.detail.priceSourceTypeInbox') },
+                { value: 'sftp', label: this.$tc('supplier.detail.priceSourceTypeSftp') }
+            ];
+        },
+
+        exchangeRateItems() {
+            if (!this.supplier.exchangeRates) {
+                return [];
+            }
+            return Array.from(this.supplier.exchangeRates);
+        },
+
         mediaColumns() {
             return [
                 {
@@ -169,6 +211,7 @@ Component.register('supplier-detail', {
         this.getSupplier();
         this.loadCustomFieldSets();
         this.loadMediaFolder();
+        this.loadCurrencies();
     },
 
     methods: {
@@ -278,6 +321,7 @@ Component.register('supplier-detail', {
                 if (this.$route.params.id) {
                     const criteria = new Criteria();
                     criteria.addAssociation('media');
+                    criteria.addAssociation('exchangeRates');
                     const entity = await this.repository.get(this.$route.params.id, Shopware.Context.api, criteria);
                     this.supplier = entity;
                 } else {
@@ -296,6 +340,9 @@ Component.register('supplier-detail', {
                 if (!this.supplier.equipmentTypeIds || !Array.isArray(this.supplier.equipmentTypeIds)) {
                     this.supplier.equipmentTypeIds = [];
                 }
+                if (!this.supplier.priceSource || Array.isArray(this.supplier.priceSource)) {
+                    this.supplier.priceSource = { type: null };
+                }
             } catch (error) {
                 this.createNotificationError({
                     message: this.$tc('supplier.detail.errorLoad')
@@ -305,6 +352,25 @@ Component.register('supplier-detail', {
             }
         },
 
+        // The password is write-only: it is sent only when entered or removed and never loaded
+        savePriceSourcePassword(supplierId) {
+            if (!this.priceSourcePassword && !this.removePriceSourcePassword) {
+                return Promise.resolve();
+            }
+
+            const password = this.removePriceSourcePassword ? null : this.priceSourcePassword;
+
+            return this.priceUpdateService.savePriceSourcePassword(supplierId, password).then(() => {
+                this.priceSourcePassword = '';
+                this.removePriceSourcePassword = false;
+            });
+        },
+
+        onRemovePriceSourcePassword() {
+            this.priceSourcePassword = '';
+            this.removePriceSourcePassword = true;
+        },
+
         onClickSave() {
             this.isLoading = true;
             this.processSuccess = false;
@@ -312,9 +378,13 @@ Component.register('supplier-detail', {
             const supplierId = this.supplier.id;
 
             return this.repository.save(this.supplier, Shopware.Context.api)
+                .then(() => {
+                    return this.savePriceSourcePassword(supplierId);
+                })
                 .then(() => {
                     const criteria = new Criteria();
                     criteria.addAssociation('media');
+                    criteria.addAssociation('exchangeRates');
                     return this.repository.get(supplierId, Shopware.Context.api, criteria);
                 })
                 .then((loadedSupplier) => {
@@ -332,6 +402,9 @@ Component.register('supplier-detail', {
                     if (!this.supplier.equipmentTypeIds || !Array.isArray(this.supplier.equipmentTypeIds)) {
                         this.supplier.equipmentTypeIds = [];
                     }
+                    if (!this.supplier.priceSource || Array.isArray(this.supplier.priceSource)) {
+                        this.supplier.priceSource = { type: null };
+                    }
 
                     // Force update media items in UI
                     this.$forceUpdate();
@@ -381,6 +454,42 @@ Component.register('supplier-detail', {
             }
         },
 
+        async loadCurrencies() {
+            try {
+                const currencyRepository = this.repositoryFactory.create('currency');
+                const criteria = new Criteria(1, 100);
+                criteria.addSorting(Criteria.sort('isoCode', 'ASC'));
+
+                const result = await currencyRepository.search(criteria, Shopware.Context.api);
+                this.currencies = Array.from(result);
+            } catch (error) {
+                console.error('Error loading currencies:', error);
+                this.currencies = [];
+            }
+        },
+
+        onAddExchangeRate() {
+            if (!this.supplier.exchangeRates) {
+                return;
+            }
+
+            const exchangeRate = this.exchangeRateRepository.create(Shopware.Context.api);
+            exchangeRate.supplierId = this.supplier.id;
+            exchangeRate.isoCode = null;
+            exchangeRate.factor = null;
+            exchangeRate.surchargePercent = null;
+
+            this.supplier.exchangeRates.add(exchangeRate);
+        },
+
+        onRemoveExchangeRate(item) {
+            if (!this.supplier.exchangeRates) {
+                return;
+            }
+
+            this.supplier.exchangeRates.remove(item.id);
+        },
+
         async loadMediaFolder() {
             try {
                 const mediaFolderRepository = this.repositoryFactory.create('media_folder');
@@ -412,7 +521,42 @@ Component.register('supplier-detail', {
             this.supplier.media.remove(item.id);
         },
 
-        onDownloadMedia(item) {
+        async onFetchPriceSource() {
+            this.isFetchingPriceSource = true;
+
+            try {
+                // Fetcher reads the saved source definition
+                await this.repository.save(this.supplier, Shopware.Context.api);
+
+                const { result } = await this.priceUpdateService.fetchPriceSource(this.supplier.id);
+
+                if (result.status === 'imported') {
+                    this.createNotificationSuccess({
+                        message: this.$tc('supplier.detail.successFetchPriceSource', 0, { fileName: result.file_name })
+                    });
+                } else {
+                    this.createNotificationInfo({
+                        message: this.$tc(
+                            result.status === 'duplicate'
+                                ? 'supplier.detail.infoFetchPriceSourceDuplicate'
+                                : 'supplier.detail.infoFetchPriceSourceNoFile',
+                            0,
+                            { fileName: result.file_name }
+                        )
+                    });
+                }
+
+                await this.getSupplier();
+            } catch (error) {
+                this.createNotificationError({
+                    message: error.response?.data?.error || error.message
+                });
+            } finally {
+                this.isFetchingPriceSource = false;
+            }
+        },
+
+                onDownloadMedia(item) {
             if (!item || !item.url) {
                 this.createNotificationError({
                     message: this.$tc('supplier.detail.errorDownload')
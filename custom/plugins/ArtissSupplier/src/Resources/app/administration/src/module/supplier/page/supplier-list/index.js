@@ -3,11 +3,12 @@ import './supplier-list.scss';
 
 const { Component, Mixin } = Shopware;
 const { Criteria } = Shopware.Data;
+const { debounce } = Shopware.Utils;
 
 Component.register('supplier-list', {
     template,
 
-    inject: ['repositoryFactory'],
+    inject: ['repositoryFactory', 'priceUpdateService'],
 
     mixins: [
         Mixin.getByName('notification')
@@ -23,7 +24,14 @@ Component.register('supplier-list', {
             selection: {},
             manufacturers: [],
             filterSupplierId: null,
-            filterManufacturerId: null
+            filterManufacturerId: null,
+            filterEquipmentTypeId: null,
+            filterCity: '',
+            sortBy: 'name',
+            sortDirection: 'ASC',
+            metrics: null,
+            staleDays: null,
+            isMetricsLoading: false
         };
     },
 
@@ -49,6 +57,42 @@ Component.register('supplier-list', {
             return criteria;
         },
 
+        equipmentTypeCriteria() {
+            const criteria = new Criteria();
+            // Same property group as the equipment type select of supplier-detail
+            criteria.addFilter(Criteria.equalsAny('group.name', ['Тип обладнання', 'Equipment Type']));
+            criteria.addSorting(Criteria.sort('name', 'ASC'));
+            return criteria;
+        },
+
+        listCriteria() {
+            const criteria = new Criteria(this.page, this.limit);
+            criteria.addSorting(Criteria.sort(this.sortBy, this.sortDirection));
+
+            if (this.filterSupplierId) {
+                criteria.addFilter(Criteria.equals('id', this.filterSupplierId));
+            }
+
+            // Manufacturer and equipment type IDs are JSON arrays, matched with LIKE in the database
+            if (this.filterManufacturerId) {
+                criteria.addFilter(Criteria.multi('OR', [
+                    Criteria.contains('manufacturerIds', this.filterManufacturerId),
+                    Criteria.contains('alternativeManufacturerIds', this.filterManufacturerId)
+                ]));
+            }
+
+            if (this.filterEquipmentTypeId) {
+                criteria.addFilter(Criteria.contains('equipmentTypeIds', this.filterEquipmentTypeId));
+            }
+
+            const city = this.filterCity.trim();
+            if (city) {
+                criteria.addFilter(Criteria.contains('customFields.supplier_contacts_city', city));
+            }
+
+            return criteria;
+        },
+
         supplierColumns() {
             return [
                 {
@@ -74,6 +118,43 @@ Component.register('supplier-list', {
                     allowResize: true,
                     sortable: false
                 },
+                {
+                    property: 'lastUploadAt',
+                    label: this.$tc('supplier.list.columnLastUpload'),
+                    allowResize: true,
+                    sortable: false
+                },
+                {
+                    property: 'lastAppliedAt',
+                    label: this.$tc('supplier.list.columnLastApply'),
+                    allowResize: true,
+                    sortable: false
+                },
+                {
+                    property: 'coverage',
+                    label: this.$tc('supplier.list.columnCoverage'),
+                    allowResize: true,
+                    sortable: false
+                },
+                {
+                    property: 'pending',
+                    label: this.$tc('supplier.list.columnPending'),
+                    allowResize: true,
+                    sortable: false
+                },
+                {
+                    property: 'avgPriceChange',
+                    label: this.$tc('supplier.list.columnAvgPriceChange'),
+                    allowResize: true,
+                    sortable: false
+                },
+                {
+                    property: 'createdAt',
+                    dataIndex: 'createdAt',
+                    label: this.$tc('supplier.list.columnCreatedAt'),
+                    allowResize: true,
+                    sortable: true
+                },
                 {
                     property: 'updatedAt',
                     dataIndex: 'updatedAt',
@@ -90,11 +171,46 @@ Component.register('supplier-list', {
     },
 
     created() {
+        this.onCityFilterChange = debounce(this.onCityFilterChange, 400);
         this.loadManufacturers();
         this.getList();
     },
 
     methods: {
+        // Metrics are calculated for the suppliers of the current page only
+        async loadMetrics(supplierIds) {
+            if (supplierIds.length === 0) {
+                this.metrics = {};
+                return;
+            }
+
+            this.isMetricsLoading = true;
+
+            try {
+                const response = await this.priceUpdateService.getSupplierMetrics(supplierIds);
+                this.metrics = response.suppliers || {};
+                this.staleDays = response.stale_days;
+            } catch (error) {
+                this.createNotificationError({
+                    message: error.response?.data?.error || this.$tc('supplier.metrics.errorLoad')
+                });
+            } finally {
+                this.isMetricsLoading = false;
+            }
+        },
+
+        getMetrics(supplierId) {
+            return this.metrics?.[supplierId] || null;
+        },
+
+        formatPriceChange(value) {
+            if (value === null || value === undefined) {
+                return '-';
+            }
+
+            return `${value > 0 ? '+' : ''}${value}%`;
+        },
+
         async loadManufacturers() {
             try {
                 const allManufacturers = [];
@@ -121,110 +237,14 @@ Component.register('supplier-list', {
             }
         },
 
-        // Helper function to safely get array from JSON field
-        getSafeArray(value) {
-            if (!value) {
-                return [];
-            }
-            if (Array.isArray(value)) {
-                return value;
-            }
-            if (typeof value === 'string') {
-                try {
-                    const parsed = JSON.parse(value);
-                    return Array.isArray(parsed) ? parsed : [];
-                } catch (e) {
-                    return [];
-                }
-            }
-            return [];
-        },
-
         async getList() {
             this.isLoading = true;
 
             try {
-                // If filters are selected, load all and filter on client side
-                if (this.filterSupplierId || this.filterManufacturerId) {
-                    // Load all suppliers in batches
-                    const allSuppliers = [];
-                    let page = 1;
-                    const batchLimit = 500;
-                    let hasMore = true;
-                    
-                    while (hasMore) {
-                        const batchCriteria = new Criteria(page, batchLimit);
-                        batchCriteria.addSorting(Criteria.sort('name', 'ASC'));
-                        
-                        try {
-                            const batchResult = await this.supplierRepository.search(batchCriteria, Shopware.Context.api);
-                            const batchSuppliers = Array.from(batchResult);
-                            allSuppliers.push(...batchSuppliers);
-                            
-                            hasMore = batchResult.total > page * batchLimit;
-                            page++;
-                            
-                            // Safety limit to prevent infinite loops
-                            if (page > 100) break;
-                        } catch (error) {
-                            console.error('Error loading suppliers batch:', error);
-                            hasMore = false;
-                        }
-                    }
-                    
-                    // Apply filters
-                    let filteredSuppliers = allSuppliers;
-                    
-                    // Filter by supplier ID
-                    if (this.filterSupplierId) {
-                        filteredSuppliers = filteredSuppliers.filter(supplier => 
-                            supplier.id === this.filterSupplierId
-                        );
-                    }
-                    
-                    // Filter by manufacturer
-                    if (this.filterManufacturerId) {
-                        filteredSuppliers = filteredSuppliers.filter(supplier => {
-                            // Safely get arrays from JSON fields
-                            const manufacturerIds = this.getSafeArray(supplier.manufacturerIds);
-                            const alternativeManufacturerIds = this.getSafeArray(supplier.alternativeManufacturerIds);
-                            
-                            return manufacturerIds.includes(this.filterManufacturerId) || 
-                                   alternativeManufacturerIds.includes(this.filterManufacturerId);
-                        });
-                    }
-                    
-                    // Apply pagination
-                    const start = (this.page - 1) * this.limit;
-                    const end = start + this.limit;
-                    const paginatedSuppliers = filteredSuppliers.slice(start, end);
-                    
-                    // sw-entity-listing works with arrays, but we need to maintain the collection structure
-                    // Create a new search result by doing a search with the filtered IDs
-                    if (paginatedSuppliers.length > 0) {
-                        const filteredIds = paginatedSuppliers.map(s => s.id);
-                        const criteria = new Criteria();
-                        criteria.addFilter(Criteria.equalsAny('id', filteredIds));
-                        criteria.addSorting(Criteria.sort('name', 'ASC'));
-                        
-                        const result = await this.supplierRepository.search(criteria, Shopware.Context.api);
-                        result.total = filteredSuppliers.length;
-                        this.suppliers = result;
-                        this.total = filteredSuppliers.length;
-                    } else {
-                        // No results after filtering
-                        this.suppliers = [];
-                        this.total = 0;
-                    }
-                } else {
-                    // No filters - normal pagination
-                    const criteria = new Criteria(this.page, this.limit);
-                    criteria.addSorting(Criteria.sort('name', 'ASC'));
-
-                    const result = await this.supplierRepository.search(criteria, Shopware.Context.api);
-                    this.suppliers = result;
-                    this.total = result.total;
-                }
+                const result = await this.supplierRepository.search(this.listCriteria, Shopware.Context.api);
+                this.suppliers = result;
+                this.total = result.total;
+                this.loadMetrics(result.getIds());
             } catch (error) {
                 console.error('Error loading suppliers:', error);
                 this.suppliers = null;
@@ -233,7 +253,7 @@ Component.register('supplier-list', {
                 this.isLoading = false;
             }
         },
-        
+
         onSupplierFilterChange(value) {
             // Handle both direct value and event object
             const supplierId = value && typeof value === 'object' ? value.id : value;
@@ -250,6 +270,29 @@ Component.register('supplier-list', {
             this.getList();
         },
 
+        onEquipmentTypeFilterChange(value) {
+            this.filterEquipmentTypeId = value || null;
+            this.page = 1;
+            this.getList();
+        },
+
+        onCityFilterChange(value) {
+            this.filterCity = value || '';
+            this.page = 1;
+            this.getList();
+        },
+
+        onColumnSort(column) {
+            if (this.sortBy === column.dataIndex) {
+                this.sortDirection = this.sortDirection === 'ASC' ? 'DESC' : 'ASC';
+            } else {
+                this.sortBy = column.dataIndex;
+                this.sortDirection = 'ASC';
+            }
+
+            this.getList();
+        },
+
         onPageChange({ page, limit }) {
             this.page = page;
             this.limit = limit;
@@ -257,6 +300,10 @@ Component.register('supplier-list', {
         },
 
 
+        onImported() {
+            this.getList();
+        },
+
         onSelectionChanged(selection) {
             this.selection = selection;
         },
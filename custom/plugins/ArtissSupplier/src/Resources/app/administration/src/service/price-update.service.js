@@ -5,13 +5,13 @@ class PriceUpdateService extends ApiService {
         super(httpClient, loginService, apiEndpoint);
     }
 
-    previewFile(mediaId, previewRows = 20) {
+    previewFile(mediaId, previewRows = 20, sheet = null) {
         const headers = this.getBasicHeaders();
 
         return this.httpClient
             .post(
                 `/_action/${this.getApiBasePath()}/price-update/preview-file`,
-                { mediaId, previewRows },
+                { mediaId, previewRows, sheet },
                 { headers }
             )
             .then((response) => {
@@ -33,13 +33,13 @@ class PriceUpdateService extends ApiService {
             });
     }
 
-    matchPreview(templateId) {
+    matchPreview(templateId, params = {}) {
         const headers = this.getBasicHeaders();
 
         return this.httpClient
             .post(
                 `/_action/${this.getApiBasePath()}/price-update/match-preview`,
-                { templateId },
+                { templateId, ...params },
                 { headers }
             )
             .then((response) => {
@@ -61,13 +61,13 @@ class PriceUpdateService extends ApiService {
             });
     }
 
-    applyPrices(templateId) {
+    applyPrices(templateId, approvedProductIds = []) {
         const headers = this.getBasicHeaders();
 
         return this.httpClient
             .post(
                 `/_action/${this.getApiBasePath()}/price-update/apply`,
-                { templateId },
+                { templateId, approvedProductIds },
                 { headers }
             )
             .then((response) => {
@@ -89,13 +89,597 @@ class PriceUpdateService extends ApiService {
             });
     }
 
-    autoMatch(templateId, batchSize = 50, offset = 0, minMatchPercentage = 50) {
+    autoMatch(templateId, batchSize = 50, offset = 0, minMatchPercentage = 50, strategies = null) {
         const headers = this.getBasicHeaders();
 
         return this.httpClient
             .post(
                 `/_action/${this.getApiBasePath()}/price-update/auto-match`,
-                { templateId, batchSize, offset, minMatchPercentage },
+                { templateId, batchSize, offset, minMatchPercentage, strategies },
+                { headers }
+            )
+            .then((response) => {
+                return ApiService.handleResponse(response);
+            });
+    }
+
+    runImport(templateId) {
+        const headers = this.getBasicHeaders();
+
+        return this.httpClient
+            .post(
+                `/_action/${this.getApiBasePath()}/price-update/run-import`,
+                { templateId },
+                { headers }
+            )
+            .then((response) => {
+                return ApiService.handleResponse(response);
+            });
+    }
+
+    revertChangeset(changesetId) {
+        const headers = this.getBasicHeaders();
+
+        return this.httpClient
+            .post(
+                `/_action/${this.getApiBasePath()}/price-update/revert-changeset`,
+                { changesetId },
+                { headers }
+            )
+            .then((response) => {
+                return ApiService.handleResponse(response);
+            });
+    }
+
+    confirmMatches(templateId, matches, minScore = null) {
+        const headers = this.getBasicHeaders();
+
+        return this.httpClient
+            .post(
+                `/_action/${this.getApiBasePath()}/price-update/confirm-matches`,
+                { templateId, matches, minScore },
+                { headers }
+            )
+            .then((response) => {
+                return ApiService.handleResponse(response);
+            });
+    }
+
+    updateExchangeRates() {
+        const headers = this.getBasicHeaders();
+
+        return this.httpClient
+            .post(
+                `/_action/${this.getApiBasePath()}/exchange-rate/update`,
+                {},
+                { headers }
+            )
+            .then((response) => {
+                return ApiService.handleResponse(response);
+            });
+    }
+
+    setExchangeRate(isoCode, factor) {
+        const headers = this.getBasicHeaders();
+
+        return this.httpClient
+            .post(
+                `/_action/${this.getApiBasePath()}/exchange-rate/set-rate`,
+                { isoCode, factor },
+                { headers }
+            )
+            .then((response) => {
+                return ApiService.handleResponse(response);
+            });
+    }
+
+    fetchPriceSource(supplierId) {
+        const headers = this.getBasicHeaders();
+
+        return this.httpClient
+            .post(
+                `/_action/${this.getApiBasePath()}/price-source/fetch`,
+                { supplierId },
+                { headers }
+            )
+            .then((response) => {
+                return ApiService.handleResponse(response);
+            });
+    }
+
+    savePriceSourcePassword(supplierId, password) {
+        const headers = this.getBasicHeaders();
+
+        return this.httpClient
+            .post(
+                `/_action/${this.getApiBasePath()}/price-source/password`,
+                { supplierId, password },
+                { headers }
+            )
+            .then((response) => {
+                return ApiService.handleResponse(response);
+            });
+    }
+
+    getSupplierComparison(multipleOnly = false, policy = null) {
+        const headers = this.getBasicHeaders();
+
+        return this.httpClient
+            .post(
+                `/_action/${this.getApiBasePath()}/comparison`,
+                { multipleOnly, policy },
+                { headers }
+            )
+            .then((response) => {
+                return ApiService.handleResponse(response);
+            });
+    }
+
+    exportPreview(templateId, params = {}, columns = [], format = 'xlsx') {
+        const headers = this.getBasicHeaders();
+
+        return this.httpClient
+            .post(
+                `/_action/${this.getApiBasePath()}/price-update/export-preview`,
+                { templateId, ...params, columns, format },
+                { headers, responseType: 'blob' }
+            )
+            .then((response) => {
+                return PriceUpdateService.handleFileResponse(response);
+            });
+    }
+
+    exportChangeset(changesetId, columns = [], format = 'xlsx') {
+        const headers = this.getBasicHeaders();
+
+        return this.httpClient
+            .post(
+                `/_action/${this.getApiBasePath()}/price-update/export-changeset`,
+                { changesetId, columns, format },
+                { headers, responseType: 'blob' }
+            )
+            .then((response) => {
+                return PriceUpdateService.handleFileResponse(response);
+            });
+    }
+
+    exportMapping(templateId, format = 'xlsx') {
+        const headers = this.getBasicHeaders();
+
+        return this.httpClient
+            .post(
+                `/_action/${this.getApiBasePath()}/price-update/export-mapping`,
+                { templateId, format },
+                { headers, responseType: 'blob' }
+            )
+            .then((response) => {
+                return PriceUpdateService.handleFileResponse(response);
+            });
+    }
+
+    importMapping(templateId, file, dryRun = true) {
+        // Browser sets multipart content type with boundary itself
+        const headers = { ...this.getBasicHeaders() };
+        delete headers['Content-Type'];
+        const formData = new FormData();
+        formData.append('templateId', templateId);
+        formData.append('file', file);
+        formData.append('dryRun', dryRun ? '1' : '0');
+
+        return this.httpClient
+            .post(
+                `/_action/${this.getApiBasePath()}/price-update/import-mapping`,
+                formData,
+                { headers }
+            )
+            .then((response) => {
+                return ApiService.handleResponse(response);
+            });
+    }
+
+    exportSuppliers(format = 'xlsx') {
+        const headers = this.getBasicHeaders();
+
+        return this.httpClient
+            .post(
+                `/_action/${this.getApiBasePath()}/export`,
+                { format },
+                { headers, responseType: 'blob' }
+            )
+            .then((response) => {
+                return PriceUpdateService.handleFileResponse(response);
+            });
+    }
+
+    importSuppliers(file, dryRun = true) {
+        // Browser sets multipart content type with boundary itself
+        const headers = { ...this.getBasicHeaders() };
+        delete headers['Content-Type'];
+        const formData = new FormData();
+        formData.append('file', file);
+        formData.append('dryRun', dryRun ? '1' : '0');
+
+        return this.httpClient
+            .post(
+                `/_action/${this.getApiBasePath()}/import`,
+                formData,
+                { headers }
+            )
+            .then((response) => {
+                return ApiService.handleResponse(response);
+            });
+    }
+
+    /**
+     * File exports: blob with the file name from Content-Disposition
+     */
+    static handleFileResponse(response) {
+        const disposition = response.headers?.['content-disposition'] || '';
+        const match = disposition.match(/filename="?([^";]+)"?/);
+
+        return {
+            blob: response.data,
+            fileName: match ? match[1] : 'export'
+        };
+    }
+
+    createTemplateVersion(templateId, comment = null) {
+        const headers = this.getBasicHeaders();
+
+        return this.httpClient
+            .post(
+                `/_action/${this.getApiBasePath()}/price-update/template-version/create`,
+                { templateId, comment },
+                { headers }
+            )
+            .then((response) => {
+                return ApiService.handleResponse(response);
+            });
+    }
+
+    restoreTemplateVersion(versionId) {
+        const headers = this.getBasicHeaders();
+
+        return this.httpClient
+            .post(
+                `/_action/${this.getApiBasePath()}/price-update/template-version/restore`,
+                { versionId },
+                { headers }
+            )
+            .then((response) => {
+                return ApiService.handleResponse(response);
+            });
+    }
+
+    getTemplateVersionDiff(versionId) {
+        const headers = this.getBasicHeaders();
+
+        return this.httpClient
+            .post(
+                `/_action/${this.getApiBasePath()}/price-update/template-version/diff`,
+                { versionId },
+                { headers }
+            )
+            .then((response) => {
+                return ApiService.handleResponse(response);
+            });
+    }
+
+    cloneTemplate(templateId, name = null) {
+        const headers = this.getBasicHeaders();
+
+        return this.httpClient
+            .post(
+                `/_action/${this.getApiBasePath()}/price-update/clone-template`,
+                { templateId, name },
+                { headers }
+            )
+            .then((response) => {
+                return ApiService.handleResponse(response);
+            });
+    }
+
+    getUnmatchedRows(templateId, params = {}) {
+        const headers = this.getBasicHeaders();
+
+        return this.httpClient
+            .post(
+                `/_action/${this.getApiBasePath()}/price-update/unmatched-rows`,
+                { templateId, ...params },
+                { headers }
+            )
+            .then((response) => {
+                return ApiService.handleResponse(response);
+            });
+    }
+
+    createDraftProducts(templateId, supplierCodes) {
+        const headers = this.getBasicHeaders();
+
+        return this.httpClient
+            .post(
+                `/_action/${this.getApiBasePath()}/price-update/create-draft-products`,
+                { templateId, supplierCodes },
+                { headers }
+            )
+            .then((response) => {
+                return ApiService.handleResponse(response);
+            });
+    }
+
+    getDiscontinuedProducts(supplierId, page = 1, limit = 25) {
+        const headers = this.getBasicHeaders();
+
+        return this.httpClient
+            .post(
+                `/_action/${this.getApiBasePath()}/discontinued-products/list`,
+                { supplierId, page, limit },
+                { headers }
+            )
+            .then((response) => {
+                return ApiService.handleResponse(response);
+            });
+    }
+
+    applyDiscontinuedAction(ids, action, tagId = null) {
+        const headers = this.getBasicHeaders();
+
+        return this.httpClient
+            .post(
+                `/_action/${this.getApiBasePath()}/discontinued-products/action`,
+                { ids, action, tagId },
+                { headers }
+            )
+            .then((response) => {
+                return ApiService.handleResponse(response);
+            });
+    }
+
+    getSupplierMetrics(supplierIds = []) {
+        const headers = this.getBasicHeaders();
+
+        return this.httpClient
+            .post(
+                `/_action/${this.getApiBasePath()}/metrics`,
+                { supplierIds },
+                { headers }
+            )
+            .then((response) => {
+                return ApiService.handleResponse(response);
+            });
+    }
+
+    getPurchaseOrderCandidates(supplierId, threshold = null) {
+        const headers = this.getBasicHeaders();
+
+        return this.httpClient
+            .post(
+                `/_action/${this.getApiBasePath()}/purchase-order/candidates`,
+                { supplierId, threshold },
+                { headers }
+            )
+            .then((response) => {
+                return ApiService.handleResponse(response);
+            });
+    }
+
+    getPurchaseOrders(supplierId, page = 1, limit = 10) {
+        const headers = this.getBasicHeaders();
+
+        return this.httpClient
+            .post(
+                `/_action/${this.getApiBasePath()}/purchase-order/list`,
+                { supplierId, page, limit },
+                { headers }
+            )
+            .then((response) => {
+                return ApiService.handleResponse(response);
+            });
+    }
+
+    getPurchaseOrder(orderId) {
+        const headers = this.getBasicHeaders();
+
+        return this.httpClient
+            .post(
+                `/_action/${this.getApiBasePath()}/purchase-order/detail`,
+                { orderId },
+                { headers }
+            )
+            .then((response) => {
+                return ApiService.handleResponse(response);
+            });
+    }
+
+    savePurchaseOrder({ orderId = null, supplierId = null, items, comment = null }) {
+        const headers = this.getBasicHeaders();
+
+        return this.httpClient
+            .post(
+                `/_action/${this.getApiBasePath()}/purchase-order/save`,
+                { orderId, supplierId, items, comment },
+                { headers }
+            )
+            .then((response) => {
+                return ApiService.handleResponse(response);
+            });
+    }
+
+    setPurchaseOrderStatus(orderId, status) {
+        const headers = this.getBasicHeaders();
+
+        return this.httpClient
+            .post(
+                `/_action/${this.getApiBasePath()}/purchase-order/status`,
+                { orderId, status },
+                { headers }
+            )
+            .then((response) => {
+                return ApiService.handleResponse(response);
+            });
+    }
+
+    deletePurchaseOrder(orderId) {
+        const headers = this.getBasicHeaders();
+
+        return this.httpClient
+            .post(
+                `/_action/${this.getApiBasePath()}/purchase-order/delete`,
+                { orderId },
+                { headers }
+            )
+            .then((response) => {
+                return ApiService.handleResponse(response);
+            });
+    }
+
+    exportPurchaseOrder(orderId, format = 'xlsx', columns = [], texts = {}) {
+        const headers = this.getBasicHeaders();
+
+        return this.httpClient
+            .post(
+                `/_action/${this.getApiBasePath()}/purchase-order/export`,
+                { orderId, format, columns, texts },
+                { headers, responseType: 'blob' }
+            )
+            .then((response) => {
+                return PriceUpdateService.handleFileResponse(response);
+            });
+    }
+
+    getRejectedMatches(templateId) {
+        const headers = this.getBasicHeaders();
+
+        return this.httpClient
+            .post(
+                `/_action/${this.getApiBasePath()}/price-update/rejected-matches/list`,
+                { templateId },
+                { headers }
+            )
+            .then((response) => {
+                return ApiService.handleResponse(response);
+            });
+    }
+
+    rejectMatch(templateId, productId, supplierCode, supplierName = null) {
+        const headers = this.getBasicHeaders();
+
+        return this.httpClient
+            .post(
+                `/_action/${this.getApiBasePath()}/price-update/rejected-matches/reject`,
+                { templateId, productId, supplierCode, supplierName },
+                { headers }
+            )
+            .then((response) => {
+                return ApiService.handleResponse(response);
+            });
+    }
+
+    restoreRejectedMatches(templateId, pairs) {
+        const headers = this.getBasicHeaders();
+
+        return this.httpClient
+            .post(
+                `/_action/${this.getApiBasePath()}/price-update/rejected-matches/restore`,
+                { templateId, pairs },
+                { headers }
+            )
+            .then((response) => {
+                return ApiService.handleResponse(response);
+            });
+    }
+
+    startAutoMatchJob(templateId, batchSize = 50, minMatchPercentage = 50, strategies = null) {
+        const headers = this.getBasicHeaders();
+
+        return this.httpClient
+            .post(
+                `/_action/${this.getApiBasePath()}/price-update/job/start-auto-match`,
+                { templateId, batchSize, minMatchPercentage, strategies },
+                { headers }
+            )
+            .then((response) => {
+                return ApiService.handleResponse(response);
+            });
+    }
+
+    startApplyJob(templateId, approvedProductIds = []) {
+        const headers = this.getBasicHeaders();
+
+        return this.httpClient
+            .post(
+                `/_action/${this.getApiBasePath()}/price-update/job/start-apply`,
+                { templateId, approvedProductIds },
+                { headers }
+            )
+            .then((response) => {
+                return ApiService.handleResponse(response);
+            });
+    }
+
+    getPriceJob(jobId) {
+        const headers = this.getBasicHeaders();
+
+        return this.httpClient
+            .post(
+                `/_action/${this.getApiBasePath()}/price-update/job/status`,
+                { jobId },
+                { headers }
+            )
+            .then((response) => {
+                return ApiService.handleResponse(response);
+            });
+    }
+
+    getLatestPriceJobs(templateId) {
+        const headers = this.getBasicHeaders();
+
+        return this.httpClient
+            .post(
+                `/_action/${this.getApiBasePath()}/price-update/job/latest`,
+                { templateId },
+                { headers }
+            )
+            .then((response) => {
+                return ApiService.handleResponse(response);
+            });
+    }
+
+    collectPriceJob(jobId) {
+        const headers = this.getBasicHeaders();
+
+        return this.httpClient
+            .post(
+                `/_action/${this.getApiBasePath()}/price-update/job/collect`,
+                { jobId },
+                { headers }
+            )
+            .then((response) => {
+                return ApiService.handleResponse(response);
+            });
+    }
+
+    cancelPriceJob(jobId) {
+        const headers = this.getBasicHeaders();
+
+        return this.httpClient
+            .post(
+                `/_action/${this.getApiBasePath()}/price-update/job/cancel`,
+                { jobId },
+                { headers }
+            )
+            .then((response) => {
+                return ApiService.handleResponse(response);
+            });
+    }
+
+    resumePriceJob(jobId) {
+        const headers = this.getBasicHeaders();
+
+        return this.httpClient
+            .post(
+                `/_action/${this.getApiBasePath()}/price-update/job/resume`,
+                { jobId },
                 { headers }
             )
             .then((response) => {
@@ -0,0 +1,21 @@
+<?php declare(strict_types=1);
+
+namespace Artiss\Supplier\ScheduledTask;
+
+use Shopware\Core\Framework\MessageQueue\ScheduledTask\ScheduledTask;
+
+/**
+ * Imports exchange rates from the configured provider
+ */
+class ExchangeRateUpdateTask extends ScheduledTask
+{
+    public static function getTaskName(): string
+    {
+        return 'artiss_supplier.exchange_rate_update';
+    }
+
+    public static function getDefaultInterval(): int
+    {
+        return 3600;
+    }
+}
@@ -0,0 +1,36 @@
+<?php declare(strict_types=1);
+
+namespace Artiss\Supplier\ScheduledTask;
+
+use Artiss\Supplier\Service\ExchangeRate\ExchangeRateUpdater;
+use Psr\Log\LoggerInterface;
+use Shopware\Core\Framework\Context;
+use Shopware\Core\Framework\DataAbstractionLayer\EntityRepository;
+use Shopware\Core\Framework\MessageQueue\ScheduledTask\ScheduledTaskHandler;
+use Symfony\Component\Messenger\Attribute\AsMessageHandler;
+
+#[AsMessageHandler(handles: ExchangeRateUpdateTask::class)]
+class ExchangeRateUpdateTaskHandler extends ScheduledTaskHandler
+{
+    public function __construct(
+        EntityRepository $scheduledTaskRepository,
+        private readonly LoggerInterface $exchangeRateLogger,
+        private readonly ExchangeRateUpdater $exchangeRateUpdater
+    ) {
+        parent::__construct($scheduledTaskRepository, $exchangeRateLogger);
+    }
+
+    public function run(): void
+    {
+        if (!$this->exchangeRateUpdater->isAutoUpdateEnabled()) {
+            return;
+        }
+
+        try {
+            $this->exchangeRateUpdater->updateRates(Context::createDefaultContext());
+        } catch (\Throwable $e) {
+            // Provider outages must not break the scheduled task queue
+            $this->exchangeRateLogger->error('Exchange rate update failed: ' . $e->getMessage());
+        }
+    }
+}
@@ -0,0 +1,24 @@
+<?php declare(strict_types=1);
+
+namespace Artiss\Supplier\ScheduledTask;
+
+use Shopware\Core\Framework\MessageQueue\ScheduledTask\ScheduledTask;
+
+/**
+ * Checks price template schedules and runs due price list imports
+ */
+class PriceImportTask extends ScheduledTask
+{
+    public static function getTaskName(): string
+    {
+        return 'artiss_supplier.price_import';
+    }
+
+    /**
+     * Templates define their own cron schedule, the task only polls for due ones
+     */
+    public static function getDefaultInterval(): int
+    {
+        return 300;
+    }
+}
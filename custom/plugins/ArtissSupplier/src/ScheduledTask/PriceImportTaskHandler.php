@@ -0,0 +1,27 @@
+<?php declare(strict_types=1);
+
+namespace Artiss\Supplier\ScheduledTask;
+
+use Artiss\Supplier\Service\PriceImport\ScheduledPriceImportService;
+use Psr\Log\LoggerInterface;
+use Shopware\Core\Framework\Context;
+use Shopware\Core\Framework\DataAbstractionLayer\EntityRepository;
+use Shopware\Core\Framework\MessageQueue\ScheduledTask\ScheduledTaskHandler;
+use Symfony\Component\Messenger\Attribute\AsMessageHandler;
+
+#[AsMessageHandler(handles: PriceImportTask::class)]
+class PriceImportTaskHandler extends ScheduledTaskHandler
+{
+    public function __construct(
+        EntityRepository $scheduledTaskRepository,
+        LoggerInterface $logger,
+        private readonly ScheduledPriceImportService $scheduledPriceImportService
+    ) {
+        parent::__construct($scheduledTaskRepository, $logger);
+    }
+
+    public function run(): void
+    {
+        $this->scheduledPriceImportService->runDueImports(Context::createDefaultContext());
+    }
+}
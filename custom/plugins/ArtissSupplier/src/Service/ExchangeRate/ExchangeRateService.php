@@ -0,0 +1,176 @@
+<?php declare(strict_types=1);
+
+namespace Artiss\Supplier\Service\ExchangeRate;
+
+use Artiss\Supplier\Core\Content\Supplier\Aggregate\SupplierExchangeRate\SupplierExchangeRateEntity;
+use Shopware\Core\Defaults;
+use Shopware\Core\Framework\Context;
+use Shopware\Core\Framework\DataAbstractionLayer\EntityRepository;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\Criteria;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\Filter\EqualsFilter;
+use Shopware\Core\Framework\Uuid\Uuid;
+use Shopware\Core\System\Currency\CurrencyEntity;
+
+/**
+ * Currency factors used to convert supplier prices into the default currency
+ *
+ * Factors have the same meaning as currency.factor: units of currency per 1 unit of default currency.
+ * Supplier overrides (art_supplier_exchange_rate_override) replace the factor and/or add a surcharge,
+ * so converted prices of that supplier grow by surcharge_percent.
+ */
+class ExchangeRateService
+{
+    public function __construct(
+        private readonly EntityRepository $currencyRepository,
+        private readonly EntityRepository $exchangeRateRepository,
+        private readonly EntityRepository $supplierExchangeRateRepository
+    ) {
+    }
+
+    /**
+     * @return array [isoCode => factor]
+     */
+    public function getCurrencyFactors(Context $context): array
+    {
+        $factors = [];
+
+        /** @var CurrencyEntity $currency */
+        foreach ($this->currencyRepository->search(new Criteria(), $context) as $currency) {
+            $factors[$currency->getIsoCode()] = $currency->getFactor();
+        }
+
+        return $factors;
+    }
+
+    public function getDefaultCurrencyIsoCode(Context $context): string
+    {
+        /** @var CurrencyEntity|null $currency */
+        $currency = $this->currencyRepository->search(new Criteria([Defaults::CURRENCY]), $context)->first();
+
+        if ($currency === null) {
+            throw new \RuntimeException('Default currency not found');
+        }
+
+        return $currency->getIsoCode();
+    }
+
+    /**
+     * @return array [supplierId => [isoCode => ['factor' => ?float, 'surcharge_percent' => ?float]]]
+     */
+    public function getSupplierOverrides(Context $context, ?string $supplierId = null): array
+    {
+        $criteria = new Criteria();
+        if ($supplierId !== null) {
+            $criteria->addFilter(new EqualsFilter('supplierId', $supplierId));
+        }
+
+        $overrides = [];
+
+        /** @var SupplierExchangeRateEntity $override */
+        foreach ($this->supplierExchangeRateRepository->search($criteria, $context) as $override) {
+            $overrides[$override->getSupplierId()][strtoupper($override->getIsoCode())] = [
+                'factor' => $override->getFactor(),
+                'surcharge_percent' => $override->getSurchargePercent(),
+            ];
+        }
+
+        return $overrides;
+    }
+
+    /**
+     * Currency factors with overrides of one supplier applied
+     *
+     * @param array $factors [isoCode => factor]
+     * @param array $overrides Overrides of one supplier: [isoCode => ['factor' => ..., 'surcharge_percent' => ...]]
+     */
+    public function applySupplierOverrides(array $factors, array $overrides): array
+    {
+        foreach ($overrides as $isoCode => $override) {
+            $factor = $override['factor'] ?? null;
+            $factor = $factor !== null && $factor > 0 ? (float) $factor : ($factors[$isoCode] ?? null);
+
+            if ($factor === null) {
+                continue;
+            }
+
+            // Lower factor = more expensive currency = higher price in default currency
+            $surcharge = (float) ($override['surcharge_percent'] ?? 0);
+            if ($surcharge > -100) {
+                $factor /= 1 + $surcharge / 100;
+            }
+
+            $factors[$isoCode] = $factor;
+        }
+
+        return $factors;
+    }
+
+    /**
+     * Effective currency factors for one supplier
+     */
+    public function getSupplierFactors(?string $supplierId, Context $context): array
+    {
+        $factors = $this->getCurrencyFactors($context);
+
+        if ($supplierId === null) {
+            return $factors;
+        }
+
+        return $this->applySupplierOverrides(
+            $factors,
+            $this->getSupplierOverrides($context, $supplierId)[$supplierId] ?? []
+        );
+    }
+
+    /**
+     * Update currency factor and record it in rate history
+     *
+     * @return array|null Change: iso_code, factor, previous_factor, change_percent; null if currency is unknown
+     */
+    public function setRate(string $isoCode, float $factor, string $source, Context $context): ?array
+    {
+        if ($factor <= 0) {
+            throw new \RuntimeException("Invalid exchange rate for {$isoCode}: {$factor}");
+        }
+
+        $criteria = new Criteria();
+        $criteria->addFilter(new EqualsFilter('isoCode', strtoupper($isoCode)));
+
+        /** @var CurrencyEntity|null $currency */
+        $currency = $this->currencyRepository->search($criteria, $context)->first();
+
+        if ($currency === null) {
+            return null;
+        }
+
+        $previousFactor = $currency->getFactor();
+        $changePercent = $previousFactor > 0 ? round(($factor - $previousFactor) / $previousFactor * 100, 4) : null;
+
+        if ($currency->getId() !== Defaults::CURRENCY && $factor !== $previousFactor) {
+            $this->currencyRepository->update([
+                [
+                    'id' => $currency->getId(),
+                    'factor' => $factor,
+                ],
+            ], $context);
+        }
+
+        $this->exchangeRateRepository->create([
+            [
+                'id' => Uuid::randomHex(),
+                'isoCode' => $currency->getIsoCode(),
+                'factor' => $factor,
+                'previousFactor' => $previousFactor,
+                'changePercent' => $changePercent,
+                'source' => $source,
+            ],
+        ], $context);
+
+        return [
+            'iso_code' => $currency->getIsoCode(),
+            'factor' => $factor,
+            'previous_factor' => $previousFactor,
+            'change_percent' => $changePercent,
+        ];
+    }
+}
@@ -0,0 +1,186 @@
+<?php declare(strict_types=1);
+
+namespace Artiss\Supplier\Service\ExchangeRate;
+
+use Artiss\Supplier\Core\Content\ExchangeRate\ExchangeRateDefinition;
+use Artiss\Supplier\Service\ExchangeRate\Provider\ExchangeRateProviderRegistry;
+use Artiss\Supplier\Service\PriceUpdate\PriceUpdateService;
+use Shopware\Core\Framework\Context;
+use Shopware\Core\System\SystemConfig\SystemConfigService;
+
+/**
+ * Imports exchange rates from the configured provider and recalculates
+ * product prices when a rate moves beyond the configured threshold
+ *
+ * Plugin config (ArtissSupplier.config.*):
+ *   exchangeRateProvider        - provider name ("file", "http"), empty = manual rates only
+ *   exchangeRateSource          - file path or URL passed to the provider
+ *   exchangeRateAutoUpdate      - scheduled task imports rates
+ *   exchangeRateThreshold       - min rate change in percent that triggers recalculation
+ *   exchangeRateAutoRecalculate - recalculate product prices when threshold is exceeded
+ *
+ * The threshold is checked against the factors of the last recalculation (RECALCULATED_FACTORS_KEY),
+ * so small daily moves add up until they trigger a recalculation.
+ */
+class ExchangeRateUpdater
+{
+    private const CONFIG_PREFIX = 'ArtissSupplier.config.';
+
+    // Outside the plugin config domain, not shown on the config page
+    public const RECALCULATED_FACTORS_KEY = 'ArtissSupplier.exchangeRateRecalculatedFactors';
+
+    public function __construct(
+        private readonly ExchangeRateProviderRegistry $providerRegistry,
+        private readonly ExchangeRateService $exchangeRateService,
+        private readonly PriceUpdateService $priceUpdateService,
+        private readonly SystemConfigService $systemConfigService
+    ) {
+    }
+
+    public function isAutoUpdateEnabled(): bool
+    {
+        return $this->systemConfigService->getBool(self::CONFIG_PREFIX . 'exchangeRateAutoUpdate')
+            && $this->getProviderName() !== '';
+    }
+
+    /**
+     * Fetch rates from provider and update currencies
+     *
+     * @return array Stats: changes, unchanged, missing, threshold_exceeded, recalculated
+     */
+    public function updateRates(Context $context): array
+    {
+        $providerName = $this->getProviderName();
+
+        if ($providerName === '') {
+            throw new \RuntimeException('Exchange rate provider is not configured');
+        }
+
+        $provider = $this->providerRegistry->getProvider($providerName);
+        $result = $provider->fetchRates($this->systemConfigService->getString(self::CONFIG_PREFIX . 'exchangeRateSource'));
+
+        $defaultIsoCode = $this->exchangeRateService->getDefaultCurrencyIsoCode($context);
+        $rates = $result['rates'];
+
+        if (!isset($rates[$defaultIsoCode])) {
+            throw new \RuntimeException("Provider returned no rate for default currency {$defaultIsoCode}");
+        }
+
+        $changes = [];
+        $unchanged = [];
+        $missing = [];
+
+        foreach ($this->exchangeRateService->getCurrencyFactors($context) as $isoCode => $currentFactor) {
+            if ($isoCode === $defaultIsoCode) {
+                continue;
+            }
+
+            if (!isset($rates[$isoCode])) {
+                $missing[] = $isoCode;
+                continue;
+            }
+
+            // Provider rates are relative to its base, currency factors to the default currency
+            $factor = round($rates[$isoCode] / $rates[$defaultIsoCode], 10);
+
+            if (abs($factor - $currentFactor) < 1e-10) {
+                $unchanged[] = $isoCode;
+                continue;
+            }
+
+            $change = $this->exchangeRateService->setRate($isoCode, $factor, $provider->getName(), $context);
+            if ($change !== null) {
+                $changes[] = $change;
+            }
+        }
+
+        return array_merge(
+            ['changes' => $changes, 'unchanged' => $unchanged, 'missing' => $missing],
+            $this->recalculateIfNeeded($changes, $context)
+        );
+    }
+
+    /**
+     * Set rate of one currency by hand
+     */
+    public function setManualRate(string $isoCode, float $factor, Context $context): array
+    {
+        $change = $this->exchangeRateService->setRate($isoCode, $factor, ExchangeRateDefinition::SOURCE_MANUAL, $context);
+
+        if ($change === null) {
+            throw new \RuntimeException("Currency not found: {$isoCode}");
+        }
+
+        return array_merge(['changes' => [$change]], $this->recalculateIfNeeded([$change], $context));
+    }
+
+    private function recalculateIfNeeded(array $changes, Context $context): array
+    {
+        $threshold = $this->systemConfigService->getFloat(self::CONFIG_PREFIX . 'exchangeRateThreshold');
+        $recalculatedFactors = $this->getRecalculatedFactors();
+        $baseAdded = false;
+
+        $exceeded = [];
+        foreach ($changes as $change) {
+            // Currencies without a recalculation yet start from the factor before this change
+            if (!isset($recalculatedFactors[$change['iso_code']]) && $change['previous_factor'] !== null) {
+                $recalculatedFactors[$change['iso_code']] = (float) $change['previous_factor'];
+                $baseAdded = true;
+            }
+
+            $baseFactor = $recalculatedFactors[$change['iso_code']] ?? null;
+            if ($baseFactor === null || $baseFactor <= 0) {
+                continue;
+            }
+
+            if (abs(($change['factor'] - $baseFactor) / $baseFactor * 100) >= $threshold) {
+                $exceeded[] = $change['iso_code'];
+            }
+        }
+
+        $stats = [
+            'threshold_exceeded' => $exceeded,
+            'recalculated' => null,
+        ];
+
+        if (empty($exceeded) || !$this->isAutoRecalculateEnabled()) {
+            if ($baseAdded) {
+                $this->systemConfigService->set(self::RECALCULATED_FACTORS_KEY, $recalculatedFactors);
+            }
+
+            return $stats;
+        }
+
+        $recalculateStats = $this->priceUpdateService->recalculatePricesFromCustomFields('all', null, $context);
+        $stats['recalculated'] = $recalculateStats['updated'];
+
+        // Prices now use the current factors of all currencies
+        $this->systemConfigService->set(
+            self::RECALCULATED_FACTORS_KEY,
+            $this->exchangeRateService->getCurrencyFactors($context)
+        );
+
+        return $stats;
+    }
+
+    /**
+     * @return array<string, float> [isoCode => factor used by the last recalculation]
+     */
+    private function getRecalculatedFactors(): array
+    {
+        $factors = $this->systemConfigService->get(self::RECALCULATED_FACTORS_KEY);
+
+        return is_array($factors) ? array_map('floatval', $factors) : [];
+    }
+
+    private function isAutoRecalculateEnabled(): bool
+    {
+        // Enabled unless explicitly switched off
+        return $this->systemConfigService->get(self::CONFIG_PREFIX . 'exchangeRateAutoRecalculate') !== false;
+    }
+
+    private function getProviderName(): string
+    {
+        return $this->systemConfigService->getString(self::CONFIG_PREFIX . 'exchangeRateProvider');
+    }
+}
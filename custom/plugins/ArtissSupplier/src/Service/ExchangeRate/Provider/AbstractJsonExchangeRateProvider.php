@@ -0,0 +1,35 @@
+<?php declare(strict_types=1);
+
+namespace Artiss\Supplier\Service\ExchangeRate\Provider;
+
+/**
+ * Base for providers returning rates as JSON:
+ * {"base": "UAH", "rates": {"USD": 0.024, "EUR": 0.022}}
+ */
+abstract class AbstractJsonExchangeRateProvider implements ExchangeRateProviderInterface
+{
+    protected function parse(string $content): array
+    {
+        $data = json_decode($content, true);
+
+        if (!is_array($data) || empty($data['base']) || !is_array($data['rates'] ?? null)) {
+            throw new \RuntimeException('Invalid exchange rate data: expected {"base": ..., "rates": {...}}');
+        }
+
+        $rates = [];
+        foreach ($data['rates'] as $isoCode => $rate) {
+            if (!is_numeric($rate) || (float) $rate <= 0) {
+                continue;
+            }
+            $rates[strtoupper((string) $isoCode)] = (float) $rate;
+        }
+
+        $base = strtoupper((string) $data['base']);
+        $rates[$base] = 1.0;
+
+        return [
+            'base' => $base,
+            'rates' => $rates,
+        ];
+    }
+}
@@ -0,0 +1,23 @@
+<?php declare(strict_types=1);
+
+namespace Artiss\Supplier\Service\ExchangeRate\Provider;
+
+/**
+ * Source of exchange rates
+ */
+interface ExchangeRateProviderInterface
+{
+    /**
+     * Provider name used in plugin config (exchangeRateProvider)
+     */
+    public function getName(): string;
+
+    /**
+     * Fetch current rates
+     *
+     * @param string $source Provider specific source: file path, URL
+     *
+     * @return array ['base' => ISO code, 'rates' => [ISO code => units of currency per 1 base unit]]
+     */
+    public function fetchRates(string $source): array;
+}
@@ -0,0 +1,30 @@
+<?php declare(strict_types=1);
+
+namespace Artiss\Supplier\Service\ExchangeRate\Provider;
+
+/**
+ * Registry of exchange rate providers tagged with artiss.exchange_rate_provider
+ */
+class ExchangeRateProviderRegistry
+{
+    /**
+     * @var ExchangeRateProviderInterface[]
+     */
+    private array $providers = [];
+
+    public function __construct(iterable $providers)
+    {
+        foreach ($providers as $provider) {
+            $this->providers[$provider->getName()] = $provider;
+        }
+    }
+
+    public function getProvider(string $name): ExchangeRateProviderInterface
+    {
+        if (!isset($this->providers[$name])) {
+            throw new \RuntimeException("Unknown exchange rate provider: {$name}");
+        }
+
+        return $this->providers[$name];
+    }
+}
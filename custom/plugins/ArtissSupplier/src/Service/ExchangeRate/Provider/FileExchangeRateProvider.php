@@ -0,0 +1,30 @@
+<?php declare(strict_types=1);
+
+namespace Artiss\Supplier\Service\ExchangeRate\Provider;
+
+/**
+ * Reads rates from a local JSON file, e.g. written by an external cron job
+ */
+class FileExchangeRateProvider extends AbstractJsonExchangeRateProvider
+{
+    public function __construct(
+        private readonly string $projectDir
+    ) {
+    }
+
+    public function getName(): string
+    {
+        return 'file';
+    }
+
+    public function fetchRates(string $source): array
+    {
+        $path = str_starts_with($source, '/') ? $source : $this->projectDir . '/' . ltrim($source, '/');
+
+        if (!is_file($path) || !is_readable($path)) {
+            throw new \RuntimeException("Exchange rate file is not readable: {$path}");
+        }
+
+        return $this->parse((string) file_get_contents($path));
+    }
+}
@@ -0,0 +1,38 @@
+<?php declare(strict_types=1);
+
+namespace Artiss\Supplier\Service\ExchangeRate\Provider;
+
+use Symfony\Contracts\HttpClient\HttpClientInterface;
+
+/**
+ * Loads rates from an HTTP endpoint returning JSON
+ */
+class HttpExchangeRateProvider extends AbstractJsonExchangeRateProvider
+{
+    private const TIMEOUT = 15;
+
+    public function __construct(
+        private readonly HttpClientInterface $httpClient
+    ) {
+    }
+
+    public function getName(): string
+    {
+        return 'http';
+    }
+
+    public function fetchRates(string $source): array
+    {
+        if (!filter_var($source, FILTER_VALIDATE_URL)) {
+            throw new \RuntimeException("Invalid exchange rate URL: {$source}");
+        }
+
+        $response = $this->httpClient->request('GET', $source, ['timeout' => self::TIMEOUT]);
+
+        if ($response->getStatusCode() !== 200) {
+            throw new \RuntimeException("Exchange rate endpoint returned HTTP {$response->getStatusCode()}");
+        }
+
+        return $this->parse($response->getContent());
+    }
+}
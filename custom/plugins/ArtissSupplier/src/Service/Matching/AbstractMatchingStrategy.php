@@ -0,0 +1,62 @@
+<?php declare(strict_types=1);
+
+namespace Artiss\Supplier\Service\Matching;
+
+use Shopware\Core\Content\Product\ProductEntity;
+
+/**
+ * Base class for matching strategies with text normalization helpers
+ */
+abstract class AbstractMatchingStrategy implements MatchingStrategyInterface
+{
+    /**
+     * Lowercase, letters and digits separated by single spaces
+     */
+    protected function normalize(string $value): string
+    {
+        $value = mb_strtolower($value, 'UTF-8');
+        $value = preg_replace('/[^\p{L}\p{N}]+/u', ' ', $value) ?? '';
+
+        return trim($value);
+    }
+
+    protected function tokenize(string $value): array
+    {
+        return array_values(array_filter(explode(' ', $value), fn(string $token) => $token !== ''));
+    }
+
+    /**
+     * Uppercase code without spaces, dashes, dots and slashes: "AB-12.3/4" => "AB1234"
+     */
+    protected function normalizeCode(string $value): string
+    {
+        return preg_replace('/[^\p{L}\p{N}]+/u', '', mb_strtoupper(trim($value), 'UTF-8')) ?? '';
+    }
+
+    protected function getProductName(ProductEntity $product): string
+    {
+        return (string) ($product->getTranslation('name') ?? $product->getName() ?? '');
+    }
+
+    /**
+     * @param string[] $excludedCodes
+     */
+    protected function isExcluded(array $priceItem, array $excludedCodes): bool
+    {
+        return $excludedCodes !== [] && in_array((string) ($priceItem['code'] ?? ''), $excludedCodes, true);
+    }
+
+    protected function result(array $priceItem, int $score, array $explanation): array
+    {
+        return [
+            'price_item' => $priceItem,
+            'score' => max(0, min(100, $score)),
+            'explanation' => array_merge([
+                'fields' => [],
+                'matched_tokens' => [],
+                'missing_tokens' => [],
+                'details' => [],
+            ], $explanation),
+        ];
+    }
+}
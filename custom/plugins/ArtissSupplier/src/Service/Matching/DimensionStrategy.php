@@ -0,0 +1,164 @@
+<?php declare(strict_types=1);
+
+namespace Artiss\Supplier\Service\Matching;
+
+use Shopware\Core\Content\Product\ProductEntity;
+
+/**
+ * Sizes and measured values of the product name found in the price list name
+ *
+ * Extracted from names: sizes "600x600", "20 х 30 х 2" and numbers with units "12 mm", "1,5 кВт", "220В".
+ * Every dimension of the product must be present in the row, so "Плитка 30x60" never matches
+ * "Плитка 60x60". Among rows with all dimensions the one sharing most name tokens wins.
+ * Score is 60 plus up to 40 for the shared name tokens.
+ */
+class DimensionStrategy extends AbstractMatchingStrategy
+{
+    public const NAME = 'dimensions';
+
+    private const BASE_SCORE = 60;
+    private const TOKEN_SCORE = 40;
+
+    private const SIZE_PATTERN = '/(\d+(?:[.,]\d+)?)\s*[xх×*]\s*(\d+(?:[.,]\d+)?)(?:\s*[xх×*]\s*(\d+(?:[.,]\d+)?))?/u';
+    private const UNIT_PATTERN = '/(\d+(?:[.,]\d+)?)\s*(мм|см|м|mm|cm|m|квт|вт|kw|w|кв|в|kv|v|ма|а|ma|a|мл|л|ml|l|кг|г|kg|g|дюйм|inch|")(?![\p{L}\p{N}])/u';
+
+    // Cyrillic units are written in Latin so that "12 мм" and "12mm" are equal
+    private const UNITS = [
+        'мм' => 'mm', 'см' => 'cm', 'м' => 'm',
+        'квт' => 'kw', 'вт' => 'w', 'кв' => 'kv', 'в' => 'v',
+        'ма' => 'ma', 'а' => 'a',
+        'мл' => 'ml', 'л' => 'l',
+        'кг' => 'kg', 'г' => 'g',
+        'дюйм' => 'inch', '"' => 'inch',
+    ];
+
+    public function getName(): string
+    {
+        return self::NAME;
+    }
+
+    public function buildIndex(array $priceItems): mixed
+    {
+        $rows = [];
+        $dimensionIndex = [];
+
+        foreach ($priceItems as $item) {
+            $name = (string) ($item['name'] ?? '');
+            $dimensions = $this->extractDimensions($name);
+
+            if (empty($dimensions)) {
+                continue;
+            }
+
+            $key = count($rows);
+            $rows[$key] = [
+                'item' => $item,
+                'dimensions' => $dimensions,
+                'tokens' => array_unique($this->tokenize($this->normalize($name))),
+            ];
+
+            foreach ($dimensions as $dimension) {
+                $dimensionIndex[$dimension][$key] = true;
+            }
+        }
+
+        return ['rows' => $rows, 'dimensions' => $dimensionIndex];
+    }
+
+    public function match(ProductEntity $product, mixed $index, array $excludedCodes = []): ?array
+    {
+        $name = $this->getProductName($product);
+        $dimensions = $this->extractDimensions($name);
+
+        if (empty($dimensions)) {
+            return null;
+        }
+
+        // Rows containing every dimension of the product
+        $keys = null;
+        foreach ($dimensions as $dimension) {
+            $rowKeys = $index['dimensions'][$dimension] ?? [];
+            $keys = $keys === null ? $rowKeys : array_intersect_key($keys, $rowKeys);
+
+            if (empty($keys)) {
+                return null;
+            }
+        }
+
+        $tokens = array_unique($this->tokenize($this->normalize($name)));
+
+        $best = null;
+        foreach (array_keys($keys) as $key) {
+            $row = $index['rows'][$key];
+            if ($this->isExcluded($row['item'], $excludedCodes)) {
+                continue;
+            }
+
+            $matchedTokens = array_values(array_intersect($tokens, $row['tokens']));
+
+            if ($best === null || count($matchedTokens) > count($best['matched_tokens'])) {
+                $best = ['row' => $row, 'matched_tokens' => $matchedTokens];
+            }
+        }
+
+        if ($best === null) {
+            return null;
+        }
+
+        $ratio = empty($tokens) ? 0 : count($best['matched_tokens']) / count($tokens);
+
+        return $this->result(
+            $best['row']['item'],
+            (int) round(self::BASE_SCORE + self::TOKEN_SCORE * $ratio),
+            [
+                'fields' => [['product_field' => 'name', 'price_field' => 'name', 'value' => implode(', ', $dimensions)]],
+                'matched_tokens' => $best['matched_tokens'],
+                'missing_tokens' => array_values(array_diff($tokens, $best['matched_tokens'])),
+                'details' => ['dimensions' => $dimensions],
+            ]
+        );
+    }
+
+    /**
+     * Normalized dimensions of a name: "20 х 30,5" => "20x30.5", "12 мм" => "12mm"
+     *
+     * @return string[]
+     */
+    private function extractDimensions(string $name): array
+    {
+        $name = mb_strtolower($name, 'UTF-8');
+        $dimensions = [];
+
+        if (preg_match_all(self::SIZE_PATTERN, $name, $matches, PREG_SET_ORDER)) {
+            foreach ($matches as $match) {
+                $parts = array_filter(array_slice($match, 1), fn(string $part) => $part !== '');
+                $dimensions[] = implode('x', array_map(fn(string $part) => $this->normalizeNumber($part), $parts));
+            }
+
+            // Numbers of a size are not read again as values with units
+            $name = preg_replace(self::SIZE_PATTERN, ' ', $name) ?? $name;
+        }
+
+        if (preg_match_all(self::UNIT_PATTERN, $name, $matches, PREG_SET_ORDER)) {
+            foreach ($matches as $match) {
+                $dimensions[] = $this->normalizeNumber($match[1]) . (self::UNITS[$match[2]] ?? $match[2]);
+            }
+        }
+
+        return array_values(array_unique($dimensions));
+    }
+
+    /**
+     * "1,50" => "1.5", "010" => "10"
+     */
+    private function normalizeNumber(string $value): string
+    {
+        $value = str_replace(',', '.', $value);
+
+        if (str_contains($value, '.')) {
+            $value = rtrim(rtrim($value, '0'), '.');
+        }
+
+        return preg_replace('/^0+(?=\d)/', '', $value) ?? $value;
+    }
+}
@@ -0,0 +1,72 @@
+<?php declare(strict_types=1);
+
+namespace Artiss\Supplier\Service\Matching;
+
+use Shopware\Core\Content\Product\ProductEntity;
+
+/**
+ * Product EAN/GTIN equals a barcode of the price list row
+ *
+ * Barcodes are read from the "ean" column when the price list has one, otherwise from
+ * 8, 12, 13 or 14 digit numbers in the code and name. GTINs are compared padded to 14 digits.
+ */
+class EanStrategy extends AbstractMatchingStrategy
+{
+    public const NAME = 'ean';
+
+    private const GTIN_PATTERN = '/(?<!\d)(\d{14}|\d{13}|\d{12}|\d{8})(?!\d)/';
+
+    // Barcode in the name is less reliable than a barcode column or code
+    private const SCORE_FIELD = 100;
+    private const SCORE_NAME = 90;
+
+    public function getName(): string
+    {
+        return self::NAME;
+    }
+
+    public function buildIndex(array $priceItems): mixed
+    {
+        $index = [];
+
+        foreach ($priceItems as $item) {
+            foreach (['ean', 'code', 'name'] as $field) {
+                preg_match_all(self::GTIN_PATTERN, (string) ($item[$field] ?? ''), $matches);
+
+                foreach ($matches[1] as $gtin) {
+                    $index[$this->normalizeGtin($gtin)][] = ['item' => $item, 'field' => $field, 'value' => $gtin];
+                }
+            }
+        }
+
+        return $index;
+    }
+
+    public function match(ProductEntity $product, mixed $index, array $excludedCodes = []): ?array
+    {
+        $ean = preg_replace('/\D+/', '', (string) $product->getEan()) ?? '';
+
+        if (!in_array(strlen($ean), [8, 12, 13, 14], true)) {
+            return null;
+        }
+
+        foreach ($index[$this->normalizeGtin($ean)] ?? [] as $entry) {
+            if ($this->isExcluded($entry['item'], $excludedCodes)) {
+                continue;
+            }
+
+            return $this->result(
+                $entry['item'],
+                $entry['field'] === 'name' ? self::SCORE_NAME : self::SCORE_FIELD,
+                ['fields' => [['product_field' => 'ean', 'price_field' => $entry['field'], 'value' => $entry['value']]]]
+            );
+        }
+
+        return null;
+    }
+
+    private function normalizeGtin(string $gtin): string
+    {
+        return str_pad($gtin, 14, '0', STR_PAD_LEFT);
+    }
+}
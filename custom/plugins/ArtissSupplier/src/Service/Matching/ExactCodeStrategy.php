@@ -0,0 +1,54 @@
+<?php declare(strict_types=1);
+
+namespace Artiss\Supplier\Service\Matching;
+
+use Shopware\Core\Content\Product\ProductEntity;
+
+/**
+ * Supplier code of the product (kod_postavschika) or product number equals the price list code
+ */
+class ExactCodeStrategy extends AbstractMatchingStrategy
+{
+    public const NAME = 'exact_code';
+
+    public function getName(): string
+    {
+        return self::NAME;
+    }
+
+    public function buildIndex(array $priceItems): mixed
+    {
+        $index = [];
+
+        foreach ($priceItems as $item) {
+            $code = $this->normalizeCode((string) ($item['code'] ?? ''));
+            if ($code !== '') {
+                $index[$code][] = $item;
+            }
+        }
+
+        return $index;
+    }
+
+    public function match(ProductEntity $product, mixed $index, array $excludedCodes = []): ?array
+    {
+        $values = [
+            'kod_postavschika' => (string) ($product->getCustomFields()['kod_postavschika'] ?? ''),
+            'product_number' => (string) $product->getProductNumber(),
+        ];
+
+        foreach ($values as $field => $value) {
+            $code = $this->normalizeCode($value);
+
+            foreach ($index[$code] ?? [] as $item) {
+                if (!$this->isExcluded($item, $excludedCodes)) {
+                    return $this->result($item, 100, [
+                        'fields' => [['product_field' => $field, 'price_field' => 'code', 'value' => $value]],
+                    ]);
+                }
+            }
+        }
+
+        return null;
+    }
+}
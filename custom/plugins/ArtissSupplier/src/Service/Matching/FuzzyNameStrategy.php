@@ -0,0 +1,125 @@
+<?php declare(strict_types=1);
+
+namespace Artiss\Supplier\Service\Matching;
+
+use Shopware\Core\Content\Product\ProductEntity;
+
+/**
+ * Edit distance between the product name and the price list name
+ *
+ * Only rows sharing a name token with the product are compared, the rows with most shared tokens
+ * first. Score is the similarity 1 - distance / length of the longer name, in percent.
+ */
+class FuzzyNameStrategy extends AbstractMatchingStrategy
+{
+    public const NAME = 'fuzzy_name';
+
+    // Edit distance is quadratic in the name length
+    private const MAX_CANDIDATES = 20;
+    private const MAX_NAME_LENGTH = 120;
+
+    public function getName(): string
+    {
+        return self::NAME;
+    }
+
+    public function buildIndex(array $priceItems): mixed
+    {
+        $rows = [];
+        $tokenIndex = [];
+
+        foreach ($priceItems as $item) {
+            $name = $this->normalize((string) ($item['name'] ?? ''));
+            if ($name === '') {
+                continue;
+            }
+
+            $key = count($rows);
+            $tokens = array_unique($this->tokenize($name));
+            $rows[$key] = ['item' => $item, 'name' => $name, 'tokens' => $tokens];
+
+            foreach ($tokens as $token) {
+                $tokenIndex[$token][] = $key;
+            }
+        }
+
+        return ['rows' => $rows, 'tokens' => $tokenIndex];
+    }
+
+    public function match(ProductEntity $product, mixed $index, array $excludedCodes = []): ?array
+    {
+        $name = $this->normalize($this->getProductName($product));
+        $tokens = array_unique($this->tokenize($name));
+
+        if (empty($tokens)) {
+            return null;
+        }
+
+        $shared = [];
+        foreach ($tokens as $token) {
+            foreach ($index['tokens'][$token] ?? [] as $key) {
+                if (!$this->isExcluded($index['rows'][$key]['item'], $excludedCodes)) {
+                    $shared[$key] = ($shared[$key] ?? 0) + 1;
+                }
+            }
+        }
+
+        if (empty($shared)) {
+            return null;
+        }
+
+        arsort($shared);
+
+        $best = null;
+        foreach (array_slice(array_keys($shared), 0, self::MAX_CANDIDATES) as $key) {
+            $row = $index['rows'][$key];
+            $distance = $this->distance($name, $row['name']);
+            $length = max(mb_strlen($name), mb_strlen($row['name']));
+            $similarity = $length > 0 ? 1 - $distance / $length : 0;
+
+            if ($best === null || $similarity > $best['similarity']) {
+                $best = ['row' => $row, 'distance' => $distance, 'similarity' => $similarity];
+            }
+        }
+
+        $matchedTokens = array_values(array_intersect($tokens, $best['row']['tokens']));
+
+        return $this->result($best['row']['item'], (int) round($best['similarity'] * 100), [
+            'fields' => [['product_field' => 'name', 'price_field' => 'name', 'value' => null]],
+            'matched_tokens' => $matchedTokens,
+            'missing_tokens' => array_values(array_diff($tokens, $matchedTokens)),
+            'details' => [
+                'distance' => $best['distance'],
+                'similarity' => (int) round($best['similarity'] * 100),
+            ],
+        ]);
+    }
+
+    /**
+     * Levenshtein distance by characters, PHP levenshtein() counts bytes of Cyrillic letters
+     */
+    private function distance(string $a, string $b): int
+    {
+        $a = mb_str_split(mb_substr($a, 0, self::MAX_NAME_LENGTH));
+        $b = mb_str_split(mb_substr($b, 0, self::MAX_NAME_LENGTH));
+        $lengthB = count($b);
+
+        $previous = range(0, $lengthB);
+
+        foreach ($a as $i => $charA) {
+            $current = [$i + 1];
+
+            foreach ($b as $j => $charB) {
+                $current[$j + 1] = min(
+                    $previous[$j + 1] + 1,
+                    $current[$j] + 1,
+                    $previous[$j] + ($charA === $charB ? 0 : 1)
+                );
+            }
+
+            $previous = $current;
+        }
+
+        return $previous[$lengthB];
+    }
+}
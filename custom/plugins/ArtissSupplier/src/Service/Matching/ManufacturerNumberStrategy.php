@@ -0,0 +1,80 @@
+<?php declare(strict_types=1);
+
+namespace Artiss\Supplier\Service\Matching;
+
+use Shopware\Core\Content\Product\ProductEntity;
+
+/**
+ * Manufacturer part number of the product equals the price list code or a word of the name,
+ * compared without case, spaces, dashes, dots and slashes
+ */
+class ManufacturerNumberStrategy extends AbstractMatchingStrategy
+{
+    public const NAME = 'mpn';
+
+    // Shorter numbers like "10" or "A1" are too ambiguous
+    private const MIN_LENGTH = 4;
+
+    private const SCORE_CODE = 95;
+    private const SCORE_NAME = 85;
+
+    public function getName(): string
+    {
+        return self::NAME;
+    }
+
+    public function buildIndex(array $priceItems): mixed
+    {
+        $codes = [];
+        $nameWords = [];
+
+        foreach ($priceItems as $key => $item) {
+            $code = $this->normalizeCode((string) ($item['code'] ?? ''));
+            if ($code !== '') {
+                $codes[$code][] = $item;
+            }
+
+            // Part numbers contain a digit, words used by several rows are not unique
+            foreach (preg_split('/\s+/u', (string) ($item['name'] ?? '')) ?: [] as $word) {
+                $word = $this->normalizeCode($word);
+                if (mb_strlen($word) >= self::MIN_LENGTH && preg_match('/\d/', $word)) {
+                    $nameWords[$word][$key] = $item;
+                }
+            }
+        }
+
+        return [
+            'codes' => $codes,
+            'names' => array_map(
+                fn(array $items) => count($items) === 1 ? reset($items) : null,
+                $nameWords
+            ),
+        ];
+    }
+
+    public function match(ProductEntity $product, mixed $index, array $excludedCodes = []): ?array
+    {
+        $value = (string) $product->getManufacturerNumber();
+        $mpn = $this->normalizeCode($value);
+
+        if (mb_strlen($mpn) < self::MIN_LENGTH) {
+            return null;
+        }
+
+        foreach ($index['codes'][$mpn] ?? [] as $item) {
+            if (!$this->isExcluded($item, $excludedCodes)) {
+                return $this->result($item, self::SCORE_CODE, [
+                    'fields' => [['product_field' => 'manufacturer_number', 'price_field' => 'code', 'value' => $value]],
+                ]);
+            }
+        }
+
+        if (isset($index['names'][$mpn]) && !$this->isExcluded($index['names'][$mpn], $excludedCodes)) {
+            return $this->result($index['names'][$mpn], self::SCORE_NAME, [
+                'fields' => [['product_field' => 'manufacturer_number', 'price_field' => 'name', 'value' => $value]],
+            ]);
+        }
+
+        return null;
+    }
+}
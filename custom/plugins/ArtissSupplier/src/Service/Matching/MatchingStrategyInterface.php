@@ -0,0 +1,45 @@
+<?php declare(strict_types=1);
+
+namespace Artiss\Supplier\Service\Matching;
+
+use Shopware\Core\Content\Product\ProductEntity;
+
+/**
+ * Strategy that finds the price list row of a catalog product
+ *
+ * Strategies are tagged with "artiss.matching_strategy" and selected per template
+ * (config.matching_strategies), the best scored suggestion of the selected strategies wins.
+ */
+interface MatchingStrategyInterface
+{
+    /**
+     * Strategy key stored in the template config (e.g. "exact_code", "fuzzy_name")
+     */
+    public function getName(): string;
+
+    /**
+     * Prepare lookup structures once for all products of a batch
+     *
+     * @param array $priceItems Normalized price list rows ['code' => ..., 'name' => ..., ...]
+     */
+    public function buildIndex(array $priceItems): mixed;
+
+    /**
+     * Best price list row for the product
+     *
+     * @param string[] $excludedCodes Price list codes never suggested for the product (rejected matches),
+     *                                the next best row is returned instead
+     *
+     * @return array|null [
+     *   'price_item' => price list row,
+     *   'score' => 0-100,
+     *   'explanation' => [
+     *     'fields' => [['product_field' => ..., 'price_field' => ..., 'value' => ...]],
+     *     'matched_tokens' => [...],
+     *     'missing_tokens' => [...],
+     *     'details' => [...] strategy specific numbers (distance, similarity, level, dimensions)
+     *   ]
+     * ]
+     */
+    public function match(ProductEntity $product, mixed $index, array $excludedCodes = []): ?array;
+}
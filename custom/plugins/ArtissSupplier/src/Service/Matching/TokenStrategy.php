@@ -0,0 +1,169 @@
+<?php declare(strict_types=1);
+
+namespace Artiss\Supplier\Service\Matching;
+
+use Shopware\Core\Content\Product\ProductEntity;
+
+/**
+ * Product name tokens found in the price list name
+ *
+ * The row containing most tokens wins. Ties are resolved by composite tokens of growing length
+ * (neighbouring tokens joined: "ab 12" => "ab12"), the level is the composite length used.
+ * Score is the percentage of product name tokens found.
+ */
+class TokenStrategy extends AbstractMatchingStrategy
+{
+    public const NAME = 'tokens';
+
+    public function getName(): string
+    {
+        return self::NAME;
+    }
+
+    public function buildIndex(array $priceItems): mixed
+    {
+        $priceList = [];
+
+        foreach ($priceItems as $item) {
+            if (empty($item['name'])) {
+                continue;
+            }
+
+            $priceList[] = [
+                'item' => $item,
+                'priceString' => str_replace(' ', '', $this->normalize((string) $item['name'])),
+            ];
+        }
+
+        return $priceList;
+    }
+
+    public function match(ProductEntity $product, mixed $index, array $excludedCodes = []): ?array
+    {
+        $tokens = $this->tokenize($this->normalize($this->getProductName($product)));
+
+        if (empty($tokens)) {
+            return null;
+        }
+
+        $priceList = $excludedCodes === [] ? $index : array_values(array_filter(
+            $index,
+            fn(array $priceItem) => !$this->isExcluded($priceItem['item'], $excludedCodes)
+        ));
+
+        $match = $this->findBestMatch($tokens, $priceList);
+
+        if ($match === null) {
+            return null;
+        }
+
+        $matchedTokens = array_values(array_filter(
+            $tokens,
+            fn(string $token) => str_contains($match['candidate']['priceString'], $token)
+        ));
+
+        return $this->result(
+            $match['candidate']['item'],
+            (int) round(count($matchedTokens) / count($tokens) * 100),
+            [
+                'fields' => [['product_field' => 'name', 'price_field' => 'name', 'value' => null]],
+                'matched_tokens' => $matchedTokens,
+                'missing_tokens' => array_values(array_diff($tokens, $matchedTokens)),
+                'details' => [
+                    'matched' => count($matchedTokens),
+                    'total' => count($tokens),
+                    'level' => $match['level'],
+                ],
+            ]
+        );
+    }
+
+    private function findBestMatch(array $catalogTokens, array $priceList): ?array
+    {
+        $maxMatches = 0;
+        $candidates = [];
+
+        foreach ($priceList as $priceItem) {
+            $matched = $this->countMatches($catalogTokens, $priceItem['priceString']);
+
+            if ($matched > $maxMatches) {
+                $maxMatches = $matched;
+                $candidates = [$priceItem];
+            } elseif ($matched === $maxMatches && $matched > 0) {
+                $candidates[] = $priceItem;
+            }
+        }
+
+        if (empty($candidates)) {
+            return null;
+        }
+
+        $level = 1;
+
+        while (count($candidates) > 1 && $level < count($catalogTokens)) {
+            $compositeTokens = $this->generateCompositeTokens($catalogTokens, $level);
+
+            if (empty($compositeTokens)) {
+                break;
+            }
+
+            $maxMatchesLevel = 0;
+            $newCandidates = [];
+
+            foreach ($candidates as $candidate) {
+                $matched = $this->countMatches($compositeTokens, $candidate['priceString']);
+
+                if ($matched > $maxMatchesLevel) {
+                    $maxMatchesLevel = $matched;
+                    $newCandidates = [$candidate];
+                } elseif ($matched === $maxMatchesLevel && $matched > 0) {
+                    $newCandidates[] = $candidate;
+                }
+            }
+
+            if (empty($newCandidates)) {
+                break;
+            }
+
+            $candidates = $newCandidates;
+            $level++;
+        }
+
+        return [
+            'candidate' => $candidates[0],
+            'level' => $level - 1,
+        ];
+    }
+
+    private function generateCompositeTokens(array $tokens, int $level): array
+    {
+        $size = $level + 1;
+
+        if ($size > count($tokens)) {
+            return [];
+        }
+
+        $result = [];
+        for ($i = 0; $i <= count($tokens) - $size; $i++) {
+            $result[] = implode('', array_slice($tokens, $i, $size));
+        }
+
+        return $result;
+    }
+
+    /**
+     * Подсчёт совпадений токенов в строке прайса
+     */
+    private function countMatches(array $tokens, string $haystack): int
+    {
+        $count = 0;
+
+        foreach ($tokens as $token) {
+            if ($token !== '' && str_contains($haystack, $token)) {
+                $count++;
+            }
+        }
+
+        return $count;
+    }
+}
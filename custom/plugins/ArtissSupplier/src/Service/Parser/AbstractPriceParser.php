@@ -123,6 +123,47 @@ abstract class AbstractPriceParser implements PriceParserInterface
         return trim($value);
     }
 
+    /**
+     * Normalize quantity (min order, pack size), first number of the value: "10 шт" gives 10
+     */
+    protected function normalizeQuantity(mixed $value): ?int
+    {
+        if ($value === null || $value === '') {
+            return null;
+        }
+
+        if (is_numeric($value)) {
+            $quantity = (int) floor((float) $value);
+            return $quantity > 0 ? $quantity : null;
+        }
+
+        if (!preg_match('/\d+/', str_replace(' ', '', (string) $value), $matches)) {
+            return null;
+        }
+
+        $quantity = (int) $matches[0];
+
+        return $quantity > 0 ? $quantity : null;
+    }
+
+    /**
+     * Normalize EAN/GTIN (digits only), Excel stores long barcodes as floats
+     */
+    protected function normalizeEan(mixed $value): ?string
+    {
+        if ($value === null || $value === '') {
+            return null;
+        }
+
+        if (is_float($value)) {
+            $value = sprintf('%.0f', $value);
+        }
+
+        $ean = preg_replace('/\D/', '', (string) $value);
+
+        return $ean !== '' ? $ean : null;
+    }
+
     /**
      * Auto-detect data start row by finding first row with numeric price
      *
@@ -59,7 +59,7 @@ class AiParser extends AbstractPriceParser
          */
     }
 
-    public function preview(MediaEntity $media, int $previewRows = 5): array
+    public function preview(MediaEntity $media, int $previewRows = 5, array $options = []): array
     {
         throw new \RuntimeException('AI Parser preview is not yet implemented. Coming soon!');
 
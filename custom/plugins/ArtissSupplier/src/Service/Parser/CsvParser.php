@@ -92,6 +92,11 @@ class CsvParser extends AbstractPriceParser
             'retail_price' => null,
             'list_price' => null,
             'availability' => null,
+            'delivery_time' => null,
+            'min_order_qty' => null,
+            'pack_size' => null,
+            'ean' => null,
+            'warranty' => null,
         ];
 
         foreach ($columnMapping as $colLetter => $types) {
@@ -121,6 +126,21 @@ class CsvParser extends AbstractPriceParser
                     case 'availability':
                         $item['availability'] = $this->normalizeAvailability($cellValue);
                         break;
+                    case 'delivery_time':
+                        $item['delivery_time'] = $this->normalizeName($cellValue);
+                        break;
+                    case 'min_order_qty':
+                        $item['min_order_qty'] = $this->normalizeQuantity($cellValue);
+                        break;
+                    case 'pack_size':
+                        $item['pack_size'] = $this->normalizeQuantity($cellValue);
+                        break;
+                    case 'ean':
+                        $item['ean'] = $this->normalizeEan($cellValue);
+                        break;
+                    case 'warranty':
+                        $item['warranty'] = $this->normalizeName($cellValue);
+                        break;
                     // 'ignore' type - do nothing
                 }
             }
@@ -141,7 +161,7 @@ class CsvParser extends AbstractPriceParser
         return (string) $value;
     }
 
-    public function preview(MediaEntity $media, int $previewRows = 5): array
+    public function preview(MediaEntity $media, int $previewRows = 5, array $options = []): array
     {
         $filePath = $this->getMediaFilePath($media);
         $this->validateFile($filePath);
@@ -261,8 +281,8 @@ class CsvParser extends AbstractPriceParser
         }
 
         // Go up 6 levels from src/Service/Parser/ to get to project root
-        // Then add /public to get to the public directory
-        $basePath = dirname(__DIR__, 6) . '/public';
+        // Then add /public to get to the public directory, private media (imported price lists) is in /files
+        $basePath = dirname(__DIR__, 6) . ($media->isPrivate() ? '/files' : '/public');
         $fullPath = $basePath . '/' . $mediaPath;
 
         return $fullPath;
@@ -3,7 +3,9 @@
 namespace Artiss\Supplier\Service\Parser;
 
 use PhpOffice\PhpSpreadsheet\IOFactory;
+use PhpOffice\PhpSpreadsheet\Reader\IReader;
 use PhpOffice\PhpSpreadsheet\Reader\IReadFilter;
+use PhpOffice\PhpSpreadsheet\Spreadsheet;
 use PhpOffice\PhpSpreadsheet\Worksheet\Worksheet;
 use Shopware\Core\Content\Media\MediaEntity;
 
@@ -34,7 +36,7 @@ class ExcelParser extends AbstractPriceParser
         $reader = IOFactory::createReaderForFile($filePath);
         $reader->setReadDataOnly(true);
 
-        $spreadsheet = $reader->load($filePath);
+        $spreadsheet = $this->loadSheet($reader, $filePath, $config['sheet'] ?? null);
         $worksheet = $spreadsheet->getActiveSheet();
 
         $result = [];
@@ -88,6 +90,11 @@ class ExcelParser extends AbstractPriceParser
             'retail_price' => null,
             'list_price' => null,
             'availability' => null,
+            'delivery_time' => null,
+            'min_order_qty' => null,
+            'pack_size' => null,
+            'ean' => null,
+            'warranty' => null,
         ];
 
         foreach ($columnMapping as $colLetter => $types) {
@@ -117,6 +124,21 @@ class ExcelParser extends AbstractPriceParser
                     case 'availability':
                         $item['availability'] = $this->normalizeAvailability($cellValue);
                         break;
+                    case 'delivery_time':
+                        $item['delivery_time'] = $this->normalizeName($cellValue);
+                        break;
+                    case 'min_order_qty':
+                        $item['min_order_qty'] = $this->normalizeQuantity($cellValue);
+                        break;
+                    case 'pack_size':
+                        $item['pack_size'] = $this->normalizeQuantity($cellValue);
+                        break;
+                    case 'ean':
+                        $item['ean'] = $this->normalizeEan($cellValue);
+                        break;
+                    case 'warranty':
+                        $item['warranty'] = $this->normalizeName($cellValue);
+                        break;
                     // 'ignore' type - do nothing
                 }
             }
@@ -137,7 +159,7 @@ class ExcelParser extends AbstractPriceParser
         return (string) $value;
     }
 
-    public function preview(MediaEntity $media, int $previewRows = 5): array
+    public function preview(MediaEntity $media, int $previewRows = 5, array $options = []): array
     {
         $filePath = $this->getMediaFilePath($media);
         $this->validateFile($filePath);
@@ -145,7 +167,8 @@ class ExcelParser extends AbstractPriceParser
         $reader = IOFactory::createReaderForFile($filePath);
         $reader->setReadDataOnly(true);
 
-        $spreadsheet = $reader->load($filePath);
+        $sheets = $reader->listWorksheetNames($filePath);
+        $spreadsheet = $this->loadSheet($reader, $filePath, $options['sheet'] ?? null);
         $worksheet = $spreadsheet->getActiveSheet();
 
         $highestColumn = $worksheet->getHighestColumn();
@@ -190,6 +213,7 @@ class ExcelParser extends AbstractPriceParser
             }
         }
 
+        $sheet = $worksheet->getTitle();
         $spreadsheet->disconnectWorksheets();
         unset($spreadsheet);
 
@@ -197,9 +221,31 @@ class ExcelParser extends AbstractPriceParser
             'headers' => $headers,
             'rows' => array_slice($rows, 0, $previewRows),
             'suggested_start_row' => $suggestedStartRow,
+            'sheets' => $sheets,
+            'sheet' => $sheet,
         ];
     }
 
+    /**
+     * Load only the given worksheet, active sheet of the workbook when no sheet is selected
+     */
+    private function loadSheet(IReader $reader, string $filePath, ?string $sheet): Spreadsheet
+    {
+        if ($sheet === null || $sheet === '') {
+            return $reader->load($filePath);
+        }
+
+        if (!in_array($sheet, $reader->listWorksheetNames($filePath), true)) {
+            throw new \RuntimeException("Sheet \"{$sheet}\" not found in price list file");
+        }
+
+        $reader->setLoadSheetsOnly($sheet);
+        $spreadsheet = $reader->load($filePath);
+        $spreadsheet->setActiveSheetIndexByName($sheet);
+
+        return $spreadsheet;
+    }
+
     public function getName(): string
     {
         return 'Excel Parser';
@@ -224,8 +270,8 @@ class ExcelParser extends AbstractPriceParser
         }
 
         // Go up 6 levels from src/Service/Parser/ to get to project root
-        // Then add /public to get to the public directory
-        $basePath = dirname(__DIR__, 6) . '/public';
+        // Then add /public to get to the public directory, private media (imported price lists) is in /files
+        $basePath = dirname(__DIR__, 6) . ($media->isPrivate() ? '/files' : '/public');
         $fullPath = $basePath . '/' . $mediaPath;
 
         return $fullPath;
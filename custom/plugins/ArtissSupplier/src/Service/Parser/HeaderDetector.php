@@ -0,0 +1,167 @@
+<?php declare(strict_types=1);
+
+namespace Artiss\Supplier\Service\Parser;
+
+/**
+ * Finds the header row of a price list preview and suggests column types from header text
+ *
+ * Header text is matched by keywords in Ukrainian, Russian and English. Specific keywords are
+ * checked before generic ones, so "Код товара" is a code, "Штрихкод" is an EAN and "Цена закупки" is a purchase price.
+ * Every column type is suggested for one column only, like in the wizard column mapping.
+ */
+class HeaderDetector
+{
+    // Row is a header if at least this many cells look like column titles
+    private const MIN_HEADER_CELLS = 2;
+
+    /**
+     * Keywords by column type, in the order types are checked
+     */
+    private const TYPE_KEYWORDS = [
+        'ean' => [
+            'штрих', 'ean', 'barcode', 'gtin',
+        ],
+        'delivery_time' => [
+            'срок поставки', 'срок доставки', 'термін постав', 'термін доставки', 'строк постав', 'строк доставки',
+            'delivery', 'lead time',
+        ],
+        'min_order_qty' => [
+            'мин. заказ', 'минимальн', 'мін. замовлення', 'мінімальн', 'min order', 'minimum order', 'moq',
+        ],
+        'pack_size' => [
+            'в упаковке', 'в упаковці', 'кратн', 'фасовк', 'pack size', 'per pack', 'package qty',
+        ],
+        'warranty' => [
+            'гарант', 'warranty', 'guarantee',
+        ],
+        'availability' => [
+            'наличие', 'наявн', 'остаток', 'остатки', 'залишок', 'залишки', 'склад',
+            'stock', 'availability', 'available', 'qty', 'quantity', 'кол-во', 'количество', 'кількість',
+        ],
+        'product_code' => [
+            'код', 'артикул', 'арт.', 'каталожн', 'code', 'sku', 'article', 'part number', 'part no', 'p/n',
+        ],
+        'purchase_price' => [
+            'закуп', 'вход', 'опт', 'дилер', 'purchase', 'wholesale', 'dealer', 'net price', 'cost',
+        ],
+        'retail_price' => [
+            'розн', 'роздр', 'ррц', 'rrp', 'msrp', 'retail',
+        ],
+        'list_price' => [
+            'прайс', 'базов', 'list price', 'base price',
+        ],
+        'product_name' => [
+            'наименование', 'найменування', 'название', 'назва', 'описание', 'опис', 'товар', 'продукт',
+            'name', 'description', 'product', 'item',
+        ],
+    ];
+
+    // Price column without specific keyword, first one is suggested as purchase, second as retail
+    private const GENERIC_PRICE_KEYWORDS = ['цена', 'ціна', 'стоимость', 'вартість', 'price'];
+    private const GENERIC_PRICE_TYPES = ['purchase_price', 'retail_price'];
+
+    /**
+     * @param array $rows Preview rows indexed by column letter
+     *
+     * @return array [
+     *   'header_row' => 1-indexed row or null,
+     *   'suggested_start_row' => first data row or null,
+     *   'suggested_column_mapping' => ['A' => ['product_code'], ...],
+     * ]
+     */
+    public function detect(array $rows): array
+    {
+        $bestIndex = null;
+        $bestMapping = [];
+
+        foreach (array_values($rows) as $index => $row) {
+            $mapping = $this->suggestColumnTypes($row);
+
+            if (count($mapping) >= self::MIN_HEADER_CELLS && count($mapping) > count($bestMapping)) {
+                $bestIndex = $index;
+                $bestMapping = $mapping;
+            }
+        }
+
+        if ($bestIndex === null) {
+            return [
+                'header_row' => null,
+                'suggested_start_row' => null,
+                'suggested_column_mapping' => [],
+            ];
+        }
+
+        return [
+            'header_row' => $bestIndex + 1,
+            'suggested_start_row' => $bestIndex + 2,
+            'suggested_column_mapping' => $bestMapping,
+        ];
+    }
+
+    /**
+     * Suggest column types for one header row
+     *
+     * @return array Types by column letter: ['A' => ['product_code'], ...]
+     */
+    public function suggestColumnTypes(array $row): array
+    {
+        $mapping = [];
+        $usedTypes = [];
+        $genericPriceColumns = [];
+
+        foreach ($row as $colLetter => $value) {
+            $text = mb_strtolower(trim((string) $value));
+
+            if ($text === '' || is_numeric($text)) {
+                continue;
+            }
+
+            // Barcodes contain "код", a second barcode column is not suggested as another type
+            if (in_array('ean', $usedTypes, true) && $this->containsAny($text, self::TYPE_KEYWORDS['ean'])) {
+                continue;
+            }
+
+            $type = $this->findType($text, $usedTypes);
+
+            if ($type !== null) {
+                $mapping[$colLetter] = [$type];
+                $usedTypes[] = $type;
+            } elseif ($this->containsAny($text, self::GENERIC_PRICE_KEYWORDS)) {
+                $genericPriceColumns[] = $colLetter;
+            }
+        }
+
+        $freePriceTypes = array_values(array_diff(self::GENERIC_PRICE_TYPES, $usedTypes));
+        foreach ($genericPriceColumns as $index => $colLetter) {
+            if (!isset($freePriceTypes[$index])) {
+                break;
+            }
+
+            $mapping[$colLetter] = [$freePriceTypes[$index]];
+        }
+
+        return $mapping;
+    }
+
+    private function findType(string $text, array $usedTypes): ?string
+    {
+        foreach (self::TYPE_KEYWORDS as $type => $keywords) {
+            if (!in_array($type, $usedTypes, true) && $this->containsAny($text, $keywords)) {
+                return $type;
+            }
+        }
+
+        return null;
+    }
+
+    private function containsAny(string $text, array $keywords): bool
+    {
+        foreach ($keywords as $keyword) {
+            if (str_contains($text, $keyword)) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+}
@@ -15,8 +15,10 @@ class ParserRegistry
      */
     private array $parsers = [];
 
-    public function __construct(iterable $parsers)
-    {
+    public function __construct(
+        iterable $parsers,
+        private readonly HeaderDetector $headerDetector
+    ) {
         foreach ($parsers as $parser) {
             $this->addParser($parser);
         }
@@ -108,12 +110,15 @@ class ParserRegistry
     /**
      * Get preview of media file using appropriate parser
      *
+     * Header row is detected from preview rows, the parser's own start row guess is kept when no header is found
+     *
      * @param MediaEntity $media Media file to preview
      * @param int $previewRows Number of rows to preview
-     * @return array Preview data
+     * @param array $options Preview options, see PriceParserInterface::preview()
+     * @return array Preview data with 'header_row' and 'suggested_column_mapping'
      * @throws \RuntimeException If no parser supports this file type
      */
-    public function preview(MediaEntity $media, int $previewRows = 5): array
+    public function preview(MediaEntity $media, int $previewRows = 5, array $options = []): array
     {
         $parser = $this->getParser($media);
 
@@ -125,7 +130,24 @@ class ParserRegistry
             );
         }
 
-        return $parser->preview($media, $previewRows);
+        $preview = $parser->preview($media, $previewRows, $options);
+        $detected = $this->headerDetector->detect($preview['rows'] ?? []);
+
+        $preview['header_row'] = $detected['header_row'];
+        $preview['suggested_column_mapping'] = $detected['suggested_column_mapping'];
+
+        if ($detected['header_row'] !== null) {
+            $preview['suggested_start_row'] = $detected['suggested_start_row'];
+
+            // Header texts from the detected row, column letter for empty cells
+            $headerRow = $preview['rows'][$detected['header_row'] - 1];
+            foreach ($preview['headers'] as $colLetter => $header) {
+                $value = trim((string) ($headerRow[$colLetter] ?? ''));
+                $preview['headers'][$colLetter] = $value !== '' ? $value : $colLetter;
+            }
+        }
+
+        return $preview;
     }
 
     /**
@@ -0,0 +1,385 @@
+<?php declare(strict_types=1);
+
+namespace Artiss\Supplier\Service\Parser;
+
+use Shopware\Core\Content\Media\MediaEntity;
+use Symfony\Component\Process\Process;
+
+/**
+ * PDF parser for text-based price lists, tables are extracted locally
+ *
+ * Text is extracted with pdftotext (poppler-utils) in layout mode, which keeps the horizontal
+ * position of every word. Columns are detected from character positions that are empty on most
+ * table lines, then every line is split into cells, so rows get column letters like a spreadsheet.
+ *
+ * Limitations:
+ * - scanned PDFs without text layer are not supported
+ * - lines with less than MIN_TABLE_CELLS cells (titles, page footers, wrapped names) are skipped
+ * - header rows repeated on every page are skipped
+ */
+class PdfParser extends AbstractPriceParser
+{
+    private const PDFTOTEXT_TIMEOUT = 120;
+
+    // Line is a table row if it has at least this many cells separated by 2+ spaces
+    private const MIN_TABLE_CELLS = 2;
+
+    // Position is a column gap if less than this share of table lines has text there
+    private const GAP_THRESHOLD = 0.1;
+
+    public function supports(MediaEntity $media): bool
+    {
+        $extension = $this->getFileExtension($media);
+        return in_array($extension, $this->getSupportedExtensions(), true);
+    }
+
+    public function parse(MediaEntity $media, array $config): array
+    {
+        $filePath = $this->getMediaFilePath($media);
+        $this->validateFile($filePath);
+
+        $startRow = $config['start_row'] ?? 2;
+        $columnMapping = $config['column_mapping'] ?? [];
+        $maxRows = $config['max_rows'] ?? null;
+
+        $rows = array_slice($this->extractRows($filePath), max(0, $startRow - 1), $maxRows);
+
+        $result = [];
+        foreach ($rows as $cells) {
+            $rowData = [];
+            foreach ($cells as $colIndex => $value) {
+                $rowData[$this->indexToColumn($colIndex)] = $value;
+            }
+
+            $item = $this->mapRowData($rowData, $columnMapping);
+
+            // Skip empty rows (no code or all prices empty)
+            if (empty($item['code']) && empty($item['purchase_price']) && empty($item['retail_price']) && empty($item['list_price'])) {
+                continue;
+            }
+
+            $result[] = $item;
+        }
+
+        return $result;
+    }
+
+    public function preview(MediaEntity $media, int $previewRows = 5, array $options = []): array
+    {
+        $filePath = $this->getMediaFilePath($media);
+        $this->validateFile($filePath);
+
+        $rows = [];
+        $headers = [];
+
+        foreach (array_slice($this->extractRows($filePath), 0, $previewRows + 2) as $rowIndex => $cells) {
+            $rowData = [];
+
+            foreach ($cells as $colIndex => $value) {
+                $columnLetter = $this->indexToColumn($colIndex);
+                $rowData[$columnLetter] = $value;
+
+                // First row as potential headers
+                if ($rowIndex === 0) {
+                    $headers[$columnLetter] = $value !== '' ? $value : $columnLetter;
+                }
+            }
+
+            $rows[] = $rowData;
+        }
+
+        // Try to detect data start row
+        $suggestedStartRow = 2;
+        if (count($rows) > 1) {
+            foreach ($rows[0] as $col => $value) {
+                if (preg_match('/price|цена|ціна|cost|стоимость/ui', $value)) {
+                    $suggestedStartRow = $this->detectDataStartRow(array_slice($rows, 1), $col) + 1;
+                    break;
+                }
+            }
+        }
+
+        return [
+            'headers' => $headers,
+            'rows' => array_slice($rows, 0, $previewRows),
+            'suggested_start_row' => $suggestedStartRow,
+        ];
+    }
+
+    public function getName(): string
+    {
+        return 'PDF Parser';
+    }
+
+    public function getSupportedExtensions(): array
+    {
+        return ['pdf'];
+    }
+
+    /**
+     * Extract table rows from PDF
+     *
+     * @return array List of rows, each row is a list of cell values by column index
+     */
+    private function extractRows(string $filePath): array
+    {
+        $lines = [];
+        foreach (preg_split('/\R/u', str_replace("\f", "\n", $this->extractText($filePath))) as $line) {
+            $tokens = $this->tokenize($line);
+
+            if (count($tokens) >= self::MIN_TABLE_CELLS) {
+                $lines[] = $tokens;
+            }
+        }
+
+        if (empty($lines)) {
+            throw new \RuntimeException('No table found in PDF file');
+        }
+
+        $columns = $this->detectColumns($lines);
+        $rows = [];
+        $headerRow = null;
+
+        foreach ($lines as $tokens) {
+            $cells = array_fill(0, count($columns), '');
+
+            foreach ($tokens as $token) {
+                $colIndex = $this->findColumn($columns, $token['start'], $token['end']);
+                $cells[$colIndex] = trim($cells[$colIndex] . ' ' . $token['text']);
+            }
+
+            // Tables spanning several pages repeat the header on every page
+            if ($headerRow !== null && $cells === $headerRow) {
+                continue;
+            }
+
+            $headerRow ??= $cells;
+            $rows[] = $cells;
+        }
+
+        return $rows;
+    }
+
+    private function extractText(string $filePath): string
+    {
+        $process = new Process(['pdftotext', '-layout', '-enc', 'UTF-8', $filePath, '-']);
+        $process->setTimeout(self::PDFTOTEXT_TIMEOUT);
+        $process->run();
+
+        if (!$process->isSuccessful()) {
+            // 127 - command not found
+            if ($process->getExitCode() === 127) {
+                throw new \RuntimeException('pdftotext is not installed, install poppler-utils to parse PDF files');
+            }
+
+            throw new \RuntimeException('Failed to extract text from PDF: ' . trim($process->getErrorOutput()));
+        }
+
+        $text = $process->getOutput();
+
+        if (trim($text) === '') {
+            throw new \RuntimeException('PDF file has no text layer, scanned documents are not supported');
+        }
+
+        return $text;
+    }
+
+    /**
+     * Split line into cells separated by 2+ spaces, words separated by one space stay together
+     *
+     * @return array List of ['text' => ..., 'start' => first char position, 'end' => last char position]
+     */
+    private function tokenize(string $line): array
+    {
+        $line = str_replace("\t", '    ', $line);
+
+        if (!preg_match_all('/\S+(?: \S+)*/u', $line, $matches, PREG_OFFSET_CAPTURE)) {
+            return [];
+        }
+
+        $tokens = [];
+        foreach ($matches[0] as [$text, $byteOffset]) {
+            // Offsets are in bytes, positions must be in characters
+            $start = mb_strlen(substr($line, 0, $byteOffset));
+
+            $tokens[] = [
+                'text' => $text,
+                'start' => $start,
+                'end' => $start + mb_strlen($text) - 1,
+            ];
+        }
+
+        return $tokens;
+    }
+
+    /**
+     * Find column ranges from positions covered by text on most table lines
+     *
+     * @return array List of ['start' => ..., 'end' => ...]
+     */
+    private function detectColumns(array $lines): array
+    {
+        $occupancy = [];
+        foreach ($lines as $tokens) {
+            foreach ($tokens as $token) {
+                for ($pos = $token['start']; $pos <= $token['end']; $pos++) {
+                    $occupancy[$pos] = ($occupancy[$pos] ?? 0) + 1;
+                }
+            }
+        }
+
+        $threshold = max(1, count($lines) * self::GAP_THRESHOLD);
+        $columns = [];
+        $current = null;
+
+        for ($pos = 0; $pos <= max(array_keys($occupancy)); $pos++) {
+            $isText = ($occupancy[$pos] ?? 0) >= $threshold;
+
+            if ($isText && $current === null) {
+                $current = ['start' => $pos, 'end' => $pos];
+            } elseif ($isText) {
+                $current['end'] = $pos;
+            } elseif ($current !== null) {
+                $columns[] = $current;
+                $current = null;
+            }
+        }
+
+        if ($current !== null) {
+            $columns[] = $current;
+        }
+
+        return $columns ?: [['start' => 0, 'end' => PHP_INT_MAX]];
+    }
+
+    /**
+     * Column with the largest overlap, nearest column for text in a gap
+     */
+    private function findColumn(array $columns, int $start, int $end): int
+    {
+        $bestIndex = 0;
+        $bestOverlap = -1;
+        $bestDistance = PHP_INT_MAX;
+
+        foreach ($columns as $index => $column) {
+            $overlap = min($end, $column['end']) - max($start, $column['start']) + 1;
+
+            if ($overlap > $bestOverlap && $overlap > 0) {
+                $bestIndex = $index;
+                $bestOverlap = $overlap;
+                continue;
+            }
+
+            if ($bestOverlap <= 0) {
+                $distance = $start > $column['end'] ? $start - $column['end'] : $column['start'] - $end;
+
+                if ($distance < $bestDistance) {
+                    $bestIndex = $index;
+                    $bestDistance = $distance;
+                }
+            }
+        }
+
+        return $bestIndex;
+    }
+
+    /**
+     * Map row data using column mapping configuration
+     */
+    private function mapRowData(array $rowData, array $columnMapping): array
+    {
+        $item = [
+            'code' => null,
+            'name' => null,
+            'purchase_price' => null,
+            'retail_price' => null,
+            'list_price' => null,
+            'availability' => null,
+            'delivery_time' => null,
+            'min_order_qty' => null,
+            'pack_size' => null,
+            'ean' => null,
+            'warranty' => null,
+        ];
+
+        foreach ($columnMapping as $colLetter => $types) {
+            if (!is_array($types)) {
+                $types = [$types];
+            }
+
+            $cellValue = $rowData[$colLetter] ?? null;
+
+            foreach ($types as $type) {
+                switch ($type) {
+                    case 'product_code':
+                        $item['code'] = $this->normalizeCode($cellValue);
+                        break;
+                    case 'product_name':
+                        $item['name'] = $this->normalizeName($cellValue);
+                        break;
+                    case 'purchase_price':
+                        $item['purchase_price'] = $this->normalizePrice($cellValue);
+                        break;
+                    case 'retail_price':
+                        $item['retail_price'] = $this->normalizePrice($cellValue);
+                        break;
+                    case 'list_price':
+                        $item['list_price'] = $this->normalizePrice($cellValue);
+                        break;
+                    case 'availability':
+                        $item['availability'] = $this->normalizeAvailability($cellValue);
+                        break;
+                    case 'delivery_time':
+                        $item['delivery_time'] = $this->normalizeName($cellValue);
+                        break;
+                    case 'min_order_qty':
+                        $item['min_order_qty'] = $this->normalizeQuantity($cellValue);
+                        break;
+                    case 'pack_size':
+                        $item['pack_size'] = $this->normalizeQuantity($cellValue);
+                        break;
+                    case 'ean':
+                        $item['ean'] = $this->normalizeEan($cellValue);
+                        break;
+                    case 'warranty':
+                        $item['warranty'] = $this->normalizeName($cellValue);
+                        break;
+                    // 'ignore' type - do nothing
+                }
+            }
+        }
+
+        return $item;
+    }
+
+    /**
+     * Normalize availability value
+     */
+    private function normalizeAvailability($value): ?string
+    {
+        if ($value === null || $value === '') {
+            return null;
+        }
+
+        return (string) $value;
+    }
+
+    /**
+     * Get physical file path from media entity
+     */
+    private function getMediaFilePath(MediaEntity $media): string
+    {
+        $mediaPath = $media->getPath();
+
+        if ($mediaPath === null) {
+            throw new \RuntimeException('Media has no path');
+        }
+
+        // Go up 6 levels from src/Service/Parser/ to get to project root
+        // Then add /public to get to the public directory, private media (imported price lists) is in /files
+        $basePath = dirname(__DIR__, 6) . ($media->isPrivate() ? '/files' : '/public');
+        $fullPath = $basePath . '/' . $mediaPath;
+
+        return $fullPath;
+    }
+}
@@ -6,7 +6,7 @@ use Shopware\Core\Content\Media\MediaEntity;
 
 /**
  * Interface for price list parsers
- * Supports Excel, CSV, and future AI-based parsing (PDF, images)
+ * Supports Excel, CSV, Word, PDF, and future AI-based parsing (scanned documents, images)
  */
 interface PriceParserInterface
 {
@@ -29,6 +29,7 @@ interface PriceParserInterface
      *   - price_column_1: string|int - First price column
      *   - price_column_2: string|int|null - Optional second price column
      *   - max_rows: int|null - Limit parsing to N rows (useful for preview)
+     *   - sheet: string|null - Worksheet name for multi-sheet files, null = active sheet
      *
      * @return array Normalized data array in format:
      *   [
@@ -45,6 +46,8 @@ interface PriceParserInterface
      *
      * @param MediaEntity $media Media file to preview
      * @param int $previewRows Number of rows to preview (default 5)
+     * @param array $options Preview options
+     *   - sheet: string|null - Worksheet name for multi-sheet files, null = active sheet
      *
      * @return array Preview data in format:
      *   [
@@ -54,9 +57,11 @@ interface PriceParserInterface
      *       ...
      *     ],
      *     'suggested_start_row' => 2, // Auto-detected data start row
+     *     'sheets' => ['Sheet1', ...], // Multi-sheet files only
+     *     'sheet' => 'Sheet1', // Multi-sheet files only, previewed sheet
      *   ]
      */
-    public function preview(MediaEntity $media, int $previewRows = 5): array;
+    public function preview(MediaEntity $media, int $previewRows = 5, array $options = []): array;
 
     /**
      * Get parser name for display
@@ -24,7 +24,7 @@ class WordParser extends AbstractPriceParser
         return 'Word Parser';
     }
 
-    public function preview(MediaEntity $media, int $previewRows = 5): array
+    public function preview(MediaEntity $media, int $previewRows = 5, array $options = []): array
     {
         $filePath = $this->getMediaFilePath($media);
 
@@ -0,0 +1,129 @@
+<?php declare(strict_types=1);
+
+namespace Artiss\Supplier\Service\PriceImport;
+
+use Shopware\Core\Content\Media\File\FileSaver;
+use Shopware\Core\Content\Media\File\MediaFile;
+use Shopware\Core\Framework\Context;
+use Shopware\Core\Framework\DataAbstractionLayer\EntityRepository;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\Criteria;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\Filter\EqualsFilter;
+use Shopware\Core\Framework\Uuid\Uuid;
+
+/**
+ * Imports price list files from the server filesystem into the
+ * "Suppliers Prices" media folder and attaches them to a supplier
+ *
+ * SHA-256 of the file content is stored in media custom fields, so the same
+ * list fetched again can be found among the supplier media. Media is private, supplier price lists
+ * are not downloadable through public media URLs
+ */
+class PriceListMediaImporter
+{
+    public const CONTENT_HASH_FIELD = 'artiss_supplier_content_hash';
+
+    private const MEDIA_FOLDER_NAME = 'Suppliers Prices';
+
+    public function __construct(
+        private readonly EntityRepository $mediaRepository,
+        private readonly EntityRepository $mediaFolderRepository,
+        private readonly EntityRepository $supplierRepository,
+        private readonly FileSaver $fileSaver
+    ) {
+    }
+
+    /**
+     * Import local file as supplier media
+     *
+     * @param string $filePath Absolute path to the file
+     * @param string $supplierId Supplier the file belongs to
+     * @param Context $context
+     * @param string|null $originalFileName File name to use instead of the path, e.g. for downloaded temp files
+     *
+     * @return string Created media ID
+     */
+    public function importFile(string $filePath, string $supplierId, Context $context, ?string $originalFileName = null): string
+    {
+        if (!is_file($filePath) || !is_readable($filePath)) {
+            throw new \RuntimeException("Price list file is not readable: {$filePath}");
+        }
+
+        $originalFileName = $originalFileName ?? basename($filePath);
+        $mediaId = Uuid::randomHex();
+        $extension = strtolower(pathinfo($originalFileName, PATHINFO_EXTENSION));
+
+        $this->mediaRepository->create([
+            [
+                'id' => $mediaId,
+                'mediaFolderId' => $this->getMediaFolderId($context),
+                'private' => true,
+                'customFields' => [
+                    self::CONTENT_HASH_FIELD => $this->getContentHash($filePath),
+                ],
+            ],
+        ], $context);
+
+        // Timestamp suffix keeps file names unique inside the media folder
+        $fileName = pathinfo($originalFileName, PATHINFO_FILENAME) . '_' . date('Ymd_His');
+
+        $mediaFile = new MediaFile(
+            $filePath,
+            mime_content_type($filePath) ?: 'application/octet-stream',
+            $extension,
+            (int) filesize($filePath)
+        );
+
+        try {
+            $this->fileSaver->persistFileToMedia($mediaFile, $fileName, $mediaId, $context);
+        } catch (\Exception $e) {
+            $this->mediaRepository->delete([['id' => $mediaId]], $context);
+            throw $e;
+        }
+
+        $this->supplierRepository->update([
+            [
+                'id' => $supplierId,
+                'media' => [['id' => $mediaId]],
+            ],
+        ], $context);
+
+        return $mediaId;
+    }
+
+    public function getContentHash(string $filePath): string
+    {
+        $hash = hash_file('sha256', $filePath);
+
+        if ($hash === false) {
+            throw new \RuntimeException("Price list file is not readable: {$filePath}");
+        }
+
+        return $hash;
+    }
+
+    /**
+     * Find supplier media with the same file content, only media imported by this class have a hash
+     *
+     * @return string|null Media ID
+     */
+    public function findSupplierMediaByHash(string $supplierId, string $hash, Context $context): ?string
+    {
+        $criteria = new Criteria([$supplierId]);
+        $criteria->getAssociation('media')
+            ->addFilter(new EqualsFilter('customFields.' . self::CONTENT_HASH_FIELD, $hash))
+            ->setLimit(1);
+
+        $supplier = $this->supplierRepository->search($criteria, $context)->first();
+
+        return $supplier?->getMedia()?->first()?->getId();
+    }
+
+    private function getMediaFolderId(Context $context): ?string
+    {
+        $criteria = new Criteria();
+        $criteria->addFilter(new EqualsFilter('name', self::MEDIA_FOLDER_NAME));
+        $criteria->setLimit(1);
+
+        return $this->mediaFolderRepository->searchIds($criteria, $context)->firstId();
+    }
+}
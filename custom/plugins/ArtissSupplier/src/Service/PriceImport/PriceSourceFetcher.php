@@ -0,0 +1,480 @@
+<?php declare(strict_types=1);
+
+namespace Artiss\Supplier\Service\PriceImport;
+
+use Artiss\Supplier\Core\Content\PriceTemplate\PriceTemplateEntity;
+use Artiss\Supplier\Core\Content\Supplier\SupplierEntity;
+use Artiss\Supplier\Service\Parser\ParserRegistry;
+use Shopware\Core\Framework\Context;
+use Shopware\Core\Framework\DataAbstractionLayer\EntityRepository;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\Criteria;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\Filter\EqualsFilter;
+use Symfony\Component\Process\Process;
+use Symfony\Contracts\HttpClient\HttpClientInterface;
+
+/**
+ * Pulls the newest price list from the supplier price source into supplier media
+ *
+ * Supplier price source (art_supplier.price_source):
+ *   type            - "url", "inbox" or "sftp"
+ *   url             - HTTP(S) URL of the price list file
+ *   username        - optional basic auth user for the URL
+ *   has_password    - a basic auth password is saved in PriceSourcePasswordStore, the password itself
+ *                     is never part of the price source
+ *   inbox_directory - directory filled by a mail fetcher (absolute or relative to project root),
+ *                     newest file is imported and moved to "processed"
+ *   sftp_host, sftp_port, sftp_username - host name or IP and user name, validated before they reach the sftp command
+ *   sftp_key_file   - private key on this server, SFTP runs in batch mode without passwords
+ *   sftp_path       - remote file, or directory ending with "/" to take the newest file from. Control characters
+ *                     are rejected on save and before use: a line break would start a new sftp batch command
+ *
+ * Inbox directory and key file must be inside one of ALLOWED_BASE_DIRECTORIES of the project.
+ *
+ * Files already attached to the supplier (same content hash) are not imported twice.
+ * New files become the selected file of every price template of the supplier.
+ */
+class PriceSourceFetcher
+{
+    public const TYPE_URL = 'url';
+    public const TYPE_INBOX = 'inbox';
+    public const TYPE_SFTP = 'sftp';
+
+    public const STATUS_IMPORTED = 'imported';
+    public const STATUS_DUPLICATE = 'duplicate';
+    public const STATUS_NO_FILE = 'no_file';
+
+    private const PROCESSED_DIRECTORY = 'processed';
+
+    // Local paths of a price source, relative to the project root
+    private const ALLOWED_BASE_DIRECTORIES = ['files', 'config/secrets'];
+
+    // Host name labels or IPv4 address, user names as accepted by OpenSSH, neither may start with "-"
+    private const SFTP_HOST_PATTERN = '/^[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?(?:\.[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?)*$/i';
+    private const SFTP_USERNAME_PATTERN = '/^[a-z0-9_][a-z0-9._-]{0,63}$/i';
+
+    // CR, LF and other control characters, never part of a remote path in an sftp batch line
+    private const CONTROL_CHARACTER_PATTERN = '/[\x00-\x1F\x7F]/';
+
+    private const HTTP_TIMEOUT = 60;
+    private const SFTP_TIMEOUT = 120;
+
+    // Used when the URL has no file name with extension
+    private const CONTENT_TYPE_EXTENSIONS = [
+        'text/csv' => 'csv',
+        'application/pdf' => 'pdf',
+        'application/vnd.ms-excel' => 'xls',
+        'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' => 'xlsx',
+        'application/vnd.openxmlformats-officedocument.wordprocessingml.document' => 'docx',
+    ];
+
+    public function __construct(
+        private readonly PriceListMediaImporter $mediaImporter,
+        private readonly PriceSourcePasswordStore $passwordStore,
+        private readonly ParserRegistry $parserRegistry,
+        private readonly EntityRepository $supplierRepository,
+        private readonly EntityRepository $priceTemplateRepository,
+        private readonly HttpClientInterface $httpClient,
+        private readonly string $projectDir
+    ) {
+    }
+
+    /**
+     * Fetch newest price list of the supplier
+     *
+     * @return array ['status' => imported|duplicate|no_file, 'media_id' => ..., 'file_name' => ...]
+     */
+    public function fetch(string $supplierId, Context $context): array
+    {
+        $supplier = $this->supplierRepository->search(new Criteria([$supplierId]), $context)->first();
+
+        if (!$supplier instanceof SupplierEntity) {
+            throw new \RuntimeException("Supplier not found: {$supplierId}");
+        }
+
+        $source = $supplier->getPriceSource() ?? [];
+
+        $file = match ($source['type'] ?? null) {
+            self::TYPE_URL => $this->downloadUrl($supplierId, $source),
+            self::TYPE_INBOX => $this->findInboxFile($source),
+            self::TYPE_SFTP => $this->downloadSftp($source),
+            null, '' => throw new \RuntimeException('Price list source is not configured for this supplier'),
+            default => throw new \RuntimeException("Unknown price list source type: {$source['type']}"),
+        };
+
+        if ($file === null) {
+            return [
+                'status' => self::STATUS_NO_FILE,
+                'media_id' => null,
+                'file_name' => null,
+            ];
+        }
+
+        try {
+            $extension = strtolower(pathinfo($file['name'], PATHINFO_EXTENSION));
+
+            if (!in_array($extension, $this->parserRegistry->getSupportedExtensions(), true)) {
+                throw new \RuntimeException(sprintf(
+                    'File type of "%s" is not supported. Supported types: %s',
+                    $file['name'],
+                    $this->parserRegistry->getSupportedExtensionsString()
+                ));
+            }
+
+            $hash = $this->mediaImporter->getContentHash($file['path']);
+            $mediaId = $this->mediaImporter->findSupplierMediaByHash($supplierId, $hash, $context);
+            $status = self::STATUS_DUPLICATE;
+
+            if ($mediaId === null) {
+                $mediaId = $this->mediaImporter->importFile($file['path'], $supplierId, $context, $file['name']);
+                $status = self::STATUS_IMPORTED;
+            }
+
+            // Inbox files are moved away in both cases, so they are not picked again
+            if (($source['type'] ?? null) === self::TYPE_INBOX) {
+                $this->moveToProcessed($file['path']);
+            }
+        } finally {
+            if ($file['temporary'] && is_file($file['path'])) {
+                @unlink($file['path']);
+            }
+        }
+
+        if ($status === self::STATUS_IMPORTED) {
+            $this->selectMediaInTemplates($supplierId, $mediaId, $context);
+        }
+
+        return [
+            'status' => $status,
+            'media_id' => $mediaId,
+            'file_name' => $file['name'],
+        ];
+    }
+
+    /**
+     * @return array ['path' => temp file, 'name' => original file name, 'temporary' => true]
+     */
+    private function downloadUrl(string $supplierId, array $source): array
+    {
+        $url = trim((string) ($source['url'] ?? ''));
+
+        if (!filter_var($url, FILTER_VALIDATE_URL) || !preg_match('#^https?://#i', $url)) {
+            throw new \RuntimeException("Invalid price list URL: {$url}");
+        }
+
+        $options = ['timeout' => self::HTTP_TIMEOUT];
+        if (!empty($source['username'])) {
+            $options['auth_basic'] = [
+                (string) $source['username'],
+                (string) $this->passwordStore->getPassword($supplierId),
+            ];
+        }
+
+        $response = $this->httpClient->request('GET', $url, $options);
+
+        if ($response->getStatusCode() !== 200) {
+            throw new \RuntimeException("Price list URL returned HTTP {$response->getStatusCode()}");
+        }
+
+        $filePath = $this->createTempFile();
+        $handle = fopen($filePath, 'w');
+
+        if ($handle === false) {
+            throw new \RuntimeException('Could not open temporary file for price list download');
+        }
+
+        try {
+            foreach ($this->httpClient->stream($response) as $chunk) {
+                fwrite($handle, $chunk->getContent());
+            }
+        } finally {
+            fclose($handle);
+        }
+
+        $headers = $response->getHeaders(false);
+
+        return [
+            'path' => $filePath,
+            'name' => $this->getDownloadFileName(
+                $url,
+                $headers['content-disposition'][0] ?? null,
+                $headers['content-type'][0] ?? null
+            ),
+            'temporary' => true,
+        ];
+    }
+
+    /**
+     * File name from Content-Disposition, URL path or Content-Type
+     */
+    private function getDownloadFileName(string $url, ?string $contentDisposition, ?string $contentType): string
+    {
+        if ($contentDisposition !== null && preg_match('/filename\*?=(?:UTF-8\'\')?"?([^";]+)"?/i', $contentDisposition, $matches)) {
+            $fileName = basename(rawurldecode(trim($matches[1])));
+
+            if (pathinfo($fileName, PATHINFO_EXTENSION) !== '') {
+                return $fileName;
+            }
+        }
+
+        $fileName = basename(rawurldecode((string) parse_url($url, PHP_URL_PATH)));
+
+        if (pathinfo($fileName, PATHINFO_EXTENSION) !== '') {
+            return $fileName;
+        }
+
+        $mimeType = strtolower(trim(explode(';', (string) $contentType)[0]));
+        $extension = self::CONTENT_TYPE_EXTENSIONS[$mimeType] ?? 'bin';
+
+        return ($fileName !== '' ? $fileName : 'price-list') . '.' . $extension;
+    }
+
+    /**
+     * @return array|null ['path' => inbox file, 'name' => file name, 'temporary' => false]
+     */
+    private function findInboxFile(array $source): ?array
+    {
+        $directory = $this->resolveDirectory((string) ($source['inbox_directory'] ?? ''));
+
+        $extensions = $this->parserRegistry->getSupportedExtensions();
+        $newest = null;
+        $newestTime = 0;
+
+        foreach (new \DirectoryIterator($directory) as $file) {
+            if (!$file->isFile() || !in_array(strtolower($file->getExtension()), $extensions, true)) {
+                continue;
+            }
+
+            if ($file->getMTime() > $newestTime) {
+                $newest = $file->getPathname();
+                $newestTime = $file->getMTime();
+            }
+        }
+
+        if ($newest === null) {
+            return null;
+        }
+
+        return [
+            'path' => $newest,
+            'name' => basename($newest),
+            'temporary' => false,
+        ];
+    }
+
+    /**
+     * @return array|null ['path' => temp file, 'name' => remote file name, 'temporary' => true]
+     */
+    private function downloadSftp(array $source): ?array
+    {
+        foreach (['sftp_host', 'sftp_username', 'sftp_path', 'sftp_key_file'] as $key) {
+            if (empty($source[$key])) {
+                throw new \RuntimeException("SFTP source is incomplete, \"{$key}\" is required");
+            }
+        }
+
+        $remotePath = (string) $source['sftp_path'];
+
+        if (str_ends_with($remotePath, '/')) {
+            $remotePath = $this->findNewestSftpFile($source, $remotePath);
+
+            if ($remotePath === null) {
+                return null;
+            }
+        }
+
+        $filePath = $this->createTempFile();
+
+        try {
+            $this->runSftp($source, sprintf('get %s %s', $this->quoteSftpPath($remotePath), $this->quoteSftpPath($filePath)));
+        } catch (\Throwable $e) {
+            @unlink($filePath);
+            throw $e;
+        }
+
+        return [
+            'path' => $filePath,
+            'name' => basename($remotePath),
+            'temporary' => true,
+        ];
+    }
+
+    /**
+     * Remote path fits into one sftp batch line
+     */
+    public function isValidSftpPath(string $path): bool
+    {
+        return !preg_match(self::CONTROL_CHARACTER_PATTERN, $path);
+    }
+
+    private function findNewestSftpFile(array $source, string $directory): ?string
+    {
+        $extensions = $this->parserRegistry->getSupportedExtensions();
+
+        // "ls -1t" lists newest files first, one path per line
+        $output = $this->runSftp($source, 'ls -1t ' . $this->quoteSftpPath($directory));
+
+        foreach (preg_split('/\R/', $output) as $line) {
+            $line = trim($line);
+
+            // Batch mode echoes commands with the prompt, names with control characters are never downloaded
+            if ($line === '' || str_starts_with($line, 'sftp>') || !$this->isValidSftpPath($line)) {
+                continue;
+            }
+
+            if (in_array(strtolower(pathinfo($line, PATHINFO_EXTENSION)), $extensions, true)) {
+                return str_contains($line, '/') ? $line : $directory . $line;
+            }
+        }
+
+        return null;
+    }
+
+    private function runSftp(array $source, string $command): string
+    {
+        $host = (string) $source['sftp_host'];
+        $username = (string) $source['sftp_username'];
+
+        // Values starting with "-" would be read as sftp options
+        if (!preg_match(self::SFTP_HOST_PATTERN, $host)) {
+            throw new \RuntimeException("Invalid SFTP host: {$host}");
+        }
+
+        if (!preg_match(self::SFTP_USERNAME_PATTERN, $username)) {
+            throw new \RuntimeException("Invalid SFTP username: {$username}");
+        }
+
+        $keyFile = $this->resolveAllowedPath((string) $source['sftp_key_file']);
+        if (!is_file($keyFile)) {
+            throw new \RuntimeException("SFTP key file does not exist: {$source['sftp_key_file']}");
+        }
+
+        $process = new Process([
+            'sftp',
+            '-b', '-',
+            '-i', $keyFile,
+            '-P', (string) ((int) ($source['sftp_port'] ?? 22) ?: 22),
+            '-o', 'BatchMode=yes',
+            '-o', 'StrictHostKeyChecking=accept-new',
+            '--',
+            sprintf('%s@%s', $username, $host),
+        ]);
+        $process->setInput($command . "\n");
+        $process->setTimeout(self::SFTP_TIMEOUT);
+        $process->run();
+
+        if (!$process->isSuccessful()) {
+            // 127 - command not found
+            if ($process->getExitCode() === 127) {
+                throw new \RuntimeException('sftp is not installed, install openssh-client to fetch price lists over SFTP');
+            }
+
+            throw new \RuntimeException('SFTP command failed: ' . trim($process->getErrorOutput()));
+        }
+
+        return $process->getOutput();
+    }
+
+    private function quoteSftpPath(string $path): string
+    {
+        if (!$this->isValidSftpPath($path)) {
+            throw new \RuntimeException('SFTP path must not contain line breaks or other control characters');
+        }
+
+        return '"' . str_replace(['\\', '"'], ['\\\\', '\\"'], $path) . '"';
+    }
+
+    private function createTempFile(): string
+    {
+        $filePath = tempnam(sys_get_temp_dir(), 'price_source_');
+
+        if ($filePath === false) {
+            throw new \RuntimeException('Could not create temporary file for price list download');
+        }
+
+        return $filePath;
+    }
+
+    private function moveToProcessed(string $filePath): void
+    {
+        $processedDir = dirname($filePath) . '/' . self::PROCESSED_DIRECTORY;
+
+        if (!is_dir($processedDir) && !mkdir($processedDir, 0775, true) && !is_dir($processedDir)) {
+            throw new \RuntimeException("Could not create directory: {$processedDir}");
+        }
+
+        rename($filePath, $processedDir . '/' . date('Ymd_His') . '_' . basename($filePath));
+    }
+
+    private function resolveDirectory(string $directory): string
+    {
+        if ($directory === '') {
+            throw new \RuntimeException('Inbox directory is not configured');
+        }
+
+        $resolved = $this->resolveAllowedPath($directory);
+
+        if (!is_dir($resolved)) {
+            throw new \RuntimeException("Inbox directory does not exist: {$directory}");
+        }
+
+        return $resolved;
+    }
+
+    /**
+     * Existing path inside one of the allowed base directories, symlinks and ".." are resolved first
+     */
+    private function resolveAllowedPath(string $path): string
+    {
+        $resolved = realpath($this->resolvePath($path));
+
+        if ($resolved === false) {
+            throw new \RuntimeException("Path does not exist: {$path}");
+        }
+
+        foreach (self::ALLOWED_BASE_DIRECTORIES as $baseDirectory) {
+            $base = realpath($this->projectDir . '/' . $baseDirectory);
+
+            if ($base !== false && ($resolved === $base || str_starts_with($resolved, $base . '/'))) {
+                return $resolved;
+            }
+        }
+
+        throw new \RuntimeException(sprintf(
+            'Path "%s" is outside the allowed directories: %s',
+            $path,
+            implode(', ', self::ALLOWED_BASE_DIRECTORIES)
+        ));
+    }
+
+    private function resolvePath(string $path): string
+    {
+        if (str_starts_with($path, '/')) {
+            return $path;
+        }
+
+        return $this->projectDir . '/' . ltrim($path, '/');
+    }
+
+    private function selectMediaInTemplates(string $supplierId, string $mediaId, Context $context): void
+    {
+        $criteria = new Criteria();
+        $criteria->addFilter(new EqualsFilter('supplierId', $supplierId));
+
+        $updates = [];
+
+        /** @var PriceTemplateEntity $template */
+        foreach ($this->priceTemplateRepository->search($criteria, $context) as $template) {
+            $config = $template->getConfig() ?? [];
+            $config['selected_media_id'] = $mediaId;
+
+            $updates[] = [
+                'id' => $template->getId(),
+                'config' => $config,
+            ];
+        }
+
+        if (!empty($updates)) {
+            $this->priceTemplateRepository->update($updates, $context);
+        }
+    }
+}
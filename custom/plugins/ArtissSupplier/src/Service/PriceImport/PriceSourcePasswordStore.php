@@ -0,0 +1,117 @@
+<?php declare(strict_types=1);
+
+namespace Artiss\Supplier\Service\PriceImport;
+
+use Artiss\Supplier\Core\Content\Supplier\SupplierEntity;
+use Shopware\Core\Framework\Context;
+use Shopware\Core\Framework\DataAbstractionLayer\EntityRepository;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\Criteria;
+use Shopware\Core\System\SystemConfig\SystemConfigService;
+
+/**
+ * Basic auth passwords of supplier URL price sources
+ *
+ * Passwords are kept in system config (CONFIG_PREFIX + supplier ID), encrypted with the app secret:
+ * system config is readable through the admin API, which only returns the encrypted value.
+ * The price source only keeps has_password, so the admin can show that a password is saved.
+ * A password that no longer decrypts (app secret changed) counts as missing and has to be saved again.
+ */
+class PriceSourcePasswordStore
+{
+    public const CONFIG_PREFIX = 'ArtissSupplier.priceSourcePassword.';
+
+    private const CIPHER = 'aes-256-gcm';
+    private const IV_LENGTH = 12;
+    private const TAG_LENGTH = 16;
+
+    public function __construct(
+        private readonly SystemConfigService $systemConfigService,
+        private readonly EntityRepository $supplierRepository,
+        private readonly string $appSecret
+    ) {
+    }
+
+    public function getPassword(string $supplierId): ?string
+    {
+        $value = $this->systemConfigService->getString(self::CONFIG_PREFIX . $supplierId);
+
+        return $value !== '' ? $this->decrypt($value) : null;
+    }
+
+    /**
+     * Save the password of a supplier, null or empty removes it
+     */
+    public function setPassword(string $supplierId, ?string $password, Context $context): void
+    {
+        $supplier = $this->supplierRepository->search(new Criteria([$supplierId]), $context)->first();
+
+        if (!$supplier instanceof SupplierEntity) {
+            throw new \RuntimeException("Supplier not found: {$supplierId}");
+        }
+
+        $hasPassword = $password !== null && $password !== '';
+
+        if ($hasPassword) {
+            $this->systemConfigService->set(self::CONFIG_PREFIX . $supplierId, $this->encrypt($password));
+        } else {
+            $this->systemConfigService->delete(self::CONFIG_PREFIX . $supplierId);
+        }
+
+        $source = $supplier->getPriceSource() ?? [];
+        unset($source['password']);
+        $source['has_password'] = $hasPassword;
+
+        $this->supplierRepository->update([
+            ['id' => $supplierId, 'priceSource' => $source],
+        ], $context);
+    }
+
+    /**
+     * base64 of IV, authentication tag and cipher text
+     */
+    private function encrypt(string $password): string
+    {
+        $iv = random_bytes(self::IV_LENGTH);
+        $tag = '';
+        $cipherText = openssl_encrypt(
+            $password,
+            self::CIPHER,
+            $this->getKey(),
+            \OPENSSL_RAW_DATA,
+            $iv,
+            $tag,
+            '',
+            self::TAG_LENGTH
+        );
+
+        if ($cipherText === false) {
+            throw new \RuntimeException('Price source password could not be encrypted');
+        }
+
+        return base64_encode($iv . $tag . $cipherText);
+    }
+
+    private function decrypt(string $value): ?string
+    {
+        $data = base64_decode($value, true);
+        if ($data === false || strlen($data) <= self::IV_LENGTH + self::TAG_LENGTH) {
+            return null;
+        }
+
+        $password = openssl_decrypt(
+            substr($data, self::IV_LENGTH + self::TAG_LENGTH),
+            self::CIPHER,
+            $this->getKey(),
+            \OPENSSL_RAW_DATA,
+            substr($data, 0, self::IV_LENGTH),
+            substr($data, self::IV_LENGTH, self::TAG_LENGTH)
+        );
+
+        return $password === false || $password === '' ? null : $password;
+    }
+
+    private function getKey(): string
+    {
+        return hash('sha256', $this->appSecret, true);
+    }
+}
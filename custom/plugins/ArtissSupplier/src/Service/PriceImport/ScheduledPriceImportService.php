@@ -0,0 +1,413 @@
+<?php declare(strict_types=1);
+
+namespace Artiss\Supplier\Service\PriceImport;
+
+use Artiss\Supplier\Core\Content\PriceImportRun\PriceImportRunDefinition;
+use Artiss\Supplier\Core\Content\PriceImportRun\PriceImportRunEntity;
+use Artiss\Supplier\Core\Content\PriceTemplate\PriceTemplateEntity;
+use Artiss\Supplier\Service\Parser\ParserRegistry;
+use Artiss\Supplier\Service\PriceUpdate\PriceUpdateService;
+use Cron\CronExpression;
+use Shopware\Core\Content\Media\MediaEntity;
+use Shopware\Core\Framework\Context;
+use Shopware\Core\Framework\DataAbstractionLayer\EntityRepository;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\Criteria;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\Filter\EqualsFilter;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\Sorting\FieldSorting;
+use Shopware\Core\Framework\Uuid\Uuid;
+use Symfony\Component\Lock\LockFactory;
+
+/**
+ * Unattended price list imports for price templates
+ *
+ * Template config (config.schedule):
+ *   enabled           - bool, schedule is active
+ *   cron              - cron expression, e.g. "0 6 * * 1-5"
+ *   source            - "supplier_media" (newest file attached to supplier), "watch_directory"
+ *                       or "supplier_source" (URL, inbox or SFTP source of the supplier, see PriceSourceFetcher)
+ *   watch_directory   - directory to pick files from (absolute or relative to project root)
+ *   code_matches_only - apply only matches by supplier code, skip name similarity matches
+ */
+class ScheduledPriceImportService
+{
+    public const SOURCE_SUPPLIER_MEDIA = 'supplier_media';
+    public const SOURCE_WATCH_DIRECTORY = 'watch_directory';
+    public const SOURCE_SUPPLIER_SOURCE = 'supplier_source';
+
+    private const PROCESSED_DIRECTORY = 'processed';
+
+    // Runs stuck in "running" longer than this are considered dead
+    private const RUNNING_TIMEOUT = '-2 hours';
+
+    private const LOCK_PREFIX = 'artiss-supplier-price-import-';
+    private const LOCK_TTL = 7200;
+
+    public function __construct(
+        private readonly PriceUpdateService $priceUpdateService,
+        private readonly PriceListMediaImporter $mediaImporter,
+        private readonly PriceSourceFetcher $priceSourceFetcher,
+        private readonly ParserRegistry $parserRegistry,
+        private readonly EntityRepository $priceTemplateRepository,
+        private readonly EntityRepository $importRunRepository,
+        private readonly EntityRepository $supplierRepository,
+        private readonly LockFactory $lockFactory,
+        private readonly string $projectDir
+    ) {
+    }
+
+    /**
+     * Run imports for all templates whose schedule is due
+     *
+     * @return PriceImportRunEntity[] Executed runs
+     */
+    public function runDueImports(Context $context, ?\DateTimeInterface $now = null): array
+    {
+        $now = $now ?? new \DateTimeImmutable();
+        $runs = [];
+
+        $templates = $this->priceTemplateRepository->search(new Criteria(), $context);
+
+        /** @var PriceTemplateEntity $template */
+        foreach ($templates as $template) {
+            if (!$this->isDue($template, $now, $context)) {
+                continue;
+            }
+
+            $runs[] = $this->runImport($template->getId(), PriceImportRunDefinition::TRIGGER_SCHEDULE, $context);
+        }
+
+        return $runs;
+    }
+
+    /**
+     * Check if template schedule is due at given time
+     */
+    public function isDue(PriceTemplateEntity $template, \DateTimeInterface $now, Context $context): bool
+    {
+        $schedule = $template->getConfig()['schedule'] ?? [];
+
+        if (empty($schedule['enabled']) || empty($schedule['cron'])) {
+            return false;
+        }
+
+        if (!CronExpression::isValidExpression($schedule['cron'])) {
+            return false;
+        }
+
+        $lastRun = $this->getLastRun($template->getId(), PriceImportRunDefinition::TRIGGER_SCHEDULE, $context);
+        $lastRunAt = $lastRun?->getStartedAt() ?? $template->getCreatedAt();
+
+        $previousDueDate = (new CronExpression($schedule['cron']))->getPreviousRunDate($now, 0, true);
+
+        return $lastRunAt === null || $previousDueDate > $lastRunAt;
+    }
+
+    /**
+     * Fetch newest price list, match products and apply prices for one template
+     */
+    public function runImport(string $templateId, string $trigger, Context $context): PriceImportRunEntity
+    {
+        // Held for the whole run, so overlapping runs cannot both pass the active run check
+        $lock = $this->lockFactory->createLock(self::LOCK_PREFIX . $templateId, self::LOCK_TTL);
+
+        if (!$lock->acquire()) {
+            return $this->createRun($templateId, $trigger, PriceImportRunDefinition::STATUS_SKIPPED, $context);
+        }
+
+        try {
+            if ($this->hasActiveRun($templateId, $context)) {
+                return $this->createRun($templateId, $trigger, PriceImportRunDefinition::STATUS_SKIPPED, $context);
+            }
+
+            $runId = $this->createRun($templateId, $trigger, PriceImportRunDefinition::STATUS_RUNNING, $context)->getId();
+
+            return $this->executeRun($runId, $templateId, $trigger, $context);
+        } finally {
+            $lock->release();
+        }
+    }
+
+    private function executeRun(string $runId, string $templateId, string $trigger, Context $context): PriceImportRunEntity
+    {
+        $mediaId = null;
+
+        try {
+            $template = $this->getTemplate($templateId, $context);
+            $schedule = $template->getConfig()['schedule'] ?? [];
+
+            $mediaId = $this->resolveMedia($template, $schedule, $context);
+
+            // Manual runs re-apply the current file when nothing new arrived
+            if ($mediaId === null && $trigger === PriceImportRunDefinition::TRIGGER_MANUAL) {
+                $mediaId = $template->getConfig()['selected_media_id'] ?? null;
+            }
+
+            if ($mediaId === null) {
+                $this->finishRun($runId, PriceImportRunDefinition::STATUS_SKIPPED, null, [], 'No new price list found', $context);
+
+                return $this->getRun($runId, $context);
+            }
+
+            $this->selectMedia($template, $mediaId, $context);
+
+            // Parse explicitly so file/mapping errors are reported instead of an empty preview
+            $priceData = $this->priceUpdateService->parseAndNormalize($templateId, $mediaId, true, $context);
+
+            $preview = $this->priceUpdateService->matchProductsPreview($templateId, $context);
+            $matches = $this->priceUpdateService->buildMatchesForApply(
+                $preview,
+                (bool) ($schedule['code_matches_only'] ?? true)
+            );
+
+            $stats = [
+                'rows' => count($priceData),
+                'matched' => count($matches),
+                'unmatched' => count($preview['unmatched'] ?? []),
+            ];
+
+            if (empty($matches)) {
+                $this->finishRun($runId, PriceImportRunDefinition::STATUS_SKIPPED, $mediaId, $stats, 'No matched products to apply', $context);
+
+                return $this->getRun($runId, $context);
+            }
+
+            $applyStats = $this->priceUpdateService->applyPrices(
+                $templateId,
+                $matches,
+                null,
+                $context,
+                $this->priceUpdateService->getPriceListCodes($preview)
+            );
+
+            // Blocked rows are never auto-approved in unattended runs
+            $message = ($applyStats['blocked'] ?? 0) > 0
+                ? sprintf('%d products blocked by price guardrails', $applyStats['blocked'])
+                : null;
+
+            $this->finishRun($runId, PriceImportRunDefinition::STATUS_SUCCESS, $mediaId, array_merge($stats, $applyStats), $message, $context);
+        } catch (\Throwable $e) {
+            $this->finishRun($runId, PriceImportRunDefinition::STATUS_FAILED, $mediaId, [], $e->getMessage(), $context);
+        }
+
+        return $this->getRun($runId, $context);
+    }
+
+    /**
+     * Find media with a price list that was not imported yet
+     */
+    private function resolveMedia(PriceTemplateEntity $template, array $schedule, Context $context): ?string
+    {
+        $source = $schedule['source'] ?? self::SOURCE_SUPPLIER_MEDIA;
+
+        if ($source === self::SOURCE_WATCH_DIRECTORY) {
+            $filePath = $this->findNewestFile($schedule['watch_directory'] ?? '');
+
+            if ($filePath === null) {
+                return null;
+            }
+
+            $mediaId = $this->mediaImporter->importFile($filePath, $template->getSupplierId(), $context);
+            $this->moveToProcessed($filePath);
+
+            return $mediaId;
+        }
+
+        if ($source === self::SOURCE_SUPPLIER_SOURCE) {
+            // Already fetched files (same content) are applied once per template
+            $mediaId = $this->priceSourceFetcher->fetch($template->getSupplierId(), $context)['media_id'];
+
+            return $mediaId === $template->getLastImportMediaId() ? null : $mediaId;
+        }
+
+        $media = $this->findNewestSupplierMedia($template->getSupplierId(), $context);
+
+        if ($media === null || $media->getId() === $template->getLastImportMediaId()) {
+            return null;
+        }
+
+        return $media->getId();
+    }
+
+    private function findNewestSupplierMedia(string $supplierId, Context $context): ?MediaEntity
+    {
+        $criteria = new Criteria([$supplierId]);
+        $criteria->addAssociation('media');
+
+        $supplier = $this->supplierRepository->search($criteria, $context)->first();
+
+        if ($supplier === null || $supplier->getMedia() === null) {
+            return null;
+        }
+
+        $newest = null;
+
+        /** @var MediaEntity $media */
+        foreach ($supplier->getMedia() as $media) {
+            if (!$this->parserRegistry->supportsMedia($media)) {
+                continue;
+            }
+
+            $uploadedAt = $media->getUploadedAt() ?? $media->getCreatedAt();
+            $newestAt = $newest ? ($newest->getUploadedAt() ?? $newest->getCreatedAt()) : null;
+
+            if ($newest === null || $uploadedAt > $newestAt) {
+                $newest = $media;
+            }
+        }
+
+        return $newest;
+    }
+
+    private function findNewestFile(string $directory): ?string
+    {
+        $directory = $this->resolveDirectory($directory);
+
+        if (!is_dir($directory)) {
+            throw new \RuntimeException("Watch directory does not exist: {$directory}");
+        }
+
+        $extensions = $this->parserRegistry->getSupportedExtensions();
+        $newest = null;
+        $newestTime = 0;
+
+        foreach (new \DirectoryIterator($directory) as $file) {
+            if (!$file->isFile() || !in_array(strtolower($file->getExtension()), $extensions, true)) {
+                continue;
+            }
+
+            if ($file->getMTime() > $newestTime) {
+                $newest = $file->getPathname();
+                $newestTime = $file->getMTime();
+            }
+        }
+
+        return $newest;
+    }
+
+    private function moveToProcessed(string $filePath): void
+    {
+        $processedDir = dirname($filePath) . '/' . self::PROCESSED_DIRECTORY;
+
+        if (!is_dir($processedDir) && !mkdir($processedDir, 0775, true) && !is_dir($processedDir)) {
+            throw new \RuntimeException("Could not create directory: {$processedDir}");
+        }
+
+        rename($filePath, $processedDir . '/' . date('Ymd_His') . '_' . basename($filePath));
+    }
+
+    private function resolveDirectory(string $directory): string
+    {
+        if ($directory === '') {
+            throw new \RuntimeException('Watch directory is not configured');
+        }
+
+        if (str_starts_with($directory, '/')) {
+            return rtrim($directory, '/');
+        }
+
+        return $this->projectDir . '/' . trim($directory, '/');
+    }
+
+    private function selectMedia(PriceTemplateEntity $template, string $mediaId, Context $context): void
+    {
+        $config = $template->getConfig() ?? [];
+        $config['selected_media_id'] = $mediaId;
+
+        $this->priceTemplateRepository->update([
+            [
+                'id' => $template->getId(),
+                'config' => $config,
+                'lastImportMediaId' => $mediaId,
+                'lastImportMediaUpdatedAt' => new \DateTime(),
+            ],
+        ], $context);
+    }
+
+    /**
+     * Skipped runs are finished right away, so the log shows why nothing was imported
+     */
+    private function createRun(string $templateId, string $trigger, string $status, Context $context): PriceImportRunEntity
+    {
+        $runId = Uuid::randomHex();
+        $skipped = $status === PriceImportRunDefinition::STATUS_SKIPPED;
+
+        $this->importRunRepository->create([
+            [
+                'id' => $runId,
+                'priceTemplateId' => $templateId,
+                'trigger' => $trigger,
+                'status' => $status,
+                'startedAt' => new \DateTime(),
+                'finishedAt' => $skipped ? new \DateTime() : null,
+                'message' => $skipped ? 'Another import is still running for this template' : null,
+            ],
+        ], $context);
+
+        return $this->getRun($runId, $context);
+    }
+
+    private function hasActiveRun(string $templateId, Context $context): bool
+    {
+        $criteria = new Criteria();
+        $criteria->addFilter(new EqualsFilter('priceTemplateId', $templateId));
+        $criteria->addFilter(new EqualsFilter('status', PriceImportRunDefinition::STATUS_RUNNING));
+
+        $cutoff = new \DateTimeImmutable(self::RUNNING_TIMEOUT);
+
+        /** @var PriceImportRunEntity $run */
+        foreach ($this->importRunRepository->search($criteria, $context) as $run) {
+            if ($run->getStartedAt() > $cutoff) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    private function getLastRun(string $templateId, string $trigger, Context $context): ?PriceImportRunEntity
+    {
+        $criteria = new Criteria();
+        $criteria->addFilter(new EqualsFilter('priceTemplateId', $templateId));
+        $criteria->addFilter(new EqualsFilter('trigger', $trigger));
+        $criteria->addSorting(new FieldSorting('startedAt', FieldSorting::DESCENDING));
+        $criteria->setLimit(1);
+
+        return $this->importRunRepository->search($criteria, $context)->first();
+    }
+
+    private function finishRun(
+        string $runId,
+        string $status,
+        ?string $mediaId,
+        array $stats,
+        ?string $message,
+        Context $context
+    ): void {
+        $this->importRunRepository->update([
+            [
+                'id' => $runId,
+                'status' => $status,
+                'mediaId' => $mediaId,
+                'stats' => $stats,
+                'message' => $message,
+                'finishedAt' => new \DateTime(),
+            ],
+        ], $context);
+    }
+
+    private function getRun(string $runId, Context $context): PriceImportRunEntity
+    {
+        return $this->importRunRepository->search(new Criteria([$runId]), $context)->first();
+    }
+
+    private function getTemplate(string $templateId, Context $context): PriceTemplateEntity
+    {
+        $template = $this->priceTemplateRepository->search(new Criteria([$templateId]), $context)->first();
+
+        if ($template === null) {
+            throw new \RuntimeException("Price template not found: {$templateId}");
+        }
+
+        return $template;
+    }
+}
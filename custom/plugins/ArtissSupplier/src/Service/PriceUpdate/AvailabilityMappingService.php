@@ -0,0 +1,197 @@
+<?php declare(strict_types=1);
+
+namespace Artiss\Supplier\Service\PriceUpdate;
+
+/**
+ * Availability mapping of a price template (config.availability_mapping)
+ *
+ * Turns supplier availability values like "+", "є", "під замовлення", "5-10" or ">50"
+ * into product fields. When enabled it replaces filters.availability_action.
+ *
+ * Config keys:
+ *   enabled - bool, mapping is active
+ *   rules   - ordered list, first matching rule wins:
+ *               match_type - "text" (whole value, case-insensitive), "regex" (case-insensitive)
+ *                            or "number" (value contains a number)
+ *               pattern    - text or regular expression without delimiters, not used by "number".
+ *                            Regular expressions are validated when the template is saved (getPatternError)
+ *               stock      - stock quantity, null = keep; "number" rules use the parsed number when null
+ *               delivery_time_id - delivery time, null = keep
+ *               is_closeout - true/false, null = keep
+ *               active     - true/false, null = keep
+ *   default - stock, delivery_time_id, is_closeout, active used when no rule matches
+ *
+ * Numbers are read from the first number of the value: "5-10" gives 5, ">50" gives 50, "12 шт" gives 12.
+ *
+ * Same rules are evaluated in the wizard preview (resolveAvailability), keep both in sync.
+ */
+class AvailabilityMappingService
+{
+    public const MATCH_TEXT = 'text';
+    public const MATCH_REGEX = 'regex';
+    public const MATCH_NUMBER = 'number';
+
+    public function isEnabled(array $mapping): bool
+    {
+        return !empty($mapping['enabled']);
+    }
+
+    /**
+     * Product fields for a price list availability value
+     *
+     * @return array ['stock' => ?int, 'delivery_time_id' => ?string, 'is_closeout' => ?bool, 'active' => ?bool,
+     *                'rule' => index of the matched rule, null for default]. Null fields are not changed
+     */
+    public function resolve(mixed $value, array $mapping): array
+    {
+        $value = trim((string) ($value ?? ''));
+
+        foreach ($mapping['rules'] ?? [] as $index => $rule) {
+            $matchType = $rule['match_type'] ?? self::MATCH_TEXT;
+
+            if ($matchType === self::MATCH_NUMBER) {
+                $quantity = $this->parseQuantity($value);
+                if ($quantity === null) {
+                    continue;
+                }
+
+                return $this->getFields($rule, $quantity) + ['rule' => $index];
+            }
+
+            if ($this->matches($value, $matchType, (string) ($rule['pattern'] ?? ''))) {
+                return $this->getFields($rule) + ['rule' => $index];
+            }
+        }
+
+        return $this->getFields($mapping['default'] ?? []) + ['rule' => null];
+    }
+
+    /**
+     * Product update payload fields of a resolved value
+     */
+    public function toProductUpdate(array $resolved): array
+    {
+        $update = [];
+
+        if ($resolved['stock'] !== null) {
+            $update['stock'] = $resolved['stock'];
+        }
+
+        if ($resolved['delivery_time_id'] !== null) {
+            $update['deliveryTimeId'] = $resolved['delivery_time_id'];
+        }
+
+        if ($resolved['is_closeout'] !== null) {
+            $update['isCloseout'] = $resolved['is_closeout'];
+        }
+
+        if ($resolved['active'] !== null) {
+            $update['active'] = $resolved['active'];
+        }
+
+        return $update;
+    }
+
+    /**
+     * Compile error of a "regex" rule pattern, null for a valid pattern
+     */
+    public function getPatternError(string $pattern): ?string
+    {
+        $error = null;
+        set_error_handler(function (int $level, string $message) use (&$error): bool {
+            $error = $message;
+
+            return true;
+        });
+
+        try {
+            $result = preg_match($this->toRegex($pattern), '');
+        } finally {
+            restore_error_handler();
+        }
+
+        return $result === false ? ($error ?? preg_last_error_msg()) : null;
+    }
+
+    /**
+     * Compile errors of all "regex" rules of a mapping
+     *
+     * @return array<int, string> [rule index => error]
+     */
+    public function getMappingErrors(array $mapping): array
+    {
+        $errors = [];
+
+        foreach ($mapping['rules'] ?? [] as $index => $rule) {
+            $pattern = (string) ($rule['pattern'] ?? '');
+
+            if (($rule['match_type'] ?? self::MATCH_TEXT) !== self::MATCH_REGEX || $pattern === '') {
+                continue;
+            }
+
+            $error = $this->getPatternError($pattern);
+            if ($error !== null) {
+                $errors[$index] = $error;
+            }
+        }
+
+        return $errors;
+    }
+
+    /**
+     * First number of a value, spaces inside numbers are ignored ("1 000" gives 1000)
+     */
+    public function parseQuantity(string $value): ?int
+    {
+        if (!preg_match('/\d+(?:[.,]\d+)?/', str_replace(' ', '', $value), $matches)) {
+            return null;
+        }
+
+        return max(0, (int) floor((float) str_replace(',', '.', $matches[0])));
+    }
+
+    private function matches(string $value, string $matchType, string $pattern): bool
+    {
+        if ($matchType === self::MATCH_REGEX) {
+            if ($pattern === '') {
+                return false;
+            }
+
+            $result = preg_match($this->toRegex($pattern), $value);
+            if ($result === false) {
+                throw new \RuntimeException(sprintf(
+                    'Availability mapping pattern "%s" failed: %s',
+                    $pattern,
+                    preg_last_error_msg()
+                ));
+            }
+
+            return $result === 1;
+        }
+
+        return mb_strtolower($value) === mb_strtolower(trim($pattern));
+    }
+
+    /**
+     * Case-insensitive expression with "~" delimiters, a "~" not escaped yet is escaped
+     */
+    private function toRegex(string $pattern): string
+    {
+        return '~' . preg_replace('/(?<!\\\\)((?:\\\\\\\\)*)~/', '$1\\~', $pattern) . '~iu';
+    }
+
+    private function getFields(array $rule, ?int $quantity = null): array
+    {
+        $stock = $rule['stock'] ?? null;
+        if (!is_numeric($stock)) {
+            $stock = $quantity;
+        }
+
+        return [
+            'stock' => $stock !== null ? max(0, (int) $stock) : null,
+            'delivery_time_id' => ($rule['delivery_time_id'] ?? null) ?: null,
+            'is_closeout' => isset($rule['is_closeout']) ? (bool) $rule['is_closeout'] : null,
+            'active' => isset($rule['active']) ? (bool) $rule['active'] : null,
+        ];
+    }
+}
@@ -0,0 +1,291 @@
+<?php declare(strict_types=1);
+
+namespace Artiss\Supplier\Service\PriceUpdate;
+
+use Artiss\Supplier\Core\Content\DiscontinuedProduct\DiscontinuedProductDefinition;
+use Artiss\Supplier\Core\Content\DiscontinuedProduct\DiscontinuedProductEntity;
+use Artiss\Supplier\Core\Content\PriceTemplate\PriceTemplateEntity;
+use Shopware\Core\Content\Product\ProductEntity;
+use Shopware\Core\Framework\Context;
+use Shopware\Core\Framework\DataAbstractionLayer\EntityRepository;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\Criteria;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\Filter\EqualsFilter;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\Filter\RangeFilter;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\Sorting\FieldSorting;
+use Shopware\Core\Framework\Uuid\Uuid;
+use Shopware\Core\System\SystemConfig\SystemConfigService;
+
+/**
+ * Detects products that disappeared from supplier price lists
+ *
+ * On every price apply the products mapped in the template (matched_products) are checked against
+ * the supplier codes of the selected price list. A product missing in N consecutive price lists
+ * (plugin config ArtissSupplier.config.discontinuedGraceImports) is listed as possibly discontinued.
+ * Each price list file is counted once, so applying the same file again does not raise the counter.
+ * A product that is back in the price list or no longer mapped is removed from tracking.
+ */
+class DiscontinuedProductService
+{
+    public const ACTION_RESET = 'reset';
+
+    public const ACTIONS = [
+        DiscontinuedProductDefinition::ACTION_DEACTIVATE,
+        DiscontinuedProductDefinition::ACTION_ZERO_STOCK,
+        DiscontinuedProductDefinition::ACTION_TAG,
+        self::ACTION_RESET,
+    ];
+
+    private const CONFIG_GRACE_IMPORTS = 'ArtissSupplier.config.discontinuedGraceImports';
+    private const DEFAULT_GRACE_IMPORTS = 3;
+
+    private const BATCH_SIZE = 100;
+
+    public function __construct(
+        private readonly EntityRepository $discontinuedProductRepository,
+        private readonly EntityRepository $productRepository,
+        private readonly SystemConfigService $systemConfigService
+    ) {
+    }
+
+    public function getGraceImports(): int
+    {
+        $graceImports = $this->systemConfigService->getInt(self::CONFIG_GRACE_IMPORTS);
+
+        return $graceImports > 0 ? $graceImports : self::DEFAULT_GRACE_IMPORTS;
+    }
+
+    /**
+     * Update missing counters of mapped products after a price list was applied
+     *
+     * @param array $matchedProducts Template mapping [productId => supplierCode]
+     * @param string[] $priceListCodes Supplier codes of the applied price list
+     *
+     * @return array ['missing' => products missing in this price list, 'discontinued' => products over the grace period]
+     */
+    public function track(
+        PriceTemplateEntity $template,
+        array $matchedProducts,
+        array $priceListCodes,
+        Context $context
+    ): array {
+        $mediaId = $template->getConfig()['selected_media_id'] ?? null;
+        $graceImports = $this->getGraceImports();
+        $codes = array_flip(array_map(fn($code) => strtoupper(trim((string) $code)), $priceListCodes));
+
+        $tracked = [];
+        $criteria = new Criteria();
+        $criteria->addFilter(new EqualsFilter('priceTemplateId', $template->getId()));
+
+        /** @var DiscontinuedProductEntity $row */
+        foreach ($this->discontinuedProductRepository->search($criteria, $context) as $row) {
+            $tracked[$row->getProductId()] = $row;
+        }
+
+        $missing = [];
+        foreach ($matchedProducts as $productId => $supplierCode) {
+            if (!isset($codes[strtoupper(trim((string) $supplierCode))])) {
+                $missing[$productId] = (string) $supplierCode;
+            }
+        }
+
+        $products = $this->loadProducts(array_keys($missing), $context);
+
+        $upsert = [];
+        $delete = [];
+        $discontinued = 0;
+
+        foreach ($tracked as $productId => $row) {
+            // Back in the price list, unmapped or deleted
+            if (!isset($missing[$productId]) || !isset($products[$productId])) {
+                $delete[] = ['id' => $row->getId()];
+            }
+        }
+
+        foreach ($missing as $productId => $supplierCode) {
+            $product = $products[$productId] ?? null;
+            if ($product === null) {
+                continue;
+            }
+
+            $row = $tracked[$productId] ?? null;
+            $missingCount = $row?->getMissingCount() ?? 0;
+
+            if ($row === null || $mediaId === null || $row->getLastMediaId() !== $mediaId) {
+                $missingCount++;
+            }
+
+            if ($missingCount >= $graceImports) {
+                $discontinued++;
+            }
+
+            $upsert[] = [
+                'id' => $row?->getId() ?? Uuid::randomHex(),
+                'priceTemplateId' => $template->getId(),
+                'supplierId' => $template->getSupplierId(),
+                'productId' => $productId,
+                'productNumber' => $product->getProductNumber(),
+                'productName' => mb_substr((string) ($product->getTranslated()['name'] ?? $product->getName() ?? ''), 0, 255),
+                'supplierCode' => $supplierCode,
+                'missingCount' => $missingCount,
+                'firstMissingAt' => $row?->getFirstMissingAt() ?? new \DateTime(),
+                'lastMediaId' => $mediaId,
+            ];
+        }
+
+        foreach (array_chunk($upsert, self::BATCH_SIZE) as $batch) {
+            $this->discontinuedProductRepository->upsert($batch, $context);
+        }
+
+        if (!empty($delete)) {
+            $this->discontinuedProductRepository->delete($delete, $context);
+        }
+
+        return [
+            'missing' => count($upsert),
+            'discontinued' => $discontinued,
+        ];
+    }
+
+    /**
+     * Possibly discontinued products of a supplier, missing at least for the grace period
+     *
+     * @return array ['rows' => [...], 'total' => int, 'grace_imports' => int]
+     */
+    public function getList(string $supplierId, int $page, int $limit, Context $context): array
+    {
+        $limit = min(500, max(1, $limit));
+        $graceImports = $this->getGraceImports();
+
+        $criteria = new Criteria();
+        $criteria->addFilter(new EqualsFilter('supplierId', $supplierId));
+        $criteria->addFilter(new RangeFilter('missingCount', [RangeFilter::GTE => $graceImports]));
+        $criteria->addAssociation('priceTemplate');
+        $criteria->addSorting(new FieldSorting('missingCount', FieldSorting::DESCENDING));
+        $criteria->addSorting(new FieldSorting('firstMissingAt', FieldSorting::ASCENDING));
+        $criteria->setLimit($limit);
+        $criteria->setOffset((max(1, $page) - 1) * $limit);
+        $criteria->setTotalCountMode(Criteria::TOTAL_COUNT_MODE_EXACT);
+
+        $result = $this->discontinuedProductRepository->search($criteria, $context);
+        $rows = $result->getEntities();
+
+        $products = $this->loadProducts(
+            array_values(array_map(fn(DiscontinuedProductEntity $row) => $row->getProductId(), $rows->getElements())),
+            $context
+        );
+
+        $items = [];
+
+        /** @var DiscontinuedProductEntity $row */
+        foreach ($rows as $row) {
+            $product = $products[$row->getProductId()] ?? null;
+
+            $items[] = [
+                'id' => $row->getId(),
+                'product_id' => $row->getProductId(),
+                'product_number' => $product?->getProductNumber() ?? $row->getProductNumber(),
+                'product_name' => $product?->getTranslated()['name'] ?? $product?->getName() ?? $row->getProductName(),
+                'product_exists' => $product !== null,
+                'active' => $product?->getActive(),
+                'stock' => $product?->getStock(),
+                'supplier_code' => $row->getSupplierCode(),
+                'template_id' => $row->getPriceTemplateId(),
+                'template_name' => $row->getPriceTemplate()?->getName(),
+                'missing_count' => $row->getMissingCount(),
+                'first_missing_at' => $row->getFirstMissingAt()->format(\DATE_ATOM),
+                'action' => $row->getAction(),
+                'action_at' => $row->getActionAt()?->format(\DATE_ATOM),
+            ];
+        }
+
+        return [
+            'rows' => $items,
+            'total' => $result->getTotal(),
+            'grace_imports' => $graceImports,
+        ];
+    }
+
+    /**
+     * Apply a bulk action to tracked products
+     *
+     * reset removes the rows from tracking, the counter starts again with the next missing price list
+     *
+     * @param string[] $ids Discontinued product row IDs
+     *
+     * @return array ['updated' => products changed, 'action' => ...]
+     */
+    public function applyAction(array $ids, string $action, ?string $tagId, Context $context): array
+    {
+        if (!in_array($action, self::ACTIONS, true)) {
+            throw new \RuntimeException("Unknown action: {$action}");
+        }
+
+        if ($action === DiscontinuedProductDefinition::ACTION_TAG && !$tagId) {
+            throw new \RuntimeException('tagId is required for the tag action');
+        }
+
+        $ids = array_values(array_filter($ids));
+        if (empty($ids)) {
+            return ['updated' => 0, 'action' => $action];
+        }
+
+        $rows = $this->discontinuedProductRepository->search(new Criteria($ids), $context)->getEntities();
+
+        if ($action === self::ACTION_RESET) {
+            $delete = array_values(array_map(fn(string $id) => ['id' => $id], $rows->getIds()));
+            if (!empty($delete)) {
+                $this->discontinuedProductRepository->delete($delete, $context);
+            }
+
+            return ['updated' => count($delete), 'action' => $action];
+        }
+
+        $productIds = array_values(array_unique(array_map(
+            fn(DiscontinuedProductEntity $row) => $row->getProductId(),
+            $rows->getElements()
+        )));
+        $existingIds = array_keys($this->loadProducts($productIds, $context));
+
+        $productUpdates = array_map(fn(string $productId) => match ($action) {
+            DiscontinuedProductDefinition::ACTION_DEACTIVATE => ['id' => $productId, 'active' => false],
+            DiscontinuedProductDefinition::ACTION_ZERO_STOCK => ['id' => $productId, 'stock' => 0],
+            DiscontinuedProductDefinition::ACTION_TAG => ['id' => $productId, 'tags' => [['id' => $tagId]]],
+        }, $existingIds);
+
+        foreach (array_chunk($productUpdates, self::BATCH_SIZE) as $batch) {
+            $this->productRepository->update($batch, $context);
+        }
+
+        $now = new \DateTime();
+        $rowUpdates = [];
+
+        /** @var DiscontinuedProductEntity $row */
+        foreach ($rows as $row) {
+            if (in_array($row->getProductId(), $existingIds, true)) {
+                $rowUpdates[] = ['id' => $row->getId(), 'action' => $action, 'actionAt' => $now];
+            }
+        }
+
+        if (!empty($rowUpdates)) {
+            $this->discontinuedProductRepository->update($rowUpdates, $context);
+        }
+
+        return ['updated' => count($productUpdates), 'action' => $action];
+    }
+
+    /**
+     * @return array<string, ProductEntity> Existing products by ID
+     */
+    private function loadProducts(array $productIds, Context $context): array
+    {
+        $products = [];
+
+        foreach (array_chunk(array_values($productIds), 500) as $chunk) {
+            foreach ($this->productRepository->search(new Criteria($chunk), $context) as $product) {
+                $products[$product->getId()] = $product;
+            }
+        }
+
+        return $products;
+    }
+}
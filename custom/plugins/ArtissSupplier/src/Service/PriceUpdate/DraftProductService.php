@@ -0,0 +1,285 @@
+<?php declare(strict_types=1);
+
+namespace Artiss\Supplier\Service\PriceUpdate;
+
+use Artiss\Supplier\Core\Content\PriceTemplate\PriceTemplateEntity;
+use Artiss\Supplier\Service\ExchangeRate\ExchangeRateService;
+use Shopware\Core\Defaults;
+use Shopware\Core\Framework\Context;
+use Shopware\Core\Framework\DataAbstractionLayer\EntityRepository;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\Criteria;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\Filter\EqualsAnyFilter;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\Sorting\FieldSorting;
+use Shopware\Core\Framework\Uuid\Uuid;
+use Shopware\Core\System\NumberRange\ValueGenerator\NumberRangeValueGeneratorInterface;
+use Shopware\Core\System\SystemConfig\SystemConfigService;
+
+/**
+ * Creates draft products from price list rows that match no product
+ *
+ * Draft products are inactive, have no stock and no sales channel visibility, an editor completes them.
+ * They get the supplier code (kod_postavschika), the template supplier (product_supplier_id),
+ * the first manufacturer of the template filters and prices calculated with template modifiers and rules.
+ * New products are added to the template mapping, so the next preview matches them.
+ */
+class DraftProductService
+{
+    private const DEFAULT_TAX_CONFIG = 'core.tax.defaultTaxRate';
+
+    public function __construct(
+        private readonly PriceUpdateService $priceUpdateService,
+        private readonly MatchPreviewFilter $matchPreviewFilter,
+        private readonly EntityRepository $priceTemplateRepository,
+        private readonly EntityRepository $productRepository,
+        private readonly EntityRepository $taxRepository,
+        private readonly NumberRangeValueGeneratorInterface $numberRangeValueGenerator,
+        private readonly SystemConfigService $systemConfigService,
+        private readonly ExchangeRateService $exchangeRateService
+    ) {
+    }
+
+    /**
+     * One page of price list rows without product
+     *
+     * @param array $params page, limit and search, see MatchPreviewFilter
+     *
+     * @return array Page rows, filtered total, page and limit
+     */
+    public function getUnmatchedRows(string $templateId, array $params, Context $context): array
+    {
+        $page = $this->matchPreviewFilter->apply($this->collectUnmatchedRows($templateId, $context), [
+            'page' => $params['page'] ?? 1,
+            'limit' => $params['limit'] ?? null,
+            'search' => $params['search'] ?? null,
+        ]);
+
+        return [
+            'rows' => $page['rows'],
+            'total' => $page['total'],
+            'page' => $page['page'],
+            'limit' => $page['limit'],
+        ];
+    }
+
+    /**
+     * Create inactive products for the given supplier codes
+     *
+     * Codes that are matched meanwhile or already set as kod_postavschika of any product are skipped.
+     *
+     * @param string[] $supplierCodes Codes of unmatched price list rows
+     *
+     * @return array ['created' => int, 'skipped' => int, 'products' => [['product_id', 'product_number', 'supplier_code', 'name']]]
+     */
+    public function createDraftProducts(string $templateId, array $supplierCodes, Context $context): array
+    {
+        $supplierCodes = array_values(array_unique(array_filter(array_map(
+            fn($code) => strtoupper(trim((string) $code)),
+            $supplierCodes
+        ))));
+
+        $rows = [];
+        foreach ($this->collectUnmatchedRows($templateId, $context) as $row) {
+            if (in_array(strtoupper((string) $row['supplier_code']), $supplierCodes, true)) {
+                $rows[strtoupper((string) $row['supplier_code'])] = $row;
+            }
+        }
+
+        $existingCodes = $this->findExistingCodes(array_keys($rows), $context);
+        $template = $this->getTemplate($templateId, $context);
+        $config = $template->getConfig() ?? [];
+        $currencies = $config['price_currencies'] ?? [];
+        $factors = $this->exchangeRateService->getSupplierFactors($template->getSupplierId(), $context);
+
+        $manufacturers = $config['filters']['manufacturers'] ?? [];
+        $manufacturerId = is_array($manufacturers) ? ($manufacturers[0] ?? null) : ($manufacturers ?: null);
+        $taxId = $this->getDefaultTaxId($context);
+
+        $payload = [];
+        $created = [];
+        $matchedProducts = $template->getMatchedProducts() ?? [];
+
+        foreach ($rows as $code => $row) {
+            if (isset($existingCodes[$code])) {
+                continue;
+            }
+
+            $productId = Uuid::randomHex();
+            $productNumber = $this->numberRangeValueGenerator->getValue('product', $context, null);
+            $name = trim((string) ($row['supplier_name'] ?? '')) ?: $row['supplier_code'];
+            $newPrices = $row['new_prices'] ?? [];
+
+            $customFields = [
+                'kod_postavschika' => $row['supplier_code'],
+                'product_supplier_id' => $template->getSupplierId(),
+            ];
+
+            foreach (['purchase', 'retail', 'list'] as $priceType) {
+                if (isset($newPrices[$priceType]) && $newPrices[$priceType] !== null) {
+                    $customFields[$priceType . '_price_value'] = $newPrices[$priceType];
+                    $customFields[$priceType . '_price_currency'] = $currencies[$priceType] ?? 'UAH';
+                }
+            }
+
+            $product = [
+                'id' => $productId,
+                'productNumber' => $productNumber,
+                'name' => mb_substr($name, 0, 255),
+                'active' => false,
+                'stock' => 0,
+                'taxId' => $taxId,
+                'price' => [$this->buildPrice(
+                    $newPrices['retail'] ?? null,
+                    $newPrices['list'] ?? null,
+                    $currencies,
+                    $factors
+                )],
+                'customFields' => $customFields,
+            ];
+
+            if ($manufacturerId) {
+                $product['manufacturerId'] = $manufacturerId;
+            }
+
+            if (isset($newPrices['purchase']) && $newPrices['purchase'] !== null) {
+                $purchase = $this->toDefaultCurrency((float) $newPrices['purchase'], $currencies['purchase'] ?? 'UAH', $factors);
+                $product['purchasePrices'] = [[
+                    'currencyId' => Defaults::CURRENCY,
+                    'gross' => $purchase,
+                    'net' => $purchase,
+                    'linked' => false,
+                ]];
+            }
+
+            $payload[] = $product;
+            $matchedProducts[$productId] = $row['supplier_code'];
+            $created[] = [
+                'product_id' => $productId,
+                'product_number' => $productNumber,
+                'supplier_code' => $row['supplier_code'],
+                'name' => $product['name'],
+            ];
+        }
+
+        if (!empty($payload)) {
+            $this->productRepository->create($payload, $context);
+
+            $this->priceTemplateRepository->update([
+                [
+                    'id' => $templateId,
+                    'matchedProducts' => $matchedProducts,
+                ],
+            ], $context);
+        }
+
+        return [
+            'created' => count($created),
+            'skipped' => count($supplierCodes) - count($created),
+            'products' => $created,
+        ];
+    }
+
+    /**
+     * Unmatched price list rows without codes that are mapped to a product outside the template filters
+     */
+    private function collectUnmatchedRows(string $templateId, Context $context): array
+    {
+        $preview = $this->priceUpdateService->matchProductsPreview($templateId, $context);
+        $mappedCodes = array_flip(array_map('strval', array_values(
+            $this->getTemplate($templateId, $context)->getMatchedProducts() ?? []
+        )));
+
+        return array_values(array_filter(
+            $preview['unmatched'] ?? [],
+            fn(array $row) => !isset($mappedCodes[(string) $row['supplier_code']])
+        ));
+    }
+
+    /**
+     * @return array [code => true] for codes already stored as kod_postavschika
+     */
+    private function findExistingCodes(array $codes, Context $context): array
+    {
+        if (empty($codes)) {
+            return [];
+        }
+
+        $criteria = new Criteria();
+        $criteria->addFilter(new EqualsAnyFilter('customFields.kod_postavschika', $codes));
+
+        $existing = [];
+        foreach ($this->productRepository->search($criteria, $context) as $product) {
+            $code = strtoupper(trim((string) ($product->getCustomFields()['kod_postavschika'] ?? '')));
+            if ($code !== '') {
+                $existing[$code] = true;
+            }
+        }
+
+        return $existing;
+    }
+
+    /**
+     * Product price in the default currency, the same conversion as the recalculation after apply
+     */
+    private function buildPrice(?float $retail, ?float $list, array $currencies, array $factors): array
+    {
+        $gross = $retail !== null ? $this->toDefaultCurrency($retail, $currencies['retail'] ?? 'UAH', $factors) : 0.0;
+
+        $price = [
+            'currencyId' => Defaults::CURRENCY,
+            'gross' => $gross,
+            'net' => $gross,
+            'linked' => false,
+        ];
+
+        if ($list !== null) {
+            $listPrice = $this->toDefaultCurrency($list, $currencies['list'] ?? 'UAH', $factors);
+            $price['listPrice'] = [
+                'currencyId' => Defaults::CURRENCY,
+                'gross' => $listPrice,
+                'net' => $listPrice,
+                'linked' => false,
+            ];
+        }
+
+        return $price;
+    }
+
+    private function toDefaultCurrency(float $value, string $isoCode, array $factors): float
+    {
+        $factor = $factors[$isoCode] ?? 1.0;
+
+        return round($value / ($factor ?: 1.0), 2);
+    }
+
+    private function getDefaultTaxId(Context $context): string
+    {
+        $taxId = $this->systemConfigService->getString(self::DEFAULT_TAX_CONFIG);
+
+        if ($taxId !== '' && Uuid::isValid($taxId)) {
+            return $taxId;
+        }
+
+        $criteria = new Criteria();
+        $criteria->addSorting(new FieldSorting('position', FieldSorting::ASCENDING));
+        $criteria->setLimit(1);
+
+        $taxId = $this->taxRepository->searchIds($criteria, $context)->firstId();
+
+        if ($taxId === null) {
+            throw new \RuntimeException('No tax rate found for draft products');
+        }
+
+        return $taxId;
+    }
+
+    private function getTemplate(string $templateId, Context $context): PriceTemplateEntity
+    {
+        $template = $this->priceTemplateRepository->search(new Criteria([$templateId]), $context)->first();
+
+        if ($template === null) {
+            throw new \RuntimeException("Price template not found: {$templateId}");
+        }
+
+        return $template;
+    }
+}
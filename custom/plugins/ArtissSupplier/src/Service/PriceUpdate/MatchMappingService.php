@@ -0,0 +1,338 @@
+<?php declare(strict_types=1);
+
+namespace Artiss\Supplier\Service\PriceUpdate;
+
+use Artiss\Supplier\Core\Content\PriceTemplate\PriceTemplateEntity;
+use Shopware\Core\Content\Product\ProductEntity;
+use Shopware\Core\Framework\Context;
+use Shopware\Core\Framework\DataAbstractionLayer\EntityRepository;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\Criteria;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\Filter\EqualsAnyFilter;
+
+/**
+ * Round-trip of the template product <-> supplier code mapping (matched_products) through a spreadsheet
+ *
+ * Export has one row per template product plus one row per price list item without product.
+ * Supplier code is filled for saved bindings only. Matches found by code or name (status "detected")
+ * are exported in the "suggested_*" columns, they become bindings only when copied to "supplier_code".
+ * Import reads "product_number" and "supplier_code" columns, other columns are ignored:
+ *   - empty supplier code removes the binding
+ *   - rows without product number (price list items) are skipped
+ *
+ * Import report issues:
+ *   errors (row is not imported) - unknown_product, duplicate_product, duplicate_code
+ *   warnings (row is imported)   - code_not_in_price_list, product_not_in_template
+ */
+class MatchMappingService
+{
+    public const COLUMN_PRODUCT_NUMBER = 'product_number';
+    public const COLUMN_SUPPLIER_CODE = 'supplier_code';
+    public const COLUMN_SUGGESTED_CODE = 'suggested_supplier_code';
+
+    public const STATUS_MAPPED = 'mapped';
+    public const STATUS_DETECTED = 'detected';
+    public const STATUS_UNMATCHED_PRODUCT = 'unmatched_product';
+    public const STATUS_UNMATCHED_PRICE_ROW = 'unmatched_price_row';
+
+    public const ISSUE_UNKNOWN_PRODUCT = 'unknown_product';
+    public const ISSUE_DUPLICATE_PRODUCT = 'duplicate_product';
+    public const ISSUE_DUPLICATE_CODE = 'duplicate_code';
+    public const ISSUE_CODE_NOT_IN_PRICE_LIST = 'code_not_in_price_list';
+    public const ISSUE_PRODUCT_NOT_IN_TEMPLATE = 'product_not_in_template';
+
+    private const EXPORT_COLUMNS = [
+        self::COLUMN_PRODUCT_NUMBER,
+        'product_name',
+        self::COLUMN_SUPPLIER_CODE,
+        'supplier_name',
+        self::COLUMN_SUGGESTED_CODE,
+        'suggested_supplier_name',
+        'status',
+    ];
+
+    private const ERROR_ISSUES = [
+        self::ISSUE_UNKNOWN_PRODUCT,
+        self::ISSUE_DUPLICATE_PRODUCT,
+        self::ISSUE_DUPLICATE_CODE,
+    ];
+
+    public function __construct(
+        private readonly PriceUpdateService $priceUpdateService,
+        private readonly PriceExportService $priceExportService,
+        private readonly SpreadsheetReader $spreadsheetReader,
+        private readonly EntityRepository $priceTemplateRepository,
+        private readonly EntityRepository $productRepository
+    ) {
+    }
+
+    /**
+     * Export current mapping with unmatched products and unmatched price list rows
+     *
+     * @return array ['content' => file content, 'file_name' => ..., 'content_type' => ...]
+     */
+    public function exportMapping(string $templateId, string $format, Context $context): array
+    {
+        $preview = $this->priceUpdateService->matchProductsPreview($templateId, $context);
+        $rows = [];
+
+        foreach ($preview['matched'] as $row) {
+            $status = match (true) {
+                $row['method'] === 'matched_products' || ($row['status'] !== 'matched' && $row['supplier_code'] !== '') => self::STATUS_MAPPED,
+                $row['status'] === 'matched' => self::STATUS_DETECTED,
+                default => self::STATUS_UNMATCHED_PRODUCT,
+            };
+
+            // Re-importing the file unchanged must not confirm guesses
+            $isSuggestion = $status === self::STATUS_DETECTED;
+
+            $rows[] = [
+                $row['product_number'],
+                $row['product_name'],
+                $isSuggestion ? null : ($row['supplier_code'] ?: null),
+                $isSuggestion ? null : ($row['supplier_name'] ?: null),
+                $isSuggestion ? $row['supplier_code'] : null,
+                $isSuggestion ? ($row['supplier_name'] ?: null) : null,
+                $status,
+            ];
+        }
+
+        foreach ($preview['unmatched'] as $row) {
+            $rows[] = [null, null, $row['supplier_code'], $row['supplier_name'] ?: null, null, null, self::STATUS_UNMATCHED_PRICE_ROW];
+        }
+
+        return $this->priceExportService->writeFile(
+            self::EXPORT_COLUMNS,
+            $rows,
+            $format,
+            sprintf('supplier-mapping-%s', date('Y-m-d-His'))
+        );
+    }
+
+    /**
+     * Validate mapping file and save it to the template unless it is a dry run
+     *
+     * @param string $filePath Uploaded XLSX, XLS or CSV file
+     * @param string $extension File extension, uploaded files have none in the path
+     * @param bool $dryRun Only validate and count changes
+     *
+     * @return array ['dry_run' => ..., 'stats' => [...], 'issues' => [['row', 'product_number', 'supplier_code', 'type', 'severity'], ...]]
+     */
+    public function importMapping(string $templateId, string $filePath, string $extension, bool $dryRun, Context $context): array
+    {
+        $template = $this->getTemplate($templateId, $context);
+        $fileRows = $this->readRows($filePath, $extension);
+
+        $preview = $this->priceUpdateService->matchProductsPreview($templateId, $context);
+        $priceListCodes = $this->getPriceListCodes($preview);
+
+        $templateProductIds = [];
+        foreach ($preview['matched'] as $row) {
+            $templateProductIds[$row['product_id']] = true;
+        }
+
+        $products = $this->findProductsByNumber(array_column($fileRows, 'product_number'), $context);
+
+        $issues = [];
+        $changes = [];
+        $rowsByProduct = [];
+
+        foreach ($fileRows as $fileRow) {
+            $product = $products[mb_strtolower($fileRow['product_number'])] ?? null;
+
+            if ($product === null) {
+                $issues[] = $this->issue($fileRow, self::ISSUE_UNKNOWN_PRODUCT);
+                continue;
+            }
+
+            if (isset($rowsByProduct[$product->getId()])) {
+                $issues[] = $this->issue($fileRow, self::ISSUE_DUPLICATE_PRODUCT);
+                continue;
+            }
+
+            $rowsByProduct[$product->getId()] = $fileRow;
+            $changes[$product->getId()] = $fileRow['supplier_code'];
+
+            if (!isset($templateProductIds[$product->getId()])) {
+                $issues[] = $this->issue($fileRow, self::ISSUE_PRODUCT_NOT_IN_TEMPLATE);
+            }
+
+            if ($fileRow['supplier_code'] !== '' && !isset($priceListCodes[$fileRow['supplier_code']])) {
+                $issues[] = $this->issue($fileRow, self::ISSUE_CODE_NOT_IN_PRICE_LIST);
+            }
+        }
+
+        $currentMapping = $template->getMatchedProducts() ?? [];
+
+        // One code may be bound to one product only, bindings kept from the current mapping count too
+        $productsByCode = [];
+        foreach (array_replace($currentMapping, $changes) as $productId => $code) {
+            if ($code !== '' && $code !== null) {
+                $productsByCode[$code][] = $productId;
+            }
+        }
+
+        foreach ($productsByCode as $productIds) {
+            if (count($productIds) < 2) {
+                continue;
+            }
+
+            foreach ($productIds as $productId) {
+                if (!isset($changes[$productId])) {
+                    continue;
+                }
+
+                $issues[] = $this->issue($rowsByProduct[$productId], self::ISSUE_DUPLICATE_CODE);
+                unset($changes[$productId]);
+            }
+        }
+
+        $stats = [
+            'rows' => count($fileRows),
+            'added' => 0,
+            'changed' => 0,
+            'removed' => 0,
+            'unchanged' => 0,
+            'errors' => count(array_filter($issues, fn(array $issue) => $issue['severity'] === 'error')),
+            'warnings' => count(array_filter($issues, fn(array $issue) => $issue['severity'] === 'warning')),
+        ];
+
+        $newMapping = $currentMapping;
+        foreach ($changes as $productId => $code) {
+            $currentCode = $currentMapping[$productId] ?? '';
+
+            if ($code === $currentCode) {
+                $stats['unchanged']++;
+            } elseif ($code === '') {
+                $stats['removed']++;
+                unset($newMapping[$productId]);
+            } else {
+                $stats[$currentCode === '' ? 'added' : 'changed']++;
+                $newMapping[$productId] = $code;
+            }
+        }
+
+        if (!$dryRun && $newMapping !== $currentMapping) {
+            $this->priceTemplateRepository->update([
+                [
+                    'id' => $templateId,
+                    'matchedProducts' => $newMapping,
+                ],
+            ], $context);
+        }
+
+        usort($issues, fn(array $a, array $b) => $a['row'] <=> $b['row']);
+
+        return [
+            'dry_run' => $dryRun,
+            'stats' => $stats,
+            'issues' => $issues,
+        ];
+    }
+
+    /**
+     * Read product number and supplier code columns, header row is required
+     *
+     * @return array List of ['row' => file row number, 'product_number' => ..., 'supplier_code' => ...]
+     */
+    private function readRows(string $filePath, string $extension): array
+    {
+        $file = $this->spreadsheetReader->read($filePath, $extension);
+        $header = $file['header'];
+
+        $numberColumn = array_search(self::COLUMN_PRODUCT_NUMBER, $header, true);
+        $codeColumn = array_search(self::COLUMN_SUPPLIER_CODE, $header, true);
+
+        if ($numberColumn === false || $codeColumn === false) {
+            throw new \RuntimeException(sprintf(
+                'Mapping file must have "%s" and "%s" columns',
+                self::COLUMN_PRODUCT_NUMBER,
+                self::COLUMN_SUPPLIER_CODE
+            ));
+        }
+
+        $rows = [];
+        foreach ($file['rows'] as $index => $values) {
+            $productNumber = trim((string) ($values[$numberColumn] ?? ''));
+
+            // Price list rows without product are exported for reference only
+            if ($productNumber === '') {
+                continue;
+            }
+
+            $rows[] = [
+                // Header is row 1
+                'row' => $index + 2,
+                'product_number' => $productNumber,
+                // Same normalization as manual binding in the wizard
+                'supplier_code' => strtoupper(trim((string) ($values[$codeColumn] ?? ''))),
+            ];
+        }
+
+        return $rows;
+    }
+
+    /**
+     * Codes of the current price list
+     */
+    private function getPriceListCodes(array $preview): array
+    {
+        $codes = [];
+
+        foreach ($preview['matched'] as $row) {
+            if ($row['status'] === 'matched' && $row['supplier_code'] !== '') {
+                $codes[$row['supplier_code']] = true;
+            }
+        }
+
+        foreach ($preview['unmatched'] as $row) {
+            $codes[$row['supplier_code']] = true;
+        }
+
+        return $codes;
+    }
+
+    /**
+     * @return array<string, ProductEntity> Products by lowercase product number
+     */
+    private function findProductsByNumber(array $productNumbers, Context $context): array
+    {
+        $productNumbers = array_values(array_unique($productNumbers));
+
+        if (empty($productNumbers)) {
+            return [];
+        }
+
+        $criteria = new Criteria();
+        $criteria->addFilter(new EqualsAnyFilter('productNumber', $productNumbers));
+
+        $products = [];
+        /** @var ProductEntity $product */
+        foreach ($this->productRepository->search($criteria, $context) as $product) {
+            $products[mb_strtolower($product->getProductNumber())] = $product;
+        }
+
+        return $products;
+    }
+
+    private function issue(array $fileRow, string $type): array
+    {
+        return [
+            'row' => $fileRow['row'],
+            'product_number' => $fileRow['product_number'],
+            'supplier_code' => $fileRow['supplier_code'],
+            'type' => $type,
+            'severity' => in_array($type, self::ERROR_ISSUES, true) ? 'error' : 'warning',
+        ];
+    }
+
+    private function getTemplate(string $templateId, Context $context): PriceTemplateEntity
+    {
+        $template = $this->priceTemplateRepository->search(new Criteria([$templateId]), $context)->first();
+
+        if ($template === null) {
+            throw new \RuntimeException("Price template not found: {$templateId}");
+        }
+
+        return $template;
+    }
+}
@@ -0,0 +1,203 @@
+<?php declare(strict_types=1);
+
+namespace Artiss\Supplier\Service\PriceUpdate;
+
+/**
+ * Filters, sorts and pages match preview rows, so the wizard loads only the rows it displays
+ *
+ * Params:
+ *   page           - page number, starts with 1
+ *   limit          - rows per page
+ *   sort_by        - one of SORT_FIELDS, empty keeps product order
+ *   sort_direction - "asc" or "desc"
+ *   status         - "matched", "unmatched" or "blocked" (matched with guardrail violations)
+ *   confidence     - list of confidence values (exact, high, medium, none)
+ *   price_change   - "increase", "decrease", "unchanged" or "new", row matches if any price type changed that way
+ *   search         - substring of product name, product number, supplier code or supplier name
+ */
+class MatchPreviewFilter
+{
+    public const STATUS_BLOCKED = 'blocked';
+
+    public const SORT_FIELDS = [
+        'product_name',
+        'supplier_code',
+        'status',
+        'confidence',
+        'purchase_price',
+        'retail_price',
+        'purchase_change',
+        'retail_change',
+    ];
+
+    private const DEFAULT_LIMIT = 50;
+    private const MAX_LIMIT = 500;
+
+    private const CONFIDENCE_ORDER = ['exact' => 0, 'high' => 1, 'medium' => 2, 'none' => 3];
+
+    /**
+     * @param array $rows Match preview rows (matchProductsPreview()['matched'])
+     *
+     * @return array ['rows' => page rows, 'total' => filtered count, 'page' => ..., 'limit' => ...]
+     */
+    public function apply(array $rows, array $params): array
+    {
+        $rows = $this->filter($rows, $params);
+
+        $limit = min(self::MAX_LIMIT, max(1, (int) ($params['limit'] ?? self::DEFAULT_LIMIT)));
+        $total = count($rows);
+        $lastPage = max(1, (int) ceil($total / $limit));
+        $page = min($lastPage, max(1, (int) ($params['page'] ?? 1)));
+
+        return [
+            'rows' => array_slice($rows, ($page - 1) * $limit, $limit),
+            'total' => $total,
+            'page' => $page,
+            'limit' => $limit,
+        ];
+    }
+
+    /**
+     * Filtered and sorted rows without paging
+     */
+    public function filter(array $rows, array $params): array
+    {
+        $rows = array_values(array_filter($rows, fn(array $row) => $this->matches($row, $params)));
+
+        $sortBy = $params['sort_by'] ?? null;
+        if ($sortBy && in_array($sortBy, self::SORT_FIELDS, true)) {
+            $rows = $this->sort($rows, $sortBy, strtolower((string) ($params['sort_direction'] ?? 'asc')) === 'desc');
+        }
+
+        return $rows;
+    }
+
+    /**
+     * Counts over all rows, independent of filters
+     */
+    public function getStats(array $rows): array
+    {
+        $stats = [
+            'total' => count($rows),
+            'matched' => 0,
+            'edited' => 0,
+            'unmatched' => 0,
+            'blocked' => 0,
+        ];
+
+        foreach ($rows as $row) {
+            $status = $row['status'] ?? 'unmatched';
+
+            if ($status === 'matched') {
+                $stats['matched']++;
+            } elseif ($status === 'edited') {
+                $stats['edited']++;
+            } else {
+                $stats['unmatched']++;
+            }
+
+            if ($this->isBlocked($row)) {
+                $stats['blocked']++;
+            }
+        }
+
+        return $stats;
+    }
+
+    private function matches(array $row, array $params): bool
+    {
+        $status = $params['status'] ?? null;
+        if ($status === self::STATUS_BLOCKED) {
+            if (!$this->isBlocked($row)) {
+                return false;
+            }
+        } elseif ($status && ($row['status'] ?? null) !== $status) {
+            return false;
+        }
+
+        $confidence = array_filter((array) ($params['confidence'] ?? []));
+        if (!empty($confidence) && !in_array($row['confidence'] ?? 'none', $confidence, true)) {
+            return false;
+        }
+
+        $priceChange = $params['price_change'] ?? null;
+        if ($priceChange && !in_array($priceChange, array_values($row['price_changes'] ?? []), true)) {
+            return false;
+        }
+
+        $search = mb_strtolower(trim((string) ($params['search'] ?? '')));
+        if ($search !== '') {
+            $haystack = mb_strtolower(implode(' ', [
+                $row['product_name'] ?? '',
+                $row['product_number'] ?? '',
+                $row['supplier_code'] ?? '',
+                $row['supplier_name'] ?? '',
+                $row['current_kod_postavschika'] ?? '',
+            ]));
+
+            if (!str_contains($haystack, $search)) {
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    private function sort(array $rows, string $sortBy, bool $descending): array
+    {
+        usort($rows, function (array $a, array $b) use ($sortBy, $descending): int {
+            $valueA = $this->getSortValue($a, $sortBy);
+            $valueB = $this->getSortValue($b, $sortBy);
+
+            // Rows without value stay at the end in both directions
+            if ($valueA === null || $valueB === null) {
+                return ($valueA === null) <=> ($valueB === null);
+            }
+
+            $result = is_string($valueA) ? strnatcasecmp($valueA, (string) $valueB) : $valueA <=> $valueB;
+
+            return $descending ? -$result : $result;
+        });
+
+        return $rows;
+    }
+
+    private function getSortValue(array $row, string $sortBy): string|float|int|null
+    {
+        return match ($sortBy) {
+            'product_name', 'supplier_code', 'status' => ($row[$sortBy] ?? '') !== '' ? (string) $row[$sortBy] : null,
+            'confidence' => self::CONFIDENCE_ORDER[$row['confidence'] ?? 'none'] ?? null,
+            'purchase_price' => $this->toFloat($row['new_prices']['purchase'] ?? null),
+            'retail_price' => $this->toFloat($row['new_prices']['retail'] ?? null),
+            'purchase_change' => $this->getChangePercent($row, 'purchase'),
+            'retail_change' => $this->getChangePercent($row, 'retail'),
+            default => null,
+        };
+    }
+
+    private function getChangePercent(array $row, string $type): ?float
+    {
+        $current = $this->toFloat($row['current_prices'][$type] ?? null);
+        $new = $this->toFloat($row['new_prices'][$type] ?? null);
+
+        if ($current === null || $new === null || $current <= 0) {
+            return null;
+        }
+
+        return ($new - $current) / $current * 100;
+    }
+
+    private function isBlocked(array $row): bool
+    {
+        return ($row['status'] ?? null) === 'matched' && !empty($row['guardrail_violations']);
+    }
+
+    private function toFloat(mixed $value): ?float
+    {
+        if ($value === null || $value === '' || !is_numeric($value)) {
+            return null;
+        }
+
+        return (float) $value;
+    }
+}
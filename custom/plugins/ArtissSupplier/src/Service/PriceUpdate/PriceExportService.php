@@ -0,0 +1,421 @@
+<?php declare(strict_types=1);
+
+namespace Artiss\Supplier\Service\PriceUpdate;
+
+use Artiss\Supplier\Core\Content\PriceChangeset\Aggregate\PriceChangesetItem\PriceChangesetItemEntity;
+use Artiss\Supplier\Core\Content\PriceChangeset\PriceChangesetEntity;
+use PhpOffice\PhpSpreadsheet\Cell\Coordinate;
+use PhpOffice\PhpSpreadsheet\Cell\DataType;
+use PhpOffice\PhpSpreadsheet\Spreadsheet;
+use PhpOffice\PhpSpreadsheet\Worksheet\Worksheet;
+use PhpOffice\PhpSpreadsheet\Writer\Xlsx;
+use Shopware\Core\Framework\Context;
+use Shopware\Core\Framework\DataAbstractionLayer\EntityRepository;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\Criteria;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\Filter\EqualsFilter;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\Sorting\FieldSorting;
+
+/**
+ * Exports match preview and apply runs (changesets) to XLSX or CSV for review in a spreadsheet
+ *
+ * Columns are passed as a list of ['property' => ..., 'label' => ...], so the file has the same
+ * visible columns and translated headers as the admin table. Without columns all properties are exported.
+ *
+ * Preview properties:
+ *   row_number, status, confidence, product_number, product_name, current_kod_postavschika,
+ *   supplier_code, supplier_name, availability, current_stock, delivery_time, min_order_qty, pack_size, ean,
+ *   warranty, guardrail_violations,
+ *   {type}_current, {type}_new, {type}_currency, {type}_change (percent) for purchase, retail, list
+ *
+ * Changeset properties:
+ *   product_number, product_name, supplier_code_old, supplier_code_new, stock_old, stock_new,
+ *   {type}_old, {type}_new, {type}_currency for purchase, retail, list
+ */
+class PriceExportService
+{
+    public const FORMAT_XLSX = 'xlsx';
+    public const FORMAT_CSV = 'csv';
+
+    private const PRICE_TYPES = ['purchase', 'retail', 'list'];
+
+    private const PREVIEW_PROPERTIES = [
+        'row_number',
+        'status',
+        'confidence',
+        'product_number',
+        'product_name',
+        'current_kod_postavschika',
+        'supplier_code',
+        'supplier_name',
+        'purchase_current',
+        'purchase_new',
+        'purchase_currency',
+        'purchase_change',
+        'retail_current',
+        'retail_new',
+        'retail_currency',
+        'retail_change',
+        'list_current',
+        'list_new',
+        'list_currency',
+        'list_change',
+        'availability',
+        'current_stock',
+        'delivery_time',
+        'min_order_qty',
+        'pack_size',
+        'ean',
+        'warranty',
+        'guardrail_violations',
+    ];
+
+    private const CHANGESET_PROPERTIES = [
+        'product_number',
+        'product_name',
+        'supplier_code_old',
+        'supplier_code_new',
+        'purchase_old',
+        'purchase_new',
+        'purchase_currency',
+        'retail_old',
+        'retail_new',
+        'retail_currency',
+        'list_old',
+        'list_new',
+        'list_currency',
+        'stock_old',
+        'stock_new',
+    ];
+
+    private const BATCH_SIZE = 500;
+
+    // Excel shows UTF-8 CSV correctly only with BOM
+    private const UTF8_BOM = "\xEF\xBB\xBF";
+
+    /**
+     * Leading characters that make spreadsheet programs read a CSV value as a formula.
+     * Such text values are written with a leading apostrophe, SpreadsheetReader removes it again
+     */
+    public const CSV_FORMULA_CHARACTERS = ['=', '+', '-', '@', "\t", "\r"];
+
+    public function __construct(
+        private readonly PriceUpdateService $priceUpdateService,
+        private readonly MatchPreviewFilter $matchPreviewFilter,
+        private readonly EntityRepository $changesetRepository,
+        private readonly EntityRepository $changesetItemRepository
+    ) {
+    }
+
+    /**
+     * Export all preview rows matching the filters, in the requested sort order
+     *
+     * @param array $params Filter and sort params of MatchPreviewFilter, paging is ignored
+     * @param array $columns List of ['property' => ..., 'label' => ...]
+     *
+     * @return array ['content' => file content, 'file_name' => ..., 'content_type' => ...]
+     */
+    public function exportPreview(string $templateId, array $params, array $columns, string $format, Context $context): array
+    {
+        $preview = $this->priceUpdateService->matchProductsPreview($templateId, $context);
+        $rows = $this->matchPreviewFilter->filter($preview['matched'], $params);
+        $columns = $this->normalizeColumns($columns, self::PREVIEW_PROPERTIES);
+
+        $data = [];
+        foreach ($rows as $index => $row) {
+            $row['row_number'] = $index + 1;
+            $data[] = array_map(fn(array $column) => $this->getPreviewValue($row, $column['property']), $columns);
+        }
+
+        return $this->writeFile(
+            array_column($columns, 'label'),
+            $data,
+            $format,
+            sprintf('price-preview-%s', date('Y-m-d-His'))
+        );
+    }
+
+    /**
+     * Export product changes of one apply run
+     *
+     * @param array $columns List of ['property' => ..., 'label' => ...]
+     *
+     * @return array ['content' => file content, 'file_name' => ..., 'content_type' => ...]
+     */
+    public function exportChangeset(string $changesetId, array $columns, string $format, Context $context): array
+    {
+        /** @var PriceChangesetEntity|null $changeset */
+        $changeset = $this->changesetRepository->search(new Criteria([$changesetId]), $context)->first();
+
+        if ($changeset === null) {
+            throw new \RuntimeException("Price changeset not found: {$changesetId}");
+        }
+
+        $columns = $this->normalizeColumns($columns, self::CHANGESET_PROPERTIES);
+        $data = [];
+        $offset = 0;
+
+        do {
+            $criteria = new Criteria();
+            $criteria->addFilter(new EqualsFilter('changesetId', $changesetId));
+            $criteria->addSorting(new FieldSorting('productName', FieldSorting::ASCENDING));
+            $criteria->setLimit(self::BATCH_SIZE);
+            $criteria->setOffset($offset);
+
+            $items = $this->changesetItemRepository->search($criteria, $context);
+
+            /** @var PriceChangesetItemEntity $item */
+            foreach ($items as $item) {
+                $data[] = array_map(fn(array $column) => $this->getChangesetValue($item, $column['property']), $columns);
+            }
+
+            $offset += self::BATCH_SIZE;
+        } while ($items->count() === self::BATCH_SIZE);
+
+        $createdAt = $changeset->getCreatedAt() ?? new \DateTimeImmutable();
+
+        return $this->writeFile(
+            array_column($columns, 'label'),
+            $data,
+            $format,
+            sprintf('price-changes-%s', $createdAt->format('Y-m-d-His'))
+        );
+    }
+
+    /**
+     * Keep known properties only, fall back to all properties with property names as headers
+     */
+    private function normalizeColumns(array $columns, array $properties): array
+    {
+        $normalized = [];
+
+        foreach ($columns as $column) {
+            $property = $column['property'] ?? null;
+
+            if (!in_array($property, $properties, true)) {
+                continue;
+            }
+
+            $normalized[] = [
+                'property' => $property,
+                'label' => (string) ($column['label'] ?? $property),
+            ];
+        }
+
+        if (!empty($normalized)) {
+            return $normalized;
+        }
+
+        return array_map(fn(string $property) => ['property' => $property, 'label' => $property], $properties);
+    }
+
+    private function getPreviewValue(array $row, string $property): string|int|float|null
+    {
+        foreach (self::PRICE_TYPES as $type) {
+            switch ($property) {
+                case "{$type}_current":
+                    return $this->toNumber($row['current_prices'][$type] ?? null);
+                case "{$type}_new":
+                    return $this->toNumber($row['new_prices'][$type] ?? null);
+                case "{$type}_currency":
+                    return $row['currencies'][$type] ?? null;
+                case "{$type}_change":
+                    return $this->getChangePercent($row['current_prices'][$type] ?? null, $row['new_prices'][$type] ?? null);
+            }
+        }
+
+        return match ($property) {
+            'guardrail_violations' => $this->formatViolations($row['guardrail_violations'] ?? []),
+            'current_stock' => $this->toNumber($row['current_stock'] ?? null),
+            default => $this->toScalar($row[$property] ?? null),
+        };
+    }
+
+    private function getChangesetValue(PriceChangesetItemEntity $item, string $property): string|int|float|null
+    {
+        $oldValues = $item->getOldValues() ?? [];
+        $newValues = $item->getNewValues() ?? [];
+
+        foreach (self::PRICE_TYPES as $type) {
+            $field = "{$type}_price_value";
+
+            switch ($property) {
+                case "{$type}_old":
+                    return array_key_exists($field, $newValues) ? $this->toNumber($oldValues[$field] ?? null) : null;
+                case "{$type}_new":
+                    return $this->toNumber($newValues[$field] ?? null);
+                case "{$type}_currency":
+                    return $newValues["{$type}_price_currency"] ?? null;
+            }
+        }
+
+        return match ($property) {
+            'product_number' => $item->getProductNumber(),
+            'product_name' => $item->getProductName(),
+            'supplier_code_old' => array_key_exists('kod_postavschika', $newValues) ? $this->toScalar($oldValues['kod_postavschika'] ?? null) : null,
+            'supplier_code_new' => $this->toScalar($newValues['kod_postavschika'] ?? null),
+            'stock_old' => array_key_exists('stock', $newValues) ? $this->toNumber($oldValues['stock'] ?? null) : null,
+            'stock_new' => $this->toNumber($newValues['stock'] ?? null),
+            default => null,
+        };
+    }
+
+    private function formatViolations(array $violations): ?string
+    {
+        if (empty($violations)) {
+            return null;
+        }
+
+        return implode('; ', array_map(
+            fn(array $violation) => sprintf(
+                '%s %s: %s%% (%s%%)',
+                $violation['rule'] ?? '',
+                $violation['price_type'] ?? '',
+                $violation['value'] ?? '',
+                $violation['limit'] ?? ''
+            ),
+            $violations
+        ));
+    }
+
+    private function getChangePercent(mixed $current, mixed $new): ?float
+    {
+        $current = $this->toNumber($current);
+        $new = $this->toNumber($new);
+
+        if ($current === null || $new === null || $current <= 0) {
+            return null;
+        }
+
+        return round(($new - $current) / $current * 100, 1);
+    }
+
+    private function toNumber(mixed $value): int|float|null
+    {
+        if ($value === null || $value === '' || !is_numeric($value)) {
+            return null;
+        }
+
+        return $value + 0;
+    }
+
+    private function toScalar(mixed $value): string|int|float|null
+    {
+        if ($value === null || is_int($value) || is_float($value) || is_string($value)) {
+            return $value;
+        }
+
+        if (is_bool($value)) {
+            return $value ? 1 : 0;
+        }
+
+        return json_encode($value, JSON_UNESCAPED_UNICODE) ?: null;
+    }
+
+    /**
+     * Write rows to an XLSX or CSV file
+     *
+     * @return array ['content' => file content, 'file_name' => ..., 'content_type' => ...]
+     */
+    public function writeFile(array $headers, array $rows, string $format, string $baseName): array
+    {
+        if ($format === self::FORMAT_CSV) {
+            return [
+                'content' => $this->writeCsv($headers, $rows),
+                'file_name' => $baseName . '.csv',
+                'content_type' => 'text/csv; charset=UTF-8',
+            ];
+        }
+
+        if ($format !== self::FORMAT_XLSX) {
+            throw new \InvalidArgumentException("Unsupported export format: {$format}");
+        }
+
+        return [
+            'content' => $this->writeXlsx($headers, $rows),
+            'file_name' => $baseName . '.xlsx',
+            'content_type' => 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+        ];
+    }
+
+    private function writeCsv(array $headers, array $rows): string
+    {
+        $handle = fopen('php://temp', 'r+');
+
+        if ($handle === false) {
+            throw new \RuntimeException('Could not open temporary stream for CSV export');
+        }
+
+        fwrite($handle, self::UTF8_BOM);
+        fputcsv($handle, array_map($this->escapeCsvValue(...), $headers), ';');
+
+        foreach ($rows as $row) {
+            fputcsv($handle, array_map($this->escapeCsvValue(...), $row), ';');
+        }
+
+        rewind($handle);
+        $content = stream_get_contents($handle);
+        fclose($handle);
+
+        return $content === false ? '' : $content;
+    }
+
+    private function writeXlsx(array $headers, array $rows): string
+    {
+        $spreadsheet = new Spreadsheet();
+        $sheet = $spreadsheet->getActiveSheet();
+
+        // Cells are written with explicit types, so text starting with "=" is never stored as a formula
+        $this->writeXlsxRow($sheet, 1, $headers);
+        foreach (array_values($rows) as $index => $row) {
+            $this->writeXlsxRow($sheet, $index + 2, $row);
+        }
+
+        $lastColumn = Coordinate::stringFromColumnIndex(max(1, count($headers)));
+        $sheet->getStyle("A1:{$lastColumn}1")->getFont()->setBold(true);
+        $sheet->freezePane('A2');
+        $sheet->setAutoFilter("A1:{$lastColumn}" . (count($rows) + 1));
+
+        for ($col = 1; $col <= count($headers); $col++) {
+            $sheet->getColumnDimension(Coordinate::stringFromColumnIndex($col))->setAutoSize(true);
+        }
+
+        $filePath = tempnam(sys_get_temp_dir(), 'price_export_');
+
+        if ($filePath === false) {
+            throw new \RuntimeException('Could not create temporary file for XLSX export');
+        }
+
+        try {
+            (new Xlsx($spreadsheet))->save($filePath);
+
+            return (string) file_get_contents($filePath);
+        } finally {
+            $spreadsheet->disconnectWorksheets();
+            @unlink($filePath);
+        }
+    }
+
+    private function writeXlsxRow(Worksheet $sheet, int $rowIndex, array $values): void
+    {
+        foreach (array_values($values) as $index => $value) {
+            if ($value === null || $value === '') {
+                continue;
+            }
+
+            $sheet->setCellValueExplicit(
+                [$index + 1, $rowIndex],
+                $value,
+                is_int($value) || is_float($value) ? DataType::TYPE_NUMERIC : DataType::TYPE_STRING
+            );
+        }
+    }
+
+    private function escapeCsvValue(mixed $value): mixed
+    {
+        if (!is_string($value) || $value === '' || is_numeric($value)) {
+            return $value;
+        }
+
+        return in_array($value[0], self::CSV_FORMULA_CHARACTERS, true) ? "'" . $value : $value;
+    }
+}
@@ -0,0 +1,139 @@
+<?php declare(strict_types=1);
+
+namespace Artiss\Supplier\Service\PriceUpdate;
+
+/**
+ * Checks new prices against template guardrails (config.guardrails)
+ *
+ * Config keys:
+ *   enabled                   - bool, guardrails are active
+ *   max_increase_percent      - max allowed increase of a price compared to current value
+ *   max_decrease_percent      - max allowed decrease of a price compared to current value
+ *   min_margin_percent        - min margin of retail over purchase price, (retail - purchase) / purchase * 100
+ *   retail_not_below_purchase - retail price must not be lower than purchase price
+ *
+ * Same rules are evaluated in the wizard preview (getGuardrailViolations), keep both in sync.
+ */
+class PriceGuardrailService
+{
+    public const RULE_MAX_INCREASE = 'max_increase';
+    public const RULE_MAX_DECREASE = 'max_decrease';
+    public const RULE_MIN_MARGIN = 'min_margin';
+    public const RULE_RETAIL_BELOW_PURCHASE = 'retail_below_purchase';
+
+    private const PRICE_TYPES = ['purchase', 'retail', 'list'];
+
+    public function isEnabled(array $guardrails): bool
+    {
+        return !empty($guardrails['enabled']);
+    }
+
+    /**
+     * @param array $currentPrices Current prices by type (purchase, retail, list)
+     * @param array $currentCurrencies Currency ISO codes of current prices by type
+     * @param array $newPrices New prices by type
+     * @param array $newCurrencies Currency ISO codes of new prices by type
+     * @param array $guardrails Template guardrails config
+     * @param array $currencyFactors Currency factors by ISO code
+     *
+     * @return array List of violations: ['rule' => ..., 'price_type' => ..., 'value' => ..., 'limit' => ...]
+     */
+    public function check(
+        array $currentPrices,
+        array $currentCurrencies,
+        array $newPrices,
+        array $newCurrencies,
+        array $guardrails,
+        array $currencyFactors
+    ): array {
+        if (!$this->isEnabled($guardrails)) {
+            return [];
+        }
+
+        $violations = [];
+        $maxIncrease = $this->toFloat($guardrails['max_increase_percent'] ?? null);
+        $maxDecrease = $this->toFloat($guardrails['max_decrease_percent'] ?? null);
+
+        foreach (self::PRICE_TYPES as $type) {
+            $current = $this->toFloat($currentPrices[$type] ?? null);
+            $new = $this->toFloat($newPrices[$type] ?? null);
+
+            if ($current === null || $new === null || $current <= 0) {
+                continue;
+            }
+
+            // Percent change makes sense only within one currency
+            $currentCurrency = $currentCurrencies[$type] ?? null;
+            if ($currentCurrency && $currentCurrency !== ($newCurrencies[$type] ?? null)) {
+                continue;
+            }
+
+            $change = round(($new - $current) / $current * 100, 1);
+
+            if ($maxIncrease !== null && $change > $maxIncrease) {
+                $violations[] = $this->violation(self::RULE_MAX_INCREASE, $type, $change, $maxIncrease);
+            }
+
+            if ($maxDecrease !== null && -$change > $maxDecrease) {
+                $violations[] = $this->violation(self::RULE_MAX_DECREASE, $type, $change, -$maxDecrease);
+            }
+        }
+
+        $purchase = $this->toBase($newPrices['purchase'] ?? null, $newCurrencies['purchase'] ?? null, $currencyFactors);
+        $retail = $this->toBase($newPrices['retail'] ?? null, $newCurrencies['retail'] ?? null, $currencyFactors);
+
+        if ($purchase === null || $retail === null || $purchase <= 0) {
+            return $violations;
+        }
+
+        $margin = round(($retail - $purchase) / $purchase * 100, 1);
+
+        if (!empty($guardrails['retail_not_below_purchase']) && $retail < $purchase) {
+            $violations[] = $this->violation(self::RULE_RETAIL_BELOW_PURCHASE, 'retail', $margin, 0.0);
+
+            return $violations;
+        }
+
+        $minMargin = $this->toFloat($guardrails['min_margin_percent'] ?? null);
+        if ($minMargin !== null && $margin < $minMargin) {
+            $violations[] = $this->violation(self::RULE_MIN_MARGIN, 'retail', $margin, $minMargin);
+        }
+
+        return $violations;
+    }
+
+    private function violation(string $rule, string $priceType, float $value, float $limit): array
+    {
+        return [
+            'rule' => $rule,
+            'price_type' => $priceType,
+            'value' => $value,
+            'limit' => $limit,
+        ];
+    }
+
+    /**
+     * Convert price to default currency (factor of default currency is 1)
+     */
+    private function toBase(mixed $price, ?string $currency, array $currencyFactors): ?float
+    {
+        $price = $this->toFloat($price);
+
+        if ($price === null) {
+            return null;
+        }
+
+        $factor = $currency ? ($currencyFactors[$currency] ?? 1.0) : 1.0;
+
+        return $factor > 0 ? $price / $factor : $price;
+    }
+
+    private function toFloat(mixed $value): ?float
+    {
+        if ($value === null || $value === '' || !is_numeric($value)) {
+            return null;
+        }
+
+        return (float) $value;
+    }
+}
@@ -0,0 +1,292 @@
+<?php declare(strict_types=1);
+
+namespace Artiss\Supplier\Service\PriceUpdate;
+
+use Artiss\Supplier\Core\Content\PriceChangeset\Aggregate\PriceChangesetItem\PriceChangesetItemEntity;
+use Artiss\Supplier\Core\Content\PriceChangeset\PriceChangesetEntity;
+use Shopware\Core\Framework\Context;
+use Shopware\Core\Framework\DataAbstractionLayer\EntityRepository;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\Criteria;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\Filter\EqualsAnyFilter;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\Filter\EqualsFilter;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\Filter\NotFilter;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\Filter\RangeFilter;
+use Shopware\Core\Framework\Uuid\Uuid;
+
+/**
+ * Records product values changed by price apply runs and restores them on revert
+ */
+class PriceHistoryService
+{
+    /**
+     * Product custom fields written by applyPrices()
+     */
+    public const TRACKED_CUSTOM_FIELDS = [
+        'kod_postavschika',
+        'product_supplier_id',
+        'purchase_price_value',
+        'purchase_price_currency',
+        'retail_price_value',
+        'retail_price_currency',
+        'list_price_value',
+        'list_price_currency',
+    ];
+
+    /**
+     * Product fields written by applyPrices() from the price list availability and optional columns
+     */
+    public const TRACKED_PRODUCT_FIELDS = [
+        'stock',
+        'deliveryTimeId',
+        'isCloseout',
+        'active',
+        'minPurchase',
+        'purchaseSteps',
+        'ean',
+    ];
+
+    private const BATCH_SIZE = 100;
+
+    public function __construct(
+        private readonly EntityRepository $changesetRepository,
+        private readonly EntityRepository $changesetItemRepository,
+        private readonly EntityRepository $productRepository
+    ) {
+    }
+
+    /**
+     * Create empty changeset for an apply run
+     *
+     * @return string Changeset ID
+     */
+    public function startChangeset(string $templateId, ?string $userId, Context $context): string
+    {
+        $changesetId = Uuid::randomHex();
+
+        $this->changesetRepository->create([
+            [
+                'id' => $changesetId,
+                'priceTemplateId' => $templateId,
+                'userId' => $userId,
+                'productCount' => 0,
+            ],
+        ], $context);
+
+        return $changesetId;
+    }
+
+    /**
+     * Store current values of products before they are overwritten
+     *
+     * @param string $changesetId Changeset ID
+     * @param array $productUpdates Product update payloads ['id' => ..., 'customFields' => [...], 'stock' => ..., 'deliveryTimeId' => ...]
+     * @param Context $context
+     */
+    public function recordChanges(string $changesetId, array $productUpdates, Context $context): void
+    {
+        foreach (array_chunk($productUpdates, self::BATCH_SIZE) as $batch) {
+            $productIds = array_column($batch, 'id');
+            $products = $this->productRepository->search(new Criteria($productIds), $context);
+
+            $items = [];
+            foreach ($batch as $update) {
+                $product = $products->get($update['id']);
+
+                if ($product === null) {
+                    continue;
+                }
+
+                $oldValues = [];
+                $newValues = [];
+                $customFields = $product->getCustomFields() ?? [];
+
+                foreach ($update['customFields'] ?? [] as $field => $value) {
+                    if (!in_array($field, self::TRACKED_CUSTOM_FIELDS, true)) {
+                        continue;
+                    }
+                    $oldValues[$field] = $customFields[$field] ?? null;
+                    $newValues[$field] = $value;
+                }
+
+                foreach (self::TRACKED_PRODUCT_FIELDS as $field) {
+                    if (array_key_exists($field, $update)) {
+                        $oldValues[$field] = $product->get($field);
+                        $newValues[$field] = $update[$field];
+                    }
+                }
+
+                $items[] = [
+                    'id' => Uuid::randomHex(),
+                    'changesetId' => $changesetId,
+                    'productId' => $product->getId(),
+                    'productNumber' => $product->getProductNumber(),
+                    'productName' => $product->getTranslation('name') ?? $product->getName(),
+                    'oldValues' => $oldValues,
+                    'newValues' => $newValues,
+                ];
+            }
+
+            if (!empty($items)) {
+                $this->changesetItemRepository->create($items, $context);
+            }
+        }
+    }
+
+    /**
+     * Save apply stats and number of changed products
+     */
+    public function finishChangeset(string $changesetId, array $stats, Context $context): void
+    {
+        $criteria = new Criteria();
+        $criteria->addFilter(new EqualsFilter('changesetId', $changesetId));
+
+        $this->changesetRepository->update([
+            [
+                'id' => $changesetId,
+                'productCount' => $this->changesetItemRepository->searchIds($criteria, $context)->getTotal(),
+                'stats' => $stats,
+            ],
+        ], $context);
+    }
+
+    /**
+     * Remove changeset of an apply run that failed before products were written
+     */
+    public function deleteChangeset(string $changesetId, Context $context): void
+    {
+        $this->changesetRepository->delete([['id' => $changesetId]], $context);
+    }
+
+    /**
+     * Restore product values stored in changeset
+     *
+     * @return array Stats: restored, missing
+     */
+    public function revertChangeset(string $changesetId, ?string $userId, Context $context): array
+    {
+        $changeset = $this->getChangeset($changesetId, $context);
+
+        if ($changeset->getRevertedAt() !== null) {
+            throw new \RuntimeException('Price changeset is already reverted');
+        }
+
+        $criteria = new Criteria();
+        $criteria->addFilter(new EqualsFilter('changesetId', $changesetId));
+        $items = $this->changesetItemRepository->search($criteria, $context)->getEntities();
+        $productIds = array_values($items->map(fn(PriceChangesetItemEntity $item) => $item->getProductId()));
+
+        $this->assertNoLaterChanges($changeset, $productIds, $context);
+
+        // Skip products deleted after the run
+        $existingIds = empty($productIds)
+            ? []
+            : $this->productRepository->searchIds(new Criteria($productIds), $context)->getIds();
+
+        $updateData = [];
+
+        /** @var PriceChangesetItemEntity $item */
+        foreach ($items as $item) {
+            if (!in_array($item->getProductId(), $existingIds, true)) {
+                continue;
+            }
+
+            $oldValues = $item->getOldValues() ?? [];
+            $productUpdate = ['id' => $item->getProductId()];
+
+            $customFields = array_intersect_key($oldValues, array_flip(self::TRACKED_CUSTOM_FIELDS));
+            if (!empty($customFields)) {
+                $productUpdate['customFields'] = $customFields;
+            }
+
+            if (array_key_exists('stock', $oldValues) && $oldValues['stock'] !== null) {
+                $productUpdate['stock'] = (int) $oldValues['stock'];
+            }
+
+            // Null is a valid old value here, variants inherit it from the parent
+            foreach (array_diff(self::TRACKED_PRODUCT_FIELDS, ['stock']) as $field) {
+                if (array_key_exists($field, $oldValues)) {
+                    $productUpdate[$field] = $oldValues[$field];
+                }
+            }
+
+            $updateData[] = $productUpdate;
+        }
+
+        foreach (array_chunk($updateData, self::BATCH_SIZE) as $batch) {
+            $this->productRepository->update($batch, $context);
+        }
+
+        $this->changesetRepository->update([
+            [
+                'id' => $changesetId,
+                'revertedAt' => new \DateTime(),
+                'revertedByUserId' => $userId,
+            ],
+        ], $context);
+
+        return [
+            'restored' => count($updateData),
+            'missing' => $items->count() - count($updateData),
+        ];
+    }
+
+    /**
+     * Reverting is only safe when no newer active run touched the same products,
+     * otherwise the newer values would be silently overwritten
+     */
+    private function assertNoLaterChanges(PriceChangesetEntity $changeset, array $productIds, Context $context): void
+    {
+        if (empty($productIds)) {
+            return;
+        }
+
+        $criteria = new Criteria();
+        $criteria->addFilter(new EqualsAnyFilter('productId', $productIds));
+        $criteria->addFilter(new NotFilter(NotFilter::CONNECTION_AND, [
+            new EqualsFilter('changesetId', $changeset->getId()),
+        ]));
+        $criteria->addFilter(new EqualsFilter('changeset.revertedAt', null));
+        $criteria->addFilter(new RangeFilter('changeset.createdAt', [
+            RangeFilter::GT => $changeset->getCreatedAt()->format('Y-m-d H:i:s.v'),
+        ]));
+        $criteria->setLimit(1);
+
+        if ($this->changesetItemRepository->searchIds($criteria, $context)->getTotal() > 0) {
+            throw new \RuntimeException('Some products were changed by a later price update. Revert the later update first.');
+        }
+    }
+
+    /**
+     * Supplier codes written by the run
+     *
+     * @return array<string, string> [productId => supplier code]
+     */
+    public function getRecordedSupplierCodes(string $changesetId, Context $context): array
+    {
+        $criteria = new Criteria();
+        $criteria->addFilter(new EqualsFilter('changesetId', $changesetId));
+
+        $codes = [];
+
+        /** @var PriceChangesetItemEntity $item */
+        foreach ($this->changesetItemRepository->search($criteria, $context)->getEntities() as $item) {
+            $code = ($item->getNewValues() ?? [])['kod_postavschika'] ?? null;
+            if ($code !== null && $code !== '') {
+                $codes[$item->getProductId()] = (string) $code;
+            }
+        }
+
+        return $codes;
+    }
+
+    public function getChangeset(string $changesetId, Context $context): PriceChangesetEntity
+    {
+        $changeset = $this->changesetRepository->search(new Criteria([$changesetId]), $context)->first();
+
+        if ($changeset === null) {
+            throw new \RuntimeException("Price changeset not found: {$changesetId}");
+        }
+
+        return $changeset;
+    }
+}
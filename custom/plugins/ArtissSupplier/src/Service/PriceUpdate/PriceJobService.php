@@ -0,0 +1,455 @@
+<?php declare(strict_types=1);
+
+namespace Artiss\Supplier\Service\PriceUpdate;
+
+use Artiss\Supplier\Core\Content\PriceJob\PriceJobDefinition;
+use Artiss\Supplier\Core\Content\PriceJob\PriceJobEntity;
+use Artiss\Supplier\MessageQueue\PriceJobMessage;
+use Shopware\Core\Framework\Context;
+use Shopware\Core\Framework\DataAbstractionLayer\EntityRepository;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\Criteria;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\Filter\EqualsAnyFilter;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\Filter\EqualsFilter;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\Sorting\FieldSorting;
+use Shopware\Core\Framework\Uuid\Uuid;
+use Symfony\Component\Messenger\MessageBusInterface;
+
+/**
+ * Auto-match and apply as message queue jobs, so a run survives a closed browser tab
+ *
+ *   auto_match - one message per batch of unmatched products, found matches are collected in the job
+ *                result; a failed job resumes from the last finished batch
+ *   apply      - a single step, the changeset ID is stored in the job result as soon as products are written.
+ *                Resume runs applyPrices() again only when no products were written (a failed product write
+ *                removes its changeset), otherwise it completes the stored changeset without writing again
+ *
+ * Only one job per template can be queued or running. Every batch update of the job refreshes its updated_at,
+ * a running job without an update for RUNNING_TIMEOUT lost its worker and is marked failed, so it can be resumed.
+ * The wizard takes over the results of a finished job once (collected_at).
+ */
+class PriceJobService
+{
+    private const ACTIVE_STATUSES = [
+        PriceJobDefinition::STATUS_QUEUED,
+        PriceJobDefinition::STATUS_RUNNING,
+    ];
+
+    private const DEFAULT_BATCH_SIZE = 50;
+
+    // Running jobs not updated for longer than this are considered dead
+    private const RUNNING_TIMEOUT = '-2 hours';
+
+    public function __construct(
+        private readonly EntityRepository $priceJobRepository,
+        private readonly PriceUpdateService $priceUpdateService,
+        private readonly MessageBusInterface $messageBus
+    ) {
+    }
+
+    /**
+     * @param string[]|null $strategies Matching strategies, the template's matching_strategies when null
+     */
+    public function startAutoMatch(
+        string $templateId,
+        int $batchSize,
+        int $minMatchPercentage,
+        ?array $strategies,
+        ?string $userId,
+        Context $context
+    ): string {
+        return $this->start($templateId, PriceJobDefinition::TYPE_AUTO_MATCH, [
+            'batch_size' => $batchSize > 0 ? $batchSize : self::DEFAULT_BATCH_SIZE,
+            'min_match_percentage' => $minMatchPercentage,
+            'strategies' => $strategies,
+        ], $userId, $context);
+    }
+
+    /**
+     * @param string[] $approvedProductIds Products approved despite guardrail violations
+     */
+    public function startApply(string $templateId, array $approvedProductIds, ?string $userId, Context $context): string
+    {
+        return $this->start($templateId, PriceJobDefinition::TYPE_APPLY, [
+            'approved_product_ids' => array_values($approvedProductIds),
+        ], $userId, $context);
+    }
+
+    /**
+     * Run the next step, called by the message handler
+     */
+    public function runStep(string $jobId, Context $context): void
+    {
+        $job = $this->priceJobRepository->search(new Criteria([$jobId]), $context)->first();
+
+        if (!$job instanceof PriceJobEntity || !in_array($job->getStatus(), self::ACTIVE_STATUSES, true)) {
+            return;
+        }
+
+        if ($job->getStatus() === PriceJobDefinition::STATUS_QUEUED) {
+            $params = $job->getParams() ?? [];
+            // Rate for the ETA is measured from the last (re)start
+            $params['resume_offset'] = $job->getProcessed();
+
+            $this->priceJobRepository->update([
+                [
+                    'id' => $jobId,
+                    'status' => PriceJobDefinition::STATUS_RUNNING,
+                    'params' => $params,
+                    'startedAt' => new \DateTime(),
+                ],
+            ], $context);
+
+            $job->setParams($params);
+        }
+
+        try {
+            $finished = match ($job->getType()) {
+                PriceJobDefinition::TYPE_AUTO_MATCH => $this->runAutoMatchStep($job, $context),
+                PriceJobDefinition::TYPE_APPLY => $this->runApplyStep($job, $context),
+                default => throw new \RuntimeException(sprintf('Unknown job type: %s', $job->getType())),
+            };
+        } catch (\Throwable $e) {
+            // Not rethrown: the queue would retry on its own, failed jobs are resumed from the wizard
+            $this->priceJobRepository->update([
+                [
+                    'id' => $jobId,
+                    'status' => PriceJobDefinition::STATUS_FAILED,
+                    'message' => $e->getMessage(),
+                    'finishedAt' => new \DateTime(),
+                ],
+            ], $context);
+
+            return;
+        }
+
+        if (!$finished && $this->getStatus($jobId, $context) === PriceJobDefinition::STATUS_RUNNING) {
+            $this->messageBus->dispatch(new PriceJobMessage($jobId));
+        }
+    }
+
+    /**
+     * Stop a queued or running job, the current batch is finished and its matches are kept
+     */
+    public function cancel(string $jobId, Context $context): void
+    {
+        $job = $this->loadJob($jobId, $context);
+
+        if (!in_array($job->getStatus(), self::ACTIVE_STATUSES, true)) {
+            throw new \RuntimeException('Only queued or running jobs can be cancelled');
+        }
+
+        $this->priceJobRepository->update([
+            [
+                'id' => $jobId,
+                'status' => PriceJobDefinition::STATUS_CANCELLED,
+                'finishedAt' => new \DateTime(),
+            ],
+        ], $context);
+    }
+
+    /**
+     * Queue a failed or cancelled job again, auto-match continues after the last finished batch
+     */
+    public function resume(string $jobId, Context $context): void
+    {
+        $this->failStaleJobs(new EqualsFilter('id', $jobId), $context);
+
+        $job = $this->loadJob($jobId, $context);
+
+        if (!in_array($job->getStatus(), [PriceJobDefinition::STATUS_FAILED, PriceJobDefinition::STATUS_CANCELLED], true)) {
+            throw new \RuntimeException('Only failed or cancelled jobs can be resumed');
+        }
+
+        $this->assertNoActiveJob($job->getPriceTemplateId(), $context);
+
+        $this->priceJobRepository->update([
+            [
+                'id' => $jobId,
+                'status' => PriceJobDefinition::STATUS_QUEUED,
+                'message' => null,
+                'finishedAt' => null,
+                'collectedAt' => null,
+            ],
+        ], $context);
+
+        $this->messageBus->dispatch(new PriceJobMessage($jobId));
+    }
+
+    public function getJob(string $jobId, Context $context): array
+    {
+        $this->failStaleJobs(new EqualsFilter('id', $jobId), $context);
+
+        return $this->toArray($this->loadJob($jobId, $context));
+    }
+
+    /**
+     * Latest job of a type for the template, the wizard reattaches to it when reopened
+     */
+    public function getLatestJob(string $templateId, string $type, Context $context): ?array
+    {
+        $this->failStaleJobs(new EqualsFilter('priceTemplateId', $templateId), $context);
+
+        $criteria = new Criteria();
+        $criteria->addFilter(new EqualsFilter('priceTemplateId', $templateId));
+        $criteria->addFilter(new EqualsFilter('type', $type));
+        $criteria->addSorting(new FieldSorting('createdAt', FieldSorting::DESCENDING));
+        $criteria->setLimit(1);
+
+        $job = $this->priceJobRepository->search($criteria, $context)->first();
+
+        return $job instanceof PriceJobEntity ? $this->toArray($job) : null;
+    }
+
+    /**
+     * Job with its result, marks the result as taken over by the wizard
+     */
+    public function collectResult(string $jobId, Context $context): array
+    {
+        $job = $this->loadJob($jobId, $context);
+
+        if (in_array($job->getStatus(), self::ACTIVE_STATUSES, true)) {
+            throw new \RuntimeException('Job is still running');
+        }
+
+        $this->priceJobRepository->update([
+            [
+                'id' => $jobId,
+                'collectedAt' => new \DateTime(),
+            ],
+        ], $context);
+
+        $result = $job->getResult() ?? [];
+
+        return array_merge($this->toArray($job), [
+            'matched' => array_values($result['matched'] ?? []),
+            'stats' => $result['stats'] ?? null,
+        ]);
+    }
+
+    private function start(string $templateId, string $type, array $params, ?string $userId, Context $context): string
+    {
+        $this->assertNoActiveJob($templateId, $context);
+
+        $jobId = Uuid::randomHex();
+
+        $this->priceJobRepository->create([
+            [
+                'id' => $jobId,
+                'priceTemplateId' => $templateId,
+                'userId' => $userId,
+                'type' => $type,
+                'status' => PriceJobDefinition::STATUS_QUEUED,
+                'params' => $params,
+                'total' => 0,
+                'processed' => 0,
+            ],
+        ], $context);
+
+        $this->messageBus->dispatch(new PriceJobMessage($jobId));
+
+        return $jobId;
+    }
+
+    /**
+     * @return bool True when the job is finished
+     */
+    private function runAutoMatchStep(PriceJobEntity $job, Context $context): bool
+    {
+        $params = $job->getParams() ?? [];
+
+        $result = $this->priceUpdateService->autoMatchProducts(
+            $job->getPriceTemplateId(),
+            $context,
+            (int) ($params['batch_size'] ?? self::DEFAULT_BATCH_SIZE),
+            $job->getProcessed(),
+            (int) ($params['min_match_percentage'] ?? 50),
+            $params['strategies'] ?? null
+        );
+
+        $matched = ($job->getResult() ?? [])['matched'] ?? [];
+        foreach ($result['matched'] as $match) {
+            $matched[$match['product_id']] = $match;
+        }
+
+        $stats = $result['stats'];
+        $finished = ($stats['remaining'] ?? 0) === 0;
+
+        $update = [
+            'id' => $job->getId(),
+            'total' => (int) ($stats['total_catalog_items'] ?? 0),
+            'processed' => (int) ($stats['processed'] ?? 0),
+            'result' => ['matched' => $matched],
+        ];
+
+        // A job cancelled during the batch keeps its status
+        if ($finished && $this->getStatus($job->getId(), $context) === PriceJobDefinition::STATUS_RUNNING) {
+            $update['status'] = PriceJobDefinition::STATUS_COMPLETED;
+            $update['processed'] = $update['total'];
+            $update['finishedAt'] = new \DateTime();
+        }
+
+        $this->priceJobRepository->update([$update], $context);
+
+        return $finished;
+    }
+
+    private function runApplyStep(PriceJobEntity $job, Context $context): bool
+    {
+        $templateId = $job->getPriceTemplateId();
+        $params = $job->getParams() ?? [];
+        $changesetId = ($job->getResult() ?? [])['changeset_id'] ?? null;
+
+        if ($changesetId !== null) {
+            // Products were written before the job stopped, applying again would write them twice
+            $stats = $this->priceUpdateService->completeAppliedChangeset($templateId, $changesetId, $job->getUserId(), $context);
+            $total = $job->getTotal();
+        } else {
+            $preview = $this->priceUpdateService->matchProductsPreview($templateId, $context);
+            $matches = $this->priceUpdateService->buildMatchesForApply($preview, false, $params['approved_product_ids'] ?? []);
+
+            if (empty($matches)) {
+                throw new \RuntimeException('No matched products to apply');
+            }
+
+            $this->priceUpdateService->saveMatchStats($templateId, $preview, true, $context);
+
+            $total = count($matches);
+
+            $this->priceJobRepository->update([
+                [
+                    'id' => $job->getId(),
+                    'total' => $total,
+                ],
+            ], $context);
+
+            $stats = $this->priceUpdateService->applyPrices(
+                $templateId,
+                $matches,
+                $job->getUserId(),
+                $context,
+                $this->priceUpdateService->getPriceListCodes($preview),
+                fn(string $writtenChangesetId) => $this->priceJobRepository->update([
+                    [
+                        'id' => $job->getId(),
+                        'result' => ['changeset_id' => $writtenChangesetId],
+                    ],
+                ], $context)
+            );
+        }
+
+        $this->priceJobRepository->update([
+            [
+                'id' => $job->getId(),
+                'status' => PriceJobDefinition::STATUS_COMPLETED,
+                'processed' => $total,
+                'result' => ['stats' => $stats, 'changeset_id' => $stats['changeset_id'] ?? $changesetId],
+                'finishedAt' => new \DateTime(),
+            ],
+        ], $context);
+
+        return true;
+    }
+
+    private function assertNoActiveJob(string $templateId, Context $context): void
+    {
+        $this->failStaleJobs(new EqualsFilter('priceTemplateId', $templateId), $context);
+
+        $criteria = new Criteria();
+        $criteria->addFilter(new EqualsFilter('priceTemplateId', $templateId));
+        $criteria->addFilter(new EqualsAnyFilter('status', self::ACTIVE_STATUSES));
+        $criteria->setLimit(1);
+
+        if ($this->priceJobRepository->searchIds($criteria, $context)->getTotal() > 0) {
+            throw new \RuntimeException('Another job is already running for this template');
+        }
+    }
+
+    /**
+     * Mark running jobs whose worker stopped updating them as failed
+     */
+    private function failStaleJobs(EqualsFilter $filter, Context $context): void
+    {
+        $criteria = new Criteria();
+        $criteria->addFilter($filter);
+        $criteria->addFilter(new EqualsFilter('status', PriceJobDefinition::STATUS_RUNNING));
+
+        $cutoff = new \DateTimeImmutable(self::RUNNING_TIMEOUT);
+        $updates = [];
+
+        /** @var PriceJobEntity $job */
+        foreach ($this->priceJobRepository->search($criteria, $context) as $job) {
+            $heartbeat = $job->getUpdatedAt() ?? $job->getStartedAt() ?? $job->getCreatedAt();
+
+            if ($heartbeat !== null && $heartbeat < $cutoff) {
+                $updates[] = [
+                    'id' => $job->getId(),
+                    'status' => PriceJobDefinition::STATUS_FAILED,
+                    'message' => 'Job worker stopped responding',
+                    'finishedAt' => new \DateTime(),
+                ];
+            }
+        }
+
+        if (!empty($updates)) {
+            $this->priceJobRepository->update($updates, $context);
+        }
+    }
+
+    private function getStatus(string $jobId, Context $context): ?string
+    {
+        $job = $this->priceJobRepository->search(new Criteria([$jobId]), $context)->first();
+
+        return $job instanceof PriceJobEntity ? $job->getStatus() : null;
+    }
+
+    private function loadJob(string $jobId, Context $context): PriceJobEntity
+    {
+        $job = $this->priceJobRepository->search(new Criteria([$jobId]), $context)->first();
+
+        if (!$job instanceof PriceJobEntity) {
+            throw new \RuntimeException("Price job not found: {$jobId}");
+        }
+
+        return $job;
+    }
+
+    /**
+     * Job state without result, with progress in % and ETA in seconds while running
+     */
+    private function toArray(PriceJobEntity $job): array
+    {
+        $total = $job->getTotal();
+        $processed = $job->getProcessed();
+        $eta = null;
+
+        if ($job->getStatus() === PriceJobDefinition::STATUS_RUNNING && $job->getStartedAt() !== null) {
+            $elapsed = time() - $job->getStartedAt()->getTimestamp();
+            $done = $processed - (int) (($job->getParams() ?? [])['resume_offset'] ?? 0);
+
+            if ($done > 0 && $elapsed > 0 && $total > $processed) {
+                $eta = (int) ceil(($total - $processed) / ($done / $elapsed));
+            }
+        }
+
+        $percentage = $total > 0 ? round($processed / $total * 100, 1) : 0;
+        if ($job->getStatus() === PriceJobDefinition::STATUS_COMPLETED) {
+            $percentage = 100;
+        }
+
+        return [
+            'id' => $job->getId(),
+            'template_id' => $job->getPriceTemplateId(),
+            'type' => $job->getType(),
+            'status' => $job->getStatus(),
+            'total' => $total,
+            'processed' => $processed,
+            'percentage' => $percentage,
+            'eta_seconds' => $eta,
+            'matched_count' => count(($job->getResult() ?? [])['matched'] ?? []),
+            'message' => $job->getMessage(),
+            'started_at' => $job->getStartedAt()?->format(\DATE_ATOM),
+            'finished_at' => $job->getFinishedAt()?->format(\DATE_ATOM),
+            'collected_at' => $job->getCollectedAt()?->format(\DATE_ATOM),
+        ];
+    }
+}
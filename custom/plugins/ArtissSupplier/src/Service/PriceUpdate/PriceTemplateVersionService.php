@@ -0,0 +1,261 @@
+<?php declare(strict_types=1);
+
+namespace Artiss\Supplier\Service\PriceUpdate;
+
+use Artiss\Supplier\Core\Content\PriceTemplate\Aggregate\PriceTemplateVersion\PriceTemplateVersionDefinition;
+use Artiss\Supplier\Core\Content\PriceTemplate\Aggregate\PriceTemplateVersion\PriceTemplateVersionEntity;
+use Artiss\Supplier\Core\Content\PriceTemplate\PriceTemplateEntity;
+use Shopware\Core\Framework\Context;
+use Shopware\Core\Framework\DataAbstractionLayer\EntityRepository;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\Criteria;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\Filter\EqualsFilter;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\Sorting\FieldSorting;
+use Shopware\Core\Framework\Uuid\Uuid;
+
+/**
+ * Version history and cloning of price template configs
+ *
+ * Versions are created manually, on every price apply (the config that produced the prices),
+ * before a restore and for cloned templates. A version equal to the latest one is not stored again.
+ * The selected price list file is not part of a version, restore keeps the current file.
+ */
+class PriceTemplateVersionService
+{
+    // Config keys that point to the current file, not to the layout
+    private const RUNTIME_KEYS = ['selected_media_id'];
+
+    public function __construct(
+        private readonly EntityRepository $priceTemplateRepository,
+        private readonly EntityRepository $versionRepository
+    ) {
+    }
+
+    /**
+     * Store current template config as new version
+     *
+     * @return string|null Version ID, null if config equals the latest version
+     */
+    public function createVersion(
+        string $templateId,
+        string $reason,
+        ?string $comment,
+        ?string $userId,
+        Context $context
+    ): ?string {
+        $template = $this->getTemplate($templateId, $context);
+        $config = $this->stripRuntimeKeys($template->getConfig() ?? []);
+        $latest = $this->getLatestVersion($templateId, $context);
+
+        if ($latest !== null && $this->isSameConfig($latest->getConfig() ?? [], $config)) {
+            return null;
+        }
+
+        $versionId = Uuid::randomHex();
+
+        $this->versionRepository->create([
+            [
+                'id' => $versionId,
+                'priceTemplateId' => $templateId,
+                'version' => ($latest?->getVersion() ?? 0) + 1,
+                'config' => $config,
+                'reason' => $reason,
+                'comment' => $comment !== null && trim($comment) !== '' ? mb_substr(trim($comment), 0, 255) : null,
+                'userId' => $userId,
+            ],
+        ], $context);
+
+        return $versionId;
+    }
+
+    /**
+     * Replace template config with the config of an older version
+     *
+     * Current config is stored as version first, so the restore can be undone
+     */
+    public function restoreVersion(string $versionId, ?string $userId, Context $context): void
+    {
+        $version = $this->getVersion($versionId, $context);
+        $templateId = $version->getPriceTemplateId();
+
+        $this->createVersion($templateId, PriceTemplateVersionDefinition::REASON_BEFORE_RESTORE, null, $userId, $context);
+
+        $currentConfig = $this->getTemplate($templateId, $context)->getConfig() ?? [];
+        $config = $version->getConfig() ?? [];
+
+        foreach (self::RUNTIME_KEYS as $key) {
+            if (array_key_exists($key, $currentConfig)) {
+                $config[$key] = $currentConfig[$key];
+            }
+        }
+
+        $this->priceTemplateRepository->update([
+            [
+                'id' => $templateId,
+                'config' => $config,
+            ],
+        ], $context);
+    }
+
+    /**
+     * Compare version config with current template config
+     *
+     * @return array List of ['path' => 'column_mapping.A', 'version' => value in version, 'current' => current value]
+     */
+    public function getDiff(string $versionId, Context $context): array
+    {
+        $version = $this->getVersion($versionId, $context);
+        $template = $this->getTemplate($version->getPriceTemplateId(), $context);
+
+        $versionValues = $this->flatten($this->stripRuntimeKeys($version->getConfig() ?? []));
+        $currentValues = $this->flatten($this->stripRuntimeKeys($template->getConfig() ?? []));
+
+        $paths = array_unique(array_merge(array_keys($versionValues), array_keys($currentValues)));
+        sort($paths, SORT_NATURAL);
+
+        $diff = [];
+        foreach ($paths as $path) {
+            $versionValue = $versionValues[$path] ?? null;
+            $currentValue = $currentValues[$path] ?? null;
+
+            if ($this->isSameConfig([$versionValue], [$currentValue])) {
+                continue;
+            }
+
+            $diff[] = [
+                'path' => $path,
+                'version' => $versionValue,
+                'current' => $currentValue,
+            ];
+        }
+
+        return $diff;
+    }
+
+    /**
+     * Copy template with config and product bindings, schedule of the copy is disabled
+     *
+     * @return string New template ID
+     */
+    public function cloneTemplate(string $templateId, ?string $name, ?string $userId, Context $context): string
+    {
+        $template = $this->getTemplate($templateId, $context);
+        $config = $template->getConfig() ?? [];
+
+        // Two templates must not import the same schedule
+        if (isset($config['schedule']) && is_array($config['schedule'])) {
+            $config['schedule']['enabled'] = false;
+        }
+
+        $newTemplateId = Uuid::randomHex();
+        $name = $name !== null && trim($name) !== '' ? trim($name) : $template->getName() . ' (copy)';
+
+        $this->priceTemplateRepository->create([
+            [
+                'id' => $newTemplateId,
+                'supplierId' => $template->getSupplierId(),
+                'name' => mb_substr($name, 0, 255),
+                'config' => $config,
+                'matchedProducts' => $template->getMatchedProducts(),
+            ],
+        ], $context);
+
+        $this->createVersion($newTemplateId, PriceTemplateVersionDefinition::REASON_CLONE, $template->getName(), $userId, $context);
+
+        return $newTemplateId;
+    }
+
+    /**
+     * Flatten nested config to dot paths, lists of scalars (e.g. column types) stay one value
+     */
+    private function flatten(array $data, string $prefix = ''): array
+    {
+        $result = [];
+
+        foreach ($data as $key => $value) {
+            $path = $prefix === '' ? (string) $key : $prefix . '.' . $key;
+
+            if (is_array($value) && !empty($value) && !$this->isScalarList($value)) {
+                $result += $this->flatten($value, $path);
+            } else {
+                $result[$path] = $value;
+            }
+        }
+
+        return $result;
+    }
+
+    private function isScalarList(array $value): bool
+    {
+        if (!array_is_list($value)) {
+            return false;
+        }
+
+        foreach ($value as $item) {
+            if (is_array($item)) {
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    private function isSameConfig(array $a, array $b): bool
+    {
+        return json_encode($this->sortKeys($a)) === json_encode($this->sortKeys($b));
+    }
+
+    /**
+     * Key order of JSON objects is not stable after saving, lists keep their order
+     */
+    private function sortKeys(array $data): array
+    {
+        foreach ($data as $key => $value) {
+            if (is_array($value)) {
+                $data[$key] = $this->sortKeys($value);
+            }
+        }
+
+        if (!array_is_list($data)) {
+            ksort($data);
+        }
+
+        return $data;
+    }
+
+    private function stripRuntimeKeys(array $config): array
+    {
+        return array_diff_key($config, array_flip(self::RUNTIME_KEYS));
+    }
+
+    private function getLatestVersion(string $templateId, Context $context): ?PriceTemplateVersionEntity
+    {
+        $criteria = new Criteria();
+        $criteria->addFilter(new EqualsFilter('priceTemplateId', $templateId));
+        $criteria->addSorting(new FieldSorting('version', FieldSorting::DESCENDING));
+        $criteria->setLimit(1);
+
+        return $this->versionRepository->search($criteria, $context)->first();
+    }
+
+    private function getVersion(string $versionId, Context $context): PriceTemplateVersionEntity
+    {
+        $version = $this->versionRepository->search(new Criteria([$versionId]), $context)->first();
+
+        if ($version === null) {
+            throw new \RuntimeException("Price template version not found: {$versionId}");
+        }
+
+        return $version;
+    }
+
+    private function getTemplate(string $templateId, Context $context): PriceTemplateEntity
+    {
+        $template = $this->priceTemplateRepository->search(new Criteria([$templateId]), $context)->first();
+
+        if ($template === null) {
+            throw new \RuntimeException("Price template not found: {$templateId}");
+        }
+
+        return $template;
+    }
+}
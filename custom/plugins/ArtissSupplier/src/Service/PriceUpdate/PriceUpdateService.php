@@ -2,10 +2,13 @@
 
 namespace Artiss\Supplier\Service\PriceUpdate;
 
+use Artiss\Supplier\Core\Content\PriceTemplate\Aggregate\PriceTemplateVersion\PriceTemplateVersionDefinition;
 use Artiss\Supplier\Core\Content\PriceTemplate\PriceTemplateEntity;
+use Artiss\Supplier\Service\ExchangeRate\ExchangeRateService;
 use Artiss\Supplier\Service\Parser\ParserRegistry;
 use Artiss\Supplier\Service\ProductMatchingService;
 use Shopware\Core\Content\Product\ProductCollection;
+use Shopware\Core\Content\Product\ProductEntity;
 use Shopware\Core\Framework\Context;
 use Shopware\Core\Framework\DataAbstractionLayer\EntityRepository;
 use Shopware\Core\Framework\DataAbstractionLayer\Search\Criteria;
@@ -14,19 +17,36 @@ use Shopware\Core\Framework\DataAbstractionLayer\Search\Filter\EqualsFilter;
 use Shopware\Core\Framework\DataAbstractionLayer\Search\Filter\ContainsFilter;
 use Shopware\Core\Framework\DataAbstractionLayer\Search\Filter\MultiFilter;
 use Shopware\Core\Framework\DataAbstractionLayer\Search\Filter\NotFilter;
+use Symfony\Contracts\Cache\CacheInterface;
+use Symfony\Contracts\Cache\ItemInterface;
 
 /**
  * Main service for price update workflow
  */
 class PriceUpdateService
 {
+    // Product changes made outside the template show up in preview pages after this time
+    private const PREVIEW_CACHE_TTL = 600;
+
     public function __construct(
         private readonly ParserRegistry $parserRegistry,
         private readonly EntityRepository $priceTemplateRepository,
         private readonly EntityRepository $mediaRepository,
         private readonly EntityRepository $productRepository,
         private readonly EntityRepository $currencyRepository,
-        private readonly ProductMatchingService $productMatchingService
+        private readonly ProductMatchingService $productMatchingService,
+        private readonly PriceHistoryService $priceHistoryService,
+        private readonly PriceGuardrailService $priceGuardrailService,
+        private readonly PricingRuleService $pricingRuleService,
+        private readonly ExchangeRateService $exchangeRateService,
+        private readonly SupplierComparisonService $supplierComparisonService,
+        private readonly MatchPreviewFilter $matchPreviewFilter,
+        private readonly PriceTemplateVersionService $templateVersionService,
+        private readonly DiscontinuedProductService $discontinuedProductService,
+        private readonly AvailabilityMappingService $availabilityMappingService,
+        private readonly ProductFieldService $productFieldService,
+        private readonly CacheInterface $cache,
+        private readonly RejectedMatchService $rejectedMatchService
     ) {
     }
 
@@ -69,6 +89,7 @@ class PriceUpdateService
         $parserConfig = [
             'start_row' => $config['start_row'] ?? 2,
             'column_mapping' => $columnMapping,
+            'sheet' => $config['sheet'] ?? null,
         ];
 
         // Parse file with new column mapping structure
@@ -140,14 +161,25 @@ class PriceUpdateService
         // Get existing matched products mapping
         $matchedProductsMap = $template->getMatchedProducts() ?? [];
 
+        // Pairs rejected in review are not suggested by supplier code or name
+        $rejectedCodes = $this->rejectedMatchService->getRejectedCodes($template);
+
         // Calculate prices with modifiers
-        $modifiers = $config['modifiers'] ?? [];
         $currencies = $config['price_currencies'] ?? [
             'purchase' => 'UAH',
             'retail' => 'UAH',
             'list' => 'UAH',
         ];
 
+        $guardrails = $config['guardrails'] ?? [];
+        $pricingRules = $config['pricing_rules'] ?? [];
+        $currencyFactors = $this->priceGuardrailService->isEnabled($guardrails) || $this->pricingRuleService->isEnabled($pricingRules)
+            ? $this->loadCurrencies($context)
+            : [];
+
+        // Category/manufacturer data for pricing rule tiers, also returned to the wizard for local recalculation
+        $productAttributes = $this->getPricingAttributes($products, $context);
+
         // Build a map of price data by code for quick lookup
         $priceDataByCode = [];
         foreach ($priceData as $item) {
@@ -190,7 +222,9 @@ class PriceUpdateService
             // 2. Try kod_postavschika
             if (!$matchedPriceData && $kodPostavschika) {
                 $normalizedKod = strtoupper(trim($kodPostavschika));
-                if (isset($priceDataByCode[$normalizedKod])) {
+                if (isset($priceDataByCode[$normalizedKod])
+                    && !$this->rejectedMatchService->isRejected($rejectedCodes, $productId, $normalizedKod)
+                ) {
                     $matchedPriceData = $priceDataByCode[$normalizedKod];
                     $supplierCode = $normalizedKod;
                     $confidence = 'high';
@@ -204,6 +238,10 @@ class PriceUpdateService
             if (!$matchedPriceData && !empty($product->getName())) {
                 $productName = mb_strtolower(trim($product->getTranslated()['name'] ?? $product->getName() ?? ''));
                 foreach ($priceDataByCode as $code => $priceItem) {
+                    if ($this->rejectedMatchService->isRejected($rejectedCodes, $productId, (string) $code)) {
+                        continue;
+                    }
+
                     $supplierName = mb_strtolower(trim($priceItem['name'] ?? ''));
                     if ($supplierName && $productName && str_contains($productName, $supplierName)) {
                         $matchedPriceData = $priceItem;
@@ -221,6 +259,11 @@ class PriceUpdateService
             $currentPurchasePrice = $customFields['purchase_price_value'] ?? null;
             $currentRetailPrice = $customFields['retail_price_value'] ?? null;
             $currentListPrice = $customFields['list_price_value'] ?? null;
+            $currentCurrencies = [
+                'purchase' => $customFields['purchase_price_currency'] ?? null,
+                'retail' => $customFields['retail_price_currency'] ?? null,
+                'list' => $customFields['list_price_currency'] ?? null,
+            ];
 
             // Calculate new prices
             $newPrices = [
@@ -230,9 +273,27 @@ class PriceUpdateService
             ];
 
             $availability = null;
+            $guardrailViolations = [];
             if ($matchedPriceData) {
-                $calculatedPrices = $this->applyModifiers($matchedPriceData, $modifiers);
+                $calculatedPrices = $this->applyModifiers(
+                    $matchedPriceData,
+                    $config,
+                    $productAttributes[$productId] ?? [],
+                    $currencyFactors
+                );
                 $newPrices = $calculatedPrices;
+                $guardrailViolations = $this->priceGuardrailService->check(
+                    [
+                        'purchase' => $currentPurchasePrice,
+                        'retail' => $currentRetailPrice,
+                        'list' => $currentListPrice,
+                    ],
+                    $currentCurrencies,
+                    $newPrices,
+                    $currencies,
+                    $guardrails,
+                    $currencyFactors
+                );
                 $supplierName = $matchedPriceData['name'] ?? '';
                 $availability = $matchedPriceData['availability'] ?? null;
             } else {
@@ -246,20 +307,29 @@ class PriceUpdateService
                 'supplier_name' => $supplierName,
                 'product_id' => $productId,
                 'product_name' => $product->getTranslated()['name'] ?? $product->getName() ?? '',
+                'product_number' => $product->getProductNumber(),
                 'current_kod_postavschika' => $kodPostavschika,
+                'category_ids' => $productAttributes[$productId]['category_ids'] ?? [],
+                'manufacturer_id' => $productAttributes[$productId]['manufacturer_id'] ?? null,
                 'current_prices' => [
                     'purchase' => $currentPurchasePrice,
                     'retail' => $currentRetailPrice,
                     'list' => $currentListPrice,
                 ],
+                'current_currencies' => $currentCurrencies,
                 'new_prices' => $newPrices,
                 'currencies' => $currencies,
+                'guardrail_violations' => $guardrailViolations,
                 'price_changes' => [
                     'purchase' => $this->getPriceChange($currentPurchasePrice, $newPrices['purchase']),
                     'retail' => $this->getPriceChange($currentRetailPrice, $newPrices['retail']),
                     'list' => $this->getPriceChange($currentListPrice, $newPrices['list']),
                 ],
                 'availability' => $availability,
+                // Delivery time, min order qty, pack size, EAN and warranty columns
+                ...$this->productFieldService->getValues($matchedPriceData ?? []),
+                // Raw price list values, the wizard recalculates prices from them when modifiers change
+                'price_row' => $matchedPriceData ? $this->getPriceRow($matchedPriceData) : null,
                 'current_stock' => $product->getStock() ?? 0,
                 'confidence' => $confidence,
                 'method' => $method,
@@ -280,7 +350,7 @@ class PriceUpdateService
         foreach ($priceData as $priceItem) {
             $code = $priceItem['code'] ?? '';
             if ($code && !in_array($code, $matchedCodes, true)) {
-                $calculatedPrices = $this->applyModifiers($priceItem, $modifiers);
+                $calculatedPrices = $this->applyModifiers($priceItem, $config, [], $currencyFactors);
                 $unmatchedPriceItems[] = [
                     'supplier_code' => $code,
                     'supplier_name' => $priceItem['name'] ?? '',
@@ -317,9 +387,174 @@ class PriceUpdateService
                 'matched_name' => count(array_filter($previewData, fn($item) => $item['method'] === 'name_similarity')),
                 'unmatched' => $unmatchedCount + count($unmatchedPriceItems),
             ],
+            // Rates used to show new prices converted to the default currency
+            'exchange' => [
+                'default_currency' => $this->exchangeRateService->getDefaultCurrencyIsoCode($context),
+                'factors' => $this->exchangeRateService->getSupplierFactors($template->getSupplierId(), $context),
+            ],
+        ];
+    }
+
+    /**
+     * One page of match preview with filters and sorting, large price lists are never sent to the browser at once
+     *
+     * @param string $templateId Price template ID
+     * @param array $params Paging, sorting and filter params, see MatchPreviewFilter
+     * @param bool $saveDetectedMatches Match again, store matches found by code or name in the template mapping
+     *                                  and keep the match stats. Otherwise the cached preview is paged
+     * @param Context $context
+     *
+     * @return array Page rows, filtered total, stats over all rows and exchange rates
+     */
+    public function matchProductsPreviewPage(
+        string $templateId,
+        array $params,
+        bool $saveDetectedMatches,
+        Context $context
+    ): array {
+        if ($saveDetectedMatches) {
+            $preview = $this->matchProductsPreview($templateId, $context);
+            $this->saveDetectedMatches($templateId, $preview['matched'], $context);
+            $this->saveMatchStats($templateId, $preview, true, $context);
+        } else {
+            $preview = $this->getCachedMatchPreview($templateId, $context);
+        }
+
+        $rows = $preview['matched'];
+
+        $page = $this->matchPreviewFilter->apply($rows, $params);
+
+        return [
+            'matched' => $page['rows'],
+            'total' => $page['total'],
+            'page' => $page['page'],
+            'limit' => $page['limit'],
+            'stats' => array_merge($preview['stats'], $this->matchPreviewFilter->getStats($rows)),
+            'exchange' => $preview['exchange'],
         ];
     }
 
+    /**
+     * Match preview for paging, sorting and filtering, the price list is parsed and matched once.
+     * Any template change (config, mapping, selected price list) gives a new cache key
+     */
+    private function getCachedMatchPreview(string $templateId, Context $context): array
+    {
+        $template = $this->getTemplate($templateId, $context);
+        $config = $template->getConfig() ?? [];
+
+        $key = sprintf(
+            'artiss_supplier_match_preview_%s_%s_%s',
+            $templateId,
+            $config['selected_media_id'] ?? 'none',
+            md5((string) json_encode([
+                $config,
+                $template->getMatchedProducts(),
+                $template->getUpdatedAt()?->format(\DATE_ATOM),
+                $context->getLanguageId(),
+            ]))
+        );
+
+        return $this->cache->get($key, function (ItemInterface $item) use ($templateId, $context): array {
+            $item->expiresAfter(self::PREVIEW_CACHE_TTL);
+
+            return $this->matchProductsPreview($templateId, $context);
+        });
+    }
+
+    /**
+     * Store matches found by supplier code or name similarity, so they count as confirmed next time.
+     * Rejected pairs are never stored
+     */
+    private function saveDetectedMatches(string $templateId, array $rows, Context $context): void
+    {
+        $template = $this->getTemplate($templateId, $context);
+        $rejectedCodes = $this->rejectedMatchService->getRejectedCodes($template);
+
+        $detected = [];
+        foreach ($rows as $row) {
+            if ($row['status'] !== 'matched' || $row['method'] === 'matched_products' || !$row['product_id'] || !$row['supplier_code']) {
+                continue;
+            }
+
+            if (!$this->rejectedMatchService->isRejected($rejectedCodes, $row['product_id'], (string) $row['supplier_code'])) {
+                $detected[$row['product_id']] = $row['supplier_code'];
+            }
+        }
+
+        if (empty($detected)) {
+            return;
+        }
+
+        $this->priceTemplateRepository->update([
+            [
+                'id' => $templateId,
+                'matchedProducts' => array_replace($template->getMatchedProducts() ?? [], $detected),
+            ],
+        ], $context);
+    }
+
+    /**
+     * Keep match counts of the selected price list for supplier metrics, so the supplier list
+     * does not parse every price list. Saved when matches are saved or applied, not on preview paging
+     */
+    public function saveMatchStats(string $templateId, array $preview, bool $detectedSaved, Context $context): void
+    {
+        $template = $this->getTemplate($templateId, $context);
+        $stats = $preview['stats'];
+        $detected = $stats['matched_code'] + $stats['matched_name'];
+
+        $this->priceTemplateRepository->update([
+            [
+                'id' => $templateId,
+                'matchStats' => [
+                    'media_id' => $template->getConfig()['selected_media_id'] ?? null,
+                    'confirmed' => $stats['matched_exact'] + ($detectedSaved ? $detected : 0),
+                    'pending' => $detectedSaved ? 0 : $detected,
+                    'unmatched_rows' => count($preview['unmatched']),
+                    'calculated_at' => (new \DateTime())->format(\DATE_ATOM),
+                ],
+            ],
+        ], $context);
+    }
+
+    /**
+     * Supplier codes of the price list a match preview was built from
+     *
+     * @param array $preview Result of matchProductsPreview()
+     *
+     * @return string[]
+     */
+    public function getPriceListCodes(array $preview): array
+    {
+        $codes = [];
+
+        foreach ($preview['matched'] ?? [] as $row) {
+            if ($row['status'] === 'matched' && !empty($row['supplier_code'])) {
+                $codes[] = $row['supplier_code'];
+            }
+        }
+
+        foreach ($preview['unmatched'] ?? [] as $row) {
+            $codes[] = $row['supplier_code'];
+        }
+
+        return $codes;
+    }
+
+    /**
+     * Price list values needed to recalculate prices of a row
+     */
+    private function getPriceRow(array $priceData): array
+    {
+        return [
+            'purchase_price' => $priceData['purchase_price'] ?? null,
+            'retail_price' => $priceData['retail_price'] ?? null,
+            'list_price' => $priceData['list_price'] ?? null,
+            'availability' => $priceData['availability'] ?? null,
+        ] + $this->productFieldService->getValues($priceData);
+    }
+
     /**
      * Automatically match unmatched products using AI-based matching algorithm
      *
@@ -327,7 +562,9 @@ class PriceUpdateService
      * @param Context $context Shopware context
      * @param int $batchSize Number of items to process per batch (default 50)
      * @param int $offset Offset for batch processing (default 0)
-     * @return array Auto-matched results with confidence scores
+     * @param string[]|null $strategies Matching strategies in priority order, the template's
+     *                                  matching_strategies config when null
+     * @return array Auto-matched results with confidence scores and match explanations
      * @throws \RuntimeException If manufacturer is not selected in filters
      */
     public function autoMatchProducts(
@@ -335,10 +572,12 @@ class PriceUpdateService
         Context $context,
         int $batchSize = 50,
         int $offset = 0,
-        int $minMatchPercentage = 50
+        int $minMatchPercentage = 50,
+        ?array $strategies = null
     ): array {
         $template = $this->getTemplate($templateId, $context);
         $config = $template->getConfig();
+        $strategies = $strategies ?: ($config['matching_strategies'] ?? null) ?: ProductMatchingService::DEFAULT_STRATEGIES;
         $filters = $config['filters'] ?? [];
 
         // Manufacturer is REQUIRED for auto-matching (for performance and accuracy)
@@ -381,6 +620,9 @@ class PriceUpdateService
 
         $matchedProductsMap = $template->getMatchedProducts() ?? [];
 
+        // Pairs rejected in review are never suggested again
+        $rejectedCodes = $this->rejectedMatchService->getRejectedCodes($template);
+
         $unmatchedProducts = [];
         foreach ($products as $product) {
             if (!isset($matchedProductsMap[$product->getId()])) {
@@ -425,7 +667,9 @@ class PriceUpdateService
         $batchProductCollection = new ProductCollection($batchProducts);
         $autoMatchResults = $this->productMatchingService->matchProducts(
             $priceData,
-            $batchProductCollection
+            $batchProductCollection,
+            $strategies,
+            $rejectedCodes
         );
 
         $matched = [];
@@ -433,22 +677,17 @@ class PriceUpdateService
             $priceItem = $result['price_item'];
             $match = $result['match'];
 
-            $matchedTokens = $match['matched_tokens'] ?? 0;
-            $originalTokensCount = $match['original_tokens_count'] ?? 1;
-            $level = $match['level'] ?? 0;
-
-            $percentage = ($matchedTokens / $originalTokensCount) * 100;
-            $score = (int) round($percentage);
+            $score = $match['score'];
 
-            if ($percentage < $minMatchPercentage) {
+            if ($score < $minMatchPercentage) {
                 continue;
             }
 
-            if ($percentage >= 90) {
+            if ($score >= 90) {
                 $confidence = 'excellent';
-            } elseif ($percentage >= 70) {
+            } elseif ($score >= 70) {
                 $confidence = 'good';
-            } elseif ($percentage >= 50) {
+            } elseif ($score >= 50) {
                 $confidence = 'medium';
             } else {
                 $confidence = 'low';
@@ -462,12 +701,9 @@ class PriceUpdateService
                 'product_number' => $match['product_number'] ?? '',
                 'score' => $score,
                 'confidence' => $confidence,
-                'matched_candidate' => sprintf('%d/%d tokens (%.0f%%, level %d)',
-                    $matchedTokens,
-                    $originalTokensCount,
-                    $percentage,
-                    $level
-                ),
+                'price_row' => $this->getPriceRow($priceItem),
+                'strategy' => $match['strategy'],
+                'explanation' => $match['explanation'],
                 'status' => 'auto_matched',
             ];
         }
@@ -582,38 +818,70 @@ class PriceUpdateService
     }
 
     /**
-     * Apply modifiers to calculate final prices
+     * Apply modifiers and pricing rules to calculate final prices
+     *
+     * @param array $priceData Normalized price list row
+     * @param array $config Template config (modifiers, pricing_rules, price_currencies)
+     * @param array $productAttributes Matched product data for pricing rule tiers
+     * @param array $currencyFactors Currency factors by ISO code
      */
-    private function applyModifiers(array $priceData, array $modifiers): array
-    {
-        $prices = [
-            'purchase' => $priceData['purchase_price'] ?? null,
-            'retail' => $priceData['retail_price'] ?? null,
-            'list' => $priceData['list_price'] ?? null,
-        ];
+    private function applyModifiers(
+        array $priceData,
+        array $config,
+        array $productAttributes = [],
+        array $currencyFactors = []
+    ): array {
+        $prices = $this->pricingRuleService->applyModifiers(
+            [
+                'purchase' => $priceData['purchase_price'] ?? null,
+                'retail' => $priceData['retail_price'] ?? null,
+                'list' => $priceData['list_price'] ?? null,
+            ],
+            $config['modifiers'] ?? []
+        );
 
-        foreach ($modifiers as $modifier) {
-            $priceType = $modifier['price_type'] ?? null;
-            $modifierType = $modifier['modifier_type'] ?? 'none';
-            $value = (float) ($modifier['modifier_value'] ?? $modifier['value'] ?? 0);
+        return $this->pricingRuleService->apply(
+            $prices,
+            $config['price_currencies'] ?? [],
+            $config['pricing_rules'] ?? [],
+            $productAttributes,
+            $currencyFactors
+        );
+    }
 
-            if (!$priceType || $modifierType === 'none' || !isset($prices[$priceType]) || $prices[$priceType] === null) {
-                continue;
+    /**
+     * Collect category tree and manufacturer of products, variants fall back to parent values
+     *
+     * @return array [productId => ['category_ids' => [...], 'manufacturer_id' => ...]]
+     */
+    private function getPricingAttributes(ProductCollection $products, Context $context): array
+    {
+        $parentIds = [];
+        foreach ($products as $product) {
+            if ($product->getParentId() && (empty($product->getCategoryTree()) || !$product->getManufacturerId())) {
+                $parentIds[] = $product->getParentId();
             }
+        }
 
-            $originalPrice = (float) $prices[$priceType];
+        $parents = empty($parentIds)
+            ? new ProductCollection()
+            : $this->productRepository->search(new Criteria(array_values(array_unique($parentIds))), $context)->getEntities();
 
-            if ($modifierType === 'percentage') {
-                $prices[$priceType] = $originalPrice * (1 + $value / 100);
-            } elseif ($modifierType === 'fixed') {
-                $prices[$priceType] = $originalPrice + $value;
-            }
+        $attributes = [];
+
+        /** @var ProductEntity $product */
+        foreach ($products as $product) {
+            $parent = $product->getParentId() ? $parents->get($product->getParentId()) : null;
+
+            $categoryIds = $product->getCategoryTree() ?: ($parent?->getCategoryTree() ?? []);
 
-            // Round to 2 decimals
-            $prices[$priceType] = round($prices[$priceType], 2);
+            $attributes[$product->getId()] = [
+                'category_ids' => array_values($categoryIds),
+                'manufacturer_id' => $product->getManufacturerId() ?? $parent?->getManufacturerId(),
+            ];
         }
 
-        return $prices;
+        return $attributes;
     }
 
     /**
@@ -656,10 +924,24 @@ class PriceUpdateService
         // Update mapping
         $matchedProducts[$productId] = $supplierCode;
 
+        // A manual binding overrides an earlier rejection of the same pair
+        $rejected = $template->getRejectedMatches() ?? [];
+        if (isset($rejected[$productId])) {
+            $rejected[$productId] = array_values(array_filter(
+                $rejected[$productId],
+                fn(array $entry) => $entry['supplier_code'] !== $supplierCode
+            ));
+
+            if (empty($rejected[$productId])) {
+                unset($rejected[$productId]);
+            }
+        }
+
         $this->priceTemplateRepository->update([
             [
                 'id' => $templateId,
                 'matchedProducts' => $matchedProducts,
+                'rejectedMatches' => empty($rejected) ? null : $rejected,
             ],
         ], $context);
     }
@@ -669,16 +951,22 @@ class PriceUpdateService
      *
      * @param string $templateId Template ID
      * @param array $confirmedMatches Array of confirmed matches to apply
-     * @param string $userId User ID who applies the changes
+     * @param string|null $userId User ID who applies the changes (null for unattended runs)
      * @param Context $context
+     * @param string[]|null $priceListCodes Codes of the applied price list (getPriceListCodes()),
+     *                                      taken from the cached match preview when null
+     * @param callable|null $onProductsWritten Called with the changeset ID once products are written,
+     *                                         a run failing after that must not write them again
      *
      * @return array Result with stats
      */
     public function applyPrices(
         string $templateId,
         array $confirmedMatches,
-        string $userId,
-        Context $context
+        ?string $userId,
+        Context $context,
+        ?array $priceListCodes = null,
+        ?callable $onProductsWritten = null
     ): array {
         $template = $this->getTemplate($templateId, $context);
         $config = $template->getConfig();
@@ -696,8 +984,37 @@ class PriceUpdateService
             'updated' => 0,
             'failed' => 0,
             'skipped' => 0,
+            'blocked' => 0,
+            'blocked_items' => [],
+            'not_best_supplier' => 0,
+            'not_best_supplier_items' => [],
         ];
 
+        // Price list delivery time of each written row, by index in $updateData
+        $deliveryTimes = [];
+
+        // Current values are needed to check guardrails
+        $guardrails = $config['guardrails'] ?? [];
+        $currentCustomFields = [];
+        $currencyFactors = [];
+        if ($this->priceGuardrailService->isEnabled($guardrails)) {
+            $currentCustomFields = $this->loadProductCustomFields(array_column($confirmedMatches, 'product_id'), $context);
+            $currencyFactors = $this->loadCurrencies($context);
+        }
+
+        // Offers of other suppliers decide whether this template may write the product
+        $supplierPolicy = $this->supplierComparisonService->getPolicy();
+        $supplierOffers = [];
+        $productSupplierIds = [];
+        if ($supplierPolicy !== SupplierComparisonService::POLICY_OFF) {
+            $productIds = array_column($confirmedMatches, 'product_id');
+            $supplierOffers = $this->supplierComparisonService->collectOffers($productIds, $context, $templateId);
+            $productSupplierIds = array_map(
+                fn(array $customFields) => $customFields['product_supplier_id'] ?? null,
+                $currentCustomFields ?: $this->loadProductCustomFields($productIds, $context)
+            );
+        }
+
         foreach ($confirmedMatches as $match) {
             if (!isset($match['is_confirmed']) || !$match['is_confirmed']) {
                 $stats['skipped']++;
@@ -708,15 +1025,82 @@ class PriceUpdateService
             $supplierCode = $match['supplier_code'];
             $newPrices = $match['new_prices'] ?? [];
 
+            if (!empty($currencyFactors) && empty($match['guardrail_approved'])) {
+                $productCustomFields = $currentCustomFields[$productId] ?? [];
+                $violations = $this->priceGuardrailService->check(
+                    [
+                        'purchase' => $productCustomFields['purchase_price_value'] ?? null,
+                        'retail' => $productCustomFields['retail_price_value'] ?? null,
+                        'list' => $productCustomFields['list_price_value'] ?? null,
+                    ],
+                    [
+                        'purchase' => $productCustomFields['purchase_price_currency'] ?? null,
+                        'retail' => $productCustomFields['retail_price_currency'] ?? null,
+                        'list' => $productCustomFields['list_price_currency'] ?? null,
+                    ],
+                    $newPrices,
+                    $currencies,
+                    $guardrails,
+                    $currencyFactors
+                );
+
+                if (!empty($violations)) {
+                    $stats['blocked']++;
+                    $stats['blocked_items'][] = [
+                        'product_id' => $productId,
+                        'supplier_code' => $supplierCode,
+                        'new_prices' => $newPrices,
+                        'violations' => $violations,
+                    ];
+                    continue;
+                }
+            }
+
             // Save to matched_products mapping
             $matchedProducts[$productId] = $supplierCode;
 
+            if ($supplierPolicy !== SupplierComparisonService::POLICY_OFF) {
+                $offers = $supplierOffers[$productId] ?? [];
+                $offers[] = $this->supplierComparisonService->createOffer(
+                    $template,
+                    $supplierCode,
+                    $newPrices['purchase'] ?? null,
+                    $match['availability'] ?? null,
+                    $context
+                );
+
+                $best = $this->supplierComparisonService->selectBestOffer(
+                    $offers,
+                    $supplierPolicy,
+                    $productSupplierIds[$productId] ?? null
+                );
+
+                // Mapping is kept so the comparison knows this supplier offers the product
+                if ($best !== null && $best['template_id'] !== $templateId) {
+                    $stats['not_best_supplier']++;
+                    $stats['not_best_supplier_items'][] = [
+                        'product_id' => $productId,
+                        'supplier_code' => $supplierCode,
+                        'best_template_id' => $best['template_id'],
+                        'best_supplier_id' => $best['supplier_id'],
+                        'best_purchase_price' => $best['purchase_price'],
+                        'best_currency' => $best['currency'],
+                    ];
+                    continue;
+                }
+            }
+
             // Prepare custom fields update - FLAT structure (not nested)
             // Custom fields in admin are configured as flat: purchase_price_value, not product_prices.purchase_price_value
             $customFields = [
                 'kod_postavschika' => $supplierCode,
             ];
 
+            // Selected supplier becomes the product supplier, also used for supplier specific exchange rates
+            if ($supplierPolicy !== SupplierComparisonService::POLICY_OFF) {
+                $customFields['product_supplier_id'] = $template->getSupplierId();
+            }
+
             if (isset($newPrices['purchase']) && $newPrices['purchase'] !== null) {
                 $customFields['purchase_price_value'] = $newPrices['purchase'];
                 $customFields['purchase_price_currency'] = $currencies['purchase'];
@@ -738,6 +1122,9 @@ class PriceUpdateService
                 'customFields' => $customFields,
             ];
 
+            // Min order qty, pack size and EAN columns, delivery times are resolved after the loop
+            $productUpdate += $this->productFieldService->toProductUpdate($match, []);
+
             // Handle stock/availability update
             $availabilityAction = $config['filters']['availability_action'] ?? 'dont_change';
             $columnMapping = $config['column_mapping'] ?? [];
@@ -751,8 +1138,12 @@ class PriceUpdateService
                 }
             }
 
-            // Apply availability logic based on action
-            if ($availabilityAction === 'set_from_price') {
+            // Apply availability logic based on action, availability mapping replaces the fixed actions
+            $availabilityMapping = $config['availability_mapping'] ?? [];
+            if ($this->availabilityMappingService->isEnabled($availabilityMapping)) {
+                $resolved = $this->availabilityMappingService->resolve($match['availability'] ?? null, $availabilityMapping);
+                $productUpdate += $this->availabilityMappingService->toProductUpdate($resolved);
+            } elseif ($availabilityAction === 'set_from_price') {
                 // Use value from price list if available, otherwise set to 0
                 if (isset($match['availability']) && $match['availability'] !== null && $match['availability'] !== '') {
                     $stock = max(0, (int) $match['availability']);
@@ -767,22 +1158,50 @@ class PriceUpdateService
             }
             // If availabilityAction is 'dont_change', don't add stock to update
 
+            $deliveryTimes[count($updateData)] = $match['delivery_time'] ?? null;
             $updateData[] = $productUpdate;
 
             $stats['updated']++;
         }
 
+        // Delivery times only for written rows, missing ones are created. A delivery time column wins over availability mapping
+        $deliveryTimeIds = $this->productFieldService->resolveDeliveryTimes(array_filter($deliveryTimes), $context);
+        foreach ($deliveryTimes as $index => $deliveryTime) {
+            if ($deliveryTime !== null && isset($deliveryTimeIds[(string) $deliveryTime])) {
+                $updateData[$index]['deliveryTimeId'] = $deliveryTimeIds[(string) $deliveryTime];
+            }
+        }
+
+        // Store previous values so the run can be reverted
+        $changesetId = $this->priceHistoryService->startChangeset($templateId, $userId, $context);
+        $stats['changeset_id'] = $changesetId;
+
+        // Keep the config that produced these prices
+        $this->templateVersionService->createVersion(
+            $templateId,
+            PriceTemplateVersionDefinition::REASON_APPLY,
+            null,
+            $userId,
+            $context
+        );
+
         // Update products
         if (!empty($updateData)) {
             try {
+                $this->priceHistoryService->recordChanges($changesetId, $updateData, $context);
                 $this->productRepository->update($updateData, $context);
             } catch (\Exception $e) {
                 $stats['failed'] = count($updateData);
                 $stats['updated'] = 0;
+                $this->priceHistoryService->deleteChangeset($changesetId, $context);
                 throw $e;
             }
         }
 
+        if ($onProductsWritten !== null) {
+            $onProductsWritten($changesetId);
+        }
+
         // Handle zero stock for missing products
         $zeroStockForMissing = $config['filters']['zero_stock_for_missing'] ?? false;
         if ($zeroStockForMissing) {
@@ -798,6 +1217,7 @@ class PriceUpdateService
                 $zeroStockCount = $this->setZeroStockForMissingProducts(
                     $template,
                     $matchedProductIds,
+                    $changesetId,
                     $context
                 );
                 $stats['zero_stock_set'] = $zeroStockCount;
@@ -806,6 +1226,18 @@ class PriceUpdateService
             }
         }
 
+        // Count mapped products missing in this price list, repeated misses mark them as possibly discontinued
+        try {
+            $stats['discontinued'] = $this->discontinuedProductService->track(
+                $template,
+                $matchedProducts,
+                $priceListCodes ?? $this->getPriceListCodes($this->getCachedMatchPreview($templateId, $context)),
+                $context
+            );
+        } catch (\Exception $e) {
+            $stats['discontinued_error'] = $e->getMessage();
+        }
+
         // Update template
         $this->priceTemplateRepository->update([
             [
@@ -816,6 +1248,8 @@ class PriceUpdateService
             ],
         ], $context);
 
+        $this->priceHistoryService->finishChangeset($changesetId, $stats, $context);
+
         // Auto-recalculate prices from custom fields using current exchange rates
         // This converts prices from custom fields (in various currencies) to product.price (in base currency)
         if ($stats['updated'] > 0) {
@@ -832,21 +1266,146 @@ class PriceUpdateService
     }
 
     /**
-     * Confirm all pending matches (auto-matched or manually matched)
+     * Finish an apply run whose products were already written, e.g. a resumed job whose worker stopped
+     * after the write. Products are not written again: the template mapping is taken from the changeset,
+     * the changeset is finished and prices are recalculated. Zero stock and discontinued tracking are skipped,
+     * both may have run already.
+     *
+     * @return array Result with stats
+     */
+    public function completeAppliedChangeset(string $templateId, string $changesetId, ?string $userId, Context $context): array
+    {
+        $stats = $this->priceHistoryService->getChangeset($changesetId, $context)->getStats();
+
+        if ($stats === null) {
+            $supplierCodes = $this->priceHistoryService->getRecordedSupplierCodes($changesetId, $context);
+            $template = $this->getTemplate($templateId, $context);
+
+            $this->priceTemplateRepository->update([
+                [
+                    'id' => $templateId,
+                    'matchedProducts' => array_replace($template->getMatchedProducts() ?? [], $supplierCodes),
+                    'appliedAt' => new \DateTime(),
+                    'appliedByUserId' => $userId,
+                ],
+            ], $context);
+
+            $stats = [
+                'updated' => count($supplierCodes),
+                'failed' => 0,
+                'skipped' => 0,
+                'blocked' => 0,
+                'blocked_items' => [],
+                'not_best_supplier' => 0,
+                'not_best_supplier_items' => [],
+                'changeset_id' => $changesetId,
+            ];
+
+            $this->priceHistoryService->finishChangeset($changesetId, $stats, $context);
+        }
+
+        // Recalculation is repeatable, it may not have finished before the run stopped
+        if (($stats['updated'] ?? 0) > 0) {
+            try {
+                $stats['recalculated'] = $this->recalculatePricesFromCustomFields('all', null, $context)['updated'];
+            } catch (\Exception $e) {
+                $stats['recalculate_error'] = $e->getMessage();
+            }
+        }
+
+        return $stats;
+    }
+
+    /**
+     * Revert apply run: restore previous custom field values and stock, then recalculate prices
+     *
+     * @return array Result with stats
      */
-    public function confirmAllMatches(string $templateId, array $matchesToConfirm, Context $context): array
+    public function revertChangeset(string $changesetId, ?string $userId, Context $context): array
     {
+        $stats = $this->priceHistoryService->revertChangeset($changesetId, $userId, $context);
+
+        if ($stats['restored'] > 0) {
+            try {
+                $recalculateStats = $this->recalculatePricesFromCustomFields('all', null, $context);
+                $stats['recalculated'] = $recalculateStats['updated'];
+            } catch (\Exception $e) {
+                $stats['recalculate_error'] = $e->getMessage();
+            }
+        }
+
+        return $stats;
+    }
+
+    /**
+     * Build apply payload from match preview rows
+     *
+     * @param array $preview Result of matchProductsPreview()
+     * @param bool $codeMatchesOnly Skip rows matched only by name similarity
+     * @param array $approvedProductIds Products approved to be applied despite guardrail violations
+     *
+     * @return array Matches in the format expected by applyPrices()
+     */
+    public function buildMatchesForApply(
+        array $preview,
+        bool $codeMatchesOnly = false,
+        array $approvedProductIds = []
+    ): array {
+        $matches = [];
+
+        foreach ($preview['matched'] ?? [] as $match) {
+            // Include all matched items (status === 'matched' and has product_id)
+            if ($match['status'] !== 'matched' || !$match['product_id']) {
+                continue;
+            }
+
+            if ($codeMatchesOnly && ($match['method'] ?? null) === 'name_similarity') {
+                continue;
+            }
+
+            $matches[] = [
+                'product_id' => $match['product_id'],
+                'supplier_code' => $match['supplier_code'],
+                'new_prices' => $match['new_prices'],
+                'availability' => $match['availability'] ?? null,
+                'is_confirmed' => true, // Mark all as confirmed to save mapping
+                'guardrail_approved' => in_array($match['product_id'], $approvedProductIds, true),
+            ] + $this->productFieldService->getValues($match);
+        }
+
+        return $matches;
+    }
+
+    /**
+     * Confirm all pending matches (auto-matched or manually matched)
+     *
+     * @param int|null $minScore Skip matches with auto-match score below this value
+     */
+    public function confirmAllMatches(
+        string $templateId,
+        array $matchesToConfirm,
+        Context $context,
+        ?int $minScore = null
+    ): array {
         $template = $this->getTemplate($templateId, $context);
         $matchedProductsMap = $template->getMatchedProducts() ?? [];
 
         $confirmed = 0;
+        $skipped = 0;
         foreach ($matchesToConfirm as $match) {
             $productId = $match['product_id'] ?? null;
             $supplierCode = $match['supplier_code'] ?? null;
 
+            if ($minScore !== null && isset($match['score']) && (int) $match['score'] < $minScore) {
+                $skipped++;
+                continue;
+            }
+
             if ($productId && $supplierCode) {
                 $matchedProductsMap[$productId] = $supplierCode;
                 $confirmed++;
+            } else {
+                $skipped++;
             }
         }
 
@@ -860,6 +1419,7 @@ class PriceUpdateService
 
         return [
             'confirmed' => $confirmed,
+            'skipped' => $skipped,
             'total_mappings' => count($matchedProductsMap),
         ];
     }
@@ -993,6 +1553,7 @@ class PriceUpdateService
     ): array {
         // Load all currencies with current exchange rates
         $currencies = $this->loadCurrencies($context);
+        $supplierOverrides = $this->exchangeRateService->getSupplierOverrides($context);
 
         // Find products with custom price fields
         $products = $this->findProductsWithCustomPrices($context, $limit);
@@ -1038,10 +1599,16 @@ class PriceUpdateService
                 'list_price_currency' => $customFields['list_price_currency'] ?? 'UAH',
             ];
 
+            // Supplier specific rates and surcharges
+            $supplierId = $customFields['product_supplier_id'] ?? null;
+            $productCurrencies = $supplierId && isset($supplierOverrides[$supplierId])
+                ? $this->exchangeRateService->applySupplierOverrides($currencies, $supplierOverrides[$supplierId])
+                : $currencies;
+
             $update = $this->calculatePriceUpdateFromCustomFields(
                 $product,
                 $productPrices,
-                $currencies,
+                $productCurrencies,
                 $priceType,
                 $context
             );
@@ -1221,6 +1788,7 @@ class PriceUpdateService
     private function setZeroStockForMissingProducts(
         PriceTemplateEntity $template,
         array $matchedProductIds,
+        string $changesetId,
         Context $context
     ): int {
         $config = $template->getConfig();
@@ -1284,6 +1852,7 @@ class PriceUpdateService
 
         foreach ($batches as $batch) {
             try {
+                $this->priceHistoryService->recordChanges($changesetId, $batch, $context);
                 $this->productRepository->update($batch, $context);
                 $totalUpdated += count($batch);
             } catch (\Exception $e) {
@@ -1294,6 +1863,27 @@ class PriceUpdateService
         return $totalUpdated;
     }
 
+    /**
+     * Load custom fields of products by ID
+     *
+     * @return array Custom fields keyed by product ID
+     */
+    private function loadProductCustomFields(array $productIds, Context $context): array
+    {
+        $productIds = array_values(array_unique(array_filter($productIds)));
+        $customFields = [];
+
+        foreach (array_chunk($productIds, 500) as $batchIds) {
+            $products = $this->productRepository->search(new Criteria($batchIds), $context);
+
+            foreach ($products as $product) {
+                $customFields[$product->getId()] = $product->getCustomFields() ?? [];
+            }
+        }
+
+        return $customFields;
+    }
+
     private function getMedia(string $mediaId, Context $context)
     {
         $media = $this->mediaRepository->search(new Criteria([$mediaId]), $context)->first();
@@ -0,0 +1,223 @@
+<?php declare(strict_types=1);
+
+namespace Artiss\Supplier\Service\PriceUpdate;
+
+/**
+ * Margin-based pricing rules of a price template (config.pricing_rules)
+ *
+ * Rules run after flat modifiers. Retail is evaluated before list, so list can be derived from a derived retail.
+ *
+ * Config keys:
+ *   enabled  - bool, rules are active
+ *   derived  - per target type (retail, list):
+ *                source - price type the target is calculated from (purchase, retail)
+ *                mode   - "off", "missing" (only when price list has no value) or "always"
+ *   tiers    - ordered list, first matching tier of a target type wins:
+ *                price_type       - target type (retail, list)
+ *                category_ids     - product must be in one of the categories (subcategories included), empty = any
+ *                manufacturer_ids - product manufacturer must be one of these, empty = any
+ *                price_from       - min source price (inclusive), null = no limit
+ *                price_to         - max source price (exclusive), null = no limit
+ *                markup_percent   - target = source * (1 + markup / 100)
+ *   rounding - per target type (retail, list):
+ *                strategy - "none", "up" (next price with ending) or "nearest"
+ *                step     - rounding step, e.g. 100
+ *                ending   - price ending, e.g. 99 gives 1299, 1399 with step 100
+ *              Applies to every retail/list price, derived or taken from the price list.
+ *
+ * Same rules are evaluated in the wizard preview (applyPricingRules), keep both in sync.
+ */
+class PricingRuleService
+{
+    public const MODE_OFF = 'off';
+    public const MODE_MISSING = 'missing';
+    public const MODE_ALWAYS = 'always';
+
+    public const ROUNDING_NONE = 'none';
+    public const ROUNDING_UP = 'up';
+    public const ROUNDING_NEAREST = 'nearest';
+
+    private const TARGET_TYPES = ['retail', 'list'];
+
+    public function isEnabled(array $pricingRules): bool
+    {
+        return !empty($pricingRules['enabled']);
+    }
+
+    /**
+     * Apply flat modifiers of a price template (config.modifiers), they run before pricing rules
+     *
+     * @param array $prices Prices by type (purchase, retail, list)
+     * @param array $modifiers List of ['price_type' => ..., 'modifier_type' => percentage|fixed|none, 'modifier_value' => ...]
+     *
+     * @return array Prices by type
+     */
+    public function applyModifiers(array $prices, array $modifiers): array
+    {
+        foreach ($modifiers as $modifier) {
+            $priceType = $modifier['price_type'] ?? null;
+            $modifierType = $modifier['modifier_type'] ?? 'none';
+            $value = (float) ($modifier['modifier_value'] ?? $modifier['value'] ?? 0);
+
+            if (!$priceType || $modifierType === 'none' || !isset($prices[$priceType]) || $prices[$priceType] === null) {
+                continue;
+            }
+
+            $originalPrice = (float) $prices[$priceType];
+
+            if ($modifierType === 'percentage') {
+                $prices[$priceType] = $originalPrice * (1 + $value / 100);
+            } elseif ($modifierType === 'fixed') {
+                $prices[$priceType] = $originalPrice + $value;
+            }
+
+            // Round to 2 decimals
+            $prices[$priceType] = round($prices[$priceType], 2);
+        }
+
+        return $prices;
+    }
+
+    /**
+     * @param array $prices Prices by type after modifiers (purchase, retail, list)
+     * @param array $currencies Currency ISO codes by price type
+     * @param array $pricingRules Template pricing rules config
+     * @param array $productAttributes Matched product data: ['category_ids' => [...], 'manufacturer_id' => ...]
+     * @param array $currencyFactors Currency factors by ISO code
+     *
+     * @return array Prices by type
+     */
+    public function apply(
+        array $prices,
+        array $currencies,
+        array $pricingRules,
+        array $productAttributes,
+        array $currencyFactors
+    ): array {
+        if (!$this->isEnabled($pricingRules)) {
+            return $prices;
+        }
+
+        foreach (self::TARGET_TYPES as $type) {
+            $derived = $pricingRules['derived'][$type] ?? [];
+            $mode = $derived['mode'] ?? self::MODE_OFF;
+            $sourceType = $derived['source'] ?? 'purchase';
+
+            $shouldDerive = $mode === self::MODE_ALWAYS
+                || ($mode === self::MODE_MISSING && $this->toFloat($prices[$type] ?? null) === null);
+
+            if ($shouldDerive && $sourceType !== $type) {
+                $source = $this->toFloat($prices[$sourceType] ?? null);
+                $tier = $source !== null && $source > 0
+                    ? $this->findTier($pricingRules['tiers'] ?? [], $type, $source, $productAttributes)
+                    : null;
+
+                if ($tier !== null) {
+                    $markup = (float) ($tier['markup_percent'] ?? 0);
+                    $price = $source * (1 + $markup / 100);
+
+                    $prices[$type] = round($this->convert(
+                        $price,
+                        $currencies[$sourceType] ?? null,
+                        $currencies[$type] ?? null,
+                        $currencyFactors
+                    ), 2);
+                }
+            }
+
+            $price = $this->toFloat($prices[$type] ?? null);
+            if ($price !== null) {
+                $prices[$type] = $this->round($price, $pricingRules['rounding'][$type] ?? []);
+            }
+        }
+
+        return $prices;
+    }
+
+    /**
+     * Round price to a psychological ending
+     */
+    public function round(float $price, array $rounding): float
+    {
+        $strategy = $rounding['strategy'] ?? self::ROUNDING_NONE;
+        $step = (float) ($rounding['step'] ?? 0);
+        $ending = (float) ($rounding['ending'] ?? 0);
+
+        if ($strategy === self::ROUNDING_NONE || $step <= 0 || $price <= 0) {
+            return $price;
+        }
+
+        $steps = ($price - $ending) / $step;
+
+        // Epsilon keeps prices that already have the ending from jumping one step up
+        $count = $strategy === self::ROUNDING_NEAREST
+            ? round($steps)
+            : ceil($steps - 1e-9);
+
+        $rounded = round($count * $step + $ending, 2);
+
+        // Nearest rounding must not produce zero or negative prices
+        if ($rounded <= 0) {
+            $rounded = round(ceil($steps - 1e-9) * $step + $ending, 2);
+        }
+
+        return $rounded > 0 ? $rounded : $price;
+    }
+
+    private function findTier(array $tiers, string $type, float $source, array $productAttributes): ?array
+    {
+        $categoryIds = $productAttributes['category_ids'] ?? [];
+        $manufacturerId = $productAttributes['manufacturer_id'] ?? null;
+
+        foreach ($tiers as $tier) {
+            if (($tier['price_type'] ?? null) !== $type) {
+                continue;
+            }
+
+            $tierCategories = $tier['category_ids'] ?? [];
+            if (!empty($tierCategories) && empty(array_intersect($tierCategories, $categoryIds))) {
+                continue;
+            }
+
+            $tierManufacturers = $tier['manufacturer_ids'] ?? [];
+            if (!empty($tierManufacturers) && !in_array($manufacturerId, $tierManufacturers, true)) {
+                continue;
+            }
+
+            $from = $this->toFloat($tier['price_from'] ?? null);
+            $to = $this->toFloat($tier['price_to'] ?? null);
+
+            if (($from !== null && $source < $from) || ($to !== null && $source >= $to)) {
+                continue;
+            }
+
+            return $tier;
+        }
+
+        return null;
+    }
+
+    /**
+     * Convert price between currencies (factor of default currency is 1)
+     */
+    private function convert(float $price, ?string $fromCurrency, ?string $toCurrency, array $currencyFactors): float
+    {
+        if (!$fromCurrency || !$toCurrency || $fromCurrency === $toCurrency) {
+            return $price;
+        }
+
+        $fromFactor = $currencyFactors[$fromCurrency] ?? 1.0;
+        $toFactor = $currencyFactors[$toCurrency] ?? 1.0;
+
+        return $fromFactor > 0 ? $price / $fromFactor * $toFactor : $price;
+    }
+
+    private function toFloat(mixed $value): ?float
+    {
+        if ($value === null || $value === '' || !is_numeric($value)) {
+            return null;
+        }
+
+        return (float) $value;
+    }
+}
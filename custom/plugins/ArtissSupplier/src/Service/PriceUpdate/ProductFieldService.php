@@ -0,0 +1,181 @@
+<?php declare(strict_types=1);
+
+namespace Artiss\Supplier\Service\PriceUpdate;
+
+use Shopware\Core\Framework\Context;
+use Shopware\Core\Framework\DataAbstractionLayer\EntityRepository;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\Criteria;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\Filter\EqualsFilter;
+use Shopware\Core\Framework\Uuid\Uuid;
+
+/**
+ * Product fields taken from optional price list columns
+ *
+ *   delivery_time - product deliveryTimeId, "3-5 днів", "2 weeks" or "14" are matched to a delivery time
+ *                   with the same min, max and unit, a missing one is created with the price list value as name
+ *   min_order_qty - product minPurchase
+ *   pack_size     - product purchaseSteps
+ *   ean           - product ean
+ *   warranty      - shown in the match preview only, products have no warranty field
+ *
+ * Empty values keep the product value.
+ */
+class ProductFieldService
+{
+    public const COLUMN_TYPES = ['delivery_time', 'min_order_qty', 'pack_size', 'ean', 'warranty'];
+
+    /**
+     * Unit of the word right after the last number, matched as a whole word: in "Час доставки 3-5 днів"
+     * only "днів" is checked, so the leading "час" (uk: time) is not taken for hours.
+     * "год" is the Ukrainian hour abbreviation, Russian years are "года" and "лет". Other words are days
+     */
+    private const UNIT_PATTERNS = [
+        'hour' => 'годин\p{L}*|год|час(?:ов|а|у)?|hours?|hrs?|h',
+        'week' => 'тиж\p{L}*|нед\p{L}*|weeks?',
+        'month' => 'міс\p{L}*|мес\p{L}*|months?',
+        'year' => 'рік|рок\p{L}*|года|лет|years?',
+    ];
+
+    public function __construct(
+        private readonly EntityRepository $deliveryTimeRepository
+    ) {
+    }
+
+    /**
+     * Values of the optional columns of a parsed price list row
+     *
+     * @return array [columnType => value]
+     */
+    public function getValues(array $priceData): array
+    {
+        $values = [];
+
+        foreach (self::COLUMN_TYPES as $type) {
+            $values[$type] = $priceData[$type] ?? null;
+        }
+
+        return $values;
+    }
+
+    /**
+     * Delivery time IDs for price list values, missing delivery times are created
+     *
+     * @param string[] $values Delivery time values of the price list
+     *
+     * @return array<string, string> [value => deliveryTimeId], values without a number are left out
+     */
+    public function resolveDeliveryTimes(array $values, Context $context): array
+    {
+        $ids = [];
+        $idsByRange = [];
+
+        foreach (array_unique(array_map('strval', $values)) as $value) {
+            $range = $this->parseDeliveryTime($value);
+            if ($range === null) {
+                continue;
+            }
+
+            // "3-5 днів" and "3-5 дн." share one delivery time
+            $key = implode('|', $range);
+            $idsByRange[$key] ??= $this->findOrCreateDeliveryTime($range, $value, $context);
+            $ids[$value] = $idsByRange[$key];
+        }
+
+        return $ids;
+    }
+
+    /**
+     * Product update payload fields of a match
+     *
+     * @param array $match Match with the optional column values
+     * @param array $deliveryTimeIds Result of resolveDeliveryTimes()
+     */
+    public function toProductUpdate(array $match, array $deliveryTimeIds): array
+    {
+        $update = [];
+
+        $deliveryTime = $match['delivery_time'] ?? null;
+        if ($deliveryTime !== null && isset($deliveryTimeIds[(string) $deliveryTime])) {
+            $update['deliveryTimeId'] = $deliveryTimeIds[(string) $deliveryTime];
+        }
+
+        if (is_numeric($match['min_order_qty'] ?? null)) {
+            $update['minPurchase'] = max(1, (int) $match['min_order_qty']);
+        }
+
+        if (is_numeric($match['pack_size'] ?? null)) {
+            $update['purchaseSteps'] = max(1, (int) $match['pack_size']);
+        }
+
+        if (($match['ean'] ?? null) !== null && $match['ean'] !== '') {
+            $update['ean'] = (string) $match['ean'];
+        }
+
+        return $update;
+    }
+
+    /**
+     * Range of a delivery time value: "3-5 днів" gives 3, 5, day. A single number is min and max
+     *
+     * @return array|null ['min' => int, 'max' => int, 'unit' => string]
+     */
+    public function parseDeliveryTime(string $value): ?array
+    {
+        if (!preg_match_all('/\d+/', $value, $matches)) {
+            return null;
+        }
+
+        $min = (int) $matches[0][0];
+        $max = (int) ($matches[0][1] ?? $min);
+
+        return [
+            'min' => min($min, $max),
+            'max' => max($min, $max),
+            'unit' => $this->detectUnit(mb_strtolower($value)),
+        ];
+    }
+
+    private function detectUnit(string $value): string
+    {
+        if (!preg_match_all('/\d\s*(\p{L}+)/u', $value, $matches)) {
+            return 'day';
+        }
+
+        $word = end($matches[1]);
+
+        foreach (self::UNIT_PATTERNS as $unit => $pattern) {
+            if (preg_match('/^(?:' . $pattern . ')$/u', $word)) {
+                return $unit;
+            }
+        }
+
+        return 'day';
+    }
+
+    private function findOrCreateDeliveryTime(array $range, string $name, Context $context): string
+    {
+        $criteria = new Criteria();
+        $criteria->addFilter(new EqualsFilter('min', $range['min']));
+        $criteria->addFilter(new EqualsFilter('max', $range['max']));
+        $criteria->addFilter(new EqualsFilter('unit', $range['unit']));
+        $criteria->setLimit(1);
+
+        $id = $this->deliveryTimeRepository->searchIds($criteria, $context)->firstId();
+        if ($id !== null) {
+            return $id;
+        }
+
+        $id = Uuid::randomHex();
+        $this->deliveryTimeRepository->create([
+            [
+                'id' => $id,
+                'name' => trim($name),
+                'min' => $range['min'],
+                'max' => $range['max'],
+                'unit' => $range['unit'],
+            ],
+        ], $context);
+
+        return $id;
+    }
+}
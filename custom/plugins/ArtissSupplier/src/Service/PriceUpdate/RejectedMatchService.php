@@ -0,0 +1,171 @@
+<?php declare(strict_types=1);
+
+namespace Artiss\Supplier\Service\PriceUpdate;
+
+use Artiss\Supplier\Core\Content\PriceTemplate\PriceTemplateEntity;
+use Shopware\Core\Content\Product\ProductEntity;
+use Shopware\Core\Framework\Context;
+use Shopware\Core\Framework\DataAbstractionLayer\EntityRepository;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\Criteria;
+
+/**
+ * "Never match" list of the template: product <-> supplier code pairs rejected in the auto-match review
+ *
+ * Stored in rejected_matches as [productId => [['supplier_code', 'supplier_name', 'rejected_at', 'user_id'], ...]].
+ * Auto-match, the match preview and saved detected matches skip rejected pairs, another row may be
+ * suggested for the product instead.
+ * Binding a rejected pair manually removes it from the list.
+ */
+class RejectedMatchService
+{
+    public function __construct(
+        private readonly EntityRepository $priceTemplateRepository,
+        private readonly EntityRepository $productRepository
+    ) {
+    }
+
+    public function rejectMatch(
+        string $templateId,
+        string $productId,
+        string $supplierCode,
+        ?string $supplierName,
+        ?string $userId,
+        Context $context
+    ): void {
+        $template = $this->getTemplate($templateId, $context);
+        $rejected = $template->getRejectedMatches() ?? [];
+
+        if (in_array($supplierCode, array_column($rejected[$productId] ?? [], 'supplier_code'), true)) {
+            return;
+        }
+
+        $rejected[$productId][] = [
+            'supplier_code' => $supplierCode,
+            'supplier_name' => $supplierName,
+            'rejected_at' => (new \DateTime())->format(\DATE_ATOM),
+            'user_id' => $userId,
+        ];
+
+        $this->save($templateId, $rejected, $context);
+    }
+
+    /**
+     * Remove pairs from the list, auto-match may suggest them again
+     *
+     * @param array $pairs List of ['product_id' => ..., 'supplier_code' => ...]
+     *
+     * @return int Number of removed pairs
+     */
+    public function restoreMatches(string $templateId, array $pairs, Context $context): int
+    {
+        $template = $this->getTemplate($templateId, $context);
+        $rejected = $template->getRejectedMatches() ?? [];
+        $removed = 0;
+
+        foreach ($pairs as $pair) {
+            $productId = $pair['product_id'] ?? null;
+            $supplierCode = (string) ($pair['supplier_code'] ?? '');
+
+            if (!$productId || !isset($rejected[$productId])) {
+                continue;
+            }
+
+            $entries = array_values(array_filter(
+                $rejected[$productId],
+                fn(array $entry) => $entry['supplier_code'] !== $supplierCode
+            ));
+
+            $removed += count($rejected[$productId]) - count($entries);
+
+            if (empty($entries)) {
+                unset($rejected[$productId]);
+            } else {
+                $rejected[$productId] = $entries;
+            }
+        }
+
+        if ($removed > 0) {
+            $this->save($templateId, $rejected, $context);
+        }
+
+        return $removed;
+    }
+
+    /**
+     * Rejected pairs with product names, newest first
+     */
+    public function getRejectedMatches(string $templateId, Context $context): array
+    {
+        $template = $this->getTemplate($templateId, $context);
+        $rejected = $template->getRejectedMatches() ?? [];
+
+        if (empty($rejected)) {
+            return [];
+        }
+
+        $products = $this->productRepository->search(new Criteria(array_keys($rejected)), $context)->getEntities();
+
+        $rows = [];
+        foreach ($rejected as $productId => $entries) {
+            /** @var ProductEntity|null $product */
+            $product = $products->get($productId);
+
+            foreach ($entries as $entry) {
+                $rows[] = [
+                    'product_id' => $productId,
+                    'product_name' => $product?->getTranslation('name') ?? $product?->getName(),
+                    'product_number' => $product?->getProductNumber(),
+                    'product_exists' => $product !== null,
+                    'supplier_code' => $entry['supplier_code'],
+                    'supplier_name' => $entry['supplier_name'] ?? null,
+                    'rejected_at' => $entry['rejected_at'] ?? null,
+                    'user_id' => $entry['user_id'] ?? null,
+                ];
+            }
+        }
+
+        usort($rows, fn(array $a, array $b) => strcmp((string) $b['rejected_at'], (string) $a['rejected_at']));
+
+        return $rows;
+    }
+
+    /**
+     * @return array<string, string[]> Rejected supplier codes by product ID
+     */
+    public function getRejectedCodes(PriceTemplateEntity $template): array
+    {
+        return array_map(
+            fn(array $entries) => array_map('strval', array_column($entries, 'supplier_code')),
+            $template->getRejectedMatches() ?? []
+        );
+    }
+
+    /**
+     * @param array<string, string[]> $rejectedCodes Result of getRejectedCodes()
+     */
+    public function isRejected(array $rejectedCodes, string $productId, string $supplierCode): bool
+    {
+        return in_array($supplierCode, $rejectedCodes[$productId] ?? [], true);
+    }
+
+    private function save(string $templateId, array $rejected, Context $context): void
+    {
+        $this->priceTemplateRepository->update([
+            [
+                'id' => $templateId,
+                'rejectedMatches' => empty($rejected) ? null : $rejected,
+            ],
+        ], $context);
+    }
+
+    private function getTemplate(string $templateId, Context $context): PriceTemplateEntity
+    {
+        $template = $this->priceTemplateRepository->search(new Criteria([$templateId]), $context)->first();
+
+        if ($template === null) {
+            throw new \RuntimeException("Price template not found: {$templateId}");
+        }
+
+        return $template;
+    }
+}
@@ -0,0 +1,81 @@
+<?php declare(strict_types=1);
+
+namespace Artiss\Supplier\Service\PriceUpdate;
+
+use PhpOffice\PhpSpreadsheet\IOFactory;
+use PhpOffice\PhpSpreadsheet\Reader\Csv;
+
+/**
+ * Reads uploaded XLSX, XLS or CSV files edited after an export, the first row is the header
+ */
+class SpreadsheetReader
+{
+    /**
+     * @param string $filePath Uploaded file
+     * @param string $extension File extension, uploaded files have none in the path
+     *
+     * @return array ['header' => lowercase column names, 'rows' => list of value lists]
+     */
+    public function read(string $filePath, string $extension): array
+    {
+        $extension = strtolower($extension);
+
+        if ($extension === 'csv') {
+            $reader = new Csv();
+            $reader->setInputEncoding('UTF-8');
+            $reader->setDelimiter($this->detectDelimiter($filePath));
+        } elseif (in_array($extension, ['xlsx', 'xls'], true)) {
+            $reader = IOFactory::createReader(ucfirst($extension));
+            $reader->setReadDataOnly(true);
+        } else {
+            throw new \InvalidArgumentException("Unsupported file type: {$extension}");
+        }
+
+        $spreadsheet = $reader->load($filePath);
+        $data = $spreadsheet->getActiveSheet()->toArray(null, false, false, false);
+        $spreadsheet->disconnectWorksheets();
+
+        if ($extension === 'csv') {
+            $data = array_map(fn(array $row) => array_map($this->unescapeCsvValue(...), $row), $data);
+        }
+
+        $header = array_map(
+            fn($value) => strtolower(trim(str_replace("\xEF\xBB\xBF", '', (string) $value))),
+            array_shift($data) ?? []
+        );
+
+        return [
+            'header' => $header,
+            'rows' => $data,
+        ];
+    }
+
+    /**
+     * Remove the apostrophe PriceExportService puts before text starting with a formula character
+     */
+    private function unescapeCsvValue(mixed $value): mixed
+    {
+        if (!is_string($value) || !str_starts_with($value, "'") || strlen($value) < 2) {
+            return $value;
+        }
+
+        return in_array($value[1], PriceExportService::CSV_FORMULA_CHARACTERS, true) ? substr($value, 1) : $value;
+    }
+
+    private function detectDelimiter(string $filePath): string
+    {
+        $handle = fopen($filePath, 'r');
+        $firstLine = $handle ? (string) fgets($handle) : '';
+        if ($handle) {
+            fclose($handle);
+        }
+
+        $counts = [];
+        foreach ([';', ',', "\t"] as $delimiter) {
+            $counts[$delimiter] = substr_count($firstLine, $delimiter);
+        }
+        arsort($counts);
+
+        return (string) array_key_first($counts);
+    }
+}
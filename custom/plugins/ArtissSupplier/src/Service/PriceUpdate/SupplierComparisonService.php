@@ -0,0 +1,386 @@
+<?php declare(strict_types=1);
+
+namespace Artiss\Supplier\Service\PriceUpdate;
+
+use Artiss\Supplier\Core\Content\PriceTemplate\PriceTemplateEntity;
+use Artiss\Supplier\Service\ExchangeRate\ExchangeRateService;
+use Artiss\Supplier\Service\Parser\ParserRegistry;
+use Shopware\Core\Content\Media\MediaEntity;
+use Shopware\Core\Content\Product\ProductEntity;
+use Shopware\Core\Framework\Context;
+use Shopware\Core\Framework\DataAbstractionLayer\EntityRepository;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\Criteria;
+use Shopware\Core\System\SystemConfig\SystemConfigService;
+
+/**
+ * Compares purchase prices of one product across price templates of different suppliers
+ * and decides which supplier's price gets applied
+ *
+ * An offer is a product matched in a template (matched_products) with a row in the template's
+ * latest price list (selected_media_id). Purchase prices are compared in the default currency,
+ * converted with supplier specific rates.
+ *
+ * Plugin config (ArtissSupplier.config.*):
+ *   bestSupplierPolicy   - "off" (every template writes its prices), "cheapest", "cheapest_in_stock" or "preferred"
+ *   preferredSupplierIds - supplier order for the "preferred" policy
+ */
+class SupplierComparisonService
+{
+    public const POLICY_OFF = 'off';
+    public const POLICY_CHEAPEST = 'cheapest';
+    public const POLICY_CHEAPEST_IN_STOCK = 'cheapest_in_stock';
+    public const POLICY_PREFERRED = 'preferred';
+
+    private const CONFIG_PREFIX = 'ArtissSupplier.config.';
+
+    private const BATCH_SIZE = 100;
+
+    public function __construct(
+        private readonly ParserRegistry $parserRegistry,
+        private readonly EntityRepository $priceTemplateRepository,
+        private readonly EntityRepository $mediaRepository,
+        private readonly EntityRepository $productRepository,
+        private readonly PricingRuleService $pricingRuleService,
+        private readonly ExchangeRateService $exchangeRateService,
+        private readonly SystemConfigService $systemConfigService,
+        private readonly AvailabilityMappingService $availabilityMappingService
+    ) {
+    }
+
+    public function getPolicy(): string
+    {
+        $policy = $this->systemConfigService->getString(self::CONFIG_PREFIX . 'bestSupplierPolicy');
+
+        return in_array($policy, [self::POLICY_CHEAPEST, self::POLICY_CHEAPEST_IN_STOCK, self::POLICY_PREFERRED], true)
+            ? $policy
+            : self::POLICY_OFF;
+    }
+
+    public function isEnabled(): bool
+    {
+        return $this->getPolicy() !== self::POLICY_OFF;
+    }
+
+    /**
+     * Collect offers of all templates for given products
+     *
+     * @param array $productIds Product IDs
+     * @param string|null $excludeTemplateId Template whose offers are built by the caller
+     *
+     * @return array [productId => [offer, ...]]
+     */
+    public function collectOffers(array $productIds, Context $context, ?string $excludeTemplateId = null): array
+    {
+        $productIds = array_flip($productIds);
+        $offers = [];
+
+        foreach ($this->loadTemplates($context) as $template) {
+            if ($template->getId() === $excludeTemplateId) {
+                continue;
+            }
+
+            $matchedProducts = array_intersect_key($template->getMatchedProducts() ?? [], $productIds);
+            if (empty($matchedProducts)) {
+                continue;
+            }
+
+            try {
+                $rowsByCode = $this->getPriceRowsByCode($template, $context);
+            } catch (\Exception $e) {
+                // Template with unreadable price list has no offers
+                continue;
+            }
+
+            foreach ($this->buildTemplateOffers($template, $matchedProducts, $rowsByCode, $context) as $productId => $offer) {
+                $offers[$productId][] = $offer;
+            }
+        }
+
+        return $offers;
+    }
+
+    /**
+     * Build offer of a template for one product from already calculated prices
+     */
+    public function createOffer(
+        PriceTemplateEntity $template,
+        string $supplierCode,
+        mixed $purchasePrice,
+        mixed $availability,
+        Context $context
+    ): array {
+        $currency = $template->getConfig()['price_currencies']['purchase'] ?? null;
+        $price = is_numeric($purchasePrice) ? (float) $purchasePrice : null;
+
+        $factors = $this->exchangeRateService->getSupplierFactors($template->getSupplierId(), $context);
+        $factor = $currency ? ($factors[$currency] ?? 1.0) : 1.0;
+
+        return [
+            'template_id' => $template->getId(),
+            'template_name' => $template->getName(),
+            'supplier_id' => $template->getSupplierId(),
+            'supplier_name' => $template->getSupplier()?->getName(),
+            'supplier_code' => $supplierCode,
+            'purchase_price' => $price,
+            'currency' => $currency,
+            'purchase_price_base' => $price !== null && $factor > 0 ? round($price / $factor, 2) : $price,
+            'availability' => $availability,
+            'in_stock' => $this->isInStock($availability, $template->getConfig()['availability_mapping'] ?? []),
+        ];
+    }
+
+    /**
+     * Pick the offer that should be applied
+     *
+     * @param array $offers Offers of one product
+     * @param string $policy Selection policy
+     * @param string|null $currentSupplierId Supplier currently set on the product, wins ties to avoid flip-flopping
+     *
+     * @return array|null Best offer, null if offers have no comparable prices
+     */
+    public function selectBestOffer(array $offers, string $policy, ?string $currentSupplierId = null): ?array
+    {
+        $candidates = array_values(array_filter($offers, fn(array $offer) => $offer['purchase_price_base'] !== null));
+
+        if ($policy === self::POLICY_OFF || empty($candidates)) {
+            return null;
+        }
+
+        if ($policy !== self::POLICY_CHEAPEST) {
+            // Unknown availability counts as in stock, only explicit zero stock is skipped
+            $inStock = array_values(array_filter($candidates, fn(array $offer) => $offer['in_stock'] !== false));
+            if (!empty($inStock)) {
+                $candidates = $inStock;
+            }
+        }
+
+        $preferred = $policy === self::POLICY_PREFERRED ? $this->getPreferredSupplierIds() : [];
+
+        usort($candidates, function (array $a, array $b) use ($preferred, $currentSupplierId): int {
+            if (!empty($preferred)) {
+                $rankA = $this->getPreferredRank($a['supplier_id'], $preferred);
+                $rankB = $this->getPreferredRank($b['supplier_id'], $preferred);
+
+                if ($rankA !== $rankB) {
+                    return $rankA <=> $rankB;
+                }
+            }
+
+            if ($a['purchase_price_base'] !== $b['purchase_price_base']) {
+                return $a['purchase_price_base'] <=> $b['purchase_price_base'];
+            }
+
+            return ($b['supplier_id'] === $currentSupplierId) <=> ($a['supplier_id'] === $currentSupplierId);
+        });
+
+        return $candidates[0];
+    }
+
+    /**
+     * Cross-template view: offers of every supplier for every matched product
+     *
+     * @param bool $multipleOnly Return only products offered by more than one template
+     * @param string|null $policy Policy used to mark the best offer, defaults to configured policy
+     *
+     * @return array Rows, configured policy and templates that could not be read
+     */
+    public function getComparison(Context $context, bool $multipleOnly = false, ?string $policy = null): array
+    {
+        $configuredPolicy = $this->getPolicy();
+        $policy = $policy ?? $configuredPolicy;
+
+        // Show what the default policy would pick while selection is not enforced
+        if ($policy === self::POLICY_OFF) {
+            $policy = self::POLICY_CHEAPEST_IN_STOCK;
+        }
+
+        $offersByProduct = [];
+        $errors = [];
+
+        foreach ($this->loadTemplates($context) as $template) {
+            $matchedProducts = $template->getMatchedProducts() ?? [];
+            if (empty($matchedProducts)) {
+                continue;
+            }
+
+            try {
+                $rowsByCode = $this->getPriceRowsByCode($template, $context);
+            } catch (\Exception $e) {
+                $errors[] = [
+                    'template_id' => $template->getId(),
+                    'template_name' => $template->getName(),
+                    'error' => $e->getMessage(),
+                ];
+                continue;
+            }
+
+            foreach ($this->buildTemplateOffers($template, $matchedProducts, $rowsByCode, $context) as $productId => $offer) {
+                $offersByProduct[$productId][] = $offer;
+            }
+        }
+
+        if ($multipleOnly) {
+            $offersByProduct = array_filter($offersByProduct, fn(array $offers) => count($offers) > 1);
+        }
+
+        $rows = [];
+
+        foreach (array_chunk(array_keys($offersByProduct), self::BATCH_SIZE) as $productIds) {
+            $products = $this->productRepository->search(new Criteria($productIds), $context);
+
+            foreach ($productIds as $productId) {
+                /** @var ProductEntity|null $product */
+                $product = $products->get($productId);
+                if ($product === null) {
+                    continue;
+                }
+
+                $customFields = $product->getCustomFields() ?? [];
+                $currentSupplierId = $customFields['product_supplier_id'] ?? null;
+                $offers = $offersByProduct[$productId];
+
+                usort($offers, fn(array $a, array $b) => ($a['purchase_price_base'] ?? PHP_FLOAT_MAX) <=> ($b['purchase_price_base'] ?? PHP_FLOAT_MAX));
+
+                $best = $this->selectBestOffer($offers, $policy, $currentSupplierId);
+
+                $rows[] = [
+                    'product_id' => $productId,
+                    'product_number' => $product->getProductNumber(),
+                    'product_name' => $product->getTranslation('name') ?? $product->getName(),
+                    'current_supplier_id' => $currentSupplierId,
+                    'current_purchase_price' => $customFields['purchase_price_value'] ?? null,
+                    'current_purchase_currency' => $customFields['purchase_price_currency'] ?? null,
+                    'offers' => $offers,
+                    'best_template_id' => $best['template_id'] ?? null,
+                    'best_supplier_id' => $best['supplier_id'] ?? null,
+                ];
+            }
+        }
+
+        usort($rows, fn(array $a, array $b) => strcmp((string) $a['product_name'], (string) $b['product_name']));
+
+        return [
+            'policy' => $policy,
+            'enforced' => $configuredPolicy !== self::POLICY_OFF,
+            'default_currency' => $this->exchangeRateService->getDefaultCurrencyIsoCode($context),
+            'rows' => $rows,
+            'errors' => $errors,
+        ];
+    }
+
+    private function getPreferredSupplierIds(): array
+    {
+        $ids = $this->systemConfigService->get(self::CONFIG_PREFIX . 'preferredSupplierIds');
+
+        return is_array($ids) ? array_values($ids) : [];
+    }
+
+    private function getPreferredRank(?string $supplierId, array $preferred): int
+    {
+        $rank = array_search($supplierId, $preferred, true);
+
+        return $rank === false ? count($preferred) : $rank;
+    }
+
+    /**
+     * @param array $matchedProducts [productId => supplierCode]
+     * @param array $rowsByCode Parsed price list rows by supplier code
+     *
+     * @return array [productId => offer]
+     */
+    private function buildTemplateOffers(
+        PriceTemplateEntity $template,
+        array $matchedProducts,
+        array $rowsByCode,
+        Context $context
+    ): array {
+        $modifiers = $template->getConfig()['modifiers'] ?? [];
+        $offers = [];
+
+        foreach ($matchedProducts as $productId => $supplierCode) {
+            $row = $rowsByCode[$supplierCode] ?? null;
+            if ($row === null) {
+                continue;
+            }
+
+            // Supplier discounts are configured as modifiers, compare prices after them
+            $prices = $this->pricingRuleService->applyModifiers(
+                ['purchase' => $row['purchase_price'] ?? null],
+                $modifiers
+            );
+
+            $offers[$productId] = $this->createOffer(
+                $template,
+                (string) $supplierCode,
+                $prices['purchase'],
+                $row['availability'] ?? null,
+                $context
+            );
+        }
+
+        return $offers;
+    }
+
+    /**
+     * Parse latest price list of a template
+     *
+     * @return array [supplierCode => row]
+     */
+    private function getPriceRowsByCode(PriceTemplateEntity $template, Context $context): array
+    {
+        $config = $template->getConfig() ?? [];
+        $mediaId = $config['selected_media_id'] ?? null;
+
+        if (!$mediaId || empty($config['column_mapping'])) {
+            return [];
+        }
+
+        /** @var MediaEntity|null $media */
+        $media = $this->mediaRepository->search(new Criteria([$mediaId]), $context)->first();
+        if ($media === null) {
+            throw new \RuntimeException("Media not found: {$mediaId}");
+        }
+
+        $rows = $this->parserRegistry->parse($media, [
+            'start_row' => $config['start_row'] ?? 2,
+            'column_mapping' => $config['column_mapping'],
+            'sheet' => $config['sheet'] ?? null,
+        ]);
+
+        $rowsByCode = [];
+        foreach ($rows as $row) {
+            if (!empty($row['code'])) {
+                $rowsByCode[$row['code']] = $row;
+            }
+        }
+
+        return $rowsByCode;
+    }
+
+    /**
+     * @return PriceTemplateEntity[]
+     */
+    private function loadTemplates(Context $context): array
+    {
+        $criteria = new Criteria();
+        $criteria->addAssociation('supplier');
+
+        return $this->priceTemplateRepository->search($criteria, $context)->getElements();
+    }
+
+    private function isInStock(mixed $availability, array $availabilityMapping): ?bool
+    {
+        // Mapped values like "+" or "під замовлення" are in stock when they give a positive stock
+        if ($this->availabilityMappingService->isEnabled($availabilityMapping)) {
+            $stock = $this->availabilityMappingService->resolve($availability, $availabilityMapping)['stock'];
+
+            return $stock !== null ? $stock > 0 : null;
+        }
+
+        if (!is_numeric($availability)) {
+            return null;
+        }
+
+        return (float) $availability > 0;
+    }
+}
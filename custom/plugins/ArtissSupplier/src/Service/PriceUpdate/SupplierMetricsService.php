@@ -0,0 +1,398 @@
+<?php declare(strict_types=1);
+
+namespace Artiss\Supplier\Service\PriceUpdate;
+
+use Artiss\Supplier\Core\Content\DiscontinuedProduct\DiscontinuedProductEntity;
+use Artiss\Supplier\Core\Content\PriceChangeset\Aggregate\PriceChangesetItem\PriceChangesetItemEntity;
+use Artiss\Supplier\Core\Content\PriceChangeset\PriceChangesetEntity;
+use Artiss\Supplier\Core\Content\PriceTemplate\PriceTemplateEntity;
+use Artiss\Supplier\Core\Content\Supplier\SupplierEntity;
+use Shopware\Core\Content\Media\MediaEntity;
+use Shopware\Core\Framework\Context;
+use Shopware\Core\Framework\DataAbstractionLayer\EntityRepository;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\Aggregation\Bucket\TermsAggregation;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\Aggregation\Metric\MaxAggregation;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\AggregationResult\Bucket\TermsResult;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\AggregationResult\Metric\MaxResult;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\Criteria;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\Filter\EqualsAnyFilter;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\Filter\EqualsFilter;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\Filter\MultiFilter;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\Filter\RangeFilter;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\Sorting\FieldSorting;
+use Shopware\Core\System\SystemConfig\SystemConfigService;
+
+/**
+ * Price list freshness and coverage per supplier
+ *
+ *   last_upload_at   - newest price list file of the supplier's templates
+ *   last_applied_at  - last price apply of the supplier's templates
+ *   coverage         - % of products with product_supplier_id of the supplier that are mapped
+ *                      in a template and were not missing in the last applied price list
+ *   pending/unmatched_rows - counts stored by the last match preview of the selected price list,
+ *                      stats_outdated is set when a template's price list changed after that preview
+ *   avg_price_change - average purchase price change in % of the last apply run that was not reverted
+ *
+ * Counts are aggregated for all requested suppliers at once, the supplier list requests its current page.
+ * A supplier is stale when no price list was uploaded within ArtissSupplier.config.supplierStaleDays.
+ */
+class SupplierMetricsService
+{
+    private const CONFIG_STALE_DAYS = 'ArtissSupplier.config.supplierStaleDays';
+    private const DEFAULT_STALE_DAYS = 14;
+
+    public function __construct(
+        private readonly EntityRepository $supplierRepository,
+        private readonly EntityRepository $priceTemplateRepository,
+        private readonly EntityRepository $mediaRepository,
+        private readonly EntityRepository $productRepository,
+        private readonly EntityRepository $changesetRepository,
+        private readonly EntityRepository $changesetItemRepository,
+        private readonly EntityRepository $discontinuedProductRepository,
+        private readonly SystemConfigService $systemConfigService
+    ) {
+    }
+
+    public function getStaleDays(): int
+    {
+        $staleDays = $this->systemConfigService->getInt(self::CONFIG_STALE_DAYS);
+
+        return $staleDays > 0 ? $staleDays : self::DEFAULT_STALE_DAYS;
+    }
+
+    /**
+     * Metrics of given suppliers, all suppliers when no IDs are passed
+     *
+     * @param string[] $supplierIds Supplier IDs
+     *
+     * @return array ['suppliers' => [supplierId => metrics], 'stale_days' => int]
+     */
+    public function getMetrics(array $supplierIds, Context $context): array
+    {
+        $criteria = new Criteria(empty($supplierIds) ? null : array_values($supplierIds));
+        $criteria->addSorting(new FieldSorting('name', FieldSorting::ASCENDING));
+        $suppliers = $this->supplierRepository->search($criteria, $context)->getEntities();
+
+        if ($suppliers->count() === 0) {
+            return ['suppliers' => [], 'stale_days' => $this->getStaleDays()];
+        }
+
+        $templates = $this->loadTemplates($suppliers->getIds(), $context);
+        $uploadDates = $this->loadUploadDates($templates, $context);
+        $staleBefore = new \DateTime(sprintf('-%d days', $this->getStaleDays()));
+
+        $mappedProductIds = [];
+        foreach ($templates as $template) {
+            foreach (array_keys($template->getMatchedProducts() ?? []) as $productId) {
+                $mappedProductIds[$template->getSupplierId()][$productId] = true;
+            }
+        }
+
+        $coverages = $this->loadCoverages(array_values($suppliers->getIds()), $mappedProductIds, $context);
+        $lastRuns = $this->loadLastRuns(array_values($suppliers->getIds()), $context);
+
+        $metrics = [];
+
+        /** @var SupplierEntity $supplier */
+        foreach ($suppliers as $supplier) {
+            $supplierTemplates = array_filter(
+                $templates,
+                fn(PriceTemplateEntity $template) => $template->getSupplierId() === $supplier->getId()
+            );
+
+            $lastUploadAt = null;
+            $lastAppliedAt = null;
+            $pending = 0;
+            $unmatchedRows = 0;
+            $statsOutdated = false;
+
+            foreach ($supplierTemplates as $template) {
+                $config = $template->getConfig() ?? [];
+                $mediaId = $config['selected_media_id'] ?? null;
+
+                $lastUploadAt = $this->maxDate($lastUploadAt, $template->getLastImportMediaUpdatedAt());
+                $lastUploadAt = $this->maxDate($lastUploadAt, $mediaId ? ($uploadDates[$mediaId] ?? null) : null);
+                $lastAppliedAt = $this->maxDate($lastAppliedAt, $template->getAppliedAt());
+
+                if (!$mediaId) {
+                    continue;
+                }
+
+                $matchStats = $template->getMatchStats();
+                if ($matchStats === null || ($matchStats['media_id'] ?? null) !== $mediaId) {
+                    $statsOutdated = true;
+                    continue;
+                }
+
+                $pending += (int) ($matchStats['pending'] ?? 0);
+                $unmatchedRows += (int) ($matchStats['unmatched_rows'] ?? 0);
+            }
+
+            $coverage = $coverages[$supplier->getId()];
+            $lastRun = $lastRuns[$supplier->getId()] ?? ['created_at' => null, 'avg_price_change' => null];
+
+            $metrics[$supplier->getId()] = [
+                'supplier_id' => $supplier->getId(),
+                'supplier_name' => $supplier->getName(),
+                'template_count' => count($supplierTemplates),
+                'last_upload_at' => $lastUploadAt?->format(\DATE_ATOM),
+                'last_applied_at' => $lastAppliedAt?->format(\DATE_ATOM),
+                'products_total' => $coverage['total'],
+                'products_covered' => $coverage['covered'],
+                'coverage' => $coverage['total'] > 0
+                    ? round($coverage['covered'] / $coverage['total'] * 100, 1)
+                    : null,
+                'pending' => $pending,
+                'unmatched_rows' => $unmatchedRows,
+                'stats_outdated' => $statsOutdated,
+                'last_run_at' => $lastRun['created_at'],
+                'avg_price_change' => $lastRun['avg_price_change'],
+                'is_stale' => $lastUploadAt === null || $lastUploadAt < $staleBefore,
+            ];
+        }
+
+        return [
+            'suppliers' => $metrics,
+            'stale_days' => $this->getStaleDays(),
+        ];
+    }
+
+    /**
+     * @return PriceTemplateEntity[]
+     */
+    private function loadTemplates(array $supplierIds, Context $context): array
+    {
+        $criteria = new Criteria();
+        $criteria->addFilter(new EqualsAnyFilter('supplierId', array_values($supplierIds)));
+
+        return array_values($this->priceTemplateRepository->search($criteria, $context)->getElements());
+    }
+
+    /**
+     * Upload dates of the selected price list files
+     *
+     * @param PriceTemplateEntity[] $templates
+     *
+     * @return array<string, \DateTimeInterface> [mediaId => uploaded at]
+     */
+    private function loadUploadDates(array $templates, Context $context): array
+    {
+        $mediaIds = array_values(array_unique(array_filter(array_map(
+            fn(PriceTemplateEntity $template) => $template->getConfig()['selected_media_id'] ?? null,
+            $templates
+        ))));
+
+        if (empty($mediaIds)) {
+            return [];
+        }
+
+        $dates = [];
+
+        /** @var MediaEntity $media */
+        foreach ($this->mediaRepository->search(new Criteria($mediaIds), $context) as $media) {
+            $date = $media->getUploadedAt() ?? $media->getCreatedAt();
+            if ($date !== null) {
+                $dates[$media->getId()] = $date;
+            }
+        }
+
+        return $dates;
+    }
+
+    /**
+     * Supplier products and those mapped to a row of the current price list
+     *
+     * @param string[] $supplierIds
+     * @param array<string, array<string, true>> $mappedProductIds [supplierId => [productId => true]]
+     *
+     * @return array<string, array> [supplierId => ['total' => int, 'covered' => int]]
+     */
+    private function loadCoverages(array $supplierIds, array $mappedProductIds, Context $context): array
+    {
+        $criteria = new Criteria();
+        $criteria->addFilter(new EqualsAnyFilter('customFields.product_supplier_id', $supplierIds));
+        $totals = $this->countProductsBySupplier($criteria, $context);
+
+        // Mapped products missing in the last applied price list are not covered
+        $missingCriteria = new Criteria();
+        $missingCriteria->addFilter(new EqualsAnyFilter('supplierId', $supplierIds));
+
+        $missing = [];
+
+        /** @var DiscontinuedProductEntity $row */
+        foreach ($this->discontinuedProductRepository->search($missingCriteria, $context) as $row) {
+            $missing[$row->getSupplierId()][$row->getProductId()] = true;
+        }
+
+        // Products of the supplier mapped in one of its templates, one OR branch per supplier
+        $coveredFilters = [];
+        foreach ($mappedProductIds as $supplierId => $productIds) {
+            $coveredIds = array_keys(array_diff_key($productIds, $missing[$supplierId] ?? []));
+
+            if (empty($coveredIds) || ($totals[$supplierId] ?? 0) === 0) {
+                continue;
+            }
+
+            $coveredFilters[] = new MultiFilter(MultiFilter::CONNECTION_AND, [
+                new EqualsFilter('customFields.product_supplier_id', $supplierId),
+                new EqualsAnyFilter('id', $coveredIds),
+            ]);
+        }
+
+        $covered = [];
+        if (!empty($coveredFilters)) {
+            $criteria = new Criteria();
+            $criteria->addFilter(new MultiFilter(MultiFilter::CONNECTION_OR, $coveredFilters));
+            $covered = $this->countProductsBySupplier($criteria, $context);
+        }
+
+        $coverages = [];
+        foreach ($supplierIds as $supplierId) {
+            $coverages[$supplierId] = [
+                'total' => $totals[$supplierId] ?? 0,
+                'covered' => $covered[$supplierId] ?? 0,
+            ];
+        }
+
+        return $coverages;
+    }
+
+    /**
+     * @return array<string, int> [supplierId => product count]
+     */
+    private function countProductsBySupplier(Criteria $criteria, Context $context): array
+    {
+        $criteria->addAggregation(new TermsAggregation('suppliers', 'customFields.product_supplier_id'));
+
+        /** @var TermsResult $result */
+        $result = $this->productRepository->aggregate($criteria, $context)->get('suppliers');
+
+        $counts = [];
+        foreach ($result->getBuckets() as $bucket) {
+            $counts[(string) $bucket->getKey()] = $bucket->getCount();
+        }
+
+        return $counts;
+    }
+
+    /**
+     * Date and average purchase price change of each supplier's last apply run, reverted runs are left out
+     *
+     * @param string[] $supplierIds
+     *
+     * @return array<string, array> [supplierId => ['created_at' => ?string, 'avg_price_change' => ?float]]
+     */
+    private function loadLastRuns(array $supplierIds, Context $context): array
+    {
+        $criteria = new Criteria();
+        $criteria->addFilter(new EqualsAnyFilter('priceTemplate.supplierId', $supplierIds));
+        $criteria->addFilter(new EqualsFilter('revertedAt', null));
+        $criteria->addAggregation(new TermsAggregation(
+            'suppliers',
+            'priceTemplate.supplierId',
+            null,
+            null,
+            new MaxAggregation('last_run', 'createdAt')
+        ));
+
+        /** @var TermsResult $result */
+        $result = $this->changesetRepository->aggregate($criteria, $context)->get('suppliers');
+
+        $runFilters = [];
+        foreach ($result->getBuckets() as $bucket) {
+            /** @var MaxResult $lastRun */
+            $lastRun = $bucket->getResult();
+
+            $runFilters[] = new MultiFilter(MultiFilter::CONNECTION_AND, [
+                new EqualsFilter('priceTemplate.supplierId', $bucket->getKey()),
+                new RangeFilter('createdAt', [RangeFilter::GTE => $lastRun->getMax()]),
+            ]);
+        }
+
+        if (empty($runFilters)) {
+            return [];
+        }
+
+        $criteria = new Criteria();
+        $criteria->addFilter(new EqualsFilter('revertedAt', null));
+        $criteria->addFilter(new MultiFilter(MultiFilter::CONNECTION_OR, $runFilters));
+        $criteria->addAssociation('priceTemplate');
+        $criteria->addSorting(new FieldSorting('createdAt', FieldSorting::DESCENDING));
+
+        $changesets = [];
+
+        /** @var PriceChangesetEntity $changeset */
+        foreach ($this->changesetRepository->search($criteria, $context) as $changeset) {
+            $supplierId = $changeset->getPriceTemplate()?->getSupplierId();
+
+            if ($supplierId !== null && !isset($changesets[$supplierId])) {
+                $changesets[$supplierId] = $changeset;
+            }
+        }
+
+        $changes = $this->loadPurchasePriceChanges(
+            array_values(array_map(fn(PriceChangesetEntity $changeset) => $changeset->getId(), $changesets)),
+            $context
+        );
+
+        $lastRuns = [];
+        foreach ($changesets as $supplierId => $changeset) {
+            $runChanges = $changes[$changeset->getId()] ?? [];
+
+            $lastRuns[$supplierId] = [
+                'created_at' => $changeset->getCreatedAt()?->format(\DATE_ATOM),
+                'avg_price_change' => empty($runChanges) ? null : round(array_sum($runChanges) / count($runChanges), 2),
+            ];
+        }
+
+        return $lastRuns;
+    }
+
+    /**
+     * Purchase price changes in % of the changeset items
+     *
+     * @param string[] $changesetIds
+     *
+     * @return array<string, float[]> [changesetId => changes]
+     */
+    private function loadPurchasePriceChanges(array $changesetIds, Context $context): array
+    {
+        $criteria = new Criteria();
+        $criteria->addFilter(new EqualsAnyFilter('changesetId', $changesetIds));
+
+        $changes = [];
+
+        /** @var PriceChangesetItemEntity $item */
+        foreach ($this->changesetItemRepository->search($criteria, $context) as $item) {
+            $old = $item->getOldValues() ?? [];
+            $new = $item->getNewValues() ?? [];
+
+            if (!is_numeric($old['purchase_price_value'] ?? null) || !is_numeric($new['purchase_price_value'] ?? null)) {
+                continue;
+            }
+
+            // Prices in different currencies are not comparable
+            if (($old['purchase_price_currency'] ?? null) !== ($new['purchase_price_currency'] ?? null)) {
+                continue;
+            }
+
+            $oldValue = (float) $old['purchase_price_value'];
+            if ($oldValue <= 0) {
+                continue;
+            }
+
+            $changes[$item->getChangesetId()][] = ((float) $new['purchase_price_value'] - $oldValue) / $oldValue * 100;
+        }
+
+        return $changes;
+    }
+
+    private function maxDate(?\DateTimeInterface $a, ?\DateTimeInterface $b): ?\DateTimeInterface
+    {
+        if ($a === null) {
+            return $b;
+        }
+
+        return $b !== null && $b > $a ? $b : $a;
+    }
+}
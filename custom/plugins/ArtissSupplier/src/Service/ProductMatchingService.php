@@ -2,175 +2,113 @@
 
 namespace Artiss\Supplier\Service;
 
+use Artiss\Supplier\Service\Matching\EanStrategy;
+use Artiss\Supplier\Service\Matching\ExactCodeStrategy;
+use Artiss\Supplier\Service\Matching\ManufacturerNumberStrategy;
+use Artiss\Supplier\Service\Matching\MatchingStrategyInterface;
+use Artiss\Supplier\Service\Matching\TokenStrategy;
 use Shopware\Core\Content\Product\ProductCollection;
 
+/**
+ * Suggests a price list row for each product using the selected matching strategies
+ *
+ * Every strategy proposes its best row, the highest score wins. On equal scores the strategy
+ * listed first wins, so the order of the template's matching_strategies is the priority.
+ * Rejected product <-> supplier code pairs are skipped, the strategies suggest their next best row instead.
+ */
 class ProductMatchingService
 {
-    public function matchProducts(
-        array $priceListItems,
-        ProductCollection $products
-    ): array {
-        $results = [];
+    public const DEFAULT_STRATEGIES = [
+        ExactCodeStrategy::NAME,
+        EanStrategy::NAME,
+        ManufacturerNumberStrategy::NAME,
+        TokenStrategy::NAME,
+    ];
 
-        $priceList = [];
-        foreach ($priceListItems as $priceItem) {
-            if (empty($priceItem['name'])) {
-                continue;
-            }
-
-            $normalized = $this->normalize($priceItem['name']);
-
-            $priceList[] = [
-                'item' => $priceItem,
-                'priceString' => str_replace(' ', '', $normalized),
-            ];
-        }
-
-        foreach ($products as $product) {
-            $name = $product->getTranslation('name');
-            if (!$name) {
-                continue;
-            }
+    /**
+     * @var array<string, MatchingStrategyInterface>
+     */
+    private array $strategies = [];
 
-            $normalized = $this->normalize($name);
-            $tokens = $this->tokenize($normalized);
-
-            $match = $this->findBestMatchInPriceList($tokens, $priceList);
-
-            if ($match !== null) {
-                $results[] = [
-                    'price_item' => $match['price_item'],
-                    'match' => [
-                        'product_id' => $product->getId(),
-                        'product_name' => $name,
-                        'product_number' => $product->getProductNumber(),
-                        'matched_tokens' => $match['matched_tokens'],
-                        'original_tokens_count' => count($tokens),
-                        'level' => $match['level'],
-                    ],
-                ];
-            }
+    /**
+     * @param iterable<MatchingStrategyInterface> $strategies
+     */
+    public function __construct(iterable $strategies)
+    {
+        foreach ($strategies as $strategy) {
+            $this->strategies[$strategy->getName()] = $strategy;
         }
-
-        return $results;
     }
 
-    private function findBestMatchInPriceList(array $catalogTokens, array $priceList): ?array
+    /**
+     * @return string[]
+     */
+    public function getStrategyNames(): array
     {
-        $originalTokensCount = count($catalogTokens);
-        $maxMatches = 0;
-        $candidates = [];
-
-        foreach ($priceList as $priceItem) {
-            $matched = $this->countMatches($catalogTokens, $priceItem['priceString']);
-
-            if ($matched > $maxMatches) {
-                $maxMatches = $matched;
-                $candidates = [$priceItem];
-            } elseif ($matched === $maxMatches && $matched > 0) {
-                $candidates[] = $priceItem;
+        return array_keys($this->strategies);
+    }
+
+    /**
+     * @param string[] $strategyNames Strategies in priority order, unknown names are skipped
+     * @param array<string, string[]> $rejectedCodes Supplier codes never suggested for a product [productId => codes]
+     *
+     * @return array List of ['price_item' => ..., 'match' => [product_id, product_name, product_number,
+     *               strategy, score, explanation]]
+     */
+    public function matchProducts(
+        array $priceListItems,
+        ProductCollection $products,
+        array $strategyNames = self::DEFAULT_STRATEGIES,
+        array $rejectedCodes = []
+    ): array {
+        $strategies = [];
+        foreach (array_unique($strategyNames) as $name) {
+            if (isset($this->strategies[$name])) {
+                $strategies[$name] = $this->strategies[$name];
             }
         }
 
-        if (empty($candidates)) {
-            return null;
+        if (empty($strategies)) {
+            throw new \RuntimeException('No valid matching strategies selected');
         }
 
-        if (count($candidates) === 1) {
-            return [
-                'price_item' => $candidates[0]['item'],
-                'matched_tokens' => $maxMatches,
-                'level' => 0,
-            ];
+        $indexes = [];
+        foreach ($strategies as $name => $strategy) {
+            $indexes[$name] = $strategy->buildIndex($priceListItems);
         }
 
-        $level = 1;
-
-        while (count($candidates) > 1 && $level < $originalTokensCount) {
-            $compositeTokens = $this->generateCompositeTokens($catalogTokens, $level);
-
-            if (empty($compositeTokens)) {
-                break;
-            }
+        $results = [];
 
-            $maxMatchesLevel = 0;
-            $newCandidates = [];
+        foreach ($products as $product) {
+            $best = null;
+            $bestStrategy = null;
 
-            foreach ($candidates as $candidate) {
-                $matched = $this->countMatches($compositeTokens, $candidate['priceString']);
+            foreach ($strategies as $name => $strategy) {
+                $match = $strategy->match($product, $indexes[$name], $rejectedCodes[$product->getId()] ?? []);
 
-                if ($matched > $maxMatchesLevel) {
-                    $maxMatchesLevel = $matched;
-                    $newCandidates = [$candidate];
-                } elseif ($matched === $maxMatchesLevel && $matched > 0) {
-                    $newCandidates[] = $candidate;
+                if ($match !== null && ($best === null || $match['score'] > $best['score'])) {
+                    $best = $match;
+                    $bestStrategy = $name;
                 }
             }
 
-            if (empty($newCandidates)) {
-                break;
+            if ($best === null) {
+                continue;
             }
 
-            $candidates = $newCandidates;
-            $level++;
-        }
-
-        return [
-            'price_item' => $candidates[0]['item'],
-            'matched_tokens' => $maxMatches,
-            'level' => $level - 1,
-        ];
-    }
-
-    private function generateCompositeTokens(array $tokens, int $level): array
-    {
-        $size = $level + 1;
-
-        if ($size > count($tokens)) {
-            return [];
-        }
-
-        $result = [];
-        for ($i = 0; $i <= count($tokens) - $size; $i++) {
-            $result[] = implode('', array_slice($tokens, $i, $size));
-        }
-
-        return $result;
-    }
-
-    /**
-     * Подсчёт совпадений токенов в строке прайса
-     */
-    private function countMatches(array $tokens, string $haystack): int
-    {
-        $count = 0;
-
-        foreach ($tokens as $token) {
-            if ($token !== '' && str_contains($haystack, $token)) {
-                $count++;
-            }
+            $results[] = [
+                'price_item' => $best['price_item'],
+                'match' => [
+                    'product_id' => $product->getId(),
+                    'product_name' => $product->getTranslation('name') ?? $product->getName(),
+                    'product_number' => $product->getProductNumber(),
+                    'strategy' => $bestStrategy,
+                    'score' => $best['score'],
+                    'explanation' => $best['explanation'],
+                ],
+            ];
         }
 
-        return $count;
-    }
-
-    /**
-     * Нормализация строки
-     */
-    private function normalize(string $value): string
-    {
-        $value = mb_strtolower($value, 'UTF-8');
-        $value = preg_replace('/[^a-zа-я0-9]+/u', ' ', $value);
-        $value = preg_replace('/\s+/', ' ', $value);
-
-        return trim($value);
-    }
-
-    /**
-     * Токенизация (разбиение по пробелу)
-     */
-    private function tokenize(string $value): array
-    {
-        return array_values(array_filter(explode(' ', $value)));
+        return $results;
     }
 }
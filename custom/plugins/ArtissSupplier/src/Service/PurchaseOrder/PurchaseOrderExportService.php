@@ -0,0 +1,241 @@
+<?php declare(strict_types=1);
+
+namespace Artiss\Supplier\Service\PurchaseOrder;
+
+use Artiss\Supplier\Core\Content\PurchaseOrder\Aggregate\PurchaseOrderItem\PurchaseOrderItemEntity;
+use Artiss\Supplier\Core\Content\PurchaseOrder\PurchaseOrderEntity;
+use Artiss\Supplier\Service\PriceUpdate\PriceExportService;
+use Dompdf\Dompdf;
+use Dompdf\Options;
+use Shopware\Core\Framework\Context;
+use Shopware\Core\System\SystemConfig\SystemConfigService;
+use Symfony\Component\Mime\Address;
+use Symfony\Component\Mime\Email;
+
+/**
+ * Purchase order as a file for the supplier
+ *
+ *   xlsx, csv - item table
+ *   pdf       - order document with supplier, date, items, totals and comment
+ *   eml       - unsent e-mail to the supplier (supplier_contacts_email) with the XLSX attached,
+ *               opens as a draft in the mail client
+ *
+ * Column headers and document texts come translated from the admin, like the price exports.
+ */
+class PurchaseOrderExportService
+{
+    public const FORMAT_PDF = 'pdf';
+    public const FORMAT_EML = 'eml';
+
+    private const PROPERTIES = [
+        'product_number',
+        'product_name',
+        'supplier_code',
+        'quantity',
+        'purchase_price',
+        'currency',
+        'amount',
+    ];
+
+    private const CONFIG_SHOP_EMAIL = 'core.basicInformation.email';
+
+    public function __construct(
+        private readonly PurchaseOrderService $purchaseOrderService,
+        private readonly PriceExportService $priceExportService,
+        private readonly SystemConfigService $systemConfigService
+    ) {
+    }
+
+    /**
+     * @param array $columns List of ['property' => ..., 'label' => ...]
+     * @param array $texts Translated texts: title, supplier, date, total, comment, subject, body
+     *
+     * @return array ['content' => file content, 'file_name' => ..., 'content_type' => ...]
+     */
+    public function export(string $orderId, string $format, array $columns, array $texts, Context $context): array
+    {
+        $order = $this->purchaseOrderService->loadOrder($orderId, $context);
+        $columns = $this->normalizeColumns($columns);
+        $baseName = sprintf('purchase-order-%s', $order->getOrderNumber());
+
+        return match ($format) {
+            self::FORMAT_PDF => [
+                'content' => $this->writePdf($order, $columns, $texts),
+                'file_name' => $baseName . '.pdf',
+                'content_type' => 'application/pdf',
+            ],
+            self::FORMAT_EML => [
+                'content' => $this->writeEml($order, $columns, $texts),
+                'file_name' => $baseName . '.eml',
+                'content_type' => 'message/rfc822',
+            ],
+            default => $this->priceExportService->writeFile(
+                array_column($columns, 'label'),
+                $this->getRows($order, $columns),
+                $format,
+                $baseName
+            ),
+        };
+    }
+
+    private function writePdf(PurchaseOrderEntity $order, array $columns, array $texts): string
+    {
+        $esc = fn(mixed $value) => htmlspecialchars((string) $value, ENT_QUOTES, 'UTF-8');
+
+        $head = implode('', array_map(fn(array $column) => '<th>' . $esc($column['label']) . '</th>', $columns));
+        $body = '';
+        foreach ($this->getRows($order, $columns) as $row) {
+            $body .= '<tr>' . implode('', array_map(fn($value) => '<td>' . $esc($value) . '</td>', $row)) . '</tr>';
+        }
+
+        $totals = '';
+        foreach ($order->getTotals() ?? [] as $currency => $amount) {
+            $totals .= sprintf(
+                '<p class="total">%s: %s %s</p>',
+                $esc($texts['total'] ?? 'Total'),
+                $esc(number_format((float) $amount, 2, '.', ' ')),
+                $esc($currency)
+            );
+        }
+
+        $comment = $order->getComment()
+            ? sprintf('<p><strong>%s:</strong> %s</p>', $esc($texts['comment'] ?? 'Comment'), nl2br($esc($order->getComment())))
+            : '';
+
+        // DejaVu Sans ships with dompdf and covers Cyrillic
+        $html = <<<HTML
+<html>
+<head>
+<meta charset="UTF-8">
+<style>
+    body { font-family: "DejaVu Sans", sans-serif; font-size: 10px; }
+    h1 { font-size: 16px; }
+    table { width: 100%; border-collapse: collapse; margin: 12px 0; }
+    th, td { border: 1px solid #999; padding: 4px; text-align: left; }
+    th { background: #eee; }
+    .total { font-weight: bold; text-align: right; }
+</style>
+</head>
+<body>
+    <h1>{$esc($texts['title'] ?? 'Purchase order')} {$esc($order->getOrderNumber())}</h1>
+    <p>{$esc($texts['supplier'] ?? 'Supplier')}: {$esc($order->getSupplier()?->getName())}</p>
+    <p>{$esc($texts['date'] ?? 'Date')}: {$esc(($order->getCreatedAt() ?? new \DateTime())->format('d.m.Y'))}</p>
+    <table>
+        <thead><tr>{$head}</tr></thead>
+        <tbody>{$body}</tbody>
+    </table>
+    {$totals}
+    {$comment}
+</body>
+</html>
+HTML;
+
+        $options = new Options();
+        $options->setDefaultFont('DejaVu Sans');
+
+        $dompdf = new Dompdf($options);
+        $dompdf->loadHtml($html, 'UTF-8');
+        $dompdf->setPaper('A4');
+        $dompdf->render();
+
+        return (string) $dompdf->output();
+    }
+
+    private function writeEml(PurchaseOrderEntity $order, array $columns, array $texts): string
+    {
+        $supplierEmail = trim((string) ($order->getSupplier()?->getCustomFields()['supplier_contacts_email'] ?? ''));
+        if (!filter_var($supplierEmail, FILTER_VALIDATE_EMAIL)) {
+            throw new \RuntimeException('Supplier has no valid e-mail address (supplier_contacts_email)');
+        }
+
+        $shopEmail = $this->systemConfigService->getString(self::CONFIG_SHOP_EMAIL);
+        if (!filter_var($shopEmail, FILTER_VALIDATE_EMAIL)) {
+            throw new \RuntimeException('Shop e-mail address is not configured (core.basicInformation.email)');
+        }
+
+        $lines = [];
+        foreach ($order->getItems()?->getElements() ?? [] as $item) {
+            $lines[] = sprintf(
+                '%s %s - %d',
+                $item->getSupplierCode() ?: $item->getProductNumber(),
+                $item->getProductName(),
+                $item->getQuantity()
+            );
+        }
+
+        $text = trim(($texts['body'] ?? '') . "\n\n" . implode("\n", $lines));
+        if ($order->getComment()) {
+            $text .= "\n\n" . $order->getComment();
+        }
+
+        $attachment = $this->priceExportService->writeFile(
+            array_column($columns, 'label'),
+            $this->getRows($order, $columns),
+            PriceExportService::FORMAT_XLSX,
+            sprintf('purchase-order-%s', $order->getOrderNumber())
+        );
+
+        $email = (new Email())
+            ->from(new Address($shopEmail))
+            ->to(new Address($supplierEmail, (string) $order->getSupplier()?->getName()))
+            ->subject(sprintf('%s %s', $texts['subject'] ?? 'Purchase order', $order->getOrderNumber()))
+            ->text($text)
+            ->attach($attachment['content'], $attachment['file_name'], $attachment['content_type']);
+
+        // Mail clients open the file as a draft ready to send
+        $email->getHeaders()->addTextHeader('X-Unsent', '1');
+
+        return $email->toString();
+    }
+
+    private function getRows(PurchaseOrderEntity $order, array $columns): array
+    {
+        $rows = [];
+
+        /** @var PurchaseOrderItemEntity $item */
+        foreach ($order->getItems() ?? [] as $item) {
+            $values = [
+                'product_number' => $item->getProductNumber(),
+                'product_name' => $item->getProductName(),
+                'supplier_code' => $item->getSupplierCode(),
+                'quantity' => $item->getQuantity(),
+                'purchase_price' => $item->getPurchasePrice(),
+                'currency' => $item->getCurrency(),
+                'amount' => $item->getPurchasePrice() !== null
+                    ? round($item->getPurchasePrice() * $item->getQuantity(), 2)
+                    : null,
+            ];
+
+            $rows[] = array_map(fn(array $column) => $values[$column['property']], $columns);
+        }
+
+        return $rows;
+    }
+
+    /**
+     * Keep known properties only, fall back to all properties with property names as headers
+     */
+    private function normalizeColumns(array $columns): array
+    {
+        $normalized = [];
+
+        foreach ($columns as $column) {
+            $property = $column['property'] ?? null;
+
+            if (!in_array($property, self::PROPERTIES, true)) {
+                continue;
+            }
+
+            $normalized[] = [
+                'property' => $property,
+                'label' => (string) ($column['label'] ?? $property),
+            ];
+        }
+
+        if (!empty($normalized)) {
+            return $normalized;
+        }
+
+        return array_map(fn(string $property) => ['property' => $property, 'label' => $property], self::PROPERTIES);
+    }
+}
@@ -0,0 +1,500 @@
+<?php declare(strict_types=1);
+
+namespace Artiss\Supplier\Service\PurchaseOrder;
+
+use Artiss\Supplier\Core\Content\PriceChangeset\Aggregate\PriceChangesetItem\PriceChangesetItemEntity;
+use Artiss\Supplier\Core\Content\PriceTemplate\PriceTemplateEntity;
+use Artiss\Supplier\Core\Content\PurchaseOrder\Aggregate\PurchaseOrderItem\PurchaseOrderItemEntity;
+use Artiss\Supplier\Core\Content\PurchaseOrder\PurchaseOrderDefinition;
+use Artiss\Supplier\Core\Content\PurchaseOrder\PurchaseOrderEntity;
+use Doctrine\DBAL\Exception\UniqueConstraintViolationException;
+use Shopware\Core\Content\Product\ProductEntity;
+use Shopware\Core\Framework\Context;
+use Shopware\Core\Framework\DataAbstractionLayer\EntityRepository;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\Criteria;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\Filter\EqualsAnyFilter;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\Filter\EqualsFilter;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\Filter\PrefixFilter;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\Filter\RangeFilter;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\Sorting\FieldSorting;
+use Shopware\Core\Framework\Uuid\Uuid;
+use Shopware\Core\System\SystemConfig\SystemConfigService;
+
+/**
+ * Purchase orders to a supplier
+ *
+ * Order candidates are products of the supplier (mapped in one of its price templates or with
+ * product_supplier_id of the supplier) with stock below the reorder threshold
+ * (plugin config ArtissSupplier.config.purchaseOrderReorderThreshold). The suggested quantity
+ * fills the stock up to the threshold.
+ *
+ * Purchase price is the price of the supplier's last applied price list: the product custom fields
+ * when the product belongs to the supplier, otherwise the latest not reverted changeset of the supplier's templates.
+ *
+ * Items are a snapshot: product name, supplier code, stock and price are stored with the order.
+ * Only drafts can be edited or deleted, statuses move forward along STATUS_TRANSITIONS.
+ */
+class PurchaseOrderService
+{
+    public const STATUS_TRANSITIONS = [
+        PurchaseOrderDefinition::STATUS_DRAFT => [
+            PurchaseOrderDefinition::STATUS_SENT,
+            PurchaseOrderDefinition::STATUS_CANCELLED,
+        ],
+        PurchaseOrderDefinition::STATUS_SENT => [
+            PurchaseOrderDefinition::STATUS_CONFIRMED,
+            PurchaseOrderDefinition::STATUS_RECEIVED,
+            PurchaseOrderDefinition::STATUS_CANCELLED,
+        ],
+        PurchaseOrderDefinition::STATUS_CONFIRMED => [
+            PurchaseOrderDefinition::STATUS_RECEIVED,
+            PurchaseOrderDefinition::STATUS_CANCELLED,
+        ],
+        PurchaseOrderDefinition::STATUS_RECEIVED => [],
+        PurchaseOrderDefinition::STATUS_CANCELLED => [],
+    ];
+
+    private const CONFIG_REORDER_THRESHOLD = 'ArtissSupplier.config.purchaseOrderReorderThreshold';
+    private const DEFAULT_REORDER_THRESHOLD = 1;
+
+    private const ORDER_NUMBER_PREFIX = 'PO-';
+
+    // Order numbers are unique in the database, concurrent drafts retry with the next number
+    private const ORDER_NUMBER_ATTEMPTS = 5;
+
+    private const BATCH_SIZE = 500;
+
+    public function __construct(
+        private readonly EntityRepository $purchaseOrderRepository,
+        private readonly EntityRepository $purchaseOrderItemRepository,
+        private readonly EntityRepository $priceTemplateRepository,
+        private readonly EntityRepository $productRepository,
+        private readonly EntityRepository $changesetItemRepository,
+        private readonly SystemConfigService $systemConfigService
+    ) {
+    }
+
+    public function getReorderThreshold(): int
+    {
+        $threshold = $this->systemConfigService->getInt(self::CONFIG_REORDER_THRESHOLD);
+
+        return $threshold > 0 ? $threshold : self::DEFAULT_REORDER_THRESHOLD;
+    }
+
+    /**
+     * Supplier products with stock below the threshold
+     *
+     * @param int|null $threshold Reorder threshold, config value when null
+     *
+     * @return array ['threshold' => int, 'rows' => [...]]
+     */
+    public function getCandidates(string $supplierId, ?int $threshold, Context $context): array
+    {
+        $threshold = $threshold !== null && $threshold > 0 ? $threshold : $this->getReorderThreshold();
+        $supplierCodes = $this->loadSupplierCodes($supplierId, $context);
+        $stockFilter = new RangeFilter('stock', [RangeFilter::LT => $threshold]);
+
+        $criteria = new Criteria();
+        $criteria->addFilter(new EqualsFilter('customFields.product_supplier_id', $supplierId));
+        $criteria->addFilter($stockFilter);
+        $products = $this->productRepository->search($criteria, $context)->getElements();
+
+        foreach (array_chunk(array_keys($supplierCodes), self::BATCH_SIZE) as $chunk) {
+            $criteria = new Criteria($chunk);
+            $criteria->addFilter($stockFilter);
+            $products += $this->productRepository->search($criteria, $context)->getElements();
+        }
+
+        $rows = $this->buildRows($supplierId, $products, $supplierCodes, $context);
+
+        foreach ($rows as &$row) {
+            $row['quantity'] = max(1, $threshold - (int) $row['stock']);
+        }
+        unset($row);
+
+        return [
+            'threshold' => $threshold,
+            'rows' => $rows,
+        ];
+    }
+
+    /**
+     * Orders of a supplier, newest first
+     *
+     * @return array ['rows' => [...], 'total' => int]
+     */
+    public function getList(string $supplierId, int $page, int $limit, Context $context): array
+    {
+        $limit = min(500, max(1, $limit));
+
+        $criteria = new Criteria();
+        $criteria->addFilter(new EqualsFilter('supplierId', $supplierId));
+        $criteria->addAssociation('user');
+        $criteria->addSorting(new FieldSorting('createdAt', FieldSorting::DESCENDING));
+        $criteria->setLimit($limit);
+        $criteria->setOffset((max(1, $page) - 1) * $limit);
+        $criteria->setTotalCountMode(Criteria::TOTAL_COUNT_MODE_EXACT);
+
+        $result = $this->purchaseOrderRepository->search($criteria, $context);
+
+        return [
+            'rows' => array_values(array_map(
+                fn(PurchaseOrderEntity $order) => $this->formatOrder($order),
+                $result->getElements()
+            )),
+            'total' => $result->getTotal(),
+        ];
+    }
+
+    /**
+     * Order with its items
+     */
+    public function getOrder(string $orderId, Context $context): array
+    {
+        $order = $this->loadOrder($orderId, $context);
+        $data = $this->formatOrder($order);
+
+        $data['items'] = array_values(array_map(fn(PurchaseOrderItemEntity $item) => [
+            'id' => $item->getId(),
+            'product_id' => $item->getProductId(),
+            'product_number' => $item->getProductNumber(),
+            'product_name' => $item->getProductName(),
+            'supplier_code' => $item->getSupplierCode(),
+            'stock' => $item->getStock(),
+            'quantity' => $item->getQuantity(),
+            'purchase_price' => $item->getPurchasePrice(),
+            'currency' => $item->getCurrency(),
+            'amount' => $item->getPurchasePrice() !== null
+                ? round($item->getPurchasePrice() * $item->getQuantity(), 2)
+                : null,
+        ], $order->getItems()?->getElements() ?? []));
+
+        return $data;
+    }
+
+    /**
+     * Create a draft or replace the items of an existing draft
+     *
+     * @param string|null $orderId Draft to update, new draft when null
+     * @param array $items List of ['product_id' => ..., 'quantity' => int]
+     *
+     * @return string Order ID
+     */
+    public function saveDraft(
+        ?string $orderId,
+        string $supplierId,
+        array $items,
+        ?string $comment,
+        ?string $userId,
+        Context $context
+    ): string {
+        $quantities = [];
+        foreach ($items as $item) {
+            $productId = $item['product_id'] ?? null;
+            $quantity = (int) ($item['quantity'] ?? 0);
+
+            if (is_string($productId) && Uuid::isValid($productId) && $quantity > 0) {
+                $quantities[$productId] = $quantity;
+            }
+        }
+
+        if (empty($quantities)) {
+            throw new \RuntimeException('Purchase order has no products with a quantity');
+        }
+
+        if ($orderId !== null) {
+            $order = $this->loadOrder($orderId, $context);
+
+            if ($order->getStatus() !== PurchaseOrderDefinition::STATUS_DRAFT) {
+                throw new \RuntimeException('Only draft purchase orders can be edited');
+            }
+
+            $supplierId = $order->getSupplierId();
+        }
+
+        // Snapshot of current product data, items of an existing draft keep their stored values
+        $existing = [];
+        foreach ($orderId !== null ? ($order->getItems()?->getElements() ?? []) : [] as $item) {
+            $existing[$item->getProductId()] = $item;
+        }
+
+        $missingIds = array_values(array_diff(array_keys($quantities), array_keys($existing)));
+        $products = [];
+        foreach (array_chunk($missingIds, self::BATCH_SIZE) as $chunk) {
+            $products += $this->productRepository->search(new Criteria($chunk), $context)->getElements();
+        }
+
+        $rows = $this->buildRows($supplierId, $products, $this->loadSupplierCodes($supplierId, $context), $context);
+        $rowsById = array_column($rows, null, 'product_id');
+
+        $itemPayload = [];
+        $totals = [];
+        $position = 0;
+
+        foreach ($quantities as $productId => $quantity) {
+            $item = $existing[$productId] ?? null;
+            $row = $rowsById[$productId] ?? null;
+
+            if ($item === null && $row === null) {
+                continue;
+            }
+
+            $price = $item !== null ? $item->getPurchasePrice() : $row['purchase_price'];
+            $currency = $item !== null ? $item->getCurrency() : $row['currency'];
+
+            $itemPayload[] = [
+                'id' => Uuid::randomHex(),
+                'productId' => $productId,
+                'productNumber' => $item !== null ? $item->getProductNumber() : $row['product_number'],
+                'productName' => $item !== null ? $item->getProductName() : $row['product_name'],
+                'supplierCode' => $item !== null ? $item->getSupplierCode() : $row['supplier_code'],
+                'stock' => $item !== null ? $item->getStock() : $row['stock'],
+                'quantity' => $quantity,
+                'purchasePrice' => $price,
+                'currency' => $currency,
+                'position' => $position++,
+            ];
+
+            if ($price !== null) {
+                $key = $currency ?? '';
+                $totals[$key] = round(($totals[$key] ?? 0) + $price * $quantity, 2);
+            }
+        }
+
+        if (empty($itemPayload)) {
+            throw new \RuntimeException('None of the products was found');
+        }
+
+        if ($orderId !== null) {
+            $oldItemIds = array_map(fn(string $id) => ['id' => $id], $order->getItems()?->getIds() ?? []);
+            if (!empty($oldItemIds)) {
+                $this->purchaseOrderItemRepository->delete(array_values($oldItemIds), $context);
+            }
+
+            $this->purchaseOrderRepository->update([[
+                'id' => $orderId,
+                'itemCount' => count($itemPayload),
+                'totals' => $totals,
+                'comment' => $comment,
+                'items' => $itemPayload,
+            ]], $context);
+
+            return $orderId;
+        }
+
+        $orderId = Uuid::randomHex();
+
+        for ($attempt = 1; ; $attempt++) {
+            try {
+                $this->purchaseOrderRepository->create([[
+                    'id' => $orderId,
+                    'supplierId' => $supplierId,
+                    'userId' => $userId,
+                    'orderNumber' => $this->generateOrderNumber($context),
+                    'status' => PurchaseOrderDefinition::STATUS_DRAFT,
+                    'itemCount' => count($itemPayload),
+                    'totals' => $totals,
+                    'comment' => $comment,
+                    'statusChangedAt' => new \DateTime(),
+                    'items' => $itemPayload,
+                ]], $context);
+
+                return $orderId;
+            } catch (UniqueConstraintViolationException $e) {
+                if ($attempt >= self::ORDER_NUMBER_ATTEMPTS) {
+                    throw $e;
+                }
+            }
+        }
+    }
+
+    public function setStatus(string $orderId, string $status, Context $context): void
+    {
+        $order = $this->loadOrder($orderId, $context);
+
+        if (!in_array($status, self::STATUS_TRANSITIONS[$order->getStatus()] ?? [], true)) {
+            throw new \RuntimeException(sprintf(
+                'Purchase order status cannot change from "%s" to "%s"',
+                $order->getStatus(),
+                $status
+            ));
+        }
+
+        $this->purchaseOrderRepository->update([[
+            'id' => $orderId,
+            'status' => $status,
+            'statusChangedAt' => new \DateTime(),
+        ]], $context);
+    }
+
+    public function deleteDraft(string $orderId, Context $context): void
+    {
+        $order = $this->loadOrder($orderId, $context);
+
+        if ($order->getStatus() !== PurchaseOrderDefinition::STATUS_DRAFT) {
+            throw new \RuntimeException('Only draft purchase orders can be deleted');
+        }
+
+        $this->purchaseOrderRepository->delete([['id' => $orderId]], $context);
+    }
+
+    public function loadOrder(string $orderId, Context $context): PurchaseOrderEntity
+    {
+        $criteria = new Criteria([$orderId]);
+        $criteria->addAssociation('supplier');
+        $criteria->addAssociation('user');
+        $criteria->getAssociation('items')->addSorting(new FieldSorting('position', FieldSorting::ASCENDING));
+
+        $order = $this->purchaseOrderRepository->search($criteria, $context)->first();
+
+        if (!$order instanceof PurchaseOrderEntity) {
+            throw new \RuntimeException("Purchase order not found: {$orderId}");
+        }
+
+        return $order;
+    }
+
+    private function formatOrder(PurchaseOrderEntity $order): array
+    {
+        return [
+            'id' => $order->getId(),
+            'supplier_id' => $order->getSupplierId(),
+            'order_number' => $order->getOrderNumber(),
+            'status' => $order->getStatus(),
+            'next_statuses' => self::STATUS_TRANSITIONS[$order->getStatus()] ?? [],
+            'item_count' => $order->getItemCount(),
+            'totals' => $order->getTotals() ?? [],
+            'comment' => $order->getComment(),
+            'user_name' => $order->getUser()
+                ? trim($order->getUser()->getFirstName() . ' ' . $order->getUser()->getLastName())
+                : null,
+            'created_at' => $order->getCreatedAt()?->format(\DATE_ATOM),
+            'status_changed_at' => $order->getStatusChangedAt()?->format(\DATE_ATOM),
+        ];
+    }
+
+    /**
+     * Supplier codes of products mapped in the supplier's templates
+     *
+     * @return array<string, string> [productId => supplierCode]
+     */
+    private function loadSupplierCodes(string $supplierId, Context $context): array
+    {
+        $criteria = new Criteria();
+        $criteria->addFilter(new EqualsFilter('supplierId', $supplierId));
+        $criteria->addSorting(new FieldSorting('createdAt', FieldSorting::ASCENDING));
+
+        $codes = [];
+
+        /** @var PriceTemplateEntity $template */
+        foreach ($this->priceTemplateRepository->search($criteria, $context) as $template) {
+            foreach ($template->getMatchedProducts() ?? [] as $productId => $code) {
+                $codes[$productId] ??= (string) $code;
+            }
+        }
+
+        return $codes;
+    }
+
+    /**
+     * @param ProductEntity[] $products
+     * @param array<string, string> $supplierCodes
+     */
+    private function buildRows(string $supplierId, array $products, array $supplierCodes, Context $context): array
+    {
+        // Products of other suppliers carry the other supplier's price in custom fields
+        $foreignIds = [];
+        foreach ($products as $product) {
+            if (($product->getCustomFields()['product_supplier_id'] ?? null) !== $supplierId) {
+                $foreignIds[] = $product->getId();
+            }
+        }
+        $changesetPrices = $this->loadChangesetPrices($supplierId, $foreignIds, $context);
+
+        $rows = [];
+
+        foreach ($products as $product) {
+            $customFields = $product->getCustomFields() ?? [];
+
+            if (($customFields['product_supplier_id'] ?? null) === $supplierId) {
+                $price = is_numeric($customFields['purchase_price_value'] ?? null)
+                    ? (float) $customFields['purchase_price_value']
+                    : null;
+                $currency = $customFields['purchase_price_currency'] ?? null;
+            } else {
+                $price = $changesetPrices[$product->getId()]['price'] ?? null;
+                $currency = $changesetPrices[$product->getId()]['currency'] ?? null;
+            }
+
+            $rows[] = [
+                'product_id' => $product->getId(),
+                'product_number' => $product->getProductNumber(),
+                'product_name' => $product->getTranslated()['name'] ?? $product->getName(),
+                'supplier_code' => $supplierCodes[$product->getId()] ?? ($customFields['kod_postavschika'] ?? null),
+                'stock' => $product->getStock(),
+                'active' => $product->getActive(),
+                'purchase_price' => $price,
+                'currency' => $price !== null ? $currency : null,
+            ];
+        }
+
+        usort($rows, fn(array $a, array $b) => strnatcasecmp((string) $a['product_number'], (string) $b['product_number']));
+
+        return $rows;
+    }
+
+    /**
+     * Purchase prices of the latest not reverted changesets of the supplier's templates
+     *
+     * @param string[] $productIds
+     *
+     * @return array<string, array{price: float, currency: ?string}>
+     */
+    private function loadChangesetPrices(string $supplierId, array $productIds, Context $context): array
+    {
+        $prices = [];
+
+        foreach (array_chunk($productIds, self::BATCH_SIZE) as $chunk) {
+            $criteria = new Criteria();
+            $criteria->addFilter(new EqualsFilter('changeset.priceTemplate.supplierId', $supplierId));
+            $criteria->addFilter(new EqualsFilter('changeset.revertedAt', null));
+            $criteria->addFilter(new EqualsAnyFilter('productId', $chunk));
+            $criteria->addSorting(new FieldSorting('createdAt', FieldSorting::DESCENDING));
+
+            /** @var PriceChangesetItemEntity $item */
+            foreach ($this->changesetItemRepository->search($criteria, $context) as $item) {
+                $newValues = $item->getNewValues() ?? [];
+
+                if (isset($prices[$item->getProductId()]) || !is_numeric($newValues['purchase_price_value'] ?? null)) {
+                    continue;
+                }
+
+                $prices[$item->getProductId()] = [
+                    'price' => (float) $newValues['purchase_price_value'],
+                    'currency' => $newValues['purchase_price_currency'] ?? null,
+                ];
+            }
+        }
+
+        return $prices;
+    }
+
+    /**
+     * PO-YYYYMMDD-NNN, numbered per day
+     */
+    private function generateOrderNumber(Context $context): string
+    {
+        $prefix = self::ORDER_NUMBER_PREFIX . date('Ymd') . '-';
+
+        $criteria = new Criteria();
+        $criteria->addFilter(new PrefixFilter('orderNumber', $prefix));
+        $criteria->addSorting(new FieldSorting('orderNumber', FieldSorting::DESCENDING));
+        $criteria->setLimit(1);
+
+        /** @var PurchaseOrderEntity|null $last */
+        $last = $this->purchaseOrderRepository->search($criteria, $context)->first();
+        $next = $last !== null ? (int) substr($last->getOrderNumber(), strlen($prefix)) + 1 : 1;
+
+        return $prefix . str_pad((string) $next, 3, '0', STR_PAD_LEFT);
+    }
+}
@@ -0,0 +1,528 @@
+<?php declare(strict_types=1);
+
+namespace Artiss\Supplier\Service\Supplier;
+
+use Artiss\Supplier\Core\Content\Supplier\SupplierEntity;
+use Artiss\Supplier\Service\PriceUpdate\PriceExportService;
+use Artiss\Supplier\Service\PriceUpdate\SpreadsheetReader;
+use Shopware\Core\Framework\Context;
+use Shopware\Core\Framework\DataAbstractionLayer\EntityRepository;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\Criteria;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\Filter\EqualsAnyFilter;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\Filter\EqualsFilter;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\Sorting\FieldSorting;
+use Shopware\Core\Framework\Uuid\Uuid;
+use Shopware\Core\System\CustomField\CustomFieldEntity;
+use Shopware\Core\System\CustomField\CustomFieldTypes;
+
+/**
+ * Round-trip of suppliers through a spreadsheet from the supplier list
+ *
+ * Columns: id, name, manufacturers, alternative_manufacturers, equipment_types and one column per
+ * custom field of the "supplier_fields" set. Manufacturers and equipment types are written as names,
+ * list values (tagged fields) are joined with "; ".
+ *
+ * Import:
+ *   - a row is matched by id, without id by name (case insensitive), otherwise a supplier is created
+ *   - only columns present in the file are written, an empty cell clears the value
+ *   - unknown manufacturer or equipment type names are skipped, a name shared by several of them
+ *     is not imported because the intended one is unknown
+ *
+ * Import report issues:
+ *   errors (row is not imported) - missing_name, unknown_id, duplicate_row, ambiguous_name, name_taken,
+ *                                  ambiguous_manufacturer, ambiguous_equipment_type
+ *   warnings (row is imported)   - unknown_manufacturer, unknown_equipment_type
+ */
+class SupplierTransferService
+{
+    public const COLUMN_ID = 'id';
+    public const COLUMN_NAME = 'name';
+    public const COLUMN_MANUFACTURERS = 'manufacturers';
+    public const COLUMN_ALTERNATIVE_MANUFACTURERS = 'alternative_manufacturers';
+    public const COLUMN_EQUIPMENT_TYPES = 'equipment_types';
+
+    public const ACTION_CREATE = 'create';
+    public const ACTION_UPDATE = 'update';
+    public const ACTION_UNCHANGED = 'unchanged';
+
+    public const ISSUE_MISSING_NAME = 'missing_name';
+    public const ISSUE_UNKNOWN_ID = 'unknown_id';
+    public const ISSUE_DUPLICATE_ROW = 'duplicate_row';
+    public const ISSUE_AMBIGUOUS_NAME = 'ambiguous_name';
+    public const ISSUE_NAME_TAKEN = 'name_taken';
+    public const ISSUE_UNKNOWN_MANUFACTURER = 'unknown_manufacturer';
+    public const ISSUE_UNKNOWN_EQUIPMENT_TYPE = 'unknown_equipment_type';
+    public const ISSUE_AMBIGUOUS_MANUFACTURER = 'ambiguous_manufacturer';
+    public const ISSUE_AMBIGUOUS_EQUIPMENT_TYPE = 'ambiguous_equipment_type';
+
+    private const CUSTOM_FIELD_SET = 'supplier_fields';
+
+    // Same property group as the equipment type select of the supplier detail page
+    private const EQUIPMENT_TYPE_GROUP_NAMES = ['Тип обладнання', 'Equipment Type'];
+
+    private const LIST_SEPARATOR = '; ';
+
+    private const ERROR_ISSUES = [
+        self::ISSUE_MISSING_NAME,
+        self::ISSUE_UNKNOWN_ID,
+        self::ISSUE_DUPLICATE_ROW,
+        self::ISSUE_AMBIGUOUS_NAME,
+        self::ISSUE_NAME_TAKEN,
+        self::ISSUE_AMBIGUOUS_MANUFACTURER,
+        self::ISSUE_AMBIGUOUS_EQUIPMENT_TYPE,
+    ];
+
+    // Entity property written by each ID list column
+    private const ID_LIST_COLUMNS = [
+        self::COLUMN_MANUFACTURERS => 'manufacturerIds',
+        self::COLUMN_ALTERNATIVE_MANUFACTURERS => 'alternativeManufacturerIds',
+        self::COLUMN_EQUIPMENT_TYPES => 'equipmentTypeIds',
+    ];
+
+    private const BATCH_SIZE = 100;
+
+    public function __construct(
+        private readonly EntityRepository $supplierRepository,
+        private readonly EntityRepository $manufacturerRepository,
+        private readonly EntityRepository $propertyGroupOptionRepository,
+        private readonly EntityRepository $customFieldRepository,
+        private readonly PriceExportService $priceExportService,
+        private readonly SpreadsheetReader $spreadsheetReader
+    ) {
+    }
+
+    /**
+     * Export all suppliers
+     *
+     * @return array ['content' => file content, 'file_name' => ..., 'content_type' => ...]
+     */
+    public function export(string $format, Context $context): array
+    {
+        $customFields = $this->loadCustomFields($context);
+        $manufacturerNames = $this->loadManufacturerNames($context);
+        $equipmentTypeNames = $this->loadEquipmentTypeNames($context);
+
+        $rows = [];
+
+        foreach ($this->loadSuppliers($context) as $supplier) {
+            $values = $supplier->getCustomFields() ?? [];
+
+            $row = [
+                $supplier->getId(),
+                $supplier->getName(),
+                $this->joinNames($supplier->getManufacturerIds(), $manufacturerNames),
+                $this->joinNames($supplier->getAlternativeManufacturerIds(), $manufacturerNames),
+                $this->joinNames($supplier->getEquipmentTypeIds(), $equipmentTypeNames),
+            ];
+
+            foreach ($customFields as $field) {
+                $row[] = $this->formatCustomFieldValue($values[$field->getName()] ?? null);
+            }
+
+            $rows[] = $row;
+        }
+
+        return $this->priceExportService->writeFile(
+            array_merge(
+                [self::COLUMN_ID, self::COLUMN_NAME, self::COLUMN_MANUFACTURERS, self::COLUMN_ALTERNATIVE_MANUFACTURERS, self::COLUMN_EQUIPMENT_TYPES],
+                array_map(fn(CustomFieldEntity $field) => $field->getName(), $customFields)
+            ),
+            $rows,
+            $format,
+            sprintf('suppliers-%s', date('Y-m-d-His'))
+        );
+    }
+
+    /**
+     * Validate supplier file and write it unless it is a dry run
+     *
+     * @param string $filePath Uploaded XLSX, XLS or CSV file
+     * @param string $extension File extension, uploaded files have none in the path
+     * @param bool $dryRun Only validate and list changes
+     *
+     * @return array ['dry_run' => ..., 'stats' => [...], 'changes' => [...], 'issues' => [...]]
+     */
+    public function import(string $filePath, string $extension, bool $dryRun, Context $context): array
+    {
+        $file = $this->spreadsheetReader->read($filePath, $extension);
+        $header = $file['header'];
+
+        if (!in_array(self::COLUMN_NAME, $header, true)) {
+            throw new \RuntimeException(sprintf('Supplier file must have a "%s" column', self::COLUMN_NAME));
+        }
+
+        $customFields = [];
+        foreach ($this->loadCustomFields($context) as $field) {
+            if (in_array($field->getName(), $header, true)) {
+                $customFields[$field->getName()] = $field;
+            }
+        }
+
+        $manufacturerIds = $this->buildLookup($this->loadManufacturerNames($context));
+        $lookups = [
+            self::COLUMN_MANUFACTURERS => $manufacturerIds,
+            self::COLUMN_ALTERNATIVE_MANUFACTURERS => $manufacturerIds,
+            self::COLUMN_EQUIPMENT_TYPES => $this->buildLookup($this->loadEquipmentTypeNames($context)),
+        ];
+
+        $suppliers = $this->loadSuppliers($context);
+        $suppliersByName = [];
+        foreach ($suppliers as $supplier) {
+            $suppliersByName[mb_strtolower(trim($supplier->getName()))][] = $supplier;
+        }
+
+        $issues = [];
+        $changes = [];
+        $payloads = [];
+        $seenSuppliers = [];
+        $seenNames = [];
+        $rowCount = 0;
+
+        foreach ($file['rows'] as $index => $values) {
+            $cells = [];
+            foreach ($header as $column => $name) {
+                if ($name !== '') {
+                    $cells[$name] = trim((string) ($values[$column] ?? ''));
+                }
+            }
+
+            // Header is row 1
+            $fileRow = ['row' => $index + 2, 'name' => $cells[self::COLUMN_NAME]];
+
+            if (implode('', $cells) === '') {
+                continue;
+            }
+
+            $rowCount++;
+
+            if ($fileRow['name'] === '') {
+                $issues[] = $this->issue($fileRow, self::ISSUE_MISSING_NAME);
+                continue;
+            }
+
+            $nameKey = mb_strtolower($fileRow['name']);
+            $id = strtolower($cells[self::COLUMN_ID] ?? '');
+            $supplier = null;
+
+            if ($id !== '') {
+                $supplier = $suppliers[$id] ?? null;
+                if ($supplier === null) {
+                    $issues[] = $this->issue($fileRow, self::ISSUE_UNKNOWN_ID);
+                    continue;
+                }
+            } elseif (isset($suppliersByName[$nameKey])) {
+                if (count($suppliersByName[$nameKey]) > 1) {
+                    $issues[] = $this->issue($fileRow, self::ISSUE_AMBIGUOUS_NAME);
+                    continue;
+                }
+                $supplier = $suppliersByName[$nameKey][0];
+            }
+
+            // Renamed supplier may not take the name of another one
+            $otherSuppliers = array_filter(
+                $suppliersByName[$nameKey] ?? [],
+                fn(SupplierEntity $other) => $other->getId() !== $supplier?->getId()
+            );
+            if ($supplier !== null && !empty($otherSuppliers)) {
+                $issues[] = $this->issue($fileRow, self::ISSUE_NAME_TAKEN);
+                continue;
+            }
+
+            $rowKey = $supplier?->getId() ?? $nameKey;
+            if (isset($seenSuppliers[$rowKey]) || isset($seenNames[$nameKey])) {
+                $issues[] = $this->issue($fileRow, self::ISSUE_DUPLICATE_ROW);
+                continue;
+            }
+            $seenSuppliers[$rowKey] = true;
+            $seenNames[$nameKey] = true;
+
+            $payload = ['name' => $fileRow['name']];
+            $ambiguous = false;
+
+            foreach (self::ID_LIST_COLUMNS as $column => $property) {
+                if (!array_key_exists($column, $cells)) {
+                    continue;
+                }
+
+                $isEquipmentType = $column === self::COLUMN_EQUIPMENT_TYPES;
+                $ids = [];
+                foreach ($this->splitList($cells[$column]) as $name) {
+                    $resolved = $lookups[$column][mb_strtolower($name)] ?? [];
+                    if (empty($resolved)) {
+                        $issues[] = $this->issue(
+                            $fileRow,
+                            $isEquipmentType ? self::ISSUE_UNKNOWN_EQUIPMENT_TYPE : self::ISSUE_UNKNOWN_MANUFACTURER,
+                            $name
+                        );
+                        continue;
+                    }
+                    if (count($resolved) > 1) {
+                        $issues[] = $this->issue(
+                            $fileRow,
+                            $isEquipmentType ? self::ISSUE_AMBIGUOUS_EQUIPMENT_TYPE : self::ISSUE_AMBIGUOUS_MANUFACTURER,
+                            $name
+                        );
+                        $ambiguous = true;
+                        continue;
+                    }
+                    $ids[] = $resolved[0];
+                }
+
+                $payload[$property] = empty($ids) ? null : array_values(array_unique($ids));
+            }
+
+            if ($ambiguous) {
+                continue;
+            }
+
+            foreach ($customFields as $name => $field) {
+                $payload['customFields'][$name] = $this->parseCustomFieldValue($cells[$name], $field);
+            }
+
+            $changedFields = $supplier === null ? [] : $this->getChangedFields($supplier, $payload);
+
+            $action = match (true) {
+                $supplier === null => self::ACTION_CREATE,
+                empty($changedFields) => self::ACTION_UNCHANGED,
+                default => self::ACTION_UPDATE,
+            };
+
+            if ($action === self::ACTION_UNCHANGED) {
+                continue;
+            }
+
+            $changes[] = [
+                'row' => $fileRow['row'],
+                'supplier_id' => $supplier?->getId(),
+                'name' => $fileRow['name'],
+                'old_name' => $supplier?->getName(),
+                'action' => $action,
+                'fields' => $changedFields,
+            ];
+
+            $payloads[] = ['id' => $supplier?->getId() ?? Uuid::randomHex()] + $payload;
+        }
+
+        $stats = [
+            'rows' => $rowCount,
+            'created' => count(array_filter($changes, fn(array $change) => $change['action'] === self::ACTION_CREATE)),
+            'updated' => count(array_filter($changes, fn(array $change) => $change['action'] === self::ACTION_UPDATE)),
+            'unchanged' => 0,
+            'errors' => count(array_filter($issues, fn(array $issue) => $issue['severity'] === 'error')),
+            'warnings' => count(array_filter($issues, fn(array $issue) => $issue['severity'] === 'warning')),
+        ];
+        $stats['unchanged'] = max(0, $stats['rows'] - $stats['created'] - $stats['updated'] - $stats['errors']);
+
+        if (!$dryRun) {
+            foreach (array_chunk($payloads, self::BATCH_SIZE) as $batch) {
+                $this->supplierRepository->upsert($batch, $context);
+            }
+        }
+
+        usort($issues, fn(array $a, array $b) => $a['row'] <=> $b['row']);
+
+        return [
+            'dry_run' => $dryRun,
+            'stats' => $stats,
+            'changes' => $changes,
+            'issues' => $issues,
+        ];
+    }
+
+    /**
+     * Payload properties that differ from the stored supplier
+     *
+     * @return string[] Column names
+     */
+    private function getChangedFields(SupplierEntity $supplier, array $payload): array
+    {
+        $fields = [];
+
+        if ($payload['name'] !== $supplier->getName()) {
+            $fields[] = self::COLUMN_NAME;
+        }
+
+        $current = [
+            'manufacturerIds' => $supplier->getManufacturerIds(),
+            'alternativeManufacturerIds' => $supplier->getAlternativeManufacturerIds(),
+            'equipmentTypeIds' => $supplier->getEquipmentTypeIds(),
+        ];
+
+        foreach (self::ID_LIST_COLUMNS as $column => $property) {
+            if (!array_key_exists($property, $payload)) {
+                continue;
+            }
+
+            $old = $current[$property] ?? [];
+            $new = $payload[$property] ?? [];
+            sort($old);
+            sort($new);
+
+            if ($old !== $new) {
+                $fields[] = $column;
+            }
+        }
+
+        $customFields = $supplier->getCustomFields() ?? [];
+        foreach ($payload['customFields'] ?? [] as $name => $value) {
+            if ($this->formatCustomFieldValue($customFields[$name] ?? null) !== $this->formatCustomFieldValue($value)) {
+                $fields[] = $name;
+            }
+        }
+
+        return $fields;
+    }
+
+    /**
+     * @return array<string, SupplierEntity> Suppliers by ID
+     */
+    private function loadSuppliers(Context $context): array
+    {
+        $criteria = new Criteria();
+        $criteria->addSorting(new FieldSorting('name', FieldSorting::ASCENDING));
+
+        return $this->supplierRepository->search($criteria, $context)->getElements();
+    }
+
+    /**
+     * Custom fields of the supplier set in the order of the admin form
+     *
+     * @return CustomFieldEntity[]
+     */
+    private function loadCustomFields(Context $context): array
+    {
+        $criteria = new Criteria();
+        $criteria->addFilter(new EqualsFilter('customFieldSet.name', self::CUSTOM_FIELD_SET));
+
+        $fields = array_values($this->customFieldRepository->search($criteria, $context)->getElements());
+
+        usort(
+            $fields,
+            fn(CustomFieldEntity $a, CustomFieldEntity $b) => ($a->getConfig()['customFieldPosition'] ?? 0) <=> ($b->getConfig()['customFieldPosition'] ?? 0)
+        );
+
+        return $fields;
+    }
+
+    /**
+     * @return array<string, string> Manufacturer names by ID
+     */
+    private function loadManufacturerNames(Context $context): array
+    {
+        $criteria = new Criteria();
+        $criteria->addSorting(new FieldSorting('name', FieldSorting::ASCENDING));
+
+        $names = [];
+        foreach ($this->manufacturerRepository->search($criteria, $context) as $manufacturer) {
+            $names[$manufacturer->getId()] = trim((string) ($manufacturer->getTranslated()['name'] ?? $manufacturer->getName()));
+        }
+
+        return $names;
+    }
+
+    /**
+     * @return array<string, string> Equipment type option names by ID
+     */
+    private function loadEquipmentTypeNames(Context $context): array
+    {
+        $criteria = new Criteria();
+        $criteria->addFilter(new EqualsAnyFilter('group.name', self::EQUIPMENT_TYPE_GROUP_NAMES));
+
+        $names = [];
+        foreach ($this->propertyGroupOptionRepository->search($criteria, $context) as $option) {
+            $names[$option->getId()] = trim((string) ($option->getTranslated()['name'] ?? $option->getName()));
+        }
+
+        return $names;
+    }
+
+    /**
+     * @param array<string, string> $names Names by ID
+     *
+     * @return array<string, string[]> IDs by lowercase name, several IDs when names are equal
+     */
+    private function buildLookup(array $names): array
+    {
+        $ids = [];
+        foreach ($names as $id => $name) {
+            $ids[mb_strtolower($name)][] = $id;
+        }
+
+        return $ids;
+    }
+
+    /**
+     * @param array<string, string> $names Names by ID
+     */
+    private function joinNames(?array $ids, array $names): ?string
+    {
+        $labels = [];
+        foreach ($ids ?? [] as $id) {
+            if (isset($names[$id])) {
+                $labels[] = $names[$id];
+            }
+        }
+
+        return empty($labels) ? null : implode(self::LIST_SEPARATOR, $labels);
+    }
+
+    private function formatCustomFieldValue(mixed $value): ?string
+    {
+        if ($value === null || $value === '' || $value === []) {
+            return null;
+        }
+
+        if (is_array($value)) {
+            $isList = array_is_list($value) && count(array_filter($value, fn($item) => !is_scalar($item))) === 0;
+
+            return $isList
+                ? implode(self::LIST_SEPARATOR, array_map('strval', $value))
+                : json_encode($value, \JSON_UNESCAPED_UNICODE);
+        }
+
+        if (is_bool($value)) {
+            return $value ? '1' : '0';
+        }
+
+        return (string) $value;
+    }
+
+    private function parseCustomFieldValue(string $value, CustomFieldEntity $field): mixed
+    {
+        if ($value === '') {
+            return null;
+        }
+
+        return match ($field->getType()) {
+            CustomFieldTypes::JSON => str_starts_with($value, '[') || str_starts_with($value, '{')
+                ? (json_decode($value, true) ?? $this->splitList($value))
+                : $this->splitList($value),
+            CustomFieldTypes::INT => (int) $value,
+            CustomFieldTypes::FLOAT => (float) str_replace(',', '.', $value),
+            CustomFieldTypes::BOOL => in_array(mb_strtolower($value), ['1', 'true', 'yes'], true),
+            default => $value,
+        };
+    }
+
+    /**
+     * @return string[]
+     */
+    private function splitList(string $value): array
+    {
+        return array_values(array_filter(
+            array_map('trim', explode(';', $value)),
+            fn(string $item) => $item !== ''
+        ));
+    }
+
+    private function issue(array $fileRow, string $type, ?string $value = null): array
+    {
+        return [
+            'row' => $fileRow['row'],
+            'name' => $fileRow['name'],
+            'value' => $value,
+            'type' => $type,
+            'severity' => in_array($type, self::ERROR_ISSUES, true) ? 'error' : 'warning',
+        ];
+    }
+}
@@ -0,0 +1,69 @@
+<?php declare(strict_types=1);
+
+namespace Artiss\Supplier\Subscriber;
+
+use Artiss\Supplier\Core\Content\PriceTemplate\PriceTemplateDefinition;
+use Artiss\Supplier\Service\PriceUpdate\AvailabilityMappingService;
+use Shopware\Core\Framework\DataAbstractionLayer\Write\Command\InsertCommand;
+use Shopware\Core\Framework\DataAbstractionLayer\Write\Command\UpdateCommand;
+use Shopware\Core\Framework\DataAbstractionLayer\Write\Validation\PreWriteValidationEvent;
+use Shopware\Core\Framework\Validation\WriteConstraintViolationException;
+use Symfony\Component\EventDispatcher\EventSubscriberInterface;
+use Symfony\Component\Validator\ConstraintViolation;
+use Symfony\Component\Validator\ConstraintViolationList;
+
+/**
+ * Rejects price templates whose availability mapping has a regular expression that does not compile
+ */
+class AvailabilityMappingValidationSubscriber implements EventSubscriberInterface
+{
+    public function __construct(
+        private readonly AvailabilityMappingService $availabilityMappingService
+    ) {
+    }
+
+    public static function getSubscribedEvents(): array
+    {
+        return [
+            PreWriteValidationEvent::class => 'validate',
+        ];
+    }
+
+    public function validate(PreWriteValidationEvent $event): void
+    {
+        foreach ($event->getCommands() as $command) {
+            if (!$command instanceof InsertCommand && !$command instanceof UpdateCommand) {
+                continue;
+            }
+
+            if ($command->getDefinition()->getEntityName() !== PriceTemplateDefinition::ENTITY_NAME) {
+                continue;
+            }
+
+            $config = json_decode((string) ($command->getPayload()['config'] ?? ''), true);
+            $mapping = is_array($config) ? ($config['availability_mapping'] ?? []) : [];
+
+            if (!is_array($mapping)) {
+                continue;
+            }
+
+            $violations = new ConstraintViolationList();
+            foreach ($this->availabilityMappingService->getMappingErrors($mapping) as $index => $error) {
+                $message = sprintf('Availability mapping rule %d has an invalid regular expression: %s', $index + 1, $error);
+
+                $violations->add(new ConstraintViolation(
+                    $message,
+                    $message,
+                    [],
+                    null,
+                    sprintf('/config/availability_mapping/rules/%d/pattern', $index),
+                    $mapping['rules'][$index]['pattern'] ?? null
+                ));
+            }
+
+            if ($violations->count() > 0) {
+                $event->getExceptions()->add(new WriteConstraintViolationException($violations, $command->getPath()));
+            }
+        }
+    }
+}
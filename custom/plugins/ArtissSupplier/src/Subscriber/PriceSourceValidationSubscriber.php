@@ -0,0 +1,60 @@
+<?php declare(strict_types=1);
+
+namespace Artiss\Supplier\Subscriber;
+
+use Artiss\Supplier\Core\Content\Supplier\SupplierDefinition;
+use Artiss\Supplier\Service\PriceImport\PriceSourceFetcher;
+use Shopware\Core\Framework\DataAbstractionLayer\Write\Command\InsertCommand;
+use Shopware\Core\Framework\DataAbstractionLayer\Write\Command\UpdateCommand;
+use Shopware\Core\Framework\DataAbstractionLayer\Write\Validation\PreWriteValidationEvent;
+use Shopware\Core\Framework\Validation\WriteConstraintViolationException;
+use Symfony\Component\EventDispatcher\EventSubscriberInterface;
+use Symfony\Component\Validator\ConstraintViolation;
+use Symfony\Component\Validator\ConstraintViolationList;
+
+/**
+ * Rejects supplier price sources with an SFTP path that does not fit into one sftp batch line
+ */
+class PriceSourceValidationSubscriber implements EventSubscriberInterface
+{
+    public function __construct(
+        private readonly PriceSourceFetcher $priceSourceFetcher
+    ) {
+    }
+
+    public static function getSubscribedEvents(): array
+    {
+        return [
+            PreWriteValidationEvent::class => 'validate',
+        ];
+    }
+
+    public function validate(PreWriteValidationEvent $event): void
+    {
+        foreach ($event->getCommands() as $command) {
+            if (!$command instanceof InsertCommand && !$command instanceof UpdateCommand) {
+                continue;
+            }
+
+            if ($command->getDefinition()->getEntityName() !== SupplierDefinition::ENTITY_NAME) {
+                continue;
+            }
+
+            $source = json_decode((string) ($command->getPayload()['price_source'] ?? ''), true);
+            $path = is_array($source) ? (string) ($source['sftp_path'] ?? '') : '';
+
+            if ($this->priceSourceFetcher->isValidSftpPath($path)) {
+                continue;
+            }
+
+            $message = 'SFTP path must not contain line breaks or other control characters';
+
+            $event->getExceptions()->add(new WriteConstraintViolationException(
+                new ConstraintViolationList([
+                    new ConstraintViolation($message, $message, [], null, '/priceSource/sftp_path', $path),
+                ]),
+                $command->getPath()
+            ));
+        }
+    }
+}
@@ -0,0 +1,124 @@
+<?php declare(strict_types=1);
+
+namespace Artiss\Supplier\Tests\Service\ExchangeRate;
+
+use Artiss\Supplier\Core\Content\ExchangeRate\ExchangeRateDefinition;
+use Artiss\Supplier\Service\ExchangeRate\ExchangeRateService;
+use Artiss\Supplier\Service\ExchangeRate\ExchangeRateUpdater;
+use Artiss\Supplier\Service\ExchangeRate\Provider\ExchangeRateProviderRegistry;
+use Artiss\Supplier\Service\PriceUpdate\PriceUpdateService;
+use PHPUnit\Framework\Attributes\CoversClass;
+use PHPUnit\Framework\MockObject\MockObject;
+use PHPUnit\Framework\TestCase;
+use Shopware\Core\Framework\Context;
+use Shopware\Core\System\SystemConfig\SystemConfigService;
+
+#[CoversClass(ExchangeRateUpdater::class)]
+class ExchangeRateUpdaterTest extends TestCase
+{
+    private const THRESHOLD = 5.0;
+
+    private ExchangeRateService&MockObject $exchangeRateService;
+
+    private PriceUpdateService&MockObject $priceUpdateService;
+
+    private SystemConfigService&MockObject $systemConfigService;
+
+    protected function setUp(): void
+    {
+        $this->exchangeRateService = $this->createMock(ExchangeRateService::class);
+        $this->priceUpdateService = $this->createMock(PriceUpdateService::class);
+        $this->systemConfigService = $this->createMock(SystemConfigService::class);
+
+        $this->systemConfigService->method('getFloat')->willReturn(self::THRESHOLD);
+    }
+
+    public function testFirstChangeBelowThresholdStoresItsPreviousFactorAsBase(): void
+    {
+        $this->mockConfig(null, true);
+        $this->mockChange(1.0, 1.03);
+
+        $this->priceUpdateService->expects(static::never())->method('recalculatePricesFromCustomFields');
+        $this->systemConfigService->expects(static::once())
+            ->method('set')
+            ->with(ExchangeRateUpdater::RECALCULATED_FACTORS_KEY, ['USD' => 1.0]);
+
+        $stats = $this->createUpdater()->setManualRate('USD', 1.03, Context::createDefaultContext());
+
+        static::assertSame([], $stats['threshold_exceeded']);
+        static::assertNull($stats['recalculated']);
+    }
+
+    public function testSmallChangesAddUpToTheThreshold(): void
+    {
+        // 1.03 -> 1.06 is below 5%, but 6% away from the factor of the last recalculation
+        $this->mockConfig(['USD' => 1.0], true);
+        $this->mockChange(1.03, 1.06);
+
+        $this->exchangeRateService->method('getCurrencyFactors')->willReturn(['UAH' => 1.0, 'USD' => 1.06]);
+        $this->priceUpdateService->expects(static::once())
+            ->method('recalculatePricesFromCustomFields')
+            ->willReturn(['updated' => 12]);
+        $this->systemConfigService->expects(static::once())
+            ->method('set')
+            ->with(ExchangeRateUpdater::RECALCULATED_FACTORS_KEY, ['UAH' => 1.0, 'USD' => 1.06]);
+
+        $stats = $this->createUpdater()->setManualRate('USD', 1.06, Context::createDefaultContext());
+
+        static::assertSame(['USD'], $stats['threshold_exceeded']);
+        static::assertSame(12, $stats['recalculated']);
+    }
+
+    public function testExceededThresholdWithoutAutoRecalculate(): void
+    {
+        $this->mockConfig(['USD' => 1.0], false);
+        $this->mockChange(1.0, 1.1);
+
+        $this->priceUpdateService->expects(static::never())->method('recalculatePricesFromCustomFields');
+        $this->systemConfigService->expects(static::never())->method('set');
+
+        $stats = $this->createUpdater()->setManualRate('USD', 1.1, Context::createDefaultContext());
+
+        static::assertSame(['USD'], $stats['threshold_exceeded']);
+        static::assertNull($stats['recalculated']);
+    }
+
+    public function testUnknownCurrency(): void
+    {
+        $this->exchangeRateService->method('setRate')->willReturn(null);
+
+        $this->expectException(\RuntimeException::class);
+
+        $this->createUpdater()->setManualRate('XXX', 1.0, Context::createDefaultContext());
+    }
+
+    private function mockConfig(?array $recalculatedFactors, bool $autoRecalculate): void
+    {
+        $this->systemConfigService->method('get')->willReturnMap([
+            [ExchangeRateUpdater::RECALCULATED_FACTORS_KEY, null, $recalculatedFactors],
+            ['ArtissSupplier.config.exchangeRateAutoRecalculate', null, $autoRecalculate],
+        ]);
+    }
+
+    private function mockChange(float $previousFactor, float $factor): void
+    {
+        $this->exchangeRateService->method('setRate')
+            ->with('USD', $factor, ExchangeRateDefinition::SOURCE_MANUAL)
+            ->willReturn([
+                'iso_code' => 'USD',
+                'factor' => $factor,
+                'previous_factor' => $previousFactor,
+                'change_percent' => round(($factor - $previousFactor) / $previousFactor * 100, 2),
+            ]);
+    }
+
+    private function createUpdater(): ExchangeRateUpdater
+    {
+        return new ExchangeRateUpdater(
+            $this->createMock(ExchangeRateProviderRegistry::class),
+            $this->exchangeRateService,
+            $this->priceUpdateService,
+            $this->systemConfigService
+        );
+    }
+}
@@ -0,0 +1,65 @@
+<?php declare(strict_types=1);
+
+namespace Artiss\Supplier\Tests\Service\Matching;
+
+use Artiss\Supplier\Service\Matching\DimensionStrategy;
+use PHPUnit\Framework\Attributes\CoversClass;
+use PHPUnit\Framework\TestCase;
+use Shopware\Core\Content\Product\ProductEntity;
+use Shopware\Core\Framework\Uuid\Uuid;
+
+#[CoversClass(DimensionStrategy::class)]
+class DimensionStrategyTest extends TestCase
+{
+    private DimensionStrategy $strategy;
+
+    private mixed $index;
+
+    protected function setUp(): void
+    {
+        $this->strategy = new DimensionStrategy();
+        $this->index = $this->strategy->buildIndex([
+            ['code' => '1', 'name' => 'Плитка 60x60 серая'],
+            ['code' => '2', 'name' => 'Плитка 30x60 серая'],
+            ['code' => '3', 'name' => 'Плитка 30 х 60 белая'],
+            ['code' => '4', 'name' => 'Cable 2.5mm'],
+            ['code' => '5', 'name' => 'Плитка без размера'],
+        ]);
+    }
+
+    public function testRowWithSameSizeAndMostTokensWins(): void
+    {
+        $match = $this->strategy->match($this->createProduct('Плитка 30х60 серая'), $this->index);
+
+        static::assertNotNull($match);
+        static::assertSame('2', $match['price_item']['code']);
+        static::assertSame(['30x60'], $match['explanation']['details']['dimensions']);
+
+        // "плитка" and "серая" of 3 tokens, the size is written with a Cyrillic "х"
+        static::assertSame(87, $match['score']);
+    }
+
+    public function testUnitsAreComparedInLatin(): void
+    {
+        $match = $this->strategy->match($this->createProduct('Кабель 2,5 мм'), $this->index);
+
+        static::assertNotNull($match);
+        static::assertSame('4', $match['price_item']['code']);
+        static::assertSame(['2.5mm'], $match['explanation']['details']['dimensions']);
+    }
+
+    public function testEveryDimensionMustBePresent(): void
+    {
+        static::assertNull($this->strategy->match($this->createProduct('Плитка 20x20 серая'), $this->index));
+        static::assertNull($this->strategy->match($this->createProduct('Плитка серая'), $this->index));
+    }
+
+    private function createProduct(string $name): ProductEntity
+    {
+        $product = new ProductEntity();
+        $product->setId(Uuid::randomHex());
+        $product->setName($name);
+
+        return $product;
+    }
+}
@@ -0,0 +1,44 @@
+<?php declare(strict_types=1);
+
+namespace Artiss\Supplier\Tests\Service\Matching;
+
+use Artiss\Supplier\Service\Matching\EanStrategy;
+use PHPUnit\Framework\Attributes\CoversClass;
+use PHPUnit\Framework\Attributes\DataProvider;
+use PHPUnit\Framework\TestCase;
+use Shopware\Core\Content\Product\ProductEntity;
+use Shopware\Core\Framework\Uuid\Uuid;
+
+#[CoversClass(EanStrategy::class)]
+class EanStrategyTest extends TestCase
+{
+    #[DataProvider('eanProvider')]
+    public function testMatch(string $ean, ?string $expectedCode, ?int $expectedScore, ?string $expectedField): void
+    {
+        $strategy = new EanStrategy();
+        $index = $strategy->buildIndex([
+            ['code' => 'A1', 'name' => 'Drill', 'ean' => '4006381333931'],
+            ['code' => 'B2', 'name' => 'Lamp 12345670 white'],
+            ['code' => 'C3', 'name' => 'Cable', 'ean' => '0036000291452'],
+        ]);
+
+        $product = new ProductEntity();
+        $product->setId(Uuid::randomHex());
+        $product->setEan($ean);
+
+        $match = $strategy->match($product, $index);
+
+        static::assertSame($expectedCode, $match['price_item']['code'] ?? null);
+        static::assertSame($expectedScore, $match['score'] ?? null);
+        static::assertSame($expectedField, $match['explanation']['fields'][0]['price_field'] ?? null);
+    }
+
+    public static function eanProvider(): \Generator
+    {
+        yield 'ean column' => ['4006381333931', 'A1', 100, 'ean'];
+        yield 'barcode in the name' => ['12345670', 'B2', 90, 'name'];
+        yield 'upc equals padded gtin' => ['036000291452', 'C3', 100, 'ean'];
+        yield 'not a gtin' => ['12345', null, null, null];
+        yield 'unknown gtin' => ['4006381333948', null, null, null];
+    }
+}
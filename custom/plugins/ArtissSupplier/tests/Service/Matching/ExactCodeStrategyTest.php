@@ -0,0 +1,72 @@
+<?php declare(strict_types=1);
+
+namespace Artiss\Supplier\Tests\Service\Matching;
+
+use Artiss\Supplier\Service\Matching\ExactCodeStrategy;
+use PHPUnit\Framework\Attributes\CoversClass;
+use PHPUnit\Framework\TestCase;
+use Shopware\Core\Content\Product\ProductEntity;
+use Shopware\Core\Framework\Uuid\Uuid;
+
+#[CoversClass(ExactCodeStrategy::class)]
+class ExactCodeStrategyTest extends TestCase
+{
+    private ExactCodeStrategy $strategy;
+
+    private mixed $index;
+
+    protected function setUp(): void
+    {
+        $this->strategy = new ExactCodeStrategy();
+        $this->index = $this->strategy->buildIndex([
+            ['code' => 'AB-12.3/4', 'name' => 'Cable'],
+            ['code' => 'X-1', 'name' => 'Socket'],
+        ]);
+    }
+
+    public function testSupplierCodeIsComparedWithoutSeparators(): void
+    {
+        $match = $this->strategy->match($this->createProduct('ab 1234', 'P-100'), $this->index);
+
+        static::assertNotNull($match);
+        static::assertSame('AB-12.3/4', $match['price_item']['code']);
+        static::assertSame(100, $match['score']);
+        static::assertSame('kod_postavschika', $match['explanation']['fields'][0]['product_field']);
+    }
+
+    public function testProductNumberIsUsedWithoutSupplierCode(): void
+    {
+        $match = $this->strategy->match($this->createProduct(null, 'x1'), $this->index);
+
+        static::assertNotNull($match);
+        static::assertSame('X-1', $match['price_item']['code']);
+        static::assertSame('product_number', $match['explanation']['fields'][0]['product_field']);
+    }
+
+    public function testNoMatch(): void
+    {
+        static::assertNull($this->strategy->match($this->createProduct('Z-9', 'P-100'), $this->index));
+    }
+
+    public function testExcludedCodeFallsBackToNextRowWithSameCode(): void
+    {
+        $index = $this->strategy->buildIndex([
+            ['code' => 'AB-1', 'name' => 'Cable'],
+            ['code' => 'AB1', 'name' => 'Cable 2m'],
+        ]);
+        $product = $this->createProduct('AB-1', 'P-100');
+
+        static::assertSame('AB1', $this->strategy->match($product, $index, ['AB-1'])['price_item']['code'] ?? null);
+        static::assertNull($this->strategy->match($product, $index, ['AB-1', 'AB1']));
+    }
+
+    private function createProduct(?string $supplierCode, string $productNumber): ProductEntity
+    {
+        $product = new ProductEntity();
+        $product->setId(Uuid::randomHex());
+        $product->setProductNumber($productNumber);
+        $product->setCustomFields($supplierCode !== null ? ['kod_postavschika' => $supplierCode] : null);
+
+        return $product;
+    }
+}
@@ -0,0 +1,55 @@
+<?php declare(strict_types=1);
+
+namespace Artiss\Supplier\Tests\Service\Matching;
+
+use Artiss\Supplier\Service\Matching\FuzzyNameStrategy;
+use PHPUnit\Framework\Attributes\CoversClass;
+use PHPUnit\Framework\TestCase;
+use Shopware\Core\Content\Product\ProductEntity;
+use Shopware\Core\Framework\Uuid\Uuid;
+
+#[CoversClass(FuzzyNameStrategy::class)]
+class FuzzyNameStrategyTest extends TestCase
+{
+    private FuzzyNameStrategy $strategy;
+
+    private mixed $index;
+
+    protected function setUp(): void
+    {
+        $this->strategy = new FuzzyNameStrategy();
+        $this->index = $this->strategy->buildIndex([
+            ['code' => '1', 'name' => 'Дрель аккумуляторная Makita'],
+            ['code' => '2', 'name' => 'Дрель ударная Bosch'],
+            ['code' => '3', 'name' => 'Перфоратор'],
+        ]);
+    }
+
+    public function testClosestNameWins(): void
+    {
+        $match = $this->strategy->match($this->createProduct('Дрель ударная Bosch GSB'), $this->index);
+
+        static::assertNotNull($match);
+        static::assertSame('2', $match['price_item']['code']);
+
+        // Distance is counted in characters: " gsb" is missing from a 23 character name
+        static::assertSame(4, $match['explanation']['details']['distance']);
+        static::assertSame(83, $match['score']);
+        static::assertSame(['дрель', 'ударная', 'bosch'], $match['explanation']['matched_tokens']);
+        static::assertSame(['gsb'], $match['explanation']['missing_tokens']);
+    }
+
+    public function testNoSharedToken(): void
+    {
+        static::assertNull($this->strategy->match($this->createProduct('Розетка'), $this->index));
+    }
+
+    private function createProduct(string $name): ProductEntity
+    {
+        $product = new ProductEntity();
+        $product->setId(Uuid::randomHex());
+        $product->setName($name);
+
+        return $product;
+    }
+}
@@ -0,0 +1,43 @@
+<?php declare(strict_types=1);
+
+namespace Artiss\Supplier\Tests\Service\Matching;
+
+use Artiss\Supplier\Service\Matching\ManufacturerNumberStrategy;
+use PHPUnit\Framework\Attributes\CoversClass;
+use PHPUnit\Framework\Attributes\DataProvider;
+use PHPUnit\Framework\TestCase;
+use Shopware\Core\Content\Product\ProductEntity;
+use Shopware\Core\Framework\Uuid\Uuid;
+
+#[CoversClass(ManufacturerNumberStrategy::class)]
+class ManufacturerNumberStrategyTest extends TestCase
+{
+    #[DataProvider('manufacturerNumberProvider')]
+    public function testMatch(string $manufacturerNumber, ?string $expectedCode, ?int $expectedScore): void
+    {
+        $strategy = new ManufacturerNumberStrategy();
+        $index = $strategy->buildIndex([
+            ['code' => 'XYZ-1000', 'name' => 'Drill'],
+            ['code' => 'C1', 'name' => 'Saw SB-2000 blue'],
+            ['code' => 'C2', 'name' => 'Saw 500W'],
+            ['code' => 'C3', 'name' => 'Saw 500W pro'],
+        ]);
+
+        $product = new ProductEntity();
+        $product->setId(Uuid::randomHex());
+        $product->setManufacturerNumber($manufacturerNumber);
+
+        $match = $strategy->match($product, $index);
+
+        static::assertSame($expectedCode, $match['price_item']['code'] ?? null);
+        static::assertSame($expectedScore, $match['score'] ?? null);
+    }
+
+    public static function manufacturerNumberProvider(): \Generator
+    {
+        yield 'price list code' => ['xyz 1000', 'XYZ-1000', 95];
+        yield 'word of the name' => ['SB2000', 'C1', 85];
+        yield 'word used by several rows' => ['500W', null, null];
+        yield 'too short' => ['C1', null, null];
+    }
+}
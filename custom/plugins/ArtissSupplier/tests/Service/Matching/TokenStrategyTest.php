@@ -0,0 +1,79 @@
+<?php declare(strict_types=1);
+
+namespace Artiss\Supplier\Tests\Service\Matching;
+
+use Artiss\Supplier\Service\Matching\TokenStrategy;
+use PHPUnit\Framework\Attributes\CoversClass;
+use PHPUnit\Framework\TestCase;
+use Shopware\Core\Content\Product\ProductEntity;
+use Shopware\Core\Framework\Uuid\Uuid;
+
+#[CoversClass(TokenStrategy::class)]
+class TokenStrategyTest extends TestCase
+{
+    private TokenStrategy $strategy;
+
+    protected function setUp(): void
+    {
+        $this->strategy = new TokenStrategy();
+    }
+
+    public function testRowWithMostTokensWins(): void
+    {
+        $index = $this->strategy->buildIndex([
+            ['code' => '1', 'name' => 'Кабель ВВГ 3x1,5'],
+            ['code' => '2', 'name' => 'Кабель ВВГ 3x2,5'],
+            ['code' => '3', 'name' => 'Розетка'],
+        ]);
+
+        $match = $this->strategy->match($this->createProduct('Кабель ВВГ 3x2,5'), $index);
+
+        static::assertNotNull($match);
+        static::assertSame('2', $match['price_item']['code']);
+        static::assertSame(100, $match['score']);
+        static::assertSame(0, $match['explanation']['details']['level']);
+    }
+
+    public function testTieIsResolvedByCompositeTokens(): void
+    {
+        $index = $this->strategy->buildIndex([
+            ['code' => '1', 'name' => 'ab cd 12'],
+            ['code' => '2', 'name' => 'ab 12 cd'],
+        ]);
+
+        // Both rows contain "ab", "12" and "cd", only the second one contains "ab12"
+        $match = $this->strategy->match($this->createProduct('AB 12 CD'), $index);
+
+        static::assertNotNull($match);
+        static::assertSame('2', $match['price_item']['code']);
+        static::assertSame(1, $match['explanation']['details']['level']);
+    }
+
+    public function testPartialMatchScore(): void
+    {
+        $index = $this->strategy->buildIndex([['code' => '1', 'name' => 'Drill Bosch']]);
+
+        $match = $this->strategy->match($this->createProduct('Drill Makita'), $index);
+
+        static::assertNotNull($match);
+        static::assertSame(50, $match['score']);
+        static::assertSame(['drill'], $match['explanation']['matched_tokens']);
+        static::assertSame(['makita'], $match['explanation']['missing_tokens']);
+    }
+
+    public function testNoSharedToken(): void
+    {
+        $index = $this->strategy->buildIndex([['code' => '1', 'name' => 'Drill']]);
+
+        static::assertNull($this->strategy->match($this->createProduct('Socket'), $index));
+    }
+
+    private function createProduct(string $name): ProductEntity
+    {
+        $product = new ProductEntity();
+        $product->setId(Uuid::randomHex());
+        $product->setName($name);
+
+        return $product;
+    }
+}
@@ -0,0 +1,43 @@
+<?php declare(strict_types=1);
+
+namespace Artiss\Supplier\Tests\Service\PriceImport;
+
+use Artiss\Supplier\Service\Parser\ParserRegistry;
+use Artiss\Supplier\Service\PriceImport\PriceListMediaImporter;
+use Artiss\Supplier\Service\PriceImport\PriceSourceFetcher;
+use Artiss\Supplier\Service\PriceImport\PriceSourcePasswordStore;
+use PHPUnit\Framework\Attributes\CoversClass;
+use PHPUnit\Framework\Attributes\DataProvider;
+use PHPUnit\Framework\TestCase;
+use Shopware\Core\Framework\DataAbstractionLayer\EntityRepository;
+use Symfony\Contracts\HttpClient\HttpClientInterface;
+
+#[CoversClass(PriceSourceFetcher::class)]
+class PriceSourceFetcherTest extends TestCase
+{
+    #[DataProvider('sftpPathProvider')]
+    public function testIsValidSftpPath(string $path, bool $valid): void
+    {
+        $fetcher = new PriceSourceFetcher(
+            $this->createMock(PriceListMediaImporter::class),
+            $this->createMock(PriceSourcePasswordStore::class),
+            $this->createMock(ParserRegistry::class),
+            $this->createMock(EntityRepository::class),
+            $this->createMock(EntityRepository::class),
+            $this->createMock(HttpClientInterface::class),
+            '/var/www'
+        );
+
+        static::assertSame($valid, $fetcher->isValidSftpPath($path));
+    }
+
+    public static function sftpPathProvider(): iterable
+    {
+        yield 'file' => ['/prices/price list "2024".xlsx', true];
+        yield 'directory' => ['/prices/', true];
+        yield 'line feed starts a local command' => ["/prices/a.xlsx\n!rm -rf ~", false];
+        yield 'carriage return' => ["/prices/a.xlsx\r!id", false];
+        yield 'tab' => ["/prices/a\t.xlsx", false];
+        yield 'null byte' => ["/prices/a.xlsx\0", false];
+    }
+}
@@ -0,0 +1,108 @@
+<?php declare(strict_types=1);
+
+namespace Artiss\Supplier\Tests\Service\PriceImport;
+
+use Artiss\Supplier\Core\Content\Supplier\SupplierCollection;
+use Artiss\Supplier\Core\Content\Supplier\SupplierEntity;
+use Artiss\Supplier\Service\PriceImport\PriceSourcePasswordStore;
+use PHPUnit\Framework\Attributes\CoversClass;
+use PHPUnit\Framework\TestCase;
+use Shopware\Core\Framework\Context;
+use Shopware\Core\Framework\DataAbstractionLayer\EntityRepository;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\Criteria;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\EntitySearchResult;
+use Shopware\Core\System\SystemConfig\SystemConfigService;
+
+#[CoversClass(PriceSourcePasswordStore::class)]
+class PriceSourcePasswordStoreTest extends TestCase
+{
+    private const SUPPLIER_ID = '0190a7c9d7b87f3e9f1a2b3c4d5e6f70';
+
+    public function testPasswordIsStoredEncrypted(): void
+    {
+        $stored = $this->savePassword('secret', 'top-secret');
+
+        static::assertNotSame('', $stored);
+        static::assertStringNotContainsString('top-secret', $stored);
+        static::assertSame('top-secret', $this->createStore('secret', $stored)->getPassword(self::SUPPLIER_ID));
+    }
+
+    public function testPasswordOfAnotherAppSecretIsMissing(): void
+    {
+        $stored = $this->savePassword('secret', 'top-secret');
+
+        static::assertNull($this->createStore('other-secret', $stored)->getPassword(self::SUPPLIER_ID));
+    }
+
+    public function testPlainTextValueIsMissing(): void
+    {
+        static::assertNull($this->createStore('secret', 'top-secret')->getPassword(self::SUPPLIER_ID));
+    }
+
+    public function testEmptyPasswordRemovesIt(): void
+    {
+        $systemConfig = $this->createMock(SystemConfigService::class);
+        $systemConfig->expects(static::never())->method('set');
+        $systemConfig->expects(static::once())
+            ->method('delete')
+            ->with(PriceSourcePasswordStore::CONFIG_PREFIX . self::SUPPLIER_ID);
+
+        $repository = $this->createSupplierRepository(['type' => 'url', 'password' => 'old']);
+        $repository->expects(static::once())
+            ->method('update')
+            ->with([['id' => self::SUPPLIER_ID, 'priceSource' => ['type' => 'url', 'has_password' => false]]]);
+
+        (new PriceSourcePasswordStore($systemConfig, $repository, 'secret'))
+            ->setPassword(self::SUPPLIER_ID, '', Context::createDefaultContext());
+    }
+
+    private function savePassword(string $appSecret, string $password): string
+    {
+        $stored = '';
+
+        $systemConfig = $this->createMock(SystemConfigService::class);
+        $systemConfig->expects(static::once())
+            ->method('set')
+            ->willReturnCallback(function (string $key, mixed $value) use (&$stored): void {
+                static::assertSame(PriceSourcePasswordStore::CONFIG_PREFIX . self::SUPPLIER_ID, $key);
+                $stored = $value;
+            });
+
+        $repository = $this->createSupplierRepository(['type' => 'url']);
+        $repository->expects(static::once())
+            ->method('update')
+            ->with([['id' => self::SUPPLIER_ID, 'priceSource' => ['type' => 'url', 'has_password' => true]]]);
+
+        (new PriceSourcePasswordStore($systemConfig, $repository, $appSecret))
+            ->setPassword(self::SUPPLIER_ID, $password, Context::createDefaultContext());
+
+        return $stored;
+    }
+
+    private function createStore(string $appSecret, string $storedValue): PriceSourcePasswordStore
+    {
+        $systemConfig = $this->createMock(SystemConfigService::class);
+        $systemConfig->method('getString')->willReturn($storedValue);
+
+        return new PriceSourcePasswordStore($systemConfig, $this->createMock(EntityRepository::class), $appSecret);
+    }
+
+    private function createSupplierRepository(array $priceSource): EntityRepository
+    {
+        $supplier = new SupplierEntity();
+        $supplier->setId(self::SUPPLIER_ID);
+        $supplier->setPriceSource($priceSource);
+
+        $repository = $this->createMock(EntityRepository::class);
+        $repository->method('search')->willReturn(new EntitySearchResult(
+            'art_supplier',
+            1,
+            new SupplierCollection([$supplier]),
+            null,
+            new Criteria(),
+            Context::createDefaultContext()
+        ));
+
+        return $repository;
+    }
+}
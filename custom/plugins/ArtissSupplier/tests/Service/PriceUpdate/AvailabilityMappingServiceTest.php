@@ -0,0 +1,114 @@
+<?php declare(strict_types=1);
+
+namespace Artiss\Supplier\Tests\Service\PriceUpdate;
+
+use Artiss\Supplier\Service\PriceUpdate\AvailabilityMappingService;
+use PHPUnit\Framework\Attributes\CoversClass;
+use PHPUnit\Framework\Attributes\DataProvider;
+use PHPUnit\Framework\TestCase;
+
+#[CoversClass(AvailabilityMappingService::class)]
+class AvailabilityMappingServiceTest extends TestCase
+{
+    private const DELIVERY_TIME_ID = '0190a7c9d7b87f3e9f1a2b3c4d5e6f70';
+
+    private AvailabilityMappingService $service;
+
+    protected function setUp(): void
+    {
+        $this->service = new AvailabilityMappingService();
+    }
+
+    #[DataProvider('resolveProvider')]
+    public function testResolve(string $value, ?int $stock, ?int $rule): void
+    {
+        $resolved = $this->service->resolve($value, $this->createMapping());
+
+        static::assertSame($stock, $resolved['stock']);
+        static::assertSame($rule, $resolved['rule']);
+    }
+
+    public static function resolveProvider(): iterable
+    {
+        yield 'text is case-insensitive' => ['Є', 10, 0];
+        yield 'text matches the whole value' => ['є в наявності', 0, null];
+        yield 'regex' => ['Під  замовлення', 0, 1];
+        yield 'regex with delimiter' => ['a~b', 3, 2];
+        yield 'range gives the first number' => ['5-10', 5, 3];
+        yield 'more than' => ['>50', 50, 3];
+        yield 'spaces inside numbers' => ['1 000 шт', 1000, 3];
+        yield 'default' => ['немає', 0, null];
+    }
+
+    public function testRuleFieldsAreReturned(): void
+    {
+        $resolved = $this->service->resolve('під замовлення', $this->createMapping());
+
+        static::assertSame(self::DELIVERY_TIME_ID, $resolved['delivery_time_id']);
+        static::assertFalse($resolved['is_closeout']);
+        static::assertNull($resolved['active']);
+        static::assertSame(
+            ['stock' => 0, 'deliveryTimeId' => self::DELIVERY_TIME_ID, 'isCloseout' => false],
+            $this->service->toProductUpdate($resolved)
+        );
+    }
+
+    public function testEscapedDelimiterIsKept(): void
+    {
+        $mapping = ['enabled' => true, 'rules' => [['match_type' => 'regex', 'pattern' => '^\~$', 'stock' => 1]]];
+
+        static::assertSame([], $this->service->getMappingErrors($mapping));
+        static::assertSame(0, $this->service->resolve('~', $mapping)['rule']);
+    }
+
+    #[DataProvider('patternProvider')]
+    public function testGetPatternError(string $pattern, bool $valid): void
+    {
+        static::assertSame($valid, $this->service->getPatternError($pattern) === null);
+    }
+
+    public static function patternProvider(): iterable
+    {
+        yield 'plain' => ['^\+$', true];
+        yield 'delimiter' => ['a~b', true];
+        yield 'escaped delimiter' => ['a\~b', true];
+        yield 'escaped backslash before delimiter' => ['a\\\\~b', true];
+        yield 'unclosed group' => ['(під', false];
+        yield 'trailing backslash' => ['abc\\', false];
+    }
+
+    public function testMappingErrorsOnlyForRegexRules(): void
+    {
+        $errors = $this->service->getMappingErrors([
+            'enabled' => true,
+            'rules' => [
+                ['match_type' => 'text', 'pattern' => '('],
+                ['match_type' => 'regex', 'pattern' => '('],
+                ['match_type' => 'regex', 'pattern' => ''],
+                ['match_type' => 'number'],
+            ],
+        ]);
+
+        static::assertSame([1], array_keys($errors));
+    }
+
+    private function createMapping(): array
+    {
+        return [
+            'enabled' => true,
+            'rules' => [
+                ['match_type' => 'text', 'pattern' => 'є', 'stock' => 10],
+                [
+                    'match_type' => 'regex',
+                    'pattern' => 'під\s+замовлення',
+                    'stock' => 0,
+                    'delivery_time_id' => self::DELIVERY_TIME_ID,
+                    'is_closeout' => false,
+                ],
+                ['match_type' => 'regex', 'pattern' => '^a~b$', 'stock' => 3],
+                ['match_type' => 'number', 'stock' => null],
+            ],
+            'default' => ['stock' => 0],
+        ];
+    }
+}
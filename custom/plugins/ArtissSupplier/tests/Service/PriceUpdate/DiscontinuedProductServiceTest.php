@@ -0,0 +1,138 @@
+<?php declare(strict_types=1);
+
+namespace Artiss\Supplier\Tests\Service\PriceUpdate;
+
+use Artiss\Supplier\Core\Content\DiscontinuedProduct\DiscontinuedProductCollection;
+use Artiss\Supplier\Core\Content\DiscontinuedProduct\DiscontinuedProductDefinition;
+use Artiss\Supplier\Core\Content\DiscontinuedProduct\DiscontinuedProductEntity;
+use Artiss\Supplier\Core\Content\PriceTemplate\PriceTemplateEntity;
+use Artiss\Supplier\Service\PriceUpdate\DiscontinuedProductService;
+use PHPUnit\Framework\Attributes\CoversClass;
+use PHPUnit\Framework\TestCase;
+use Shopware\Core\Content\Product\ProductCollection;
+use Shopware\Core\Content\Product\ProductDefinition;
+use Shopware\Core\Content\Product\ProductEntity;
+use Shopware\Core\Framework\Context;
+use Shopware\Core\Framework\DataAbstractionLayer\EntityRepository;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\Criteria;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\EntitySearchResult;
+use Shopware\Core\System\SystemConfig\SystemConfigService;
+
+#[CoversClass(DiscontinuedProductService::class)]
+class DiscontinuedProductServiceTest extends TestCase
+{
+    private const TEMPLATE_ID = '0190a7c9d7b87f3e9f1a2b3c4d5e6fb0';
+    private const SUPPLIER_ID = '0190a7c9d7b87f3e9f1a2b3c4d5e6fb1';
+
+    // Missing twice before, missing again in a new price list
+    private const PRODUCT_OVER_GRACE = '0190a7c9d7b87f3e9f1a2b3c4d5e6fc1';
+    // Missing once before, the same price list file is applied again
+    private const PRODUCT_SAME_FILE = '0190a7c9d7b87f3e9f1a2b3c4d5e6fc2';
+    // Missing before, back in the price list
+    private const PRODUCT_BACK = '0190a7c9d7b87f3e9f1a2b3c4d5e6fc3';
+    // Missing for the first time
+    private const PRODUCT_NEW = '0190a7c9d7b87f3e9f1a2b3c4d5e6fc4';
+
+    public function testTrack(): void
+    {
+        $discontinuedProductRepository = $this->createMock(EntityRepository::class);
+        $discontinuedProductRepository->method('search')->willReturnCallback(
+            fn(Criteria $criteria, Context $context) => new EntitySearchResult(
+                DiscontinuedProductDefinition::ENTITY_NAME,
+                3,
+                new DiscontinuedProductCollection([
+                    $this->createRow('row-over-grace', self::PRODUCT_OVER_GRACE, 2, 'media-1'),
+                    $this->createRow('row-same-file', self::PRODUCT_SAME_FILE, 1, 'media-2'),
+                    $this->createRow('row-back', self::PRODUCT_BACK, 1, 'media-1'),
+                ]),
+                null,
+                $criteria,
+                $context
+            )
+        );
+
+        $productRepository = $this->createMock(EntityRepository::class);
+        $productRepository->method('search')->willReturnCallback(
+            fn(Criteria $criteria, Context $context) => new EntitySearchResult(
+                ProductDefinition::ENTITY_NAME,
+                3,
+                new ProductCollection(array_map(fn(string $id) => $this->createProduct($id), $criteria->getIds())),
+                null,
+                $criteria,
+                $context
+            )
+        );
+
+        $upserted = [];
+        $discontinuedProductRepository->expects(static::once())
+            ->method('upsert')
+            ->with(static::callback(function (array $data) use (&$upserted): bool {
+                foreach ($data as $row) {
+                    $upserted[$row['productId']] = $row;
+                }
+
+                return true;
+            }));
+        $discontinuedProductRepository->expects(static::once())
+            ->method('delete')
+            ->with([['id' => 'row-back']]);
+
+        $systemConfigService = $this->createMock(SystemConfigService::class);
+        $systemConfigService->method('getInt')->willReturn(0);
+
+        $service = new DiscontinuedProductService($discontinuedProductRepository, $productRepository, $systemConfigService);
+
+        $result = $service->track($this->createTemplate(), [
+            self::PRODUCT_OVER_GRACE => 'A-1',
+            self::PRODUCT_SAME_FILE => 'B-1',
+            self::PRODUCT_BACK => 'C-1',
+            self::PRODUCT_NEW => 'D-1',
+        ], [' c-1 ', 'X-1'], Context::createDefaultContext());
+
+        // Grace period defaults to 3 price lists
+        static::assertSame(['missing' => 3, 'discontinued' => 1], $result);
+
+        static::assertSame(3, $upserted[self::PRODUCT_OVER_GRACE]['missingCount']);
+        static::assertSame('row-over-grace', $upserted[self::PRODUCT_OVER_GRACE]['id']);
+        static::assertSame(1, $upserted[self::PRODUCT_SAME_FILE]['missingCount']);
+        static::assertSame(1, $upserted[self::PRODUCT_NEW]['missingCount']);
+        static::assertSame('media-2', $upserted[self::PRODUCT_NEW]['lastMediaId']);
+        static::assertSame(self::SUPPLIER_ID, $upserted[self::PRODUCT_NEW]['supplierId']);
+        static::assertArrayNotHasKey(self::PRODUCT_BACK, $upserted);
+    }
+
+    private function createTemplate(): PriceTemplateEntity
+    {
+        $template = new PriceTemplateEntity();
+        $template->setId(self::TEMPLATE_ID);
+        $template->setSupplierId(self::SUPPLIER_ID);
+        $template->setConfig(['selected_media_id' => 'media-2']);
+
+        return $template;
+    }
+
+    private function createRow(string $id, string $productId, int $missingCount, string $lastMediaId): DiscontinuedProductEntity
+    {
+        $row = new DiscontinuedProductEntity();
+        $row->setId($id);
+        $row->setPriceTemplateId(self::TEMPLATE_ID);
+        $row->setSupplierId(self::SUPPLIER_ID);
+        $row->setProductId($productId);
+        $row->setSupplierCode('');
+        $row->setMissingCount($missingCount);
+        $row->setFirstMissingAt(new \DateTime('-1 month'));
+        $row->setLastMediaId($lastMediaId);
+
+        return $row;
+    }
+
+    private function createProduct(string $id): ProductEntity
+    {
+        $product = new ProductEntity();
+        $product->setId($id);
+        $product->setProductNumber('P-' . substr($id, -2));
+        $product->setName('Product ' . substr($id, -2));
+
+        return $product;
+    }
+}
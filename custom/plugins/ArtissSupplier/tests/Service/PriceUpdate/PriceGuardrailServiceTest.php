@@ -0,0 +1,110 @@
+<?php declare(strict_types=1);
+
+namespace Artiss\Supplier\Tests\Service\PriceUpdate;
+
+use Artiss\Supplier\Service\PriceUpdate\PriceGuardrailService;
+use PHPUnit\Framework\Attributes\CoversClass;
+use PHPUnit\Framework\Attributes\DataProvider;
+use PHPUnit\Framework\TestCase;
+
+#[CoversClass(PriceGuardrailService::class)]
+class PriceGuardrailServiceTest extends TestCase
+{
+    private const CURRENCY_FACTORS = ['UAH' => 1.0, 'USD' => 0.025];
+
+    private PriceGuardrailService $service;
+
+    protected function setUp(): void
+    {
+        $this->service = new PriceGuardrailService();
+    }
+
+    public function testDisabledGuardrailsReportNothing(): void
+    {
+        $violations = $this->service->check(
+            ['purchase' => 100],
+            ['purchase' => 'UAH'],
+            ['purchase' => 500],
+            ['purchase' => 'UAH'],
+            ['enabled' => false, 'max_increase_percent' => 10],
+            self::CURRENCY_FACTORS
+        );
+
+        static::assertSame([], $violations);
+    }
+
+    /**
+     * @param array<int, array<string, mixed>> $expected
+     */
+    #[DataProvider('priceChangeProvider')]
+    public function testPriceChange(float $current, float $new, string $newCurrency, array $expected): void
+    {
+        $violations = $this->service->check(
+            ['purchase' => $current],
+            ['purchase' => 'UAH'],
+            ['purchase' => $new],
+            ['purchase' => $newCurrency],
+            ['enabled' => true, 'max_increase_percent' => 20, 'max_decrease_percent' => '15'],
+            self::CURRENCY_FACTORS
+        );
+
+        static::assertSame($expected, $violations);
+    }
+
+    public static function priceChangeProvider(): \Generator
+    {
+        yield 'increase within limit' => [100.0, 120.0, 'UAH', []];
+        yield 'increase over limit' => [100.0, 130.0, 'UAH', [
+            ['rule' => PriceGuardrailService::RULE_MAX_INCREASE, 'price_type' => 'purchase', 'value' => 30.0, 'limit' => 20.0],
+        ]];
+        yield 'decrease over limit' => [100.0, 80.0, 'UAH', [
+            ['rule' => PriceGuardrailService::RULE_MAX_DECREASE, 'price_type' => 'purchase', 'value' => -20.0, 'limit' => -15.0],
+        ]];
+        yield 'currency changed' => [100.0, 5.0, 'USD', []];
+    }
+
+    public function testRetailBelowPurchase(): void
+    {
+        $violations = $this->service->check(
+            [],
+            [],
+            ['purchase' => 100, 'retail' => 90],
+            ['purchase' => 'UAH', 'retail' => 'UAH'],
+            ['enabled' => true, 'retail_not_below_purchase' => true, 'min_margin_percent' => 20],
+            self::CURRENCY_FACTORS
+        );
+
+        // The margin rule is not reported on top of a retail price below purchase
+        static::assertSame([
+            ['rule' => PriceGuardrailService::RULE_RETAIL_BELOW_PURCHASE, 'price_type' => 'retail', 'value' => -10.0, 'limit' => 0.0],
+        ], $violations);
+    }
+
+    public function testMinMarginComparesPricesInDefaultCurrency(): void
+    {
+        $guardrails = ['enabled' => true, 'min_margin_percent' => 20];
+
+        // 10 USD is 400 UAH, so 450 UAH retail is a 12.5% margin
+        $violations = $this->service->check(
+            [],
+            [],
+            ['purchase' => 10, 'retail' => 450],
+            ['purchase' => 'USD', 'retail' => 'UAH'],
+            $guardrails,
+            self::CURRENCY_FACTORS
+        );
+
+        static::assertSame([
+            ['rule' => PriceGuardrailService::RULE_MIN_MARGIN, 'price_type' => 'retail', 'value' => 12.5, 'limit' => 20.0],
+        ], $violations);
+
+        static::assertSame([], $this->service->check(
+            [],
+            [],
+            ['purchase' => 10, 'retail' => 480],
+            ['purchase' => 'USD', 'retail' => 'UAH'],
+            $guardrails,
+            self::CURRENCY_FACTORS
+        ));
+    }
+}
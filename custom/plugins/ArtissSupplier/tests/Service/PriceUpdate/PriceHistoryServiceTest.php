@@ -0,0 +1,174 @@
+<?php declare(strict_types=1);
+
+namespace Artiss\Supplier\Tests\Service\PriceUpdate;
+
+use Artiss\Supplier\Core\Content\PriceChangeset\Aggregate\PriceChangesetItem\PriceChangesetItemCollection;
+use Artiss\Supplier\Core\Content\PriceChangeset\Aggregate\PriceChangesetItem\PriceChangesetItemDefinition;
+use Artiss\Supplier\Core\Content\PriceChangeset\Aggregate\PriceChangesetItem\PriceChangesetItemEntity;
+use Artiss\Supplier\Core\Content\PriceChangeset\PriceChangesetCollection;
+use Artiss\Supplier\Core\Content\PriceChangeset\PriceChangesetDefinition;
+use Artiss\Supplier\Core\Content\PriceChangeset\PriceChangesetEntity;
+use Artiss\Supplier\Service\PriceUpdate\PriceHistoryService;
+use PHPUnit\Framework\Attributes\CoversClass;
+use PHPUnit\Framework\MockObject\MockObject;
+use PHPUnit\Framework\TestCase;
+use Shopware\Core\Framework\Context;
+use Shopware\Core\Framework\DataAbstractionLayer\EntityRepository;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\Criteria;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\EntitySearchResult;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\IdSearchResult;
+
+#[CoversClass(PriceHistoryService::class)]
+class PriceHistoryServiceTest extends TestCase
+{
+    private const CHANGESET_ID = '0190a7c9d7b87f3e9f1a2b3c4d5e6fd0';
+    private const PRODUCT_ID = '0190a7c9d7b87f3e9f1a2b3c4d5e6fd1';
+    private const DELETED_PRODUCT_ID = '0190a7c9d7b87f3e9f1a2b3c4d5e6fd2';
+
+    private EntityRepository&MockObject $changesetRepository;
+
+    private EntityRepository&MockObject $changesetItemRepository;
+
+    private EntityRepository&MockObject $productRepository;
+
+    protected function setUp(): void
+    {
+        $this->changesetRepository = $this->createMock(EntityRepository::class);
+        $this->changesetItemRepository = $this->createMock(EntityRepository::class);
+        $this->productRepository = $this->createMock(EntityRepository::class);
+
+        $this->changesetItemRepository->method('search')->willReturnCallback(
+            fn(Criteria $criteria, Context $context) => new EntitySearchResult(
+                PriceChangesetItemDefinition::ENTITY_NAME,
+                2,
+                new PriceChangesetItemCollection([
+                    $this->createItem('item-1', self::PRODUCT_ID, [
+                        'purchase_price_value' => 10.5,
+                        'purchase_price_currency' => 'USD',
+                        'stock' => 5,
+                        'deliveryTimeId' => null,
+                        'name' => 'Not restored',
+                    ]),
+                    $this->createItem('item-2', self::DELETED_PRODUCT_ID, ['stock' => 1]),
+                ]),
+                null,
+                $criteria,
+                $context
+            )
+        );
+
+        $this->productRepository->method('searchIds')->willReturnCallback(
+            fn(Criteria $criteria, Context $context) => $this->createIdResult([self::PRODUCT_ID], $criteria, $context)
+        );
+    }
+
+    public function testRevertRestoresTrackedValuesOfExistingProducts(): void
+    {
+        $this->mockChangeset(null);
+        $this->mockLaterChanges(false);
+
+        $this->productRepository->expects(static::once())
+            ->method('update')
+            ->with([
+                [
+                    'id' => self::PRODUCT_ID,
+                    'customFields' => ['purchase_price_value' => 10.5, 'purchase_price_currency' => 'USD'],
+                    'stock' => 5,
+                    'deliveryTimeId' => null,
+                ],
+            ]);
+        $this->changesetRepository->expects(static::once())
+            ->method('update')
+            ->with(static::callback(static fn(array $data): bool => $data[0]['id'] === self::CHANGESET_ID
+                && $data[0]['revertedAt'] instanceof \DateTimeInterface));
+
+        $stats = $this->createService()->revertChangeset(self::CHANGESET_ID, null, Context::createDefaultContext());
+
+        static::assertSame(['restored' => 1, 'missing' => 1], $stats);
+    }
+
+    public function testRevertedChangesetCannotBeRevertedAgain(): void
+    {
+        $this->mockChangeset(new \DateTime('-1 hour'));
+
+        $this->productRepository->expects(static::never())->method('update');
+        $this->expectExceptionMessage('Price changeset is already reverted');
+
+        $this->createService()->revertChangeset(self::CHANGESET_ID, null, Context::createDefaultContext());
+    }
+
+    public function testLaterChangesOfTheSameProductsBlockRevert(): void
+    {
+        $this->mockChangeset(null);
+        $this->mockLaterChanges(true);
+
+        $this->productRepository->expects(static::never())->method('update');
+        $this->changesetRepository->expects(static::never())->method('update');
+        $this->expectExceptionMessage('Some products were changed by a later price update');
+
+        $this->createService()->revertChangeset(self::CHANGESET_ID, null, Context::createDefaultContext());
+    }
+
+    private function mockChangeset(?\DateTimeInterface $revertedAt): void
+    {
+        $changeset = new PriceChangesetEntity();
+        $changeset->setId(self::CHANGESET_ID);
+        $changeset->setRevertedAt($revertedAt);
+        $changeset->assign(['createdAt' => new \DateTimeImmutable('-1 day')]);
+
+        $this->changesetRepository->method('search')->willReturnCallback(
+            static fn(Criteria $criteria, Context $context) => new EntitySearchResult(
+                PriceChangesetDefinition::ENTITY_NAME,
+                1,
+                new PriceChangesetCollection([$changeset]),
+                null,
+                $criteria,
+                $context
+            )
+        );
+    }
+
+    private function mockLaterChanges(bool $hasLaterChanges): void
+    {
+        $this->changesetItemRepository->method('searchIds')->willReturnCallback(
+            fn(Criteria $criteria, Context $context) => $this->createIdResult(
+                $hasLaterChanges ? ['later-item'] : [],
+                $criteria,
+                $context
+            )
+        );
+    }
+
+    private function createItem(string $id, string $productId, array $oldValues): PriceChangesetItemEntity
+    {
+        $item = new PriceChangesetItemEntity();
+        $item->setId($id);
+        $item->setChangesetId(self::CHANGESET_ID);
+        $item->setProductId($productId);
+        $item->setOldValues($oldValues);
+
+        return $item;
+    }
+
+    /**
+     * @param string[] $ids
+     */
+    private function createIdResult(array $ids, Criteria $criteria, Context $context): IdSearchResult
+    {
+        return new IdSearchResult(
+            count($ids),
+            array_map(static fn(string $id) => ['primaryKey' => $id, 'data' => []], $ids),
+            $criteria,
+            $context
+        );
+    }
+
+    private function createService(): PriceHistoryService
+    {
+        return new PriceHistoryService(
+            $this->changesetRepository,
+            $this->changesetItemRepository,
+            $this->productRepository
+        );
+    }
+}
@@ -0,0 +1,91 @@
+<?php declare(strict_types=1);
+
+namespace Artiss\Supplier\Tests\Service\PriceUpdate;
+
+use Artiss\Supplier\Core\Content\PriceJob\PriceJobCollection;
+use Artiss\Supplier\Core\Content\PriceJob\PriceJobDefinition;
+use Artiss\Supplier\Core\Content\PriceJob\PriceJobEntity;
+use Artiss\Supplier\Service\PriceUpdate\PriceJobService;
+use Artiss\Supplier\Service\PriceUpdate\PriceUpdateService;
+use PHPUnit\Framework\Attributes\CoversClass;
+use PHPUnit\Framework\TestCase;
+use Shopware\Core\Framework\Context;
+use Shopware\Core\Framework\DataAbstractionLayer\EntityRepository;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\Criteria;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\EntitySearchResult;
+use Symfony\Component\Messenger\MessageBusInterface;
+
+#[CoversClass(PriceJobService::class)]
+class PriceJobServiceTest extends TestCase
+{
+    private const JOB_ID = '0190a7c9d7b87f3e9f1a2b3c4d5e6f80';
+
+    public function testRunningJobWithoutUpdatesIsFailed(): void
+    {
+        $job = $this->createJob(new \DateTimeImmutable('-3 hours'));
+
+        $repository = $this->createRepository($job);
+        $repository->expects(static::once())
+            ->method('update')
+            ->with(static::callback(static function (array $updates): bool {
+                return count($updates) === 1
+                    && $updates[0]['id'] === self::JOB_ID
+                    && $updates[0]['status'] === PriceJobDefinition::STATUS_FAILED;
+            }));
+
+        $this->createService($repository)->getJob(self::JOB_ID, Context::createDefaultContext());
+    }
+
+    public function testRunningJobWithRecentUpdateKeepsRunning(): void
+    {
+        $job = $this->createJob(new \DateTimeImmutable('-5 minutes'));
+
+        $repository = $this->createRepository($job);
+        $repository->expects(static::never())->method('update');
+
+        $result = $this->createService($repository)->getJob(self::JOB_ID, Context::createDefaultContext());
+
+        static::assertSame(PriceJobDefinition::STATUS_RUNNING, $result['status']);
+    }
+
+    private function createJob(\DateTimeImmutable $updatedAt): PriceJobEntity
+    {
+        $job = new PriceJobEntity();
+        $job->setId(self::JOB_ID);
+        $job->setPriceTemplateId('0190a7c9d7b87f3e9f1a2b3c4d5e6f81');
+        $job->setType(PriceJobDefinition::TYPE_AUTO_MATCH);
+        $job->setStatus(PriceJobDefinition::STATUS_RUNNING);
+        $job->setTotal(100);
+        $job->setProcessed(50);
+        $job->setStartedAt(new \DateTimeImmutable('-4 hours'));
+        $job->assign(['updatedAt' => $updatedAt]);
+
+        return $job;
+    }
+
+    private function createRepository(PriceJobEntity $job): EntityRepository
+    {
+        $repository = $this->createMock(EntityRepository::class);
+        $repository->method('search')->willReturnCallback(
+            static fn(Criteria $criteria, Context $context) => new EntitySearchResult(
+                PriceJobDefinition::ENTITY_NAME,
+                1,
+                new PriceJobCollection([$job]),
+                null,
+                $criteria,
+                $context
+            )
+        );
+
+        return $repository;
+    }
+
+    private function createService(EntityRepository $repository): PriceJobService
+    {
+        return new PriceJobService(
+            $repository,
+            $this->createMock(PriceUpdateService::class),
+            $this->createMock(MessageBusInterface::class)
+        );
+    }
+}
@@ -0,0 +1,149 @@
+<?php declare(strict_types=1);
+
+namespace Artiss\Supplier\Tests\Service\PriceUpdate;
+
+use Artiss\Supplier\Service\PriceUpdate\PricingRuleService;
+use PHPUnit\Framework\Attributes\CoversClass;
+use PHPUnit\Framework\Attributes\DataProvider;
+use PHPUnit\Framework\TestCase;
+
+#[CoversClass(PricingRuleService::class)]
+class PricingRuleServiceTest extends TestCase
+{
+    private const CATEGORY_ID = '0190a7c9d7b87f3e9f1a2b3c4d5e6f90';
+    private const CURRENCY_FACTORS = ['UAH' => 1.0, 'USD' => 0.025];
+    private const CURRENCIES = ['purchase' => 'UAH', 'retail' => 'UAH', 'list' => 'UAH'];
+
+    private PricingRuleService $service;
+
+    protected function setUp(): void
+    {
+        $this->service = new PricingRuleService();
+    }
+
+    #[DataProvider('roundingProvider')]
+    public function testRound(float $price, string $strategy, float $expected): void
+    {
+        static::assertSame($expected, $this->service->round($price, [
+            'strategy' => $strategy,
+            'step' => 100,
+            'ending' => 99,
+        ]));
+    }
+
+    public static function roundingProvider(): \Generator
+    {
+        yield 'none' => [1250.0, PricingRuleService::ROUNDING_NONE, 1250.0];
+        yield 'up' => [1250.0, PricingRuleService::ROUNDING_UP, 1299.0];
+        yield 'up keeps a price with the ending' => [1299.0, PricingRuleService::ROUNDING_UP, 1299.0];
+        yield 'nearest down' => [1320.0, PricingRuleService::ROUNDING_NEAREST, 1299.0];
+        yield 'nearest up' => [1360.0, PricingRuleService::ROUNDING_NEAREST, 1399.0];
+        yield 'nearest never below zero' => [30.0, PricingRuleService::ROUNDING_NEAREST, 99.0];
+    }
+
+    /**
+     * @param string[] $categoryIds
+     */
+    #[DataProvider('tierProvider')]
+    public function testFirstMatchingTierWins(float $purchase, array $categoryIds, float $expectedRetail): void
+    {
+        $prices = $this->service->apply(
+            ['purchase' => $purchase, 'retail' => null],
+            self::CURRENCIES,
+            $this->createRules(PricingRuleService::MODE_MISSING),
+            ['category_ids' => $categoryIds, 'manufacturer_id' => null],
+            self::CURRENCY_FACTORS
+        );
+
+        static::assertSame($expectedRetail, $prices['retail']);
+    }
+
+    public static function tierProvider(): \Generator
+    {
+        yield 'category tier' => [500.0, [self::CATEGORY_ID], 750.0];
+        yield 'price range below 1000' => [500.0, [], 650.0];
+        yield 'price range from 1000' => [1000.0, [], 1200.0];
+    }
+
+    public function testMissingModeKeepsPriceListValue(): void
+    {
+        $prices = $this->service->apply(
+            ['purchase' => 500.0, 'retail' => 640.0],
+            self::CURRENCIES,
+            $this->createRules(PricingRuleService::MODE_MISSING),
+            [],
+            self::CURRENCY_FACTORS
+        );
+
+        static::assertSame(640.0, $prices['retail']);
+
+        $prices = $this->service->apply(
+            ['purchase' => 500.0, 'retail' => 640.0],
+            self::CURRENCIES,
+            $this->createRules(PricingRuleService::MODE_ALWAYS),
+            [],
+            self::CURRENCY_FACTORS
+        );
+
+        static::assertSame(650.0, $prices['retail']);
+    }
+
+    public function testDerivedPriceIsConvertedToTargetCurrency(): void
+    {
+        // 10 USD + 30% is 13 USD, which is 520 UAH
+        $prices = $this->service->apply(
+            ['purchase' => 10.0, 'retail' => null],
+            ['purchase' => 'USD', 'retail' => 'UAH'],
+            $this->createRules(PricingRuleService::MODE_MISSING),
+            [],
+            self::CURRENCY_FACTORS
+        );
+
+        static::assertSame(520.0, $prices['retail']);
+    }
+
+    public function testListIsDerivedFromRoundedRetail(): void
+    {
+        $rules = $this->createRules(PricingRuleService::MODE_MISSING);
+        $rules['derived']['list'] = ['source' => 'retail', 'mode' => PricingRuleService::MODE_ALWAYS];
+        $rules['tiers'][] = ['price_type' => 'list', 'markup_percent' => 10];
+        $rules['rounding']['retail'] = ['strategy' => PricingRuleService::ROUNDING_UP, 'step' => 100, 'ending' => 99];
+
+        $prices = $this->service->apply(
+            ['purchase' => 500.0, 'retail' => null, 'list' => 900.0],
+            self::CURRENCIES,
+            $rules,
+            [],
+            self::CURRENCY_FACTORS
+        );
+
+        static::assertSame(699.0, $prices['retail']);
+        static::assertSame(768.9, $prices['list']);
+    }
+
+    public function testDisabledRulesKeepPrices(): void
+    {
+        $rules = $this->createRules(PricingRuleService::MODE_ALWAYS);
+        $rules['enabled'] = false;
+
+        $prices = ['purchase' => 500.0, 'retail' => null];
+
+        static::assertSame($prices, $this->service->apply($prices, self::CURRENCIES, $rules, [], self::CURRENCY_FACTORS));
+    }
+
+    private function createRules(string $retailMode): array
+    {
+        return [
+            'enabled' => true,
+            'derived' => [
+                'retail' => ['source' => 'purchase', 'mode' => $retailMode],
+            ],
+            'tiers' => [
+                ['price_type' => 'retail', 'category_ids' => [self::CATEGORY_ID], 'markup_percent' => 50],
+                ['price_type' => 'retail', 'price_from' => null, 'price_to' => 1000, 'markup_percent' => 30],
+                ['price_type' => 'retail', 'price_from' => 1000, 'price_to' => null, 'markup_percent' => 20],
+            ],
+            'rounding' => [],
+        ];
+    }
+}
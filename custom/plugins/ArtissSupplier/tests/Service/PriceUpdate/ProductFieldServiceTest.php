@@ -0,0 +1,56 @@
+<?php declare(strict_types=1);
+
+namespace Artiss\Supplier\Tests\Service\PriceUpdate;
+
+use Artiss\Supplier\Service\PriceUpdate\ProductFieldService;
+use PHPUnit\Framework\Attributes\CoversClass;
+use PHPUnit\Framework\Attributes\DataProvider;
+use PHPUnit\Framework\TestCase;
+use Shopware\Core\Framework\DataAbstractionLayer\EntityRepository;
+
+#[CoversClass(ProductFieldService::class)]
+class ProductFieldServiceTest extends TestCase
+{
+    private ProductFieldService $service;
+
+    protected function setUp(): void
+    {
+        $this->service = new ProductFieldService($this->createMock(EntityRepository::class));
+    }
+
+    #[DataProvider('deliveryTimeProvider')]
+    public function testParseDeliveryTime(string $value, int $min, int $max, string $unit): void
+    {
+        static::assertSame(
+            ['min' => $min, 'max' => $max, 'unit' => $unit],
+            $this->service->parseDeliveryTime($value)
+        );
+    }
+
+    public static function deliveryTimeProvider(): iterable
+    {
+        // "Час" is "time" in Ukrainian, only the word after the number is the unit
+        yield 'uk time prefix with days' => ['Час доставки 3-5 днів', 3, 5, 'day'];
+        yield 'uk time prefix with hours' => ['Час доставки 24 години', 24, 24, 'hour'];
+        yield 'uk hour abbreviation' => ['24 год.', 24, 24, 'hour'];
+        yield 'ru hours' => ['24 часа', 24, 24, 'hour'];
+        yield 'ru term prefix with weeks' => ['Срок 2 недели', 2, 2, 'week'];
+        yield 'uk term prefix with days' => ['Строк 10 днів', 10, 10, 'day'];
+        yield 'uk working days' => ['3-5 робочих днів', 3, 5, 'day'];
+        yield 'ru working days' => ['10 рабочих дней', 10, 10, 'day'];
+        yield 'uk weeks range' => ['від 2 до 4 тижнів', 2, 4, 'week'];
+        yield 'uk weeks abbreviation' => ['2-3 тиж.', 2, 3, 'week'];
+        yield 'ru months abbreviation' => ['1-2 мес.', 1, 2, 'month'];
+        yield 'uk months' => ['2 місяці', 2, 2, 'month'];
+        yield 'uk year' => ['1 рік', 1, 1, 'year'];
+        yield 'ru years' => ['2 года', 2, 2, 'year'];
+        yield 'en weeks' => ['2 weeks', 2, 2, 'week'];
+        yield 'reversed range' => ['5-3 дні', 3, 5, 'day'];
+        yield 'number only' => ['14', 14, 14, 'day'];
+    }
+
+    public function testParseDeliveryTimeWithoutNumber(): void
+    {
+        static::assertNull($this->service->parseDeliveryTime('під замовлення'));
+    }
+}
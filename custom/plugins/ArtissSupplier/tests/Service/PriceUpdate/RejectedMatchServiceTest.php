@@ -0,0 +1,64 @@
+<?php declare(strict_types=1);
+
+namespace Artiss\Supplier\Tests\Service\PriceUpdate;
+
+use Artiss\Supplier\Core\Content\PriceTemplate\PriceTemplateEntity;
+use Artiss\Supplier\Service\PriceUpdate\RejectedMatchService;
+use PHPUnit\Framework\Attributes\CoversClass;
+use PHPUnit\Framework\TestCase;
+use Shopware\Core\Framework\DataAbstractionLayer\EntityRepository;
+
+#[CoversClass(RejectedMatchService::class)]
+class RejectedMatchServiceTest extends TestCase
+{
+    private const PRODUCT_ID = '0190a7c9d7b87f3e9f1a2b3c4d5e6f70';
+    private const OTHER_PRODUCT_ID = '0190a7c9d7b87f3e9f1a2b3c4d5e6f71';
+
+    private RejectedMatchService $service;
+
+    protected function setUp(): void
+    {
+        $this->service = new RejectedMatchService(
+            $this->createMock(EntityRepository::class),
+            $this->createMock(EntityRepository::class)
+        );
+    }
+
+    public function testRejectedCodesByProduct(): void
+    {
+        static::assertSame(
+            [self::PRODUCT_ID => ['AB-1', '42']],
+            $this->service->getRejectedCodes($this->createTemplate())
+        );
+    }
+
+    public function testTemplateWithoutRejections(): void
+    {
+        static::assertSame([], $this->service->getRejectedCodes(new PriceTemplateEntity()));
+    }
+
+    public function testOnlyTheRejectedPairIsRejected(): void
+    {
+        $rejectedCodes = $this->service->getRejectedCodes($this->createTemplate());
+
+        static::assertTrue($this->service->isRejected($rejectedCodes, self::PRODUCT_ID, 'AB-1'));
+        static::assertTrue($this->service->isRejected($rejectedCodes, self::PRODUCT_ID, '42'));
+
+        // Another code for the product and the same code for another product may still be suggested
+        static::assertFalse($this->service->isRejected($rejectedCodes, self::PRODUCT_ID, 'AB-2'));
+        static::assertFalse($this->service->isRejected($rejectedCodes, self::OTHER_PRODUCT_ID, 'AB-1'));
+    }
+
+    private function createTemplate(): PriceTemplateEntity
+    {
+        $template = new PriceTemplateEntity();
+        $template->setRejectedMatches([
+            self::PRODUCT_ID => [
+                ['supplier_code' => 'AB-1', 'supplier_name' => 'Cable', 'rejected_at' => '2026-10-19T17:00:00+00:00'],
+                ['supplier_code' => 42, 'supplier_name' => null, 'rejected_at' => '2026-10-19T17:05:00+00:00'],
+            ],
+        ]);
+
+        return $template;
+    }
+}
@@ -0,0 +1,103 @@
+<?php declare(strict_types=1);
+
+namespace Artiss\Supplier\Tests\Service;
+
+use Artiss\Supplier\Service\Matching\ExactCodeStrategy;
+use Artiss\Supplier\Service\Matching\TokenStrategy;
+use Artiss\Supplier\Service\ProductMatchingService;
+use PHPUnit\Framework\Attributes\CoversClass;
+use PHPUnit\Framework\TestCase;
+use Shopware\Core\Content\Product\ProductCollection;
+use Shopware\Core\Content\Product\ProductEntity;
+
+#[CoversClass(ProductMatchingService::class)]
+class ProductMatchingServiceTest extends TestCase
+{
+    private const PRODUCT_ID = '0190a7c9d7b87f3e9f1a2b3c4d5e6fa0';
+
+    private const PRICE_LIST_ITEMS = [
+        ['code' => 'X1', 'name' => 'Other'],
+        ['code' => 'Y2', 'name' => 'Drill AB 12'],
+    ];
+
+    private ProductMatchingService $service;
+
+    protected function setUp(): void
+    {
+        $this->service = new ProductMatchingService([new ExactCodeStrategy(), new TokenStrategy()]);
+    }
+
+    public function testStrategyListedFirstWinsOnEqualScores(): void
+    {
+        $results = $this->service->matchProducts(
+            self::PRICE_LIST_ITEMS,
+            $this->createProducts(),
+            [ExactCodeStrategy::NAME, TokenStrategy::NAME]
+        );
+
+        static::assertCount(1, $results);
+        static::assertSame('X1', $results[0]['price_item']['code']);
+        static::assertSame(ExactCodeStrategy::NAME, $results[0]['match']['strategy']);
+        static::assertSame(self::PRODUCT_ID, $results[0]['match']['product_id']);
+
+        $results = $this->service->matchProducts(
+            self::PRICE_LIST_ITEMS,
+            $this->createProducts(),
+            [TokenStrategy::NAME, ExactCodeStrategy::NAME]
+        );
+
+        static::assertSame('Y2', $results[0]['price_item']['code']);
+        static::assertSame(TokenStrategy::NAME, $results[0]['match']['strategy']);
+    }
+
+    public function testUnknownStrategiesAreSkipped(): void
+    {
+        $results = $this->service->matchProducts(
+            self::PRICE_LIST_ITEMS,
+            $this->createProducts(),
+            ['unknown', TokenStrategy::NAME]
+        );
+
+        static::assertSame(TokenStrategy::NAME, $results[0]['match']['strategy']);
+    }
+
+    public function testNoValidStrategy(): void
+    {
+        $this->expectException(\RuntimeException::class);
+
+        $this->service->matchProducts(self::PRICE_LIST_ITEMS, $this->createProducts(), ['unknown']);
+    }
+
+    public function testRejectedCodeIsNotSuggested(): void
+    {
+        $results = $this->service->matchProducts(
+            self::PRICE_LIST_ITEMS,
+            $this->createProducts(),
+            [ExactCodeStrategy::NAME, TokenStrategy::NAME],
+            [self::PRODUCT_ID => ['X1']]
+        );
+
+        static::assertSame('Y2', $results[0]['price_item']['code']);
+        static::assertSame(TokenStrategy::NAME, $results[0]['match']['strategy']);
+
+        $results = $this->service->matchProducts(
+            self::PRICE_LIST_ITEMS,
+            $this->createProducts(),
+            [ExactCodeStrategy::NAME, TokenStrategy::NAME],
+            [self::PRODUCT_ID => ['X1', 'Y2']]
+        );
+
+        static::assertSame([], $results);
+    }
+
+    private function createProducts(): ProductCollection
+    {
+        $product = new ProductEntity();
+        $product->setId(self::PRODUCT_ID);
+        $product->setName('Drill AB 12');
+        $product->setProductNumber('P-100');
+        $product->setCustomFields(['kod_postavschika' => 'X1']);
+
+        return new ProductCollection([$product]);
+    }
+}